@@ -16,6 +16,13 @@ CREATE TABLE IF NOT EXISTS courses (
     updated_at TIMESTAMPTZ DEFAULT NOW()
 );
 
+-- Term the course is taught in (see create_terms_table.sql); semester keeps the term's name for display
+ALTER TABLE courses ADD COLUMN IF NOT EXISTS term_id UUID REFERENCES terms(id) ON DELETE SET NULL;
+
+-- Names of the sections taking the course, e.g. ["CSE A", "CSE B"]; the timetable
+-- generator places it only in those. An empty list means every section.
+ALTER TABLE courses ADD COLUMN IF NOT EXISTS sections JSONB NOT NULL DEFAULT '[]'::jsonb;
+
 -- Create index on owner_id for faster queries
 CREATE INDEX IF NOT EXISTS idx_courses_owner_id ON courses(owner_id);
 
@@ -0,0 +1,39 @@
+-- Create instructor_absences table for Supabase
+-- This table records the dates an instructor is away so their periods can be covered.
+-- The cover itself is stored per period as a 'substitute' row in timetable_exceptions.
+
+CREATE TABLE IF NOT EXISTS instructor_absences (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    owner_id TEXT NOT NULL,
+    instructor TEXT NOT NULL,
+    start_date DATE NOT NULL,
+    end_date DATE NOT NULL,
+    reason TEXT,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    CHECK (end_date >= start_date)
+);
+
+-- Create index for loading a user's absences by date
+CREATE INDEX IF NOT EXISTS idx_instructor_absences_owner_start ON instructor_absences(owner_id, start_date);
+
+-- Enable Row Level Security (RLS)
+ALTER TABLE instructor_absences ENABLE ROW LEVEL SECURITY;
+
+-- Create policy: Users can only see their own absences
+CREATE POLICY "Users can view their own instructor absences"
+    ON instructor_absences
+    FOR SELECT
+    USING (auth.uid()::text = owner_id);
+
+-- Create policy: Users can insert their own absences
+CREATE POLICY "Users can insert their own instructor absences"
+    ON instructor_absences
+    FOR INSERT
+    WITH CHECK (auth.uid()::text = owner_id);
+
+-- Create policy: Users can delete their own absences
+-- Absences are removed and re-entered rather than edited, so there is no update policy
+CREATE POLICY "Users can delete their own instructor absences"
+    ON instructor_absences
+    FOR DELETE
+    USING (auth.uid()::text = owner_id);
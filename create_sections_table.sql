@@ -0,0 +1,110 @@
+-- Create sections table for Supabase
+-- This table stores the class sections (e.g. CSE A) managed by each user via owner_id
+
+CREATE TABLE IF NOT EXISTS sections (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    owner_id TEXT NOT NULL,
+    name TEXT NOT NULL,
+    home_room TEXT,
+    strength INTEGER DEFAULT 65,
+    program TEXT,
+    semester TEXT,
+    archived BOOLEAN DEFAULT FALSE,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+    UNIQUE (owner_id, name)
+);
+
+-- Create index on owner_id for faster queries
+CREATE INDEX IF NOT EXISTS idx_sections_owner_id ON sections(owner_id);
+
+-- Enable Row Level Security (RLS)
+ALTER TABLE sections ENABLE ROW LEVEL SECURITY;
+
+-- Create policy: Users can only see their own sections
+CREATE POLICY "Users can view their own sections"
+    ON sections
+    FOR SELECT
+    USING (auth.uid()::text = owner_id);
+
+-- Create policy: Users can insert their own sections
+CREATE POLICY "Users can insert their own sections"
+    ON sections
+    FOR INSERT
+    WITH CHECK (auth.uid()::text = owner_id);
+
+-- Create policy: Users can update their own sections
+CREATE POLICY "Users can update their own sections"
+    ON sections
+    FOR UPDATE
+    USING (auth.uid()::text = owner_id)
+    WITH CHECK (auth.uid()::text = owner_id);
+
+-- Create policy: Users can delete their own sections
+CREATE POLICY "Users can delete their own sections"
+    ON sections
+    FOR DELETE
+    USING (auth.uid()::text = owner_id);
+
+-- Create function to automatically update updated_at timestamp
+CREATE OR REPLACE FUNCTION update_updated_at_column()
+RETURNS TRIGGER AS $$
+BEGIN
+    NEW.updated_at = NOW();
+    RETURN NEW;
+END;
+$$ language 'plpgsql';
+
+-- Create trigger to automatically update updated_at on row update
+CREATE TRIGGER update_sections_updated_at
+    BEFORE UPDATE ON sections
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+-- Save a section's details and rename it together with the records that refer to
+-- it by name, in one transaction: the timetable grid (moved to the new name, the
+-- old key removed) and selected section, the owner's profile, the courses taught
+-- to the section, date-specific exceptions and substitutions, and the grids of
+-- saved versions.
+-- p_section: { "name", "home_room", "strength", "program", "semester", "archived" }
+-- Returns the updated section.
+DROP FUNCTION IF EXISTS rename_section(TEXT, TEXT, TEXT);
+CREATE OR REPLACE FUNCTION rename_section(p_owner_id TEXT, p_old_name TEXT, p_section JSONB)
+RETURNS sections AS $$
+DECLARE
+    new_name TEXT := p_section ->> 'name';
+    saved sections;
+BEGIN
+    UPDATE sections SET
+        name = new_name,
+        home_room = COALESCE(p_section ->> 'home_room', ''),
+        strength = COALESCE((p_section ->> 'strength')::integer, strength),
+        program = COALESCE(p_section ->> 'program', ''),
+        semester = COALESCE(p_section ->> 'semester', ''),
+        archived = COALESCE((p_section ->> 'archived')::boolean, archived)
+    WHERE owner_id = p_owner_id AND name = p_old_name
+    RETURNING * INTO saved;
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'No section named %', p_old_name USING ERRCODE = 'P0002';
+    END IF;
+
+    UPDATE timetables SET
+        data = CASE WHEN data ? p_old_name
+            THEN (data - p_old_name) || jsonb_build_object(new_name, data -> p_old_name)
+            ELSE data END,
+        section = CASE WHEN section = p_old_name THEN new_name ELSE section END
+    WHERE owner_id = p_owner_id AND (data ? p_old_name OR section = p_old_name);
+    UPDATE user_profile SET section = new_name WHERE owner_id = p_owner_id AND section = p_old_name;
+    UPDATE courses SET sections = (
+            SELECT jsonb_agg(CASE WHEN section_name = p_old_name THEN new_name ELSE section_name END)
+            FROM jsonb_array_elements_text(sections) AS section_name
+        )
+        WHERE owner_id = p_owner_id AND sections ? p_old_name;
+    UPDATE timetable_exceptions SET section = new_name WHERE owner_id = p_owner_id AND section = p_old_name;
+    UPDATE timetable_versions
+        SET data = (data - p_old_name) || jsonb_build_object(new_name, data -> p_old_name)
+        WHERE owner_id = p_owner_id AND data ? p_old_name;
+
+    RETURN saved;
+END;
+$$ LANGUAGE plpgsql;
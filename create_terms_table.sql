@@ -0,0 +1,63 @@
+-- Create terms table for Supabase
+-- This table stores the academic terms (e.g. Fall 2025) managed by each user via owner_id.
+-- Courses and the timetable link to a term through their term_id column.
+
+CREATE TABLE IF NOT EXISTS terms (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    owner_id TEXT NOT NULL,
+    name TEXT NOT NULL,
+    start_date DATE NOT NULL,
+    end_date DATE NOT NULL,
+    -- Breaks within the term: [{ "name": "Puja Vacation", "start_date": "2025-10-20", "end_date": "2025-10-31" }, ...]
+    breaks JSONB DEFAULT '[]'::jsonb,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+    UNIQUE (owner_id, name),
+    CHECK (end_date >= start_date)
+);
+
+-- Create index for loading a user's terms by date
+CREATE INDEX IF NOT EXISTS idx_terms_owner_start ON terms(owner_id, start_date);
+
+-- Enable Row Level Security (RLS)
+ALTER TABLE terms ENABLE ROW LEVEL SECURITY;
+
+-- Create policy: Users can only see their own terms
+CREATE POLICY "Users can view their own terms"
+    ON terms
+    FOR SELECT
+    USING (auth.uid()::text = owner_id);
+
+-- Create policy: Users can insert their own terms
+CREATE POLICY "Users can insert their own terms"
+    ON terms
+    FOR INSERT
+    WITH CHECK (auth.uid()::text = owner_id);
+
+-- Create policy: Users can update their own terms
+CREATE POLICY "Users can update their own terms"
+    ON terms
+    FOR UPDATE
+    USING (auth.uid()::text = owner_id)
+    WITH CHECK (auth.uid()::text = owner_id);
+
+-- Create policy: Users can delete their own terms
+CREATE POLICY "Users can delete their own terms"
+    ON terms
+    FOR DELETE
+    USING (auth.uid()::text = owner_id);
+
+-- Create function to automatically update updated_at timestamp
+CREATE OR REPLACE FUNCTION update_updated_at_column()
+RETURNS TRIGGER AS $$
+BEGIN
+    NEW.updated_at = NOW();
+    RETURN NEW;
+END;
+$$ language 'plpgsql';
+
+-- Create trigger to automatically update updated_at on row update
+CREATE TRIGGER update_terms_updated_at
+    BEFORE UPDATE ON terms
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
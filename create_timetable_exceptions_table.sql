@@ -0,0 +1,52 @@
+-- Create timetable_exceptions table for Supabase
+-- This table stores date-specific changes layered on top of the weekly timetable:
+-- a cancelled period, a period moved to another date/slot, a one-off extra period, a holiday,
+-- or a substitute instructor covering a period.
+-- A holiday with no section applies to every section.
+
+CREATE TABLE IF NOT EXISTS timetable_exceptions (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    owner_id TEXT NOT NULL,
+    kind TEXT NOT NULL CHECK (kind IN ('cancel', 'reschedule', 'extra', 'holiday')),
+    section TEXT,
+    date DATE NOT NULL,
+    slot_id TEXT,
+    entry JSONB,
+    target_date DATE,
+    target_slot_id TEXT,
+    note TEXT,
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Substitutions: a cover instructor for one period on one date (kind = 'substitute')
+-- absent_instructor is the code being covered, substitute the code covering it
+ALTER TABLE timetable_exceptions ADD COLUMN IF NOT EXISTS absent_instructor TEXT;
+ALTER TABLE timetable_exceptions ADD COLUMN IF NOT EXISTS substitute TEXT;
+ALTER TABLE timetable_exceptions DROP CONSTRAINT IF EXISTS timetable_exceptions_kind_check;
+ALTER TABLE timetable_exceptions ADD CONSTRAINT timetable_exceptions_kind_check
+    CHECK (kind IN ('cancel', 'reschedule', 'extra', 'holiday', 'substitute'));
+
+-- Create index for loading a user's exceptions by date
+CREATE INDEX IF NOT EXISTS idx_timetable_exceptions_owner_date ON timetable_exceptions(owner_id, date);
+
+-- Enable Row Level Security (RLS)
+ALTER TABLE timetable_exceptions ENABLE ROW LEVEL SECURITY;
+
+-- Create policy: Users can only see their own exceptions
+CREATE POLICY "Users can view their own timetable exceptions"
+    ON timetable_exceptions
+    FOR SELECT
+    USING (auth.uid()::text = owner_id);
+
+-- Create policy: Users can insert their own exceptions
+CREATE POLICY "Users can insert their own timetable exceptions"
+    ON timetable_exceptions
+    FOR INSERT
+    WITH CHECK (auth.uid()::text = owner_id);
+
+-- Create policy: Users can delete their own exceptions
+-- Exceptions are removed and re-created rather than edited, so there is no update policy
+CREATE POLICY "Users can delete their own timetable exceptions"
+    ON timetable_exceptions
+    FOR DELETE
+    USING (auth.uid()::text = owner_id);
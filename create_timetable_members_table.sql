@@ -0,0 +1,135 @@
+-- Create timetable_members table for Supabase
+-- This table lists the users a timetable owner has shared their timetable with.
+-- Members can open and edit the owner's timetable (cells, bell schedule, working days,
+-- date-specific changes and versions) and read the sections, courses, rooms and terms
+-- it is built from; managing those stays with the owner.
+-- Run this file after the other create_*_table.sql files, since it adds policies to their tables.
+
+CREATE TABLE IF NOT EXISTS timetable_members (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    owner_id TEXT NOT NULL, -- Clerk user ID of the timetable's owner
+    member_id TEXT NOT NULL, -- Clerk user ID of the user it is shared with
+    owner_name TEXT,
+    member_name TEXT,
+    member_email TEXT,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    UNIQUE (owner_id, member_id),
+    CHECK (owner_id <> member_id)
+);
+
+-- Create index for listing the timetables shared with a user
+CREATE INDEX IF NOT EXISTS idx_timetable_members_member_id ON timetable_members(member_id);
+
+-- Enable Row Level Security (RLS)
+ALTER TABLE timetable_members ENABLE ROW LEVEL SECURITY;
+
+-- Create policy: Owners see who they shared with, members see what was shared with them
+CREATE POLICY "Users can view their timetable memberships"
+    ON timetable_members
+    FOR SELECT
+    USING (auth.uid()::text IN (owner_id, member_id));
+
+-- Create policy: Owners can remove a member, and members can leave
+-- Members are added through share_timetable below, so there is no insert policy
+CREATE POLICY "Users can delete their timetable memberships"
+    ON timetable_members
+    FOR DELETE
+    USING (auth.uid()::text IN (owner_id, member_id));
+
+-- Whether the signed-in user was given access to p_owner_id's timetable.
+-- SECURITY DEFINER so the policies below can call it without the caller needing
+-- to read timetable_members themselves.
+CREATE OR REPLACE FUNCTION is_timetable_member(p_owner_id TEXT)
+RETURNS BOOLEAN AS $$
+    SELECT EXISTS (
+        SELECT 1 FROM timetable_members
+        WHERE owner_id = p_owner_id AND member_id = auth.uid()::text
+    );
+$$ LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public;
+
+-- Share the signed-in user's timetable with the user whose profile has p_email.
+-- Sharing again with the same user refreshes their name and email.
+-- Fails with no_data_found (P0002) when no profile has that email, and with
+-- invalid_parameter_value (22023) when the email is the caller's own.
+CREATE OR REPLACE FUNCTION share_timetable(p_email TEXT)
+RETURNS timetable_members AS $$
+DECLARE
+    caller TEXT := auth.uid()::text;
+    member user_profile;
+    shared timetable_members;
+BEGIN
+    SELECT * INTO member FROM user_profile
+    WHERE lower(email) = lower(trim(p_email))
+    LIMIT 1;
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'No user with the email %', p_email USING ERRCODE = 'P0002';
+    END IF;
+    IF member.owner_id = caller THEN
+        RAISE EXCEPTION 'You cannot share a timetable with yourself' USING ERRCODE = '22023';
+    END IF;
+
+    INSERT INTO timetable_members (owner_id, member_id, owner_name, member_name, member_email)
+    VALUES (
+        caller,
+        member.owner_id,
+        (SELECT name FROM user_profile WHERE owner_id = caller),
+        member.name,
+        member.email
+    )
+    ON CONFLICT (owner_id, member_id) DO UPDATE SET
+        owner_name = EXCLUDED.owner_name,
+        member_name = EXCLUDED.member_name,
+        member_email = EXCLUDED.member_email
+    RETURNING * INTO shared;
+
+    RETURN shared;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- Create policy: Members can see and edit a timetable shared with them.
+-- apply_timetable_changes runs with the caller's rights and Realtime checks SELECT,
+-- so these also let members save cells and receive the owner's changes live.
+CREATE POLICY "Members can view shared timetables"
+    ON timetables
+    FOR SELECT
+    USING (is_timetable_member(owner_id));
+
+CREATE POLICY "Members can update shared timetables"
+    ON timetables
+    FOR UPDATE
+    USING (is_timetable_member(owner_id))
+    WITH CHECK (is_timetable_member(owner_id));
+
+-- Create policy: Members can read what a shared timetable is built from
+CREATE POLICY "Members can view shared sections"
+    ON sections
+    FOR SELECT
+    USING (is_timetable_member(owner_id));
+
+CREATE POLICY "Members can view shared courses"
+    ON courses
+    FOR SELECT
+    USING (is_timetable_member(owner_id));
+
+CREATE POLICY "Members can view shared rooms"
+    ON rooms
+    FOR SELECT
+    USING (is_timetable_member(owner_id));
+
+CREATE POLICY "Members can view shared terms"
+    ON terms
+    FOR SELECT
+    USING (is_timetable_member(owner_id));
+
+-- Create policy: Members can manage date-specific changes and versions of a shared timetable
+CREATE POLICY "Members can manage shared timetable exceptions"
+    ON timetable_exceptions
+    FOR ALL
+    USING (is_timetable_member(owner_id))
+    WITH CHECK (is_timetable_member(owner_id));
+
+CREATE POLICY "Members can manage shared timetable versions"
+    ON timetable_versions
+    FOR ALL
+    USING (is_timetable_member(owner_id))
+    WITH CHECK (is_timetable_member(owner_id));
@@ -0,0 +1,39 @@
+-- Create timetable_versions table for Supabase
+-- This table keeps snapshots of a user's timetable document so earlier versions can be compared and restored.
+-- Snapshots are either named by the user (kind = 'manual') or taken automatically (kind = 'auto').
+
+CREATE TABLE IF NOT EXISTS timetable_versions (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    owner_id TEXT NOT NULL,
+    name TEXT NOT NULL,
+    kind TEXT NOT NULL DEFAULT 'manual' CHECK (kind IN ('manual', 'auto')),
+    data JSONB DEFAULT '{}'::jsonb,
+    bell_schedule JSONB,
+    working_days JSONB,
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Create index for listing a user's versions newest first
+CREATE INDEX IF NOT EXISTS idx_timetable_versions_owner_created ON timetable_versions(owner_id, created_at DESC);
+
+-- Enable Row Level Security (RLS)
+ALTER TABLE timetable_versions ENABLE ROW LEVEL SECURITY;
+
+-- Create policy: Users can only see their own versions
+CREATE POLICY "Users can view their own timetable versions"
+    ON timetable_versions
+    FOR SELECT
+    USING (auth.uid()::text = owner_id);
+
+-- Create policy: Users can insert their own versions
+CREATE POLICY "Users can insert their own timetable versions"
+    ON timetable_versions
+    FOR INSERT
+    WITH CHECK (auth.uid()::text = owner_id);
+
+-- Create policy: Users can delete their own versions
+-- Snapshots are never updated, so there is no update policy or updated_at trigger
+CREATE POLICY "Users can delete their own timetable versions"
+    ON timetable_versions
+    FOR DELETE
+    USING (auth.uid()::text = owner_id);
@@ -0,0 +1,135 @@
+-- Create timetables table for Supabase
+-- This table stores one timetable document per user via owner_id.
+-- The data column holds every section's weekly grid: data[section][day][slot]
+
+CREATE TABLE IF NOT EXISTS timetables (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    owner_id TEXT NOT NULL UNIQUE,
+    section TEXT DEFAULT 'CSE B',
+    data JSONB DEFAULT '{}'::jsonb,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Bell schedule: ordered list of periods and breaks
+-- [{ "id": "09:30-10:20", "name": "Period 1", "start": "09:30", "end": "10:20", "type": "period" }, ...]
+ALTER TABLE timetables ADD COLUMN IF NOT EXISTS bell_schedule JSONB;
+
+-- Working week: day names on which classes are held, e.g. ["Monday", "Tuesday", "Wednesday", "Thursday", "Friday"]
+ALTER TABLE timetables ADD COLUMN IF NOT EXISTS working_days JSONB;
+
+-- Term the timetable runs in (see create_terms_table.sql); when empty the term active today is used
+ALTER TABLE timetables ADD COLUMN IF NOT EXISTS term_id UUID REFERENCES terms(id) ON DELETE SET NULL;
+
+-- Whether labs stored as one copy per slot were collapsed into multi-period blocks
+-- (see migrateLabCopies in src/lib/periodBlocks.js). Existing rows start unmigrated and
+-- are converted once on their next load; timetables created from now on hold blocks already.
+ALTER TABLE timetables ADD COLUMN IF NOT EXISTS blocks_migrated BOOLEAN NOT NULL DEFAULT FALSE;
+ALTER TABLE timetables ALTER COLUMN blocks_migrated SET DEFAULT TRUE;
+
+-- Create index on owner_id for faster queries
+CREATE INDEX IF NOT EXISTS idx_timetables_owner_id ON timetables(owner_id);
+
+-- Enable Row Level Security (RLS)
+ALTER TABLE timetables ENABLE ROW LEVEL SECURITY;
+
+-- Create policy: Users can only see their own timetable
+CREATE POLICY "Users can view their own timetable"
+    ON timetables
+    FOR SELECT
+    USING (auth.uid()::text = owner_id);
+
+-- Create policy: Users can insert their own timetable
+CREATE POLICY "Users can insert their own timetable"
+    ON timetables
+    FOR INSERT
+    WITH CHECK (auth.uid()::text = owner_id);
+
+-- Create policy: Users can update their own timetable
+CREATE POLICY "Users can update their own timetable"
+    ON timetables
+    FOR UPDATE
+    USING (auth.uid()::text = owner_id)
+    WITH CHECK (auth.uid()::text = owner_id);
+
+-- Create policy: Users can delete their own timetable
+CREATE POLICY "Users can delete their own timetable"
+    ON timetables
+    FOR DELETE
+    USING (auth.uid()::text = owner_id);
+
+-- Create function to automatically update updated_at timestamp
+CREATE OR REPLACE FUNCTION update_updated_at_column()
+RETURNS TRIGGER AS $$
+BEGIN
+    NEW.updated_at = NOW();
+    RETURN NEW;
+END;
+$$ language 'plpgsql';
+
+-- Create trigger to automatically update updated_at on row update
+CREATE TRIGGER update_timetables_updated_at
+    BEFORE UPDATE ON timetables
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+-- Apply cell changes to the saved grids in one locked update, so editors who
+-- have the timetable open at the same time only overwrite the cells they changed.
+-- p_changes: [{ "section": "CSE B", "day": "Monday", "slotId": "09:30-10:20", "entry": { ... } or null, "before": { ... } or null }]
+-- A change whose "before" no longer matches the saved cell was based on a stale
+-- copy; nothing is saved and the call fails with serialization_failure (40001).
+-- p_settings: any of section, bell_schedule, working_days and term_id
+-- Runs with the caller's rights, so the row policies decide who may save: the owner,
+-- and the users it is shared with (see create_timetable_members_table.sql)
+CREATE OR REPLACE FUNCTION apply_timetable_changes(p_owner_id TEXT, p_changes JSONB, p_settings JSONB DEFAULT '{}'::jsonb)
+RETURNS timetables AS $$
+DECLARE
+    saved timetables;
+    change JSONB;
+    grids JSONB;
+BEGIN
+    SELECT * INTO saved FROM timetables WHERE owner_id = p_owner_id FOR UPDATE;
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'No timetable saved for %', p_owner_id USING ERRCODE = 'P0002';
+    END IF;
+
+    grids := COALESCE(saved.data, '{}'::jsonb);
+    FOR change IN SELECT * FROM jsonb_array_elements(COALESCE(p_changes, '[]'::jsonb)) LOOP
+        -- jsonb_set only creates the last key of a path, so add missing sections and days first
+        IF jsonb_typeof(grids -> (change ->> 'section')) IS DISTINCT FROM 'object' THEN
+            grids := jsonb_set(grids, ARRAY[change ->> 'section'], '{}'::jsonb);
+        END IF;
+        IF jsonb_typeof(grids #> ARRAY[change ->> 'section', change ->> 'day']) IS DISTINCT FROM 'object' THEN
+            grids := jsonb_set(grids, ARRAY[change ->> 'section', change ->> 'day'], '{}'::jsonb);
+        END IF;
+        IF change ? 'before' AND COALESCE(grids #> ARRAY[change ->> 'section', change ->> 'day', change ->> 'slotId'], 'null'::jsonb)
+            IS DISTINCT FROM COALESCE(change -> 'before', 'null'::jsonb) THEN
+            RAISE EXCEPTION 'Cell % % % was changed by another editor', change ->> 'section', change ->> 'day', change ->> 'slotId'
+                USING ERRCODE = '40001';
+        END IF;
+        grids := jsonb_set(grids, ARRAY[change ->> 'section', change ->> 'day', change ->> 'slotId'], COALESCE(change -> 'entry', 'null'::jsonb));
+    END LOOP;
+
+    UPDATE timetables SET
+        data = grids,
+        section = COALESCE(p_settings ->> 'section', section),
+        bell_schedule = COALESCE(p_settings -> 'bell_schedule', bell_schedule),
+        working_days = COALESCE(p_settings -> 'working_days', working_days),
+        term_id = CASE WHEN p_settings ? 'term_id' THEN (p_settings ->> 'term_id')::uuid ELSE term_id END
+    WHERE id = saved.id
+    RETURNING * INTO saved;
+
+    RETURN saved;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Publish changes through Supabase Realtime so open Timetable pages see each other's saves
+DO $$
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1 FROM pg_publication_tables
+        WHERE pubname = 'supabase_realtime' AND schemaname = 'public' AND tablename = 'timetables'
+    ) THEN
+        ALTER PUBLICATION supabase_realtime ADD TABLE timetables;
+    END IF;
+END $$;
@@ -12,10 +12,14 @@ CREATE TABLE IF NOT EXISTS user_profile (
     university_roll TEXT,
     college_roll TEXT,
     address TEXT,
+    electives JSONB NOT NULL DEFAULT '[]'::jsonb,
     created_at TIMESTAMPTZ DEFAULT NOW(),
     updated_at TIMESTAMPTZ DEFAULT NOW()
 );
 
+-- Add the elective choices column to tables created before it existed
+ALTER TABLE user_profile ADD COLUMN IF NOT EXISTS electives JSONB NOT NULL DEFAULT '[]'::jsonb;
+
 -- Create indexes for faster queries
 CREATE INDEX IF NOT EXISTS idx_user_profile_owner_id ON user_profile(owner_id);
 CREATE INDEX IF NOT EXISTS idx_user_profile_email ON user_profile(email);
@@ -44,4 +48,5 @@ COMMENT ON COLUMN user_profile.section IS 'Section assignment (e.g., CSE A, CSE
 COMMENT ON COLUMN user_profile.university_roll IS 'University roll number';
 COMMENT ON COLUMN user_profile.college_roll IS 'College roll number';
 COMMENT ON COLUMN user_profile.address IS 'Residential address';
+COMMENT ON COLUMN user_profile.electives IS 'Codes of the elective courses the student chose (e.g., ["PEC IT-501B"])';
 
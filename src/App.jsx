@@ -24,7 +24,9 @@ import Sidebar from './components/Sidebar' // Navigation sidebar
 import Dashboard from './components/Dashboard' // Main dashboard page
 import Timetable from './components/Timetable' // Timetable management
 import Courses from './components/Courses' // Course management
+import Terms from './components/Terms' // Academic terms and breaks
 import Rooms from './components/Rooms' // Room management
+import Substitutions from './components/Substitutions' // Absences and cover teachers
 import User from './components/User' // User profile management
 import Help from './components/Help' // Help and documentation
 import LandingPage from './components/LandingPage' // Landing page for unauthenticated users
@@ -32,6 +34,8 @@ import Welcome from './components/Welcome' // Welcome/Onboarding page for new us
 
 // Import user profile service to check if profile exists
 import { loadUserProfile } from './services/userProfileService'
+// Import offline check so a dropped connection is not mistaken for a missing profile
+import { isOfflineError, setSyncOwner, clearOfflineData } from './lib/offlineSync'
 
 /**
  * Main App Component
@@ -62,17 +66,24 @@ function App() {
       if (!isSignedIn || !user?.id) {
         setIsCheckingProfile(false)
         setHasProfile(null)
+        // Signed out: the offline cache and queued writes must not be left for the next user
+        if (isLoaded) clearOfflineData().catch(err => console.error('Failed to clear offline data', err))
         return
       }
 
       try {
         setIsCheckingProfile(true)
+        // The offline cache and queued writes belong to this user (see lib/offlineSync)
+        await setSyncOwner(user.id)
         const profile = await loadUserProfile(user.id)
         setHasProfile(!!profile)
       } catch (err) {
         // If profile doesn't exist (PGRST116), that's fine - user is new
         if (err.code === 'PGRST116') {
           setHasProfile(false)
+        } else if (isOfflineError(err)) {
+          // Offline and never loaded on this device; stay on the page instead of onboarding
+          setHasProfile(null)
         } else {
           console.error('Error checking profile:', err)
           // On error, assume profile doesn't exist to show welcome page
@@ -84,7 +95,7 @@ function App() {
     }
 
     checkUserProfile()
-  }, [isSignedIn, user?.id, location.pathname]) // Also check when pathname changes (e.g., after saving profile)
+  }, [isLoaded, isSignedIn, user?.id, location.pathname]) // Also check when pathname changes (e.g., after saving profile)
 
   // Redirect to welcome page if user doesn't have profile
   useEffect(() => {
@@ -151,8 +162,12 @@ function App() {
             <Route path="/timetable" element={<Timetable />} />
             {/* Courses route for course management */}
             <Route path="/courses" element={<Courses />} />
+            {/* Terms route for academic terms and breaks */}
+            <Route path="/terms" element={<Terms />} />
             {/* Rooms route for room management */}
             <Route path="/rooms" element={<Rooms />} />
+            {/* Substitutions route for absences and cover teachers */}
+            <Route path="/substitutions" element={<Substitutions />} />
             {/* User route for profile management */}
             <Route path="/user" element={<User />} />
             {/* Help route for documentation and support */}
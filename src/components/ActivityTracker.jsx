@@ -11,6 +11,8 @@
  * - Activity approval system
  * - Live time updates
  * - Priority-based activity management
+ * - No weekly classes outside the academic terms or during their breaks
+ * - Personal timetable for the student's own section, following their elective choices
  */
 
 // Import React hooks for state management and side effects
@@ -21,6 +23,25 @@ import { Clock, CheckCircle, XCircle, AlertCircle, Activity, Settings, Calendar,
 import { useUser } from '@clerk/clerk-react'
 // Import user profile service
 import { loadUserProfile } from '../services/userProfileService'
+// Import timetable service to read the saved timetables, bell schedule and working week
+import { loadUserTimetable } from '../services/timetableService'
+// Import exceptions service for dated cancellations, extra classes and holidays
+import { loadTimetableExceptions } from '../services/timetableExceptionsService'
+// Import terms service and helpers for term dates and breaks
+import { loadUserTerms } from '../services/termsService'
+import { getTermOn, isTeachingDate } from '../lib/terms'
+// Import bell schedule helpers for period times
+import { DEFAULT_BELL_SCHEDULE, normalizeBellSchedule, findSlotAt, formatTime12, toMinutes } from '../lib/bellSchedule'
+// Import working week helpers for day handling
+import { DEFAULT_WORKING_DAYS, normalizeWorkingDays } from '../lib/workingDays'
+// Import the default timetables used before the user's own are loaded
+import { DEFAULT_TIMETABLES } from '../lib/defaultTimetables'
+// Import period block helpers so multi-period labs count as one class
+import { findBlockAt } from '../lib/periodBlocks'
+// Import exception helpers to work out the effective schedule of a date
+import { getEffectiveDay, toDateKey, addDays } from '../lib/timetableExceptions'
+// Import elective helpers for the student's personal timetable
+import { buildPersonalTimetable } from '../lib/electives'
 
 /**
  * ActivityTracker Component
@@ -43,184 +64,103 @@ const ActivityTracker = ({ onActivityChange }) => {
     return localStorage.getItem('selectedSection') || 'CSE B'
   })
 
-  // Timetable data for all sections (matching Timetable component structure)
-  const timetableDataA = {
-    'Tuesday': {
-      '09:30-10:20': { course: 'PCC CS-501', instructor: 'J(CS)', subject: 'Compiler Design' },
-      '10:20-11:10': { course: 'ESC-501', instructor: 'BR(CS)', subject: 'Software Engineering' },
-      '11:10-12:00': { course: 'PCC CS-502', instructor: 'RKM(CS)', subject: 'Operating Systems' },
-      '12:00-12:50': { course: 'MC CS-501A', instructor: 'TB(E)', subject: 'Constitution of India' },
-      '13:40-14:30': { course: 'PCC CS-503', instructor: 'SKHC(CS)', subject: 'Object Oriented Programming' },
-      '14:30-15:20': { course: 'PCC CS-592 (LAB 3&4)', instructor: 'RKM(CS)+AS(CS)+SP(CS)+AD(CS)', subject: 'Operating Systems Lab' },
-      '15:20-16:10': { course: 'PCC CS-592 (LAB 3&4)', instructor: 'RKM(CS)+AS(CS)+SP(CS)+AD(CS)', subject: 'Operating Systems Lab' },
-      '16:10-17:00': { course: 'PCC CS-592 (LAB 3&4)', instructor: 'RKM(CS)+AS(CS)+SP(CS)+AD(CS)', subject: 'Operating Systems Lab' }
-    },
-    'Wednesday': {
-      '09:30-10:20': { course: 'PEC IT-501B', instructor: 'PC(CS)', subject: 'Artificial Intelligence' },
-      '10:20-11:10': { course: 'ESC-501', instructor: 'BR(CS)', subject: 'Software Engineering' },
-      '11:10-12:00': { course: 'PCC CS-502', instructor: 'RKM(CS)', subject: 'Operating Systems' },
-      '12:00-12:50': { course: 'PCC CS-501', instructor: 'J(CS)', subject: 'Compiler Design' },
-      '13:40-14:30': { course: 'LIB', instructor: '', subject: 'Library' },
-      '14:30-15:20': { course: 'HSMC 501', instructor: 'NF', subject: 'Introduction to Industrial Management' },
-      '15:20-16:10': { course: 'MC CS-501A', instructor: 'TB(E)', subject: 'Constitution of India' },
-      '16:10-17:00': { course: 'GROOM', instructor: 'BR(CS)', subject: 'Grooming Session' }
-    },
-    'Thursday': {
-      '09:30-10:20': { course: 'PCC CS-501', instructor: 'J(CS)', subject: 'Compiler Design' },
-      '10:20-11:10': { course: 'PCC CS-503', instructor: 'SKHC(CS)', subject: 'Object Oriented Programming' },
-      '11:10-12:00': { course: 'ESC-501', instructor: 'BR(CS)', subject: 'Software Engineering' },
-      '12:00-12:50': { course: 'PEC IT-501B', instructor: 'PC(CS)', subject: 'Artificial Intelligence' },
-      '13:40-14:30': { course: 'LIB', instructor: '', subject: 'Library' },
-      '14:30-15:20': { course: 'PCC CS-593 (LAB 7&8)', instructor: 'SKHC(CS)+AS(CS)+PC(CS)+AD(CS)', subject: 'Object Oriented Programming Lab' },
-      '15:20-16:10': { course: 'PCC CS-593 (LAB 7&8)', instructor: 'SKHC(CS)+AS(CS)+PC(CS)+AD(CS)', subject: 'Object Oriented Programming Lab' },
-      '16:10-17:00': { course: 'PCC CS-593 (LAB 7&8)', instructor: 'SKHC(CS)+AS(CS)+PC(CS)+AD(CS)', subject: 'Object Oriented Programming Lab' }
-    },
-    'Friday': {
-      '09:30-10:20': { course: 'ESC-501', instructor: 'BR(CS)', subject: 'Software Engineering' },
-      '10:20-11:10': { course: 'PCC CS-502', instructor: 'RKM(CS)', subject: 'Operating Systems' },
-      '11:10-12:00': { course: 'PEC IT-501B', instructor: 'PC(CS)', subject: 'Artificial Intelligence' },
-      '12:00-12:50': { course: 'PCC CS-503', instructor: 'SKHC(CS)', subject: 'Object Oriented Programming' },
-      '13:40-14:30': { course: 'LIB', instructor: '', subject: 'Library' },
-      '14:30-15:20': { course: 'ESC 591 (LAB 3&4)', instructor: 'BR(CS)+PR(CS)+LKM(CS)', subject: 'Software Engineering Lab' },
-      '15:20-16:10': { course: 'ESC 591 (LAB 3&4)', instructor: 'BR(CS)+PR(CS)+LKM(CS)', subject: 'Software Engineering Lab' },
-      '16:10-17:00': { course: 'ESC 591 (LAB 3&4)', instructor: 'BR(CS)+PR(CS)+LKM(CS)', subject: 'Software Engineering Lab' }
-    },
-    'Saturday': {
-      '09:30-10:20': { course: 'PCC CS-502', instructor: 'RKM(CS)', subject: 'Operating Systems' },
-      '10:20-11:10': { course: 'PCC CS-503', instructor: 'SKHC(CS)', subject: 'Object Oriented Programming' },
-      '11:10-12:00': { course: 'PEC IT-501B', instructor: 'PC(CS)', subject: 'Artificial Intelligence' },
-      '12:00-12:50': { course: 'PCC CS-501', instructor: 'J(CS)', subject: 'Compiler Design' },
-      '13:40-14:30': { course: 'LIB', instructor: '', subject: 'Library' },
-      '14:30-15:20': { course: 'HSMC 501', instructor: 'NF', subject: 'Introduction to Industrial Management' },
-      '15:20-16:10': { course: 'HSMC 501', instructor: 'NF', subject: 'Introduction to Industrial Management' },
-      '16:10-17:00': { course: 'APTI', instructor: 'BR(CS)', subject: 'Aptitude Training' }
-    }
-  }
+  // Timetables for all sections, saved from the Timetable page (defaults until loaded)
+  const [timetables, setTimetables] = useState(DEFAULT_TIMETABLES)
 
-  const timetableDataB = {
-    'Tuesday': {
-      '09:30-10:20': { course: 'PCC CS-503', instructor: 'AB(CS)', subject: 'Object Oriented Programming' },
-      '10:20-11:10': { course: 'ESC-501', instructor: 'SAR(CS)', subject: 'Software Engineering' },
-      '11:10-12:00': { course: 'PEC IT-501B', instructor: 'PKP(CS)', subject: 'Artificial Intelligence' },
-      '12:00-12:50': { course: 'PCC CS-502', instructor: 'BTM(CS)', subject: 'Operating Systems' },
-      '13:40-14:30': { course: 'HSMC 501', instructor: 'NF', subject: 'Introduction to Industrial Management' },
-      '14:30-15:20': { course: 'PCC CS-502', instructor: 'BTM(CS)', subject: 'Operating Systems' },
-      '15:20-16:10': { course: 'MC CS-501A', instructor: 'TB(E)', subject: 'Constitution of India' },
-      '16:10-17:00': { course: 'GROOM', instructor: 'PR(CS)', subject: 'Grooming Session' }
-    },
-    'Wednesday': {
-      '09:30-10:20': { course: 'PCC CS-501', instructor: 'RDB(CS)', subject: 'Compiler Design' },
-      '10:20-11:10': { course: 'ESC-501', instructor: 'SAR(CS)', subject: 'Software Engineering' },
-      '11:10-12:00': { course: 'PEC IT-501B', instructor: 'PKP(CS)', subject: 'Artificial Intelligence' },
-      '12:00-12:50': { course: 'PCC CS-502', instructor: 'BTM(CS)', subject: 'Operating Systems' },
-      '13:40-14:30': { course: 'HSMC 501', instructor: 'NF', subject: 'Introduction to Industrial Management' },
-      '14:30-15:20': { course: 'ESC 591 (LAB 3&4)', instructor: 'SAR(CS)+SKHC(CS)+ASH(CS)+SHD(CS)', subject: 'Software Engineering Lab' },
-      '15:20-16:10': { course: 'ESC 591 (LAB 3&4)', instructor: 'SAR(CS)+SKHC(CS)+ASH(CS)+SHD(CS)', subject: 'Software Engineering Lab' },
-      '16:10-17:00': { course: 'ESC 591 (LAB 3&4)', instructor: 'SAR(CS)+SKHC(CS)+ASH(CS)+SHD(CS)', subject: 'Software Engineering Lab' }
-    },
-    'Thursday': {
-      '09:30-10:20': { course: 'PCC CS-503', instructor: 'AB(CS)', subject: 'Object Oriented Programming' },
-      '10:20-11:10': { course: 'PCC CS-503', instructor: 'AB(CS)', subject: 'Object Oriented Programming' },
-      '11:10-12:00': { course: 'ESC-501', instructor: 'SAR(CS)', subject: 'Software Engineering' },
-      '12:00-12:50': { course: 'PCC CS-501', instructor: 'RDB(CS)', subject: 'Compiler Design' },
-      '13:40-14:30': { course: 'LIB', instructor: 'LIBRARIAN', subject: 'Library' },
-      '14:30-15:20': { course: 'PCC CS-593 (LAB 3&4)', instructor: 'BTM(CS)+PR(CS)+MM(CS)+PK(CS)', subject: 'Operating Systems Lab' },
-      '15:20-16:10': { course: 'PCC CS-593 (LAB 3&4)', instructor: 'BTM(CS)+PR(CS)+MM(CS)+PK(CS)', subject: 'Operating Systems Lab' },
-      '16:10-17:00': { course: 'PCC CS-593 (LAB 3&4)', instructor: 'BTM(CS)+PR(CS)+MM(CS)+PK(CS)', subject: 'Operating Systems Lab' }
-    },
-    'Friday': {
-      '09:30-10:20': { course: 'PEC IT-501B', instructor: 'PKP(CS)', subject: 'Artificial Intelligence' },
-      '10:20-11:10': { course: 'PCC CS-501', instructor: 'RDB(CS)', subject: 'Compiler Design' },
-      '11:10-12:00': { course: 'PCC CS-502', instructor: 'BTM(CS)', subject: 'Operating Systems' },
-      '12:00-12:50': { course: 'MC CS-501A', instructor: 'TB(E)', subject: 'Constitution of India' },
-      '13:40-14:30': { course: 'LIB', instructor: '', subject: 'Library' },
-      '14:30-15:20': { course: 'APTI', instructor: 'AM(CS)', subject: 'Aptitude Training' },
-      '15:20-16:10': { course: 'APTI', instructor: 'BTM(CS)', subject: 'Aptitude Training' },
-      '16:10-17:00': { course: 'GROOM', instructor: 'PKC(CS)', subject: 'Grooming Session' }
-    },
-    'Saturday': {
-      '09:30-10:20': { course: 'PCC CS-502', instructor: 'BTM(CS)', subject: 'Operating Systems' },
-      '10:20-11:10': { course: 'ESC-501', instructor: 'SAR(CS)', subject: 'Software Engineering' },
-      '11:10-12:00': { course: 'PCC CS-501', instructor: 'RDB(CS)', subject: 'Compiler Design' },
-      '12:00-12:50': { course: 'PEC IT-501B', instructor: 'PKP(CS)', subject: 'Artificial Intelligence' },
-      '13:40-14:30': { course: 'HSMC 501', instructor: 'NF', subject: 'Introduction to Industrial Management' },
-      '14:30-15:20': { course: 'PCC CS-593 (LAB 7&8)', instructor: 'AB(CS)+LKM(CS)+RR(CS)', subject: 'Object Oriented Programming Lab' },
-      '15:20-16:10': { course: 'PCC CS-593 (LAB 7&8)', instructor: 'AB(CS)+LKM(CS)+RR(CS)', subject: 'Object Oriented Programming Lab' },
-      '16:10-17:00': { course: 'PCC CS-593 (LAB 7&8)', instructor: 'AB(CS)+LKM(CS)+RR(CS)', subject: 'Object Oriented Programming Lab' }
+  // Section and elective choices saved in the user's profile
+  const [profileChoices, setProfileChoices] = useState({ section: null, electives: [] })
+
+  // Get timetable data based on selected section; the student's own section
+  // hides the electives they did not choose and adds those taught to other sections
+  const getTimetableData = () => {
+    if (selectedSection === profileChoices.section && profileChoices.electives.length > 0) {
+      return buildPersonalTimetable({
+        timetables,
+        section: selectedSection,
+        electives: profileChoices.electives,
+        schedule: bellSchedule
+      }).sectionData
     }
+    return timetables[selectedSection] || {}
   }
 
-  const timetableDataC = {
-    'Tuesday': {
-      '09:30-10:20': { course: 'PCC CS-503', instructor: 'PR(CS)', subject: 'Object Oriented Programming' },
-      '10:20-11:10': { course: 'ESC-501', instructor: 'SK(CS)', subject: 'Software Engineering' },
-      '11:10-12:00': { course: 'PEC IT-501B', instructor: 'SKM(CS)', subject: 'Artificial Intelligence' },
-      '12:00-12:50': { course: 'PCC CS-501', instructor: 'AS(CS)', subject: 'Compiler Design' },
-      '13:40-14:30': { course: 'LIB', instructor: '', subject: 'Library' },
-      '14:30-15:20': { course: 'HSMC 501', instructor: 'NF', subject: 'Introduction to Industrial Management' },
-      '15:20-16:10': { course: 'GROOM', instructor: 'BTM(CS)', subject: 'Grooming Session' },
-      '16:10-17:00': { course: 'APTI', instructor: 'SG(CS)', subject: 'Aptitude Training' }
-    },
-    'Wednesday': {
-      '09:30-10:20': { course: 'PEC IT-501B', instructor: 'SKM(CS)', subject: 'Artificial Intelligence' },
-      '10:20-11:10': { course: 'ESC-501', instructor: 'SK(CS)', subject: 'Software Engineering' },
-      '11:10-12:00': { course: 'PCC CS-501', instructor: 'AS(CS)', subject: 'Compiler Design' },
-      '12:00-12:50': { course: 'PCC CS-503', instructor: 'PR(CS)', subject: 'Object Oriented Programming' },
-      '13:40-14:30': { course: 'LIB', instructor: '', subject: 'Library' },
-      '14:30-15:20': { course: 'PCC CS-593 (LAB 7&8)', instructor: 'PR(CS)+RKM(CS)+PKC(CS)+SP(CS)', subject: 'Operating Systems Lab' },
-      '15:20-16:10': { course: 'PCC CS-593 (LAB 7&8)', instructor: 'PR(CS)+RKM(CS)+PKC(CS)+SP(CS)', subject: 'Operating Systems Lab' },
-      '16:10-17:00': { course: 'PCC CS-593 (LAB 7&8)', instructor: 'PR(CS)+RKM(CS)+PKC(CS)+SP(CS)', subject: 'Operating Systems Lab' }
-    },
-    'Thursday': {
-      '09:30-10:20': { course: 'PCC CS-501', instructor: 'AS(CS)', subject: 'Compiler Design' },
-      '10:20-11:10': { course: 'PCC CS-503', instructor: 'PR(CS)', subject: 'Object Oriented Programming' },
-      '11:10-12:00': { course: 'PEC IT-501B', instructor: 'SKM(CS)', subject: 'Artificial Intelligence' },
-      '12:00-12:50': { course: 'ESC-501', instructor: 'SK(CS)', subject: 'Software Engineering' },
-      '13:40-14:30': { course: 'MC CS-501A', instructor: 'TB(E)', subject: 'Constitution of India' },
-      '14:30-15:20': { course: 'ESC 591 (LAB 3&4)', instructor: 'BR(CS)+SAR(CS)+LKM(CS)+SP(CS)', subject: 'Software Engineering Lab' },
-      '15:20-16:10': { course: 'ESC 591 (LAB 3&4)', instructor: 'BR(CS)+SAR(CS)+LKM(CS)+SP(CS)', subject: 'Software Engineering Lab' },
-      '16:10-17:00': { course: 'ESC 591 (LAB 3&4)', instructor: 'BR(CS)+SAR(CS)+LKM(CS)+SP(CS)', subject: 'Software Engineering Lab' }
-    },
-    'Friday': {
-      '09:30-10:20': { course: 'PCC CS-503', instructor: 'PR(CS)', subject: 'Object Oriented Programming' },
-      '10:20-11:10': { course: 'PCC CS-501', instructor: 'AS(CS)', subject: 'Compiler Design' },
-      '11:10-12:00': { course: 'PCC CS-502', instructor: 'AC(CS)', subject: 'Operating Systems' },
-      '12:00-12:50': { course: 'PCC CS-502', instructor: 'AC(CS)', subject: 'Operating Systems' },
-      '13:40-14:30': { course: 'LIB', instructor: '', subject: 'Library' },
-      '14:30-15:20': { course: 'HSMC 501', instructor: 'NF', subject: 'Introduction to Industrial Management' },
-      '15:20-16:10': { course: 'HSMC 501', instructor: 'NF', subject: 'Introduction to Industrial Management' },
-      '16:10-17:00': { course: 'MC CS-501A', instructor: 'TB(E)', subject: 'Constitution of India' }
-    },
-    'Saturday': {
-      '09:30-10:20': { course: 'PCC CS-502', instructor: 'AC(CS)', subject: 'Operating Systems' },
-      '10:20-11:10': { course: 'PCC CS-502', instructor: 'AC(CS)', subject: 'Operating Systems' },
-      '11:10-12:00': { course: 'ESC-501', instructor: 'SK(CS)', subject: 'Software Engineering' },
-      '12:00-12:50': { course: 'PEC IT-501B', instructor: 'SKM(CS)', subject: 'Artificial Intelligence' },
-      '13:40-14:30': { course: 'LIB', instructor: '', subject: 'Library' },
-      '14:30-15:20': { course: 'PCC CS-592 (LAB 3&4)', instructor: 'AC(CS)+BM(CS)+AM(CS)', subject: 'Operating Systems Lab' },
-      '15:20-16:10': { course: 'PCC CS-592 (LAB 3&4)', instructor: 'AC(CS)+BM(CS)+AM(CS)', subject: 'Operating Systems Lab' },
-      '16:10-17:00': { course: 'PCC CS-592 (LAB 3&4)', instructor: 'AC(CS)+BM(CS)+AM(CS)', subject: 'Operating Systems Lab' }
+  // Bell schedule saved with the user's timetable - defines the daily schedule structure
+  const [bellSchedule, setBellSchedule] = useState(DEFAULT_BELL_SCHEDULE)
+
+  // Teaching periods in order (breaks are never classes)
+  const periodSlots = bellSchedule.filter(slot => slot.type === 'period')
+
+  // Load the timetables, bell schedule and working week from the saved timetable
+  useEffect(() => {
+    const loadTimetableSettings = async () => {
+      if (!isSignedIn || !user?.id) return
+      try {
+        const record = await loadUserTimetable(user.id)
+        const schedule = normalizeBellSchedule(record?.bell_schedule)
+        if (record?.data && typeof record.data === 'object') setTimetables(record.data)
+        setBellSchedule(schedule)
+        setWorkingDays(normalizeWorkingDays(record?.working_days))
+      } catch (error) {
+        console.error('Failed to load timetable settings:', error)
+      }
     }
-  }
+    loadTimetableSettings()
+  }, [isSignedIn, user?.id])
 
-  // Get timetable data based on selected section
-  const getTimetableData = () => {
-    switch (selectedSection) {
-      case 'CSE A': return timetableDataA
-      case 'CSE B': return timetableDataB
-      case 'CSE C': return timetableDataC
-      default: return timetableDataB
+  // Days of the week when classes are held, as configured on the timetable
+  const [workingDays, setWorkingDays] = useState(DEFAULT_WORKING_DAYS)
+
+  // Dated cancellations, reschedules, extra classes and holidays on top of the weekly timetable
+  const [exceptions, setExceptions] = useState([])
+
+  // Load the dated exceptions separately so the weekly timetable still works if they fail
+  useEffect(() => {
+    const loadExceptions = async () => {
+      if (!isSignedIn || !user?.id) return
+      try {
+        setExceptions(await loadTimetableExceptions(user.id))
+      } catch (error) {
+        console.error('Failed to load timetable exceptions:', error)
+      }
     }
-  }
+    loadExceptions()
+  }, [isSignedIn, user?.id])
 
-  // Time slots in order - defines the daily schedule structure (matching Timetable format)
-  const timeSlots = [
-    '09:30-10:20', '10:20-11:10', '11:10-12:00', '12:00-12:50', 
-    'LUNCH', '13:40-14:30', '14:30-15:20', '15:20-16:10', '16:10-17:00'
-  ]
+  // Academic terms; when there are none every date follows the weekly timetable
+  const [terms, setTerms] = useState([])
+
+  useEffect(() => {
+    const loadTerms = async () => {
+      if (!isSignedIn || !user?.id) return
+      try {
+        setTerms(await loadUserTerms(user.id))
+      } catch (error) {
+        console.error('Failed to load terms:', error)
+      }
+    }
+    loadTerms()
+  }, [isSignedIn, user?.id])
 
-  // Days of the week when classes are held (excluding Sunday and Monday)
-  const days = ['Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday']
+  /**
+   * Get the effective schedule of the selected section on a date: the weekly
+   * timetable with that date's exceptions applied (holidays and cancelled
+   * periods removed, rescheduled and extra classes added). Dates outside the
+   * terms or in a term break are treated as holidays.
+   *
+   * @param {string} date - Date as 'YYYY-MM-DD'
+   * @returns {Object} - { day, periods } where periods[slotId] holds the classes
+   */
+  const getScheduleOn = (date) => {
+    const isTermHoliday = terms.length > 0 && !isTeachingDate(getTermOn(terms, date), date)
+    return getEffectiveDay({
+      sectionData: getTimetableData(),
+      section: selectedSection,
+      schedule: bellSchedule,
+      workingDays,
+      date,
+      exceptions: isTermHoliday ? [...exceptions, { kind: 'holiday', section: null, date }] : exceptions
+    })
+  }
 
   // Load section from user profile and listen for changes
   useEffect(() => {
@@ -234,6 +174,9 @@ const ActivityTracker = ({ onActivityChange }) => {
 
       try {
         const profile = await loadUserProfile(user.id)
+        // Keep the same object while the choices are unchanged, so polling does not refresh the classes
+        const choices = { section: profile?.section || null, electives: profile?.electives || [] }
+        setProfileChoices(prev => (JSON.stringify(prev) === JSON.stringify(choices) ? prev : choices))
         if (profile?.section) {
           // Use section from user profile
           setSelectedSection(profile.section)
@@ -296,94 +239,47 @@ const ActivityTracker = ({ onActivityChange }) => {
    * @returns {Object|null} - Next class information or null if no classes
    */
   const getNextClass = () => {
-    const timetableData = getTimetableData()
     const now = new Date()
-    const currentDay = now.getDay() // 0 = Sunday, 1 = Monday, etc.
-    const currentHour = now.getHours()
-    const currentMinute = now.getMinutes()
+    const today = toDateKey(now)
     
     // Convert current time to minutes for easier comparison
-    const currentTimeInMinutes = currentHour * 60 + currentMinute
-    
-    // Map JavaScript day numbers to our timetable days
-    const dayMap = {
-      0: null, // Sunday - no classes
-      1: null, // Monday - no classes  
-      2: 'Tuesday',
-      3: 'Wednesday', 
-      4: 'Thursday',
-      5: 'Friday',
-      6: 'Saturday'
-    }
-    
-    const currentDayName = dayMap[currentDay]
-    
-    // If it's Sunday or Monday, show Tuesday's first class
-    if (!currentDayName) {
-      const tuesdayData = timetableData['Tuesday']
-      if (tuesdayData && tuesdayData['09:30-10:20']) {
-        const firstClass = tuesdayData['09:30-10:20']
-        return {
-          day: 'Tuesday',
-          time: '09:30-10:20',
-          class: firstClass,
-          message: `Next class: ${firstClass.course} (${firstClass.subject}) on Tuesday at 9:30 AM`,
-          priority: 'high',
-          status: 'upcoming'
-        }
-      }
-    }
+    const currentTimeInMinutes = now.getHours() * 60 + now.getMinutes()
     
     // Find the next class for today
-    const dayData = timetableData[currentDayName]
-    if (dayData) {
-      for (let i = 0; i < timeSlots.length; i++) {
-        const timeSlot = timeSlots[i]
-        if (timeSlot === 'LUNCH') continue // Skip lunch break
-        
-        const [startTime] = timeSlot.split('-')
-        const [startHour, startMinute] = startTime.split(':').map(Number)
-        const startTimeInMinutes = startHour * 60 + startMinute
-        
-        // If this time slot is in the future today
-        if (startTimeInMinutes > currentTimeInMinutes) {
-          const classData = dayData[timeSlot]
-          if (classData) {
-            const timeDisplay = startTime.replace(/^0/, '') // Remove leading zero for display
-            return {
-              day: currentDayName,
-              time: timeSlot,
-              class: classData,
-              message: `Next class: ${classData.course} (${classData.subject}) on ${currentDayName} at ${timeDisplay}`,
-              priority: 'high',
-              status: 'upcoming'
-            }
+    const { day: currentDayName, periods: todayPeriods } = getScheduleOn(today)
+    for (const slot of periodSlots) {
+      // If this time slot is in the future today
+      if (toMinutes(slot.start) > currentTimeInMinutes) {
+        const classData = todayPeriods[slot.id]
+        if (classData) {
+          return {
+            day: currentDayName,
+            time: slot.id,
+            class: classData,
+            message: `Next class: ${classData.course} (${classData.subject}) on ${currentDayName} at ${formatTime12(slot.start)}`,
+            priority: 'high',
+            status: 'upcoming'
           }
         }
       }
     }
     
-    // If no more classes today, find tomorrow's first class
-    const currentDayIndex = days.indexOf(currentDayName)
-    const nextDayIndex = (currentDayIndex + 1) % days.length
-    const nextDay = days[nextDayIndex]
-    
-    // Find first class of next day
-    const nextDayData = timetableData[nextDay]
-    if (nextDayData) {
-      for (const timeSlot of timeSlots) {
-        if (timeSlot === 'LUNCH') continue // Skip lunch break
-        
-        const classData = nextDayData[timeSlot]
+    // If no more classes today, find the first class of the following days (up to two weeks ahead,
+    // so a holiday week or a one-off weekend class is taken into account)
+    const hasClassesToday = Object.keys(todayPeriods).length > 0
+    for (let offset = 1; offset <= 14; offset++) {
+      const { day: nextDay, periods } = getScheduleOn(addDays(today, offset))
+
+      for (const slot of periodSlots) {
+        const classData = periods[slot.id]
         if (classData) {
-          const [startTime] = timeSlot.split('-')
-          const timeDisplay = startTime.replace(/^0/, '') // Remove leading zero for display
           return {
             day: nextDay,
-            time: timeSlot,
+            time: slot.id,
             class: classData,
-            message: `Next class: ${classData.course} (${classData.subject}) on ${nextDay} at ${timeDisplay}`,
-            priority: 'medium',
+            message: `Next class: ${classData.course} (${classData.subject}) on ${nextDay} at ${formatTime12(slot.start)}`,
+            // The next class is high priority when it is tomorrow and today has no classes at all
+            priority: offset === 1 && !hasClassesToday ? 'high' : 'medium',
             status: 'upcoming'
           }
         }
@@ -400,50 +296,23 @@ const ActivityTracker = ({ onActivityChange }) => {
    * @returns {Object|null} - Current class information or null if not in class
    */
   const getCurrentClass = () => {
-    const timetableData = getTimetableData()
     const now = new Date()
-    const currentDay = now.getDay()
-    const currentHour = now.getHours()
-    const currentMinute = now.getMinutes()
-    const currentTimeInMinutes = currentHour * 60 + currentMinute
+    const currentTimeInMinutes = now.getHours() * 60 + now.getMinutes()
     
-    // Map JavaScript day numbers to timetable days
-    const dayMap = {
-      0: null, 1: null, 2: 'Tuesday', 3: 'Wednesday', 
-      4: 'Thursday', 5: 'Friday', 6: 'Saturday'
-    }
+    // Today's effective schedule (empty outside the working week or on a holiday, unless an extra class is held)
+    const { day: currentDayName, periods } = getScheduleOn(toDateKey(now))
     
-    const currentDayName = dayMap[currentDay]
-    if (!currentDayName) return null
-    
-    const dayData = timetableData[currentDayName]
-    if (!dayData) return null
-    
-    // Check if we're currently in a class time slot
-    for (let i = 0; i < timeSlots.length; i++) {
-      const timeSlot = timeSlots[i]
-      if (timeSlot === 'LUNCH') continue // Skip lunch break
-      
-      const [startTime, endTime] = timeSlot.split('-')
-      const [startHour, startMinute] = startTime.split(':').map(Number)
-      const [endHour, endMinute] = endTime.split(':').map(Number)
-      
-      const startTimeInMinutes = startHour * 60 + startMinute
-      const endTimeInMinutes = endHour * 60 + endMinute
-      
-      // Check if current time falls within this class time slot
-      if (currentTimeInMinutes >= startTimeInMinutes && currentTimeInMinutes < endTimeInMinutes) {
-        const classData = dayData[timeSlot]
-        if (classData) {
-          return {
-            day: currentDayName,
-            time: timeSlot,
-            class: classData,
-            message: `Currently in: ${classData.course} (${classData.subject})`,
-            priority: 'high',
-            status: 'ongoing'
-          }
-        }
+    // Check if we're currently in a class period of the bell schedule (or a later period of a block)
+    const slot = findSlotAt(bellSchedule, currentTimeInMinutes, 'period')
+    const classData = slot ? findBlockAt(periods, bellSchedule, slot.id)?.entry : null
+    if (classData) {
+      return {
+        day: currentDayName,
+        time: slot.id,
+        class: classData,
+        message: `Currently in: ${classData.course} (${classData.subject})`,
+        priority: 'high',
+        status: 'ongoing'
       }
     }
     
@@ -508,7 +377,7 @@ const ActivityTracker = ({ onActivityChange }) => {
     
     // Cleanup interval when component unmounts
     return () => clearInterval(interval)
-  }, [selectedSection])
+  }, [selectedSection, profileChoices, timetables, bellSchedule, workingDays, exceptions, terms])
 
   /**
    * Handle activity approval/rejection
@@ -0,0 +1,66 @@
+/**
+ * BatchSessionList Component
+ *
+ * Shows the parallel sessions of a period split into batches side by side,
+ * one column per batch, on timetable cards and in the daily and dated views.
+ *
+ * Features:
+ * - Batch chip with the course, instructor and room of each session
+ * - Rotation hint for batches that swap sessions every week
+ */
+
+// Import React for JSX
+import React from 'react'
+// Import Lucide React icons for UI elements
+import { MapPin, Repeat } from 'lucide-react'
+
+/**
+ * BatchSessionList Component
+ *
+ * @param {Array<Object>} sessions - Sessions as { batch, course, subject, instructor, room }
+ * @param {boolean} rotate - Whether the batches swap sessions every week
+ * @param {boolean} showSubject - Whether to show each session's subject under its course
+ */
+const BatchSessionList = ({ sessions, rotate, showSubject = false }) => {
+  return (
+    <div className="space-y-1">
+      <div
+        className="grid gap-2"
+        style={{ gridTemplateColumns: `repeat(${sessions.length}, minmax(0, 1fr))` }}
+      >
+        {sessions.map((session, index) => (
+          <div key={index} className="min-w-0 bg-white/70 border border-blue-100 rounded-md p-1.5">
+            <span className="inline-block px-1.5 py-0.5 rounded text-xs font-bold bg-blue-600 text-white mb-1">
+              {session.batch}
+            </span>
+            <div className="text-xs font-bold text-gray-900 truncate" title={session.subject}>
+              {session.course || session.subject}
+            </div>
+            {showSubject && session.course && session.subject && (
+              <div className="text-xs text-gray-700 line-clamp-2">{session.subject}</div>
+            )}
+            {session.instructor && (
+              <div className="text-xs text-gray-700 truncate">{session.instructor}</div>
+            )}
+            {session.room && (
+              <div className="text-xs text-gray-600 flex items-center space-x-1">
+                <MapPin className="w-3 h-3 flex-shrink-0" />
+                <span className="truncate">{session.room}</span>
+              </div>
+            )}
+          </div>
+        ))}
+      </div>
+      {/* Batches that take turns in each session */}
+      {rotate && (
+        <div className="text-xs text-gray-600 flex items-center space-x-1">
+          <Repeat className="w-3 h-3 flex-shrink-0" />
+          <span>Batches rotate weekly</span>
+        </div>
+      )}
+    </div>
+  )
+}
+
+// Export the BatchSessionList component as the default export
+export default BatchSessionList
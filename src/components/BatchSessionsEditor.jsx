@@ -0,0 +1,162 @@
+/**
+ * BatchSessionsEditor Component
+ *
+ * Edits the parallel sessions of a period whose section is split into batches,
+ * e.g. B1 in one lab while B2 is in another. Used inside the Edit Period modal
+ * in place of the single course, instructor and room fields.
+ *
+ * Key features:
+ * - One row per batch with its own linked course, instructor and room
+ * - Add and remove batches
+ * - Optional weekly rotation so the batches swap sessions every week
+ * - Merge the batches back into one class
+ */
+
+// Import React for JSX
+import React from 'react'
+// Import Lucide React icons for UI elements
+import { X, Users } from 'lucide-react'
+// Import the searchable dropdown used for courses and rooms
+import SearchableSelect from './SearchableSelect'
+// Import helpers for linked course labels
+import { getPeriodLabel } from '../lib/periodLinks'
+
+/**
+ * BatchSessionsEditor Component
+ *
+ * @param {Array<Object>} sessions - Sessions as { batch, course, subject, instructor, courseId, room, roomId }
+ * @param {boolean} rotate - Whether the batches swap sessions every week
+ * @param {Array<Object>} courseOptions - SearchableSelect options with the course record in option.record
+ * @param {Array<Object>} roomOptions - SearchableSelect options with the room record in option.record
+ * @param {function} onChange - Called with the new sessions and rotate flag
+ * @param {function} onMerge - Called to turn the sessions back into one class
+ */
+const BatchSessionsEditor = ({ sessions, rotate, courseOptions, roomOptions, onChange, onMerge }) => {
+  const updateSession = (index, changes) => {
+    onChange(sessions.map((session, i) => (i === index ? { ...session, ...changes } : session)), rotate)
+  }
+
+  // Link a session to a course; subject and instructor come from the course
+  const selectCourse = (index, option) => {
+    if (!option) {
+      updateSession(index, { courseId: '' })
+      return
+    }
+    const room = roomOptions.find(item => item.value === sessions[index].roomId)?.record || null
+    updateSession(index, {
+      courseId: option.record.id,
+      course: getPeriodLabel(option.record, room),
+      subject: option.record.name || '',
+      instructor: option.record.instructor || ''
+    })
+  }
+
+  const selectRoom = (index, option) => {
+    const room = option?.record || null
+    const course = courseOptions.find(item => item.value === sessions[index].courseId)?.record
+    updateSession(index, {
+      roomId: room?.id || '',
+      room: room?.name || '',
+      // A linked lab's label includes the lab batch taken from its room
+      course: course ? getPeriodLabel(course, room) : sessions[index].course
+    })
+  }
+
+  const addBatch = () => {
+    onChange([...sessions, { batch: `B${sessions.length + 1}`, course: '', subject: '', instructor: '' }], rotate)
+  }
+
+  const removeBatch = (index) => {
+    onChange(sessions.filter((_, i) => i !== index), rotate)
+  }
+
+  return (
+    <div className="space-y-3">
+      <div className="flex items-center justify-between">
+        <label className="text-sm font-medium text-gray-700 flex items-center">
+          <Users className="w-4 h-4 mr-1" />
+          Batches
+        </label>
+        <div className="flex items-center space-x-3">
+          <button onClick={addBatch} className="text-sm text-primary-600 hover:text-primary-700 font-medium">
+            + Add batch
+          </button>
+          <button onClick={onMerge} className="text-sm text-gray-600 hover:text-gray-800 font-medium">
+            Merge into one class
+          </button>
+        </div>
+      </div>
+
+      {sessions.map((session, index) => (
+        <div key={index} className="bg-gray-50 rounded-lg p-3 space-y-2">
+          <div className="flex items-end space-x-2">
+            <input
+              type="text"
+              value={session.batch}
+              onChange={(e) => updateSession(index, { batch: e.target.value.toUpperCase() })}
+              className="w-20 border border-gray-300 rounded-lg px-2 py-1.5 text-sm font-medium focus:ring-2 focus:ring-primary-500"
+              aria-label="Batch name"
+              placeholder="B1"
+            />
+            <div className="flex-1">
+              <SearchableSelect
+                label={`${session.batch || `Batch ${index + 1}`} Course`}
+                options={courseOptions}
+                value={session.courseId || ''}
+                onChange={(option) => selectCourse(index, option)}
+                placeholder={session.course || 'Select a course'}
+                noneLabel="Custom session (not linked)"
+              />
+            </div>
+            <button
+              onClick={() => removeBatch(index)}
+              className="p-1.5 text-gray-500 hover:text-red-600 hover:bg-red-50 rounded-lg"
+              title="Remove batch"
+            >
+              <X className="w-4 h-4" />
+            </button>
+          </div>
+          {/* Linked sessions take their code, subject and instructor from the course record */}
+          <div className="grid grid-cols-3 gap-2">
+            {['course', 'subject', 'instructor'].map(field => (
+              <input
+                key={field}
+                type="text"
+                value={session[field] || ''}
+                readOnly={!!session.courseId}
+                onChange={(e) => updateSession(index, { [field]: e.target.value })}
+                className={`border border-gray-300 rounded-lg px-2 py-1.5 text-sm focus:ring-2 focus:ring-primary-500 ${session.courseId ? 'bg-gray-100' : ''}`}
+                placeholder={field.charAt(0).toUpperCase() + field.slice(1)}
+                aria-label={`${session.batch || 'Batch'} ${field}`}
+              />
+            ))}
+          </div>
+          <SearchableSelect
+            label={`${session.batch || `Batch ${index + 1}`} Room`}
+            options={roomOptions}
+            value={session.roomId || ''}
+            onChange={(option) => selectRoom(index, option)}
+            placeholder={session.room || 'Select a room'}
+            noneLabel="No room"
+          />
+        </div>
+      ))}
+
+      <label className="flex items-start space-x-2 text-sm text-gray-700">
+        <input
+          type="checkbox"
+          checked={rotate}
+          onChange={(e) => onChange(sessions, e.target.checked)}
+          className="mt-0.5 rounded border-gray-300 text-primary-600 focus:ring-primary-500"
+        />
+        <span>
+          Rotate batches weekly
+          <span className="block text-xs text-gray-500">Each week the batches move on to the next session, counted in teaching weeks of the term.</span>
+        </span>
+      </label>
+    </div>
+  )
+}
+
+// Export the BatchSessionsEditor component as the default export
+export default BatchSessionsEditor
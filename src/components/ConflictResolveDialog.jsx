@@ -0,0 +1,85 @@
+/**
+ * ConflictResolveDialog Component
+ *
+ * Shown when a save is rejected because the record was changed elsewhere since
+ * it was loaded (see lib/concurrency). Lists what differs between the user's
+ * version and the saved one, so they can choose which to keep instead of one
+ * silently overwriting the other.
+ *
+ * Key features:
+ * - Side-by-side comparison of each differing field or timetable cell
+ * - Keep your version (saved over the newer one) or use the saved version
+ * - Records deleted elsewhere can only be discarded
+ */
+
+// Import React for JSX
+import React from 'react'
+// Import Lucide React icons for UI elements
+import { AlertTriangle } from 'lucide-react'
+
+/**
+ * ConflictResolveDialog Component
+ *
+ * @param {string} title - Dialog title, e.g. 'This course was changed elsewhere'
+ * @param {string} message - What happened, e.g. the ConflictError message
+ * @param {Array<Object>} rows - Differences as { label, mine, theirs }
+ * @param {boolean} deleted - Whether the saved record no longer exists
+ * @param {function} onKeepMine - Save the user's version over the saved one
+ * @param {string} keepMineLabel - Label of the keep button, e.g. 'Delete anyway' for a deletion
+ * @param {function} onUseTheirs - Drop the user's version in favour of the saved one
+ */
+const ConflictResolveDialog = ({ title, message, rows, deleted = false, onKeepMine, onUseTheirs, keepMineLabel = 'Keep my version' }) => {
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-[70]">
+      <div className="bg-white rounded-lg p-6 w-full max-w-2xl mx-4 shadow-xl max-h-[90vh] overflow-y-auto">
+        <h3 className="text-lg font-semibold text-gray-900 mb-2 flex items-center">
+          <AlertTriangle className="w-5 h-5 mr-2 text-amber-600" />
+          {title}
+        </h3>
+        <p className="text-gray-700 mb-4">{message}</p>
+
+        {/* What differs between the two versions */}
+        {rows.length > 0 && (
+          <table className="w-full text-sm border border-gray-200 mb-6">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="text-left p-2 border-b border-gray-200 font-semibold text-gray-700"></th>
+                <th className="text-left p-2 border-b border-gray-200 font-semibold text-gray-700">Your version</th>
+                <th className="text-left p-2 border-b border-gray-200 font-semibold text-gray-700">{deleted ? 'Saved version (deleted)' : 'Saved version'}</th>
+              </tr>
+            </thead>
+            <tbody>
+              {rows.map((row, index) => (
+                <tr key={index} className="align-top">
+                  <td className="p-2 border-b border-gray-100 font-medium text-gray-700">{row.label}</td>
+                  <td className="p-2 border-b border-gray-100 text-blue-800 bg-blue-50">{row.mine || '—'}</td>
+                  <td className="p-2 border-b border-gray-100 text-amber-800 bg-amber-50">{deleted ? '—' : row.theirs || '—'}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+
+        <div className="flex justify-end space-x-3">
+          <button
+            onClick={onUseTheirs}
+            className="px-4 py-2 text-gray-600 border border-gray-300 rounded-lg hover:bg-gray-50 transition-colors"
+          >
+            {deleted ? 'Discard my changes' : 'Use saved version'}
+          </button>
+          {!deleted && (
+            <button
+              onClick={onKeepMine}
+              className="px-4 py-2 bg-primary-600 text-white rounded-lg hover:bg-primary-700 transition-colors"
+            >
+              {keepMineLabel}
+            </button>
+          )}
+        </div>
+      </div>
+    </div>
+  )
+}
+
+// Export the ConflictResolveDialog component as the default export
+export default ConflictResolveDialog
@@ -11,6 +11,9 @@
  * - Course details display
  * - Real-time data updates
  * - Professional course management interface
+ * - CSV/XLSX export of the filtered course list
+ * - Courses linked to an academic term, defaulting to the active term
+ * - Sections each course is taught to, followed by timetable generation
  */
 
 // Import React and useState hook for state management
@@ -21,6 +24,21 @@ import { BookOpen, Plus, Search, Edit, Trash2, Clock, Users, ChevronDown, Gradua
 import { useUser } from '@clerk/clerk-react'
 // Import courses service for Supabase operations
 import { loadUserCourses, createCourse, updateCourse, deleteCourse } from '../services/coursesService'
+// Import timetable service and link helpers to keep linked periods in sync
+import { updateTimetableData } from '../services/timetableService'
+import { applyCourseUpdate } from '../lib/periodLinks'
+// Import terms service and helpers for the term each course belongs to
+import { loadUserTerms } from '../services/termsService'
+import { DEFAULT_TERM_NAME, getActiveTerm } from '../lib/terms'
+// Import sections service and helpers for the sections each course is taught to
+import { loadUserSections } from '../services/sectionsService'
+import { withDefaultSections, getActiveSectionNames } from '../lib/sections'
+// Import export menu and spreadsheet helpers for CSV/XLSX downloads
+import ExportMenu from './ExportMenu'
+import { buildCourseRows, downloadCsv, downloadXlsx } from '../lib/spreadsheetExport'
+// Import the dialog and helpers for saves rejected because the course changed elsewhere
+import ConflictResolveDialog from './ConflictResolveDialog'
+import { isConflictError, listChangedFields } from '../lib/concurrency'
 
 /**
  * Courses Component
@@ -165,6 +183,97 @@ const Courses = () => {
   // State for courses loaded from Supabase
   const [courses, setCourses] = useState([])
   const [isLoading, setIsLoading] = useState(true)
+
+  // Academic terms a course can be linked to
+  const [terms, setTerms] = useState([])
+
+  // Load the user's terms
+  useEffect(() => {
+    async function fetchTerms() {
+      if (!isSignedIn || !user?.id) return
+      try {
+        setTerms(await loadUserTerms(user.id))
+      } catch (error) {
+        console.error('Failed to load terms:', error)
+      }
+    }
+    fetchTerms()
+  }, [isSignedIn, user?.id])
+
+  const activeTerm = getActiveTerm(terms)
+  // Before any terms are added, fall back to the semester typed on the courses
+  const currentSemester = activeTerm?.name || (courses.length > 0 && courses[0]?.semester ? courses[0].semester : DEFAULT_TERM_NAME)
+
+  /**
+   * Link a course to a term; the term's name is kept in semester for display and exports
+   * @param {Object} course - Course being edited
+   * @param {string} termId - Selected term id, or '' for none
+   * @returns {Object} - The course with term_id and semester updated
+   */
+  const withTerm = (course, termId) => {
+    const selected = terms.find(term => term.id === termId)
+    return { ...course, term_id: selected?.id || null, semester: selected?.name || course.semester }
+  }
+
+  // Sections a course can be taught to, for the timetable generator (see getSectionCourses)
+  const [sectionNames, setSectionNames] = useState(() => getActiveSectionNames(withDefaultSections([])))
+
+  useEffect(() => {
+    async function fetchSections() {
+      if (!isSignedIn || !user?.id) return
+      try {
+        setSectionNames(getActiveSectionNames(withDefaultSections(await loadUserSections(user.id))))
+      } catch (error) {
+        console.error('Failed to load sections:', error)
+      }
+    }
+    fetchSections()
+  }, [isSignedIn, user?.id])
+
+  /**
+   * Add or remove a section from the ones a course is taught to
+   * @param {Object} course - Course being edited
+   * @param {string} name - Section name
+   * @returns {Object} - The course with sections updated
+   */
+  const toggleCourseSection = (course, name) => {
+    const selected = course.sections || []
+    return { ...course, sections: selected.includes(name) ? selected.filter(s => s !== name) : [...selected, name] }
+  }
+
+  /**
+   * Section toggles for the add and edit modals; sections the course lists that
+   * are archived now are still shown so they can be removed
+   * @param {Object} course - Course being edited
+   * @param {function} setCourse - State setter for the course being edited
+   */
+  const renderSectionPicker = (course, setCourse) => (
+    <div>
+      <label className="block text-sm font-medium text-gray-700 mb-1">Sections</label>
+      <div className="flex flex-wrap gap-2">
+        {[...new Set([...sectionNames, ...(course.sections || [])])].map(name => {
+          const isSelected = (course.sections || []).includes(name)
+          return (
+            <button
+              key={name}
+              type="button"
+              onClick={() => setCourse(toggleCourseSection(course, name))}
+              aria-pressed={isSelected}
+              className={`px-3 py-1 rounded-full border text-sm transition-colors ${
+                isSelected ? 'bg-primary-600 text-white border-primary-600' : 'bg-white text-gray-700 border-gray-300 hover:bg-gray-50'
+              }`}
+            >
+              {name}
+            </button>
+          )
+        })}
+      </div>
+      <p className="text-xs text-gray-500 mt-1">
+        Timetable generation places the course only in the selected sections; with none selected it goes to every section.
+      </p>
+    </div>
+  )
+
   const [searchTerm, setSearchTerm] = useState('')
   const [selectedDepartment, setSelectedDepartment] = useState('All Departments')
   const [isEditing, setIsEditing] = useState(false)
@@ -178,11 +287,13 @@ const Courses = () => {
     credits: 3,
     duration: '6 months',
     students: 0,
-    semester: 'Fall 2025'
+    semester: 'Fall 2025',
+    sections: []
   })
   const [isDepartmentDropdownOpen, setIsDepartmentDropdownOpen] = useState(false)  // Department dropdown open state
   const [isAddCourseDeptDropdownOpen, setIsAddCourseDeptDropdownOpen] = useState(false)  // Add Course modal department dropdown
   const [isEditCourseDeptDropdownOpen, setIsEditCourseDeptDropdownOpen] = useState(false)  // Edit Course modal department dropdown
+  const [courseConflict, setCourseConflict] = useState(null)  // { mine, current, message, isDelete } for a save or delete rejected as stale
 
   // Departments for dropdown
   const departments = ['All Departments', 'CSE / Core', 'CSE / Engineering Science', 'CSE / Lab', 'Humanities/Management', 'Department Elective', 'Mandatory (MC)']
@@ -217,7 +328,10 @@ const Courses = () => {
           credits: course.credits,
           duration: course.duration,
           students: course.students,
-          semester: course.semester
+          semester: course.semester,
+          term_id: course.term_id || null,
+          sections: course.sections || [],
+          updated_at: course.updated_at
         }))
         
         // Create a map of Supabase course codes (for quick lookup)
@@ -300,17 +414,27 @@ const Courses = () => {
     return matchesSearch && matchesDepartment
   })
 
+  // Exports contain only the courses matching the current search and department filter
+  const courseExportOptions = [
+    { label: 'Courses (CSV)', onSelect: () => downloadCsv('courses', buildCourseRows(filteredCourses)) },
+    { label: 'Courses (XLSX)', onSelect: () => downloadXlsx('courses', [{ name: 'Courses', rows: buildCourseRows(filteredCourses) }]) }
+  ]
+
   /**
    * Handle course deletion
+   *
+   * @param {string|number} courseId - The course's ID
+   * @param {string} updatedAt - Version the deletion is based on; defaults to the loaded one
    */
-  const handleDeleteCourse = async (courseId) => {
+  const handleDeleteCourse = async (courseId, updatedAt) => {
+    const course = courses.find(c => c.id === courseId)
     try {
       if (isSignedIn && user?.id) {
         // Delete from Supabase (only if it's a Supabase course, not a default one)
         // Check if courseId is a UUID (Supabase format) vs a number (default course)
         if (typeof courseId === 'string' && courseId.includes('-')) {
           // UUID format indicates Supabase course - delete from database
-          await deleteCourse(user.id, courseId)
+          await deleteCourse(user.id, courseId, updatedAt || course?.updated_at)
         }
         // If it's a number, it's a default course - just remove from local state
         // The default course will reappear on next page load since it's not in Supabase
@@ -318,6 +442,11 @@ const Courses = () => {
       // Update local state immediately
     setCourses(courses.filter(course => course.id !== courseId))
     } catch (error) {
+      if (isConflictError(error)) {
+        // Changed elsewhere since it was loaded; let the user compare before deleting
+        setCourseConflict({ mine: course, current: error.current, message: error.message, isDelete: true })
+        return
+      }
       console.error('Failed to delete course:', error)
       alert('Failed to delete course. Please try again.')
     }
@@ -359,7 +488,10 @@ const Courses = () => {
             credits: updated.credits,
             duration: updated.duration,
             students: updated.students,
-            semester: updated.semester
+            semester: updated.semester,
+            term_id: updated.term_id || null,
+            sections: updated.sections || [],
+            updated_at: updated.updated_at
           }
         } else {
           // Default course was edited - check if there's already a Supabase course with the same code
@@ -370,7 +502,7 @@ const Courses = () => {
           
           if (existingCourse) {
             // Update the existing Supabase course with the same code
-            const updated = await updateCourse(user.id, existingCourse.id, updatedCourse)
+            const updated = await updateCourse(user.id, existingCourse.id, { ...updatedCourse, updated_at: existingCourse.updated_at })
             finalCourse = {
               id: updated.id,
               name: updated.name,
@@ -380,7 +512,10 @@ const Courses = () => {
               credits: updated.credits,
               duration: updated.duration,
               students: updated.students,
-              semester: updated.semester
+              semester: updated.semester,
+              term_id: updated.term_id || null,
+              sections: updated.sections || [],
+              updated_at: updated.updated_at
             }
           } else {
             // Create new course in Supabase for default courses that were edited
@@ -394,10 +529,20 @@ const Courses = () => {
               credits: created.credits,
               duration: created.duration,
               students: created.students,
-              semester: created.semester
+              semester: created.semester,
+              term_id: created.term_id || null,
+              sections: created.sections || [],
+              updated_at: created.updated_at
             }
           }
         }
+
+        // Refresh the timetable periods linked to this course (its code, name or instructor may have changed)
+        try {
+          await updateTimetableData(user.id, data => applyCourseUpdate(data, finalCourse))
+        } catch (error) {
+          console.error('Failed to update timetable periods for course:', error)
+        }
       }
       
       // Update local state immediately to reflect changes - preserve position
@@ -443,12 +588,65 @@ const Courses = () => {
     setEditingCourse(null)
       setIsEditCourseDeptDropdownOpen(false)
     } catch (error) {
+      if (isConflictError(error)) {
+        // Changed or deleted elsewhere since it was loaded; let the user compare and choose
+        setCourseConflict({ mine: updatedCourse, current: error.current, message: error.message })
+        return
+      }
       console.error('Failed to update course:', error)
       alert('Failed to save course. Please try again.')
       // Don't update local state on error - let user try again
     }
   }
 
+  // Fields compared in the conflict dialog
+  const conflictFields = [
+    { key: 'code', label: 'Code' },
+    { key: 'name', label: 'Name' },
+    { key: 'department', label: 'Department' },
+    { key: 'instructor', label: 'Instructor' },
+    { key: 'credits', label: 'Credits' },
+    { key: 'duration', label: 'Duration' },
+    { key: 'students', label: 'Students' },
+    { key: 'semester', label: 'Term' },
+    { key: 'sections', label: 'Sections' }
+  ]
+
+  /**
+   * Save the user's version over the one saved elsewhere, or delete the course anyway
+   */
+  const handleKeepMyCourse = () => {
+    const { mine, current, isDelete } = courseConflict
+    setCourseConflict(null)
+    if (isDelete) handleDeleteCourse(mine.id, current.updated_at)
+    else handleSaveCourse({ ...mine, updated_at: current.updated_at })
+  }
+
+  /**
+   * Drop the user's edit and show the saved version, or remove a course deleted elsewhere
+   */
+  const handleUseSavedCourse = () => {
+    const { mine, current } = courseConflict
+    setCourses(prevCourses => current
+      ? prevCourses.map(c => c.id === mine.id || c.id === current.id ? {
+          id: current.id,
+          name: current.name,
+          code: current.code,
+          department: current.department,
+          instructor: current.instructor,
+          credits: current.credits,
+          duration: current.duration,
+          students: current.students,
+          semester: current.semester,
+          term_id: current.term_id || null,
+          sections: current.sections || [],
+          updated_at: current.updated_at
+        } : c)
+      : prevCourses.filter(c => c.id !== mine.id))
+    setCourseConflict(null)
+    handleCancelEdit()
+  }
+
   /**
    * Handle add course modal
    */
@@ -462,7 +660,9 @@ const Courses = () => {
       credits: 3,
       duration: '6 months',
       students: 0,
-      semester: 'Fall 2025'
+      semester: currentSemester,
+      term_id: activeTerm?.id || null,
+      sections: []
     })
   }
 
@@ -511,7 +711,10 @@ const Courses = () => {
           credits: created.credits,
           duration: created.duration,
           students: created.students,
-          semester: created.semester
+          semester: created.semester,
+          term_id: created.term_id || null,
+          sections: created.sections || [],
+          updated_at: created.updated_at
         }
         setCourses(prevCourses => [...prevCourses, newCourseWithId])
       } else {
@@ -528,7 +731,8 @@ const Courses = () => {
         credits: 3,
         duration: '6 months',
         students: 0,
-        semester: 'Fall 2025'
+        semester: 'Fall 2025',
+        sections: []
       })
     } catch (error) {
       console.error('Failed to create course:', error)
@@ -550,7 +754,8 @@ const Courses = () => {
       credits: 3,
       duration: '6 months',
       students: 0,
-      semester: 'Fall 2025'
+      semester: 'Fall 2025',
+      sections: []
     })
   }
 
@@ -562,14 +767,18 @@ const Courses = () => {
           <div>
             <h1 className="text-3xl font-bold text-gray-900 mb-2">5th Semester CSE - Courses</h1>
             <p className="text-gray-600">
-              Complete course details for Fall 2025 semester | Computer Science & Engineering
+              Complete course details for {currentSemester} semester | Computer Science & Engineering
             </p>
           </div>
           <div className="flex items-center space-x-4">
           <div className="text-right">
-            <div className="text-sm text-gray-500">Semester: Fall 2025</div>
+            <div className="text-sm text-gray-500">Semester: {currentSemester}</div>
             <div className="text-sm text-gray-500">Students: 65</div>
             </div>
+            <ExportMenu
+              options={courseExportOptions}
+              className="btn-secondary"
+            />
             <button
               onClick={handleAddCourse}
               className="btn-primary flex items-center"
@@ -617,7 +826,7 @@ const Courses = () => {
           </div>
           <h3 className="text-sm font-medium text-gray-600 mb-1">Active Semester</h3>
           <div className="text-lg font-bold text-gray-900">
-            {courses.length > 0 && courses[0]?.semester ? courses[0].semester : 'Fall 2025'}
+            {currentSemester}
           </div>
           <p className="text-xs text-gray-500">Current academic term</p>
         </div>
@@ -873,14 +1082,30 @@ const Courses = () => {
 
                 <div>
                   <label className="block text-sm font-medium text-gray-700 mb-1">Semester</label>
-                  <input
-                    type="text"
-                    value={editingCourse.semester}
-                    onChange={(e) => setEditingCourse({ ...editingCourse, semester: e.target.value })}
-                    className="w-full border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-primary-500"
-                  />
+                  {terms.length > 0 ? (
+                    <select
+                      value={editingCourse.term_id || ''}
+                      onChange={(e) => setEditingCourse(withTerm(editingCourse, e.target.value))}
+                      className="w-full border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-primary-500"
+                    >
+                      <option value="">{editingCourse.semester ? `${editingCourse.semester} (no term)` : 'No term'}</option>
+                      {terms.map(term => (
+                        <option key={term.id} value={term.id}>{term.name}</option>
+                      ))}
+                    </select>
+                  ) : (
+                    <input
+                      type="text"
+                      value={editingCourse.semester}
+                      onChange={(e) => setEditingCourse({ ...editingCourse, semester: e.target.value })}
+                      className="w-full border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-primary-500"
+                    />
+                  )}
                 </div>
               </div>
+
+              {/* Fifth row - Sections taking the course */}
+              {renderSectionPicker(editingCourse, setEditingCourse)}
             </div>
 
             <div className="flex justify-end space-x-3 mt-6">
@@ -1014,15 +1239,31 @@ const Courses = () => {
 
                 <div>
                   <label className="block text-sm font-medium text-gray-700 mb-1">Semester</label>
-                  <input
-                    type="text"
-                    value={newCourse.semester}
-                    onChange={(e) => setNewCourse({ ...newCourse, semester: e.target.value })}
-                    className="w-full border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-primary-500"
-                    placeholder="e.g., Fall 2025"
-                  />
+                  {terms.length > 0 ? (
+                    <select
+                      value={newCourse.term_id || ''}
+                      onChange={(e) => setNewCourse(withTerm(newCourse, e.target.value))}
+                      className="w-full border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-primary-500"
+                    >
+                      <option value="">{newCourse.semester ? `${newCourse.semester} (no term)` : 'No term'}</option>
+                      {terms.map(term => (
+                        <option key={term.id} value={term.id}>{term.name}</option>
+                      ))}
+                    </select>
+                  ) : (
+                    <input
+                      type="text"
+                      value={newCourse.semester}
+                      onChange={(e) => setNewCourse({ ...newCourse, semester: e.target.value })}
+                      className="w-full border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-primary-500"
+                      placeholder="e.g., Fall 2025"
+                    />
+                  )}
                 </div>
               </div>
+
+              {/* Fifth row - Sections taking the course */}
+              {renderSectionPicker(newCourse, setNewCourse)}
             </div>
 
             <div className="flex justify-end space-x-3 mt-6">
@@ -1042,6 +1283,19 @@ const Courses = () => {
           </div>
         </div>
       )}
+
+      {/* Save or delete rejected because the course changed elsewhere */}
+      {courseConflict && (
+        <ConflictResolveDialog
+          title={courseConflict.current ? 'This course was changed elsewhere' : 'This course was deleted elsewhere'}
+          message={`${courseConflict.message}. ${courseConflict.isDelete ? 'Delete it anyway or keep the saved version.' : 'Choose which version to keep.'}`}
+          rows={listChangedFields(courseConflict.mine, courseConflict.current, conflictFields)}
+          deleted={!courseConflict.current}
+          keepMineLabel={courseConflict.isDelete ? 'Delete anyway' : undefined}
+          onKeepMine={handleKeepMyCourse}
+          onUseTheirs={handleUseSavedCourse}
+        />
+      )}
     </div>
   )
 }
@@ -0,0 +1,70 @@
+/**
+ * CoverSheetPrintView Component
+ *
+ * The printable daily cover sheet. Like the timetable print view it is
+ * rendered outside the app root and only shown when the browser prints
+ * (see the print styles in index.css).
+ *
+ * Features:
+ * - One portrait page for the chosen date
+ * - Every period of an absent instructor with its cover, or a blank to fill in
+ */
+
+// Import React for JSX
+import React from 'react'
+// Import createPortal to render next to the app root
+import { createPortal } from 'react-dom'
+// Import the date label helper
+import { formatDateKey } from '../lib/timetableExceptions'
+
+/**
+ * CoverSheetPrintView Component
+ *
+ * @param {string} date - Date of the sheet, 'YYYY-MM-DD'
+ * @param {Array<Object>} rows - Rows from buildCoverSheet
+ */
+const CoverSheetPrintView = ({ date, rows }) => {
+  return createPortal(
+    <div className="print-root text-gray-900">
+      <style>{'@page { size: A4 portrait; margin: 12mm; }'}</style>
+      <div className="print-page">
+        <div className="flex items-end justify-between border-b-2 border-gray-800 pb-1 mb-3">
+          <h1 className="text-xl font-bold">Cover Sheet</h1>
+          <div className="text-sm">{formatDateKey(date)}</div>
+        </div>
+
+        {rows.length === 0 ? (
+          <p className="text-sm">No cover needed on this date.</p>
+        ) : (
+          <table className="w-full border-collapse text-xs">
+            <thead>
+              <tr>
+                {['Period', 'Time', 'Section', 'Course', 'Room', 'Absent', 'Cover', 'Note'].map(heading => (
+                  <th key={heading} className="border border-gray-700 bg-gray-700 text-white p-1 text-left">{heading}</th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {rows.map(row => (
+                <tr key={`${row.slot.id}-${row.section}-${row.absent}`}>
+                  <td className="border border-gray-700 p-1 font-bold">{row.slot.name}</td>
+                  <td className="border border-gray-700 p-1">{row.slot.start}-{row.slot.end}</td>
+                  <td className="border border-gray-700 p-1">{row.section}</td>
+                  <td className="border border-gray-700 p-1">{row.entry.course || row.entry.subject}</td>
+                  <td className="border border-gray-700 p-1">{row.entry.room || ''}</td>
+                  <td className="border border-gray-700 p-1">{row.absent}</td>
+                  <td className="border border-gray-700 p-1 font-bold">{row.substitute || ''}</td>
+                  <td className="border border-gray-700 p-1">{row.note}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+    </div>,
+    document.body
+  )
+}
+
+// Export the CoverSheetPrintView component as the default export
+export default CoverSheetPrintView
@@ -12,6 +12,7 @@
  * - Quick action buttons
  * - Responsive grid layout
  * - Navigation integration
+ * - Active academic term with the teaching weeks left
  */
 
 // Import React and useState hook for state management
@@ -27,8 +28,16 @@ import StatCard from './StatCard' // Reusable statistics card component
 import ActivityTracker from './ActivityTracker' // Real-time activity tracking component
 // Import user profile service
 import { loadUserProfile } from '../services/userProfileService'
+// Import sections service and helpers for the section to lecture hall lookup
+import { loadUserSections } from '../services/sectionsService'
+import { DEFAULT_SECTIONS, withDefaultSections, getSectionRoomMap } from '../lib/sections'
 // Import courses service to load courses for statistics
 import { loadUserCourses } from '../services/coursesService'
+// Import terms and timetable services and helpers for the active term's teaching weeks
+import { loadUserTerms } from '../services/termsService'
+import { loadUserTimetable } from '../services/timetableService'
+import { DEFAULT_TERM_NAME, getActiveTerm, getTermProgress } from '../lib/terms'
+import { DEFAULT_WORKING_DAYS, normalizeWorkingDays } from '../lib/workingDays'
 
 /**
  * Dashboard Component
@@ -72,12 +81,44 @@ const Dashboard = () => {
   // State for courses data (to calculate statistics)
   const [courses, setCourses] = useState(defaultCourses)
   
-  // Section to lecture hall mapping (matching Timetable component)
-  const sectionToLectureHall = {
-    'CSE A': 'LH-124',
-    'CSE B': 'LH-136',
-    'CSE C': 'LH-132'
-  }
+  // Sections managed on the Timetable page (falls back to the default CSE sections)
+  const [sectionRecords, setSectionRecords] = useState(DEFAULT_SECTIONS)
+
+  // Load the user's sections for the section to lecture hall lookup
+  useEffect(() => {
+    async function fetchSections() {
+      if (!isSignedIn || !user?.id) return
+      try {
+        const records = await loadUserSections(user.id)
+        setSectionRecords(withDefaultSections(records))
+      } catch (error) {
+        console.error('Failed to load sections:', error)
+      }
+    }
+    fetchSections()
+  }, [isSignedIn, user?.id])
+
+  // Section to lecture hall mapping (taken from each section's home room)
+  const sectionToLectureHall = getSectionRoomMap(sectionRecords)
+
+  // Academic terms and the working week used to count teaching weeks
+  const [terms, setTerms] = useState([])
+  const [workingDays, setWorkingDays] = useState(DEFAULT_WORKING_DAYS)
+
+  // Load the user's terms and the timetable's working week
+  useEffect(() => {
+    async function fetchTerms() {
+      if (!isSignedIn || !user?.id) return
+      try {
+        const [records, timetable] = await Promise.all([loadUserTerms(user.id), loadUserTimetable(user.id)])
+        setTerms(records)
+        setWorkingDays(normalizeWorkingDays(timetable?.working_days))
+      } catch (error) {
+        console.error('Failed to load terms:', error)
+      }
+    }
+    fetchTerms()
+  }, [isSignedIn, user?.id])
   
   // Load user section and profile from Supabase
   useEffect(() => {
@@ -226,14 +267,28 @@ const Dashboard = () => {
   const courseStats = useMemo(() => {
     const totalCourses = courses.length
     const totalCredits = courses.reduce((sum, course) => sum + (course.credits || 0), 0)
-    const currentSemester = courses.length > 0 && courses[0]?.semester ? courses[0].semester : 'Fall 2025'
+    const activeTerm = getActiveTerm(terms)
+    // Before any terms are added, fall back to the semester typed on the courses
+    const currentSemester = activeTerm?.name || (courses.length > 0 && courses[0]?.semester ? courses[0].semester : DEFAULT_TERM_NAME)
+    const termProgress = activeTerm ? getTermProgress(activeTerm, workingDays) : null
     
     return {
       totalCourses,
       totalCredits,
-      currentSemester
+      currentSemester,
+      termProgress
     }
-  }, [courses])
+  }, [courses, terms, workingDays])
+
+  /**
+   * Describe how far through the active term we are, e.g. 'Week 5 of 14 • 10 teaching weeks left'
+   */
+  const getTermDescription = () => {
+    const progress = courseStats.termProgress
+    if (!progress) return 'Active academic term'
+    const left = `${progress.remaining} teaching week${progress.remaining === 1 ? '' : 's'} left`
+    return progress.current ? `Week ${progress.current} of ${progress.total} • ${left}` : left
+  }
 
   // Real data for 5th Semester CSE B dashboard statistics
   // Each stat object contains title, value, icon, colors, and description
@@ -268,7 +323,7 @@ const Dashboard = () => {
       icon: Building, // Building icon for semester
       color: 'text-orange-600', // Orange text color
       bgColor: 'bg-orange-50', // Light orange background
-      description: 'Active academic term'
+      description: getTermDescription()
     }
   ]
 
@@ -0,0 +1,522 @@
+/**
+ * DatedTimetable Component
+ *
+ * The Dated Week view of the Timetable page: the effective schedule of a
+ * section for one concrete week, i.e. the weekly grid with that week's
+ * cancellations, rescheduled periods, extra classes and holidays applied.
+ *
+ * Features:
+ * - Date picker with previous/next/this week navigation
+ * - Cancel or reschedule a period on one date
+ * - Add a one-off period to any empty slot, including on a weekend
+ * - Declare a holiday for the section or for every section
+ * - List of the week's exceptions, each of which can be removed
+ * - Batches shown in the sessions they attend that week when they rotate
+ */
+
+// Import React hooks for state management and memoization
+import React, { useState, useMemo } from 'react'
+// Import Lucide React icons for UI elements
+import { ChevronLeft, ChevronRight, CalendarX, CalendarPlus, X, Trash2, MapPin } from 'lucide-react'
+// Import the searchable dropdown used for picking a course
+import SearchableSelect from './SearchableSelect'
+// Import the side-by-side view of batch sessions
+import BatchSessionList from './BatchSessionList'
+// Import exception helpers for the effective schedule
+import {
+  EXCEPTION_LABELS,
+  toDateKey,
+  addDays,
+  formatDateKey,
+  getWeekDates,
+  getEffectiveDay,
+  appliesToSection,
+  validateExceptionSlot,
+  describeException
+} from '../lib/timetableExceptions'
+import { getSpan, getBlockSlots } from '../lib/periodBlocks'
+import { linkPeriod } from '../lib/periodLinks'
+import { getSessionsForWeek } from '../lib/batchSessions'
+import { getRotationWeek } from '../lib/terms'
+
+/**
+ * DatedTimetable Component
+ *
+ * @param {string} section - Section being shown
+ * @param {Object} sectionData - timetables[section][day][slotId]
+ * @param {Array<Object>} bellSchedule - Bell schedule
+ * @param {Array<string>} workingDays - Days classes are held
+ * @param {Array<Object>} exceptions - Exception records from timetableExceptionsService
+ * @param {Array<Object>} courses - Course records for one-off periods
+ * @param {Array<Object>} terms - Term records, to count the weeks of batch rotations
+ * @param {function} onAddException - Called with a new exception; returns a promise
+ * @param {function} onDeleteException - Called with the exception to remove; returns a promise
+ */
+const DatedTimetable = ({ section, sectionData, bellSchedule, workingDays, exceptions, courses, terms = [], onAddException, onDeleteException }) => {
+  const [weekOf, setWeekOf] = useState(() => toDateKey(new Date()))
+  // Dialog for the clicked cell or day: { type: 'period' | 'cancelled' | 'empty' | 'holiday', date, slotId, entry, exception }
+  const [action, setAction] = useState(null)
+  const [form, setForm] = useState({})
+  const [formError, setFormError] = useState('')
+
+  const periodSlots = bellSchedule.filter(slot => slot.type === 'period')
+  const slotName = (id) => bellSchedule.find(slot => slot.id === id)?.name || id
+  const effectiveDayFor = (date) => getEffectiveDay({ sectionData, section, schedule: bellSchedule, workingDays, date, exceptions })
+
+  // Working days of the week, plus any other day with a one-off period
+  const week = useMemo(
+    () => getWeekDates(weekOf)
+      .map(({ date }) => getEffectiveDay({ sectionData, section, schedule: bellSchedule, workingDays, date, exceptions }))
+      .filter(effectiveDay => workingDays.includes(effectiveDay.day) || Object.keys(effectiveDay.periods).length > 0),
+    [weekOf, sectionData, section, bellSchedule, workingDays, exceptions]
+  )
+
+  const weekExceptions = useMemo(() => {
+    const dates = getWeekDates(weekOf).map(({ date }) => date)
+    return exceptions.filter(exception => (
+      appliesToSection(exception, section) &&
+      (dates.includes(exception.date) || dates.includes(exception.target_date))
+    ))
+  }, [weekOf, exceptions, section])
+
+  const openAction = (next) => {
+    setAction(next)
+    setFormError('')
+    setForm({
+      note: '',
+      targetDate: next.date,
+      targetSlotId: periodSlots[0]?.id || '',
+      courseId: '',
+      course: '',
+      subject: '',
+      instructor: '',
+      room: '',
+      allSections: false
+    })
+  }
+
+  const closeAction = () => setAction(null)
+
+  const submit = async (exception) => {
+    try {
+      await onAddException(exception)
+      closeAction()
+    } catch (error) {
+      setFormError(error.message || 'Failed to save the change.')
+    }
+  }
+
+  const removeException = async (exception) => {
+    try {
+      await onDeleteException(exception)
+      closeAction()
+    } catch (error) {
+      setFormError(error.message || 'Failed to remove the change.')
+    }
+  }
+
+  // The weekly period as stored in the grid, before any cover instructor is applied
+  const getWeeklyEntry = () => sectionData[action.day]?.[action.slotId] || action.entry
+
+  const handleCancelPeriod = () => submit({
+    kind: 'cancel', section, date: action.date, slot_id: action.slotId, entry: getWeeklyEntry(), note: form.note
+  })
+
+  const handleReschedule = () => {
+    if (!form.targetDate || !form.targetSlotId) {
+      setFormError('Pick the date and period to move this class to.')
+      return
+    }
+    if (form.targetDate === action.date && form.targetSlotId === action.slotId) {
+      setFormError('Pick a different date or period.')
+      return
+    }
+    const error = validateExceptionSlot(effectiveDayFor(form.targetDate), bellSchedule, form.targetSlotId, action.entry)
+    if (error) {
+      setFormError(error)
+      return
+    }
+    submit({
+      kind: 'reschedule',
+      section,
+      date: action.date,
+      slot_id: action.slotId,
+      entry: getWeeklyEntry(),
+      target_date: form.targetDate,
+      target_slot_id: form.targetSlotId,
+      note: form.note
+    })
+  }
+
+  const handleAddExtra = () => {
+    if (!form.course.trim() && !form.subject.trim()) {
+      setFormError('Enter a course or subject for the extra class.')
+      return
+    }
+    const entry = {
+      ...(form.courseId ? { courseId: form.courseId } : {}),
+      course: form.course.trim(),
+      subject: form.subject.trim(),
+      instructor: form.instructor.trim(),
+      ...(form.room.trim() ? { room: form.room.trim() } : {})
+    }
+    const error = validateExceptionSlot(effectiveDayFor(action.date), bellSchedule, action.slotId, entry)
+    if (error) {
+      setFormError(error)
+      return
+    }
+    submit({ kind: 'extra', section, date: action.date, slot_id: action.slotId, entry, note: form.note })
+  }
+
+  const handleDeclareHoliday = () => submit({
+    kind: 'holiday', section: form.allSections ? null : section, date: action.date, note: form.note
+  })
+
+  const selectCourse = (option) => {
+    if (!option) {
+      setForm(prev => ({ ...prev, courseId: '' }))
+      return
+    }
+    const entry = linkPeriod(option.record, null)
+    setForm(prev => ({ ...prev, courseId: entry.courseId, course: entry.course, subject: entry.subject, instructor: entry.instructor }))
+  }
+
+  /**
+   * Cells of one date's column: blocks span rows, the slots they cover are skipped
+   */
+  const buildColumn = (effectiveDay) => {
+    const cells = {}
+    bellSchedule.forEach(slot => {
+      if (cells[slot.id]) return
+      if (slot.type === 'break') {
+        cells[slot.id] = { type: 'break' }
+        return
+      }
+      const entry = effectiveDay.periods[slot.id]
+      if (entry) {
+        const slots = getBlockSlots(bellSchedule, slot.id, getSpan(entry))
+        cells[slot.id] = { type: 'period', entry, rowSpan: slots.length }
+        slots.slice(1).forEach(slotId => { cells[slotId] = { type: 'covered' } })
+        return
+      }
+      const cancelled = effectiveDay.cancelled.find(item => item.slotId === slot.id)
+      cells[slot.id] = cancelled ? { type: 'cancelled', ...cancelled } : { type: 'empty' }
+    })
+    return cells
+  }
+
+  const columns = week.map(effectiveDay => ({ effectiveDay, cells: buildColumn(effectiveDay) }))
+
+  return (
+    <div className="bg-white rounded-xl shadow-lg border-2 border-gray-200 p-6">
+      {/* Week picker */}
+      <div className="flex flex-wrap items-center justify-between gap-4 mb-6">
+        <div className="flex items-center space-x-2">
+          <button
+            onClick={() => setWeekOf(addDays(weekOf, -7))}
+            className="p-2 rounded-lg border border-gray-300 text-gray-700 hover:bg-gray-50"
+            title="Previous week"
+          >
+            <ChevronLeft className="w-4 h-4" />
+          </button>
+          <input
+            type="date"
+            value={weekOf}
+            onChange={(e) => e.target.value && setWeekOf(e.target.value)}
+            className="border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-primary-500"
+          />
+          <button
+            onClick={() => setWeekOf(addDays(weekOf, 7))}
+            className="p-2 rounded-lg border border-gray-300 text-gray-700 hover:bg-gray-50"
+            title="Next week"
+          >
+            <ChevronRight className="w-4 h-4" />
+          </button>
+          <button
+            onClick={() => setWeekOf(toDateKey(new Date()))}
+            className="px-3 py-2 rounded-lg border border-gray-300 text-sm text-gray-700 hover:bg-gray-50"
+          >
+            This week
+          </button>
+        </div>
+        <p className="text-sm text-gray-600">
+          Click a period to cancel or move it on that date, an empty slot to add an extra class, or a day to declare a holiday.
+        </p>
+      </div>
+
+      {/* Effective schedule for the week */}
+      <div className="w-full overflow-x-auto">
+        <table className="w-full border-collapse text-gray-900 min-w-[900px]">
+          <thead>
+            <tr className="border-b-2 border-gray-300">
+              <th className="p-3 text-left font-bold text-gray-800 text-sm">Time</th>
+              {columns.map(({ effectiveDay }) => (
+                <th key={effectiveDay.date} className="p-2 text-center text-sm">
+                  <button
+                    onClick={() => openAction({ type: 'holiday', date: effectiveDay.date, exception: effectiveDay.holiday })}
+                    className="w-full rounded-lg px-2 py-1 font-bold text-gray-800 hover:bg-gray-100"
+                    title={effectiveDay.holiday ? 'Remove holiday' : 'Declare holiday'}
+                  >
+                    {formatDateKey(effectiveDay.date)}
+                  </button>
+                  {effectiveDay.holiday && (
+                    <div className="mt-1 text-xs font-bold uppercase text-purple-800 bg-purple-100 rounded px-2 py-0.5">
+                      Holiday{effectiveDay.holiday.note ? `: ${effectiveDay.holiday.note}` : ''}
+                    </div>
+                  )}
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {bellSchedule.map(slot => (
+              <tr key={slot.id} className="border-b border-gray-200">
+                <td className="p-3 font-bold text-gray-700 text-xs whitespace-nowrap">
+                  <div>{slot.name}</div>
+                  <div className="font-medium text-gray-500">{slot.start}-{slot.end}</div>
+                </td>
+                {columns.map(({ effectiveDay, cells }) => {
+                  const cell = cells[slot.id]
+                  const key = effectiveDay.date
+                  if (cell.type === 'covered') return null
+                  if (cell.type === 'break') {
+                    return <td key={key} className="p-2 text-center text-xs font-bold uppercase text-orange-800 bg-orange-50">{slot.name}</td>
+                  }
+                  if (cell.type === 'period') {
+                    const exception = cell.entry.exception
+                    const sessions = getSessionsForWeek(cell.entry, getRotationWeek(terms, key, workingDays))
+                    return (
+                      <td
+                        key={key}
+                        rowSpan={cell.rowSpan}
+                        onClick={() => openAction({ type: 'period', date: key, day: effectiveDay.day, slotId: slot.id, entry: cell.entry, exception })}
+                        className={`p-2 align-top text-xs cursor-pointer hover:opacity-80 ${exception ? 'bg-green-50 border-2 border-green-300' : 'bg-blue-50'}`}
+                      >
+                        {exception && (
+                          <div className="text-green-800 font-bold uppercase mb-1">{EXCEPTION_LABELS[exception.kind]}</div>
+                        )}
+                        {sessions ? (
+                          <>
+                            <BatchSessionList sessions={sessions} />
+                            {cell.entry.substitutions && <div className="mt-1 font-bold text-amber-700">(cover)</div>}
+                          </>
+                        ) : (
+                          <>
+                            <div className="font-bold text-blue-900">{cell.entry.course || cell.entry.subject}</div>
+                            {cell.entry.course && <div className="text-blue-800">{cell.entry.subject}</div>}
+                            {cell.entry.instructor && (
+                              <div className="text-gray-600">
+                                {cell.entry.instructor}
+                                {cell.entry.substitutions && <span className="ml-1 font-bold text-amber-700">(cover)</span>}
+                              </div>
+                            )}
+                            {cell.entry.room && (
+                              <div className="flex items-center space-x-1 text-gray-600">
+                                <MapPin className="w-3 h-3 flex-shrink-0" />
+                                <span>{cell.entry.room}</span>
+                              </div>
+                            )}
+                          </>
+                        )}
+                      </td>
+                    )
+                  }
+                  if (cell.type === 'cancelled') {
+                    return (
+                      <td
+                        key={key}
+                        onClick={() => openAction({ type: 'cancelled', date: key, slotId: slot.id, entry: cell.entry, exception: cell.exception })}
+                        className="p-2 align-top text-xs cursor-pointer bg-red-50 hover:opacity-80"
+                      >
+                        <div className="text-red-800 font-bold uppercase mb-1">{EXCEPTION_LABELS[cell.exception.kind]}</div>
+                        <div className="font-bold text-gray-500 line-through">{cell.entry.course || cell.entry.subject}</div>
+                        {cell.exception.kind === 'reschedule' && (
+                          <div className="text-gray-600">To {formatDateKey(cell.exception.target_date)}, {slotName(cell.exception.target_slot_id)}</div>
+                        )}
+                      </td>
+                    )
+                  }
+                  return (
+                    <td
+                      key={key}
+                      onClick={() => openAction({ type: 'empty', date: key, slotId: slot.id })}
+                      className="p-2 text-center text-xs text-gray-400 cursor-pointer hover:bg-gray-50"
+                    >
+                      —
+                    </td>
+                  )
+                })}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      {/* This week's exceptions */}
+      <div className="mt-6">
+        <h3 className="text-sm font-bold text-gray-800 mb-2">Changes this week</h3>
+        {weekExceptions.length === 0 ? (
+          <p className="text-sm text-gray-500">No changes; the weekly timetable applies.</p>
+        ) : (
+          <ul className="space-y-1">
+            {weekExceptions.map(exception => (
+              <li key={exception.id} className="flex items-center justify-between text-sm bg-gray-50 rounded-lg px-3 py-2">
+                <span>
+                  <span className="font-medium">{formatDateKey(exception.date)}</span> – {describeException(exception, bellSchedule)}
+                </span>
+                <button
+                  onClick={() => removeException(exception)}
+                  className="p-1 text-gray-500 hover:text-red-600"
+                  title="Remove this change"
+                >
+                  <Trash2 className="w-4 h-4" />
+                </button>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+
+      {/* Change dialog */}
+      {action && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+          <div className="bg-white rounded-lg p-6 w-full max-w-md mx-4 shadow-xl">
+            <div className="flex items-center justify-between mb-4">
+              <h3 className="text-lg font-semibold text-gray-900">
+                {formatDateKey(action.date)}{action.slotId ? `, ${slotName(action.slotId)}` : ''}
+              </h3>
+              <button onClick={closeAction} className="p-1 text-gray-500 hover:text-gray-800">
+                <X className="w-5 h-5" />
+              </button>
+            </div>
+
+            {/* A change already made: it can only be removed */}
+            {action.exception ? (
+              <div className="space-y-4">
+                <p className="text-sm text-gray-700">{describeException(action.exception, bellSchedule)}</p>
+                <button
+                  onClick={() => removeException(action.exception)}
+                  className="w-full flex items-center justify-center px-4 py-2 rounded-lg bg-red-600 text-white hover:bg-red-700"
+                >
+                  <Trash2 className="w-4 h-4 mr-2" />
+                  {action.exception.kind === 'holiday' ? 'Remove holiday' : 'Undo this change'}
+                </button>
+              </div>
+            ) : (
+              <div className="space-y-4">
+                <input
+                  type="text"
+                  value={form.note}
+                  onChange={(e) => setForm({ ...form, note: e.target.value })}
+                  placeholder="Note (optional), e.g. Instructor on leave"
+                  className="w-full border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-primary-500"
+                />
+
+                {action.type === 'period' && (
+                  <>
+                    <div className="text-sm text-gray-700">
+                      <span className="font-bold">{action.entry.course || action.entry.subject}</span>
+                      {action.entry.instructor && ` • ${action.entry.instructor}`}
+                    </div>
+                    <button
+                      onClick={handleCancelPeriod}
+                      className="w-full flex items-center justify-center px-4 py-2 rounded-lg bg-red-600 text-white hover:bg-red-700"
+                    >
+                      <CalendarX className="w-4 h-4 mr-2" />
+                      Cancel on this date
+                    </button>
+                    <div className="border-t border-gray-200 pt-4">
+                      <div className="text-sm font-medium text-gray-700 mb-2">Or move it to</div>
+                      <div className="grid grid-cols-2 gap-2">
+                        <input
+                          type="date"
+                          value={form.targetDate}
+                          onChange={(e) => setForm({ ...form, targetDate: e.target.value })}
+                          className="border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-primary-500"
+                        />
+                        <select
+                          value={form.targetSlotId}
+                          onChange={(e) => setForm({ ...form, targetSlotId: e.target.value })}
+                          className="border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-primary-500"
+                        >
+                          {periodSlots.map(slot => (
+                            <option key={slot.id} value={slot.id}>{slot.name} ({slot.start}-{slot.end})</option>
+                          ))}
+                        </select>
+                      </div>
+                      <button
+                        onClick={handleReschedule}
+                        className="mt-2 w-full px-4 py-2 rounded-lg bg-primary-600 text-white hover:bg-primary-700"
+                      >
+                        Reschedule
+                      </button>
+                    </div>
+                  </>
+                )}
+
+                {action.type === 'empty' && (
+                  <>
+                    <SearchableSelect
+                      label="Course"
+                      options={courses.map(course => ({ value: course.id, label: `${course.code} - ${course.name}`, description: course.instructor, record: course }))}
+                      value={form.courseId}
+                      onChange={selectCourse}
+                      placeholder="Select a course from the Courses page"
+                      noneLabel="Custom period (not linked)"
+                    />
+                    <div className="grid grid-cols-2 gap-2">
+                      {['course', 'subject', 'instructor', 'room'].map(field => (
+                        <input
+                          key={field}
+                          type="text"
+                          value={form[field]}
+                          readOnly={!!form.courseId && field !== 'room'}
+                          onChange={(e) => setForm({ ...form, [field]: e.target.value })}
+                          placeholder={field.charAt(0).toUpperCase() + field.slice(1)}
+                          className={`border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-primary-500 ${form.courseId && field !== 'room' ? 'bg-gray-100' : ''}`}
+                        />
+                      ))}
+                    </div>
+                    <button
+                      onClick={handleAddExtra}
+                      className="w-full flex items-center justify-center px-4 py-2 rounded-lg bg-primary-600 text-white hover:bg-primary-700"
+                    >
+                      <CalendarPlus className="w-4 h-4 mr-2" />
+                      Add extra class
+                    </button>
+                  </>
+                )}
+
+                {action.type === 'holiday' && (
+                  <>
+                    <label className="flex items-center space-x-2 text-sm text-gray-700">
+                      <input
+                        type="checkbox"
+                        checked={form.allSections}
+                        onChange={(e) => setForm({ ...form, allSections: e.target.checked })}
+                      />
+                      <span>Applies to every section, not just {section}</span>
+                    </label>
+                    <button
+                      onClick={handleDeclareHoliday}
+                      className="w-full flex items-center justify-center px-4 py-2 rounded-lg bg-purple-600 text-white hover:bg-purple-700"
+                    >
+                      <CalendarX className="w-4 h-4 mr-2" />
+                      Declare holiday
+                    </button>
+                  </>
+                )}
+
+              </div>
+            )}
+
+            {formError && <p className="mt-3 text-sm text-red-700">{formError}</p>}
+          </div>
+        </div>
+      )}
+    </div>
+  )
+}
+
+// Export the DatedTimetable component as the default export
+export default DatedTimetable
@@ -0,0 +1,89 @@
+/**
+ * ExportMenu Component
+ *
+ * An "Export" button with a dropdown of download formats, shared by the
+ * Timetable, Courses and Rooms pages.
+ *
+ * Features:
+ * - Any number of export options, each with its own handler
+ * - Shows a busy state while an export is being prepared
+ * - Closes when clicking outside
+ */
+
+// Import React hooks for state management and side effects
+import React, { useState, useEffect, useRef } from 'react'
+// Import Lucide React icons for UI elements
+import { Download, ChevronDown } from 'lucide-react'
+
+/**
+ * ExportMenu Component
+ *
+ * @param {Array<Object>} options - Menu items as { label, onSelect } (onSelect may return a promise)
+ * @param {string} className - Classes for the button, to match the page's other buttons
+ */
+const ExportMenu = ({ options, className }) => {
+  const [isOpen, setIsOpen] = useState(false)
+  const [isExporting, setIsExporting] = useState(false)
+  const containerRef = useRef(null)
+
+  // Handle click outside to close the menu
+  useEffect(() => {
+    const handleClickOutside = (event) => {
+      if (containerRef.current && !containerRef.current.contains(event.target)) {
+        setIsOpen(false)
+      }
+    }
+
+    document.addEventListener('mousedown', handleClickOutside)
+    return () => {
+      document.removeEventListener('mousedown', handleClickOutside)
+    }
+  }, [])
+
+  const handleSelect = async (option) => {
+    setIsOpen(false)
+    setIsExporting(true)
+    try {
+      await option.onSelect()
+    } catch (err) {
+      console.error('Export failed', err)
+      alert('Export failed. Please try again.')
+    } finally {
+      setIsExporting(false)
+    }
+  }
+
+  return (
+    <div className="relative" ref={containerRef}>
+      <button
+        onClick={() => setIsOpen(!isOpen)}
+        disabled={isExporting}
+        className={`${className} flex items-center space-x-2 disabled:opacity-50`}
+        aria-haspopup="menu"
+        aria-expanded={isOpen}
+      >
+        <Download className="w-5 h-5" />
+        <span>{isExporting ? 'Exporting...' : 'Export'}</span>
+        <ChevronDown className={`w-4 h-4 transition-transform duration-200 ${isOpen ? 'rotate-180' : ''}`} />
+      </button>
+
+      {isOpen && (
+        <div role="menu" className="absolute right-0 top-full mt-2 w-56 bg-white border border-gray-200 rounded-lg shadow-lg z-20 py-1">
+          {options.map(option => (
+            <button
+              key={option.label}
+              role="menuitem"
+              onClick={() => handleSelect(option)}
+              className="w-full text-left px-4 py-2 text-sm text-gray-700 hover:bg-gray-50"
+            >
+              {option.label}
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  )
+}
+
+// Export the ExportMenu component as the default export
+export default ExportMenu
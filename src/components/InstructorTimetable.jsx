@@ -0,0 +1,154 @@
+/**
+ * InstructorTimetable Component
+ *
+ * The Instructor view of the Timetable page: one instructor's week gathered
+ * from every section's grid.
+ *
+ * Features:
+ * - Searchable instructor picker built from the codes used in the timetables
+ * - Weekly grid showing the section, course and room of each period
+ * - Weekly contact hours, period count and free slots
+ * - Double bookings highlighted in red
+ */
+
+// Import React hooks for state management and memoization
+import React, { useState, useMemo } from 'react'
+// Import Lucide React icons for UI elements
+import { Clock, BookOpen, Coffee, AlertTriangle, MapPin } from 'lucide-react'
+// Import the searchable dropdown used for picking an instructor
+import SearchableSelect from './SearchableSelect'
+// Import instructor schedule helpers
+import { listInstructors, buildInstructorSchedule, formatContactHours } from '../lib/instructorSchedule'
+import { WEEK_DAYS } from '../lib/workingDays'
+
+/**
+ * InstructorTimetable Component
+ *
+ * @param {Object} timetables - timetables[section][day][slotId] for every section
+ * @param {Array<Object>} bellSchedule - Bell schedule
+ * @param {Array<string>} workingDays - Days classes are held
+ */
+const InstructorTimetable = ({ timetables, bellSchedule, workingDays }) => {
+  const instructors = useMemo(() => listInstructors(timetables), [timetables])
+  const [selected, setSelected] = useState('')
+  // Fall back to the first instructor until one is picked (or if the picked one no longer teaches)
+  const instructor = instructors.includes(selected) ? selected : instructors[0] || ''
+
+  const instructorSchedule = useMemo(
+    () => buildInstructorSchedule(timetables, bellSchedule, workingDays, instructor),
+    [timetables, bellSchedule, workingDays, instructor]
+  )
+  const days = WEEK_DAYS.filter(day => workingDays.includes(day))
+
+  if (instructors.length === 0) {
+    return (
+      <div className="bg-white rounded-xl shadow-lg border-2 border-gray-200 p-6 text-gray-600">
+        No instructors are assigned to any period yet.
+      </div>
+    )
+  }
+
+  return (
+    <div className="bg-white rounded-xl shadow-lg border-2 border-gray-200 p-6">
+      {/* Instructor picker and weekly totals */}
+      <div className="flex flex-wrap items-end justify-between gap-6 mb-6">
+        <div className="w-72">
+          <SearchableSelect
+            label="Instructor"
+            options={instructors.map(code => ({ value: code, label: code }))}
+            value={instructor}
+            onChange={(option) => option && setSelected(option.value)}
+            placeholder="Select an instructor"
+          />
+        </div>
+        <div className="flex items-center gap-6">
+          <div className="flex items-center space-x-2">
+            <Clock className="w-5 h-5 text-primary-600" />
+            <div>
+              <div className="text-xs text-gray-500">Contact hours / week</div>
+              <div className="text-lg font-bold text-gray-900">{formatContactHours(instructorSchedule.contactMinutes)}</div>
+            </div>
+          </div>
+          <div className="flex items-center space-x-2">
+            <BookOpen className="w-5 h-5 text-blue-600" />
+            <div>
+              <div className="text-xs text-gray-500">Periods / week</div>
+              <div className="text-lg font-bold text-gray-900">{instructorSchedule.periods}</div>
+            </div>
+          </div>
+          <div className="flex items-center space-x-2">
+            <Coffee className="w-5 h-5 text-green-600" />
+            <div>
+              <div className="text-xs text-gray-500">Free slots</div>
+              <div className="text-lg font-bold text-gray-900">{instructorSchedule.freeSlots.length}</div>
+            </div>
+          </div>
+        </div>
+      </div>
+
+      {/* Weekly grid */}
+      <div className="w-full overflow-x-auto">
+        <table className="w-full border-collapse text-gray-900 min-w-[900px]">
+          <thead>
+            <tr className="border-b-2 border-gray-300">
+              <th className="p-3 text-left font-bold text-gray-800 text-sm">Time</th>
+              {days.map(day => <th key={day} className="p-3 text-center font-bold text-gray-800 text-sm">{day}</th>)}
+            </tr>
+          </thead>
+          <tbody>
+            {bellSchedule.map(slot => (
+              <tr key={slot.id} className="border-b border-gray-200">
+                <td className="p-3 font-bold text-gray-700 text-xs whitespace-nowrap">
+                  <div>{slot.name}</div>
+                  <div className="font-medium text-gray-500">{slot.start}-{slot.end}</div>
+                </td>
+                {days.map(day => {
+                  if (slot.type === 'break') {
+                    return <td key={day} className="p-2 text-center text-xs font-bold uppercase text-orange-800 bg-orange-50">{slot.name}</td>
+                  }
+                  const bookings = instructorSchedule.grid[day]?.[slot.id]
+                  if (!bookings) {
+                    return <td key={day} className="p-2 text-center text-xs font-bold text-green-700 bg-green-50">Free</td>
+                  }
+                  const isDoubleBooked = bookings.length > 1
+                  return (
+                    <td key={day} className={`p-2 align-top text-xs ${isDoubleBooked ? 'bg-red-50 border-2 border-red-300' : 'bg-blue-50'}`}>
+                      {isDoubleBooked && (
+                        <div className="flex items-center space-x-1 text-red-800 font-bold mb-1">
+                          <AlertTriangle className="w-3 h-3 flex-shrink-0" />
+                          <span>Double booked</span>
+                        </div>
+                      )}
+                      {bookings.map(booking => (
+                        <div key={`${booking.section}-${booking.batch}-${booking.start}`} className="mb-1 last:mb-0">
+                          <div className="font-bold text-blue-900">
+                            {booking.section}{booking.batch && ` ${booking.batch}`} • {booking.entry.course || booking.entry.subject}
+                            {booking.start !== slot.id && <span className="font-medium text-gray-500"> (continued)</span>}
+                          </div>
+                          {booking.start === slot.id && (
+                            <>
+                              <div className="text-blue-800">{booking.entry.subject}</div>
+                              {booking.entry.room && (
+                                <div className="flex items-center space-x-1 text-gray-600">
+                                  <MapPin className="w-3 h-3 flex-shrink-0" />
+                                  <span>{booking.entry.room}</span>
+                                </div>
+                              )}
+                            </>
+                          )}
+                        </div>
+                      ))}
+                    </td>
+                  )
+                })}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  )
+}
+
+// Export the InstructorTimetable component as the default export
+export default InstructorTimetable
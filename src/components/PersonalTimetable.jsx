@@ -0,0 +1,126 @@
+/**
+ * PersonalTimetable Component
+ *
+ * The My Timetable view of the Timetable page: the signed-in student's section
+ * grid with the electives they did not choose hidden, and the electives they
+ * chose that are taught to other sections merged in.
+ *
+ * Features:
+ * - Elective choices read from the student's profile
+ * - Read-only weekly grid, with joined periods labelled by their section
+ * - Lists of joined, hidden and overlapping elective periods
+ */
+
+// Import React hook for memoization
+import React, { useMemo } from 'react'
+// Import Link to send students to their profile to choose electives
+import { Link } from 'react-router-dom'
+// Import Lucide React icons for UI elements
+import { GraduationCap, AlertTriangle, EyeOff, Users } from 'lucide-react'
+// Import the read-only grid
+import TimetablePreview from './TimetablePreview'
+// Import elective and bell schedule helpers
+import { buildPersonalTimetable } from '../lib/electives'
+import { getSlot } from '../lib/bellSchedule'
+import { WEEK_DAYS } from '../lib/workingDays'
+
+/**
+ * PersonalTimetable Component
+ *
+ * @param {Object} timetables - timetables[section][day][slotId] for every section
+ * @param {Array<Object>} bellSchedule - Bell schedule
+ * @param {Array<string>} workingDays - Days classes are held
+ * @param {Array<Object>} courses - Course records, for electives recognised by their department
+ * @param {string} section - The student's section
+ * @param {Array<string>} electives - Elective codes the student chose
+ */
+const PersonalTimetable = ({ timetables, bellSchedule, workingDays, courses, section, electives }) => {
+  const personal = useMemo(
+    () => buildPersonalTimetable({ timetables, section, electives, schedule: bellSchedule, courses }),
+    [timetables, section, electives, bellSchedule, courses]
+  )
+
+  const days = WEEK_DAYS.filter(day => workingDays.includes(day))
+  const slotName = (id) => getSlot(bellSchedule, id)?.name || id
+  const hiddenCodes = [...new Set(personal.hidden.map(item => item.entry.course))]
+
+  return (
+    <div className="bg-white rounded-xl shadow-lg border-2 border-gray-200 p-6 space-y-6">
+      <div className="flex flex-wrap items-start justify-between gap-4">
+        <div>
+          <h3 className="text-xl font-bold text-gray-900 flex items-center">
+            <GraduationCap className="w-6 h-6 mr-2 text-primary-600" />
+            My Timetable – {section}
+          </h3>
+          <p className="text-sm text-gray-600 mt-1">
+            {electives.length > 0 ? (
+              <>Electives: <span className="font-medium text-gray-900">{electives.join(', ')}</span></>
+            ) : (
+              'You have not chosen any electives, so every elective of your section is shown.'
+            )}
+          </p>
+        </div>
+        <Link to="/user" className="text-sm text-primary-600 hover:text-primary-700 font-medium">
+          Change electives on your profile
+        </Link>
+      </div>
+
+      <TimetablePreview sectionData={personal.sectionData} bellSchedule={bellSchedule} days={days} />
+
+      {/* What differs from the section's grid */}
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-4 text-sm">
+        <div>
+          <h4 className="font-bold text-gray-800 mb-2 flex items-center">
+            <Users className="w-4 h-4 mr-1 text-purple-700" />
+            Joined from other sections
+          </h4>
+          {personal.added.length === 0 ? (
+            <p className="text-gray-500">None</p>
+          ) : (
+            <ul className="space-y-1">
+              {personal.added.map(item => (
+                <li key={`${item.day}-${item.slotId}`} className="text-gray-700">
+                  <span className="font-medium">{item.entry.course}</span> with {item.section} • {item.day} {slotName(item.slotId)}
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+        <div>
+          <h4 className="font-bold text-gray-800 mb-2 flex items-center">
+            <EyeOff className="w-4 h-4 mr-1 text-gray-500" />
+            Hidden electives
+          </h4>
+          {hiddenCodes.length === 0 ? (
+            <p className="text-gray-500">None</p>
+          ) : (
+            <p className="text-gray-700">{hiddenCodes.join(', ')}</p>
+          )}
+        </div>
+        <div>
+          <h4 className="font-bold text-gray-800 mb-2 flex items-center">
+            <AlertTriangle className="w-4 h-4 mr-1 text-amber-600" />
+            Not placed
+          </h4>
+          {personal.conflicts.length === 0 && personal.missing.length === 0 ? (
+            <p className="text-gray-500">None</p>
+          ) : (
+            <ul className="space-y-1">
+              {personal.conflicts.map(item => (
+                <li key={`${item.section}-${item.day}-${item.slotId}`} className="text-amber-800">
+                  {item.entry.course} with {item.section} ({item.day} {slotName(item.slotId)}) overlaps {item.blockedBy.course || 'another period'}
+                </li>
+              ))}
+              {personal.missing.map(code => (
+                <li key={code} className="text-amber-800">{code} is not taught to any section</li>
+              ))}
+            </ul>
+          )}
+        </div>
+      </div>
+    </div>
+  )
+}
+
+// Export the PersonalTimetable component as the default export
+export default PersonalTimetable
@@ -0,0 +1,120 @@
+/**
+ * RoomTimetable Component
+ *
+ * One room's week worked out from every section's timetable, shown from the
+ * room cards on the Rooms page.
+ *
+ * Features:
+ * - Weekly grid showing the section, course and instructor using the room
+ * - Periods per week and free slots
+ * - Double bookings highlighted in red
+ */
+
+// Import React for JSX
+import React from 'react'
+// Import Lucide React icons for UI elements
+import { BookOpen, Coffee, AlertTriangle } from 'lucide-react'
+// Import the day order used across the app
+import { WEEK_DAYS } from '../lib/workingDays'
+
+/**
+ * RoomTimetable Component
+ *
+ * @param {Object} roomOccupancy - Occupancy of the room from buildRoomOccupancy
+ * @param {Array<Object>} bellSchedule - Bell schedule
+ * @param {Array<string>} workingDays - Days classes are held
+ */
+const RoomTimetable = ({ roomOccupancy, bellSchedule, workingDays }) => {
+  const days = WEEK_DAYS.filter(day => workingDays.includes(day))
+  const freeSlots = days.reduce(
+    (count, day) => count + bellSchedule.filter(slot => slot.type !== 'break' && !roomOccupancy.grid[day]?.[slot.id]).length,
+    0
+  )
+
+  return (
+    <div>
+      {/* Weekly totals */}
+      <div className="flex items-center gap-6 mb-4">
+        <div className="flex items-center space-x-2">
+          <BookOpen className="w-5 h-5 text-blue-600" />
+          <div>
+            <div className="text-xs text-gray-500">Periods / week</div>
+            <div className="text-lg font-bold text-gray-900">{roomOccupancy.periods}</div>
+          </div>
+        </div>
+        <div className="flex items-center space-x-2">
+          <Coffee className="w-5 h-5 text-green-600" />
+          <div>
+            <div className="text-xs text-gray-500">Free slots</div>
+            <div className="text-lg font-bold text-gray-900">{freeSlots}</div>
+          </div>
+        </div>
+        {roomOccupancy.doubleBookings.length > 0 && (
+          <div className="flex items-center space-x-2">
+            <AlertTriangle className="w-5 h-5 text-red-600" />
+            <div>
+              <div className="text-xs text-gray-500">Double-booked slots</div>
+              <div className="text-lg font-bold text-red-700">{roomOccupancy.doubleBookings.length}</div>
+            </div>
+          </div>
+        )}
+      </div>
+
+      {/* Weekly grid */}
+      <div className="w-full overflow-x-auto">
+        <table className="w-full border-collapse text-gray-900 min-w-[800px]">
+          <thead>
+            <tr className="border-b-2 border-gray-300">
+              <th className="p-2 text-left font-bold text-gray-800 text-sm">Time</th>
+              {days.map(day => <th key={day} className="p-2 text-center font-bold text-gray-800 text-sm">{day}</th>)}
+            </tr>
+          </thead>
+          <tbody>
+            {bellSchedule.map(slot => (
+              <tr key={slot.id} className="border-b border-gray-200">
+                <td className="p-2 font-bold text-gray-700 text-xs whitespace-nowrap">
+                  <div>{slot.name}</div>
+                  <div className="font-medium text-gray-500">{slot.start}-{slot.end}</div>
+                </td>
+                {days.map(day => {
+                  if (slot.type === 'break') {
+                    return <td key={day} className="p-2 text-center text-xs font-bold uppercase text-orange-800 bg-orange-50">{slot.name}</td>
+                  }
+                  const bookings = roomOccupancy.grid[day]?.[slot.id]
+                  if (!bookings) {
+                    return <td key={day} className="p-2 text-center text-xs font-bold text-green-700 bg-green-50">Free</td>
+                  }
+                  const isDoubleBooked = bookings.length > 1
+                  return (
+                    <td key={day} className={`p-2 align-top text-xs ${isDoubleBooked ? 'bg-red-50 border-2 border-red-300' : 'bg-blue-50'}`}>
+                      {isDoubleBooked && (
+                        <div className="flex items-center space-x-1 text-red-800 font-bold mb-1">
+                          <AlertTriangle className="w-3 h-3 flex-shrink-0" />
+                          <span>Double booked</span>
+                        </div>
+                      )}
+                      {bookings.map(booking => (
+                        <div key={`${booking.section}-${booking.batch}-${booking.start}`} className="mb-1 last:mb-0">
+                          <div className="font-bold text-blue-900">
+                            {booking.section}{booking.batch && ` ${booking.batch}`} • {booking.entry.course || booking.entry.subject}
+                            {booking.start !== slot.id && <span className="font-medium text-gray-500"> (continued)</span>}
+                          </div>
+                          {booking.start === slot.id && booking.entry.instructor && (
+                            <div className="text-blue-800">{booking.entry.instructor}</div>
+                          )}
+                        </div>
+                      ))}
+                    </td>
+                  )
+                })}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  )
+}
+
+// Export the RoomTimetable component as the default export
+export default RoomTimetable
@@ -9,22 +9,39 @@
  * - Search and filter functionality
  * - Add, edit, and delete room operations
  * - Room availability tracking
- * - Schedule management
+ * - Weekly occupancy worked out from the timetable, with double bookings flagged
  * - Professional room management interface
+ * - CSV/XLSX export of the filtered room list
  */
 
 // Import React and useState hook for state management
 import React, { useState, useEffect, useRef, useMemo } from 'react'
 // Import Lucide React icons for UI elements
-import { Building, Plus, Search, Edit, Trash2, MapPin, Users, Wifi, ChevronDown } from 'lucide-react'
-// Import useNavigate hook for programmatic navigation
-import { useNavigate } from 'react-router-dom'
+import { Building, Plus, Search, Edit, Trash2, MapPin, Users, Wifi, ChevronDown, AlertTriangle, X } from 'lucide-react'
 // Import Clerk authentication hooks
 import { useUser } from '@clerk/clerk-react'
 // Import rooms service for Supabase operations
 import { loadUserRooms, createRoom, updateRoom, deleteRoom } from '../services/roomsService'
 // Import user profile service to get section
 import { loadUserProfile } from '../services/userProfileService'
+// Import timetable service and link helpers to keep linked periods in sync
+import { loadUserTimetable, updateTimetableData } from '../services/timetableService'
+import { applyRoomUpdate } from '../lib/periodLinks'
+// Import timetable helpers and the room occupancy calculation
+import { DEFAULT_TIMETABLES } from '../lib/defaultTimetables'
+import { DEFAULT_BELL_SCHEDULE, normalizeBellSchedule } from '../lib/bellSchedule'
+import { DEFAULT_WORKING_DAYS, normalizeWorkingDays } from '../lib/workingDays'
+import { buildRoomOccupancy, getRoomOccupancy, summarizeRoomOccupancy } from '../lib/roomOccupancy'
+import RoomTimetable from './RoomTimetable'
+// Import export menu and spreadsheet helpers for CSV/XLSX downloads
+import ExportMenu from './ExportMenu'
+import { buildRoomRows, downloadCsv, downloadXlsx } from '../lib/spreadsheetExport'
+// Import the dialog and helpers for saves rejected because the room changed elsewhere
+import ConflictResolveDialog from './ConflictResolveDialog'
+import { isConflictError, listChangedFields } from '../lib/concurrency'
+// Import sections service and helpers for the section to lecture hall lookup
+import { loadUserSections } from '../services/sectionsService'
+import { DEFAULT_SECTIONS, withDefaultSections, getSectionRoomMap, findSection } from '../lib/sections'
 
 /**
  * Rooms Component
@@ -35,12 +52,10 @@ import { loadUserProfile } from '../services/userProfileService'
  * - Add new rooms with detailed information
  * - Edit existing room details
  * - Delete rooms with confirmation
- * - Track room schedules and instructors
+ * - Show when each room is used according to the timetable
  * - Manage room capacity and status
  */
 const Rooms = () => {
-  // Navigation hook for programmatic routing
-  const navigate = useNavigate()
   // Clerk hook to get current user information
   const { user, isSignedIn } = useUser()
   
@@ -49,6 +64,7 @@ const Rooms = () => {
   const [isEditing, setIsEditing] = useState(false)           // Edit mode flag
   const [isAddingRoom, setIsAddingRoom] = useState(false)     // Add mode flag
   const [isLoading, setIsLoading] = useState(true)            // Loading state
+  const [roomConflict, setRoomConflict] = useState(null)      // { mine, current, message, isDelete } for a save or delete rejected as stale
   
   // State for new room form data
   const [newRoom, setNewRoom] = useState({
@@ -67,23 +83,61 @@ const Rooms = () => {
   // State for user section from profile
   const [userSection, setUserSection] = useState('CSE B')
   
-  // Section to lecture hall mapping (matching Timetable component)
-  const sectionToLectureHall = {
-    'CSE A': 'LH-124',
-    'CSE B': 'LH-136',
-    'CSE C': 'LH-132'
-  }
+  // Sections managed on the Timetable page (falls back to the default CSE sections)
+  const [sectionRecords, setSectionRecords] = useState(DEFAULT_SECTIONS)
+
+  // Load the user's sections for the section to lecture hall lookup
+  useEffect(() => {
+    async function fetchSections() {
+      if (!isSignedIn || !user?.id) return
+      try {
+        const records = await loadUserSections(user.id)
+        setSectionRecords(withDefaultSections(records))
+      } catch (error) {
+        console.error('Failed to load sections:', error)
+      }
+    }
+    fetchSections()
+  }, [isSignedIn, user?.id])
+
+  // Section to lecture hall mapping (taken from each section's home room)
+  const sectionToLectureHall = getSectionRoomMap(sectionRecords)
+
+  // Timetable, bell schedule and working week used to work out room occupancy
+  const [timetables, setTimetables] = useState(DEFAULT_TIMETABLES)
+  const [bellSchedule, setBellSchedule] = useState(DEFAULT_BELL_SCHEDULE)
+  const [workingDays, setWorkingDays] = useState(DEFAULT_WORKING_DAYS)
+  // Room whose weekly occupancy grid is open
+  const [scheduleRoom, setScheduleRoom] = useState(null)
+
+  // Load the saved timetable for the occupancy view
+  useEffect(() => {
+    async function fetchTimetable() {
+      if (!isSignedIn || !user?.id) return
+      try {
+        const record = await loadUserTimetable(user.id)
+        const schedule = normalizeBellSchedule(record?.bell_schedule)
+        if (record?.data && typeof record.data === 'object') setTimetables(record.data)
+        setBellSchedule(schedule)
+        setWorkingDays(normalizeWorkingDays(record?.working_days))
+      } catch (error) {
+        console.error('Failed to load timetable:', error)
+      }
+    }
+    fetchTimetable()
+  }, [isSignedIn, user?.id])
   
   // Function to get default rooms based on section
   const getDefaultRooms = (section) => {
     const lectureHall = sectionToLectureHall[section] || 'LH-136'
+    const strength = findSection(sectionRecords, section)?.strength || 65
     
     return [
       // Main Lecture Hall (section-specific)
       {
         id: 1,
         name: lectureHall,
-        capacity: 65,
+        capacity: strength,
         type: 'Lecture Hall',
         status: 'Available',
         subjects: ['Software Engineering', 'Compiler Design', 'Operating Systems', 'Object Oriented Programming', 'Artificial Intelligence', 'Introduction to Industrial Management', 'Constitution of India'],
@@ -210,7 +264,8 @@ const Rooms = () => {
           status: room.status || 'Available', // Ensure status exists
           subjects: room.subjects || [],
           schedule: room.schedule || '',
-          instructors: room.instructors || ''
+          instructors: room.instructors || '',
+          updated_at: room.updated_at
         }))
         
         // Create a map of Supabase rooms by name (lowercase) for quick lookup
@@ -250,7 +305,7 @@ const Rooms = () => {
     }
   }
   fetchRooms()
-}, [isSignedIn, user?.id, userSection])
+}, [isSignedIn, user?.id, userSection, sectionRecords])
 
   // State for search and filter functionality
   const [searchTerm, setSearchTerm] = useState('')             // Search term for filtering rooms
@@ -323,6 +378,12 @@ const Rooms = () => {
     })
   }, [rooms, searchTerm, selectedRoomType])
 
+  // Exports contain only the rooms matching the current search and type filter, for the current section
+  const roomExportOptions = [
+    { label: 'Rooms (CSV)', onSelect: () => downloadCsv(`${userSection} rooms`, buildRoomRows(filteredRooms)) },
+    { label: 'Rooms (XLSX)', onSelect: () => downloadXlsx(`${userSection} rooms`, [{ name: 'Rooms', rows: buildRoomRows(filteredRooms) }]) }
+  ]
+
   /**
    * Calculate statistics for rooms using useMemo for performance
    */
@@ -339,6 +400,14 @@ const Rooms = () => {
     }
   }, [rooms])
 
+  /**
+   * Weekly occupancy of every room, worked out from all sections' periods
+   */
+  const occupancy = useMemo(
+    () => buildRoomOccupancy(timetables, bellSchedule, workingDays, { rooms, sectionRooms: getSectionRoomMap(sectionRecords) }),
+    [timetables, bellSchedule, workingDays, rooms, sectionRecords]
+  )
+
   /**
    * Get status color for room status badges
    */
@@ -357,16 +426,25 @@ const Rooms = () => {
 
   /**
    * Handle room deletion
+   *
+   * @param {string} roomId - The room's ID
+   * @param {string} updatedAt - Version the deletion is based on; defaults to the loaded one
    */
-  const handleDeleteRoom = async (roomId) => {
+  const handleDeleteRoom = async (roomId, updatedAt) => {
+    const room = rooms.find(r => r.id === roomId)
     try {
       if (isSignedIn && user?.id) {
         // Delete from Supabase
-        await deleteRoom(user.id, roomId)
+        await deleteRoom(user.id, roomId, updatedAt || room?.updated_at)
       }
       // Update local state
       setRooms(rooms.filter(room => room.id !== roomId))
     } catch (error) {
+      if (isConflictError(error)) {
+        // Changed elsewhere since it was loaded; let the user compare before deleting
+        setRoomConflict({ mine: room, current: error.current, message: error.message, isDelete: true })
+        return
+      }
       console.error('Failed to delete room:', error)
       // Still update local state even if Supabase fails
       setRooms(rooms.filter(room => room.id !== roomId))
@@ -374,10 +452,10 @@ const Rooms = () => {
   }
 
   /**
-   * Handle view schedule - navigate to timetable
+   * Handle view schedule - open the room's weekly occupancy grid
    */
-  const handleViewSchedule = () => {
-    navigate('/timetable')
+  const handleViewSchedule = (room) => {
+    setScheduleRoom(room)
   }
 
   /**
@@ -410,7 +488,8 @@ const Rooms = () => {
             prevRooms.map(r => 
               r.id === room.id ? {
                 ...updatedRoom,
-                id: savedRoom.id
+                id: savedRoom.id,
+                updated_at: savedRoom.updated_at
               } : r
             )
           )
@@ -421,13 +500,14 @@ const Rooms = () => {
           
           if (existingRoom) {
             // Room exists in Supabase, update it
-            const savedRoom = await updateRoom(user.id, existingRoom.id, updatedRoom)
+            const savedRoom = await updateRoom(user.id, existingRoom.id, { ...updatedRoom, updated_at: existingRoom.updated_at })
             // Update local state with the Supabase ID
             setRooms(prevRooms => 
               prevRooms.map(r => 
                 r.id === room.id ? {
                   ...updatedRoom,
-                  id: savedRoom.id
+                  id: savedRoom.id,
+                  updated_at: savedRoom.updated_at
                 } : r
               )
             )
@@ -445,7 +525,8 @@ const Rooms = () => {
                   status: savedRoom.status,
                   subjects: savedRoom.subjects || [],
                   schedule: savedRoom.schedule || '',
-                  instructors: savedRoom.instructors || ''
+                  instructors: savedRoom.instructors || '',
+                  updated_at: savedRoom.updated_at
                 } : r
               )
             )
@@ -460,6 +541,11 @@ const Rooms = () => {
         )
       }
     } catch (error) {
+      if (isConflictError(error)) {
+        // Changed or deleted elsewhere since it was loaded; let the user compare and choose
+        setRoomConflict({ mine: updatedRoom, current: error.current, message: error.message })
+        return
+      }
       console.error('Failed to update room status in Supabase:', error)
       // Still update local state even if Supabase fails
       setRooms(prevRooms => 
@@ -480,8 +566,16 @@ const Rooms = () => {
         const isSupabaseRoom = typeof updatedRoom.id === 'string' && updatedRoom.id.includes('-')
         
         if (isSupabaseRoom) {
-          // Update in Supabase
-          await updateRoom(user.id, updatedRoom.id, updatedRoom)
+          // Update in Supabase; the saved row's updated_at is the base of the next edit
+          const savedRoom = await updateRoom(user.id, updatedRoom.id, updatedRoom)
+          updatedRoom = { ...updatedRoom, updated_at: savedRoom.updated_at }
+
+          // Refresh the timetable periods linked to this room (its name may have changed)
+          try {
+            await updateTimetableData(user.id, data => applyRoomUpdate(data, updatedRoom))
+          } catch (error) {
+            console.error('Failed to update timetable periods for room:', error)
+          }
         }
       }
       // Update local state
@@ -491,6 +585,10 @@ const Rooms = () => {
       setIsEditing(false)
       setEditingRoom(null)
     } catch (error) {
+      if (isConflictError(error)) {
+        setRoomConflict({ mine: updatedRoom, current: error.current, message: error.message })
+        return
+      }
       console.error('Failed to update room:', error)
       // Still update local state even if Supabase fails
       setRooms(rooms.map(room => 
@@ -501,6 +599,50 @@ const Rooms = () => {
     }
   }
 
+  // Fields compared in the conflict dialog
+  const conflictFields = [
+    { key: 'name', label: 'Name' },
+    { key: 'type', label: 'Type' },
+    { key: 'capacity', label: 'Capacity' },
+    { key: 'status', label: 'Status' },
+    { key: 'subjects', label: 'Subjects' },
+    { key: 'schedule', label: 'Schedule' },
+    { key: 'instructors', label: 'Instructors' }
+  ]
+
+  /**
+   * Save the user's version over the one saved elsewhere, or delete the room anyway
+   */
+  const handleKeepMyRoom = () => {
+    const { mine, current, isDelete } = roomConflict
+    setRoomConflict(null)
+    if (isDelete) handleDeleteRoom(mine.id, current.updated_at)
+    else handleSaveRoom({ ...mine, updated_at: current.updated_at })
+  }
+
+  /**
+   * Drop the user's change and show the saved version, or remove a room deleted elsewhere
+   */
+  const handleUseSavedRoom = () => {
+    const { mine, current } = roomConflict
+    setRooms(prevRooms => current
+      ? prevRooms.map(r => r.id === mine.id || r.id === current.id ? {
+          id: current.id,
+          name: current.name,
+          capacity: current.capacity,
+          type: current.type,
+          status: current.status || 'Available',
+          subjects: current.subjects || [],
+          schedule: current.schedule || '',
+          instructors: current.instructors || '',
+          updated_at: current.updated_at
+        } : r)
+      : prevRooms.filter(r => r.id !== mine.id))
+    setRoomConflict(null)
+    setIsEditing(false)
+    setEditingRoom(null)
+  }
+
   /**
    * Handle cancel edit
    */
@@ -550,7 +692,8 @@ const Rooms = () => {
             status: savedRoom.status,
             subjects: savedRoom.subjects || [],
             schedule: savedRoom.schedule || '',
-            instructors: savedRoom.instructors || ''
+            instructors: savedRoom.instructors || '',
+            updated_at: savedRoom.updated_at
           }])
         } else {
           console.warn('User not signed in, saving locally only')
@@ -653,13 +796,19 @@ const Rooms = () => {
               Manage classroom facilities and track room availability.
             </p>
           </div>
-          <button 
-            onClick={handleAddRoom}
-            className="btn-primary flex items-center px-6 py-3 text-base font-medium"
-          >
-            <Plus className="w-5 h-5 mr-2" />
-            Add New Room
-          </button>
+          <div className="flex items-center space-x-4">
+            <ExportMenu
+              options={roomExportOptions}
+              className="btn-secondary px-6 py-3 text-base font-medium"
+            />
+            <button 
+              onClick={handleAddRoom}
+              className="btn-primary flex items-center px-6 py-3 text-base font-medium"
+            >
+              <Plus className="w-5 h-5 mr-2" />
+              Add New Room
+            </button>
+          </div>
         </div>
       </div>
 
@@ -782,11 +931,38 @@ const Rooms = () => {
                   </div>
                 </div>
               )}
-              {room.schedule && (
-                <div className="text-sm text-gray-600">
-                  <span className="font-medium">Schedule:</span> {room.schedule}
-                </div>
-              )}
+              {/* Weekly use worked out from the timetable */}
+              {(() => {
+                const roomOccupancy = getRoomOccupancy(occupancy, room.name)
+                const bookings = summarizeRoomOccupancy(roomOccupancy, bellSchedule, workingDays)
+                return (
+                  <div className="text-sm text-gray-600">
+                    <div className="flex items-center justify-between">
+                      <span className="font-medium">Schedule:</span>
+                      {roomOccupancy.doubleBookings.length > 0 && (
+                        <span className="inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium bg-red-100 text-red-800">
+                          <AlertTriangle className="w-3 h-3 mr-1" />
+                          Double booked
+                        </span>
+                      )}
+                    </div>
+                    {bookings.length === 0 ? (
+                      <div className="mt-1 text-gray-500">Not used in the timetable</div>
+                    ) : (
+                      <ul className="mt-1 space-y-0.5 max-h-32 overflow-y-auto">
+                        {bookings.map(booking => (
+                          <li
+                            key={`${booking.day}-${booking.start}-${booking.section}-${booking.batch}`}
+                            className={`text-xs ${booking.isDoubleBooked ? 'text-red-700 font-medium' : ''}`}
+                          >
+                            {booking.day.slice(0, 3)} {booking.start}-{booking.end} • {booking.section}{booking.batch && ` ${booking.batch}`} • {booking.course}
+                          </li>
+                        ))}
+                      </ul>
+                    )}
+                  </div>
+                )
+              })()}
               {room.instructors && (
                 <div className="text-sm text-gray-600">
                   <span className="font-medium">Instructors:</span> {room.instructors}
@@ -797,7 +973,7 @@ const Rooms = () => {
             {/* Actions */}
             <div className="flex justify-between items-center pt-4 border-t border-gray-100">
               <button 
-                onClick={handleViewSchedule}
+                onClick={() => handleViewSchedule(room)}
                 className="text-sm text-primary-600 hover:text-primary-700 font-medium"
               >
                 View Schedule
@@ -836,6 +1012,28 @@ const Rooms = () => {
         </div>
       )}
 
+      {/* Room Schedule Modal */}
+      {scheduleRoom && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+          <div className="bg-white rounded-lg p-6 w-full max-w-5xl mx-4 max-h-[90vh] overflow-y-auto">
+            <div className="flex items-center justify-between mb-4">
+              <h3 className="text-lg font-semibold text-gray-900">{scheduleRoom.name} Schedule</h3>
+              <button
+                onClick={() => setScheduleRoom(null)}
+                className="p-2 text-gray-600 hover:text-gray-900 hover:bg-gray-100 rounded-lg transition-colors"
+              >
+                <X className="w-4 h-4" />
+              </button>
+            </div>
+            <RoomTimetable
+              roomOccupancy={getRoomOccupancy(occupancy, scheduleRoom.name)}
+              bellSchedule={bellSchedule}
+              workingDays={workingDays}
+            />
+          </div>
+        </div>
+      )}
+
       {/* Edit Room Modal */}
       {isEditing && editingRoom && (
         <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
@@ -1040,29 +1238,16 @@ const Rooms = () => {
                 </div>
               </div>
 
-              {/* Third row - Schedule and Instructors */}
-              <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
-                <div>
-                  <label className="block text-sm font-medium text-gray-700 mb-1">Schedule</label>
-                  <input
-                    type="text"
-                    value={newRoom.schedule}
-                    onChange={(e) => setNewRoom({...newRoom, schedule: e.target.value})}
-                    className="w-full border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-primary-500"
-                    placeholder="e.g., Monday to Friday, 9:00 AM - 5:00 PM"
-                  />
-                </div>
-
-                <div>
-                  <label className="block text-sm font-medium text-gray-700 mb-1">Instructors</label>
-                  <input
-                    type="text"
-                    value={newRoom.instructors}
-                    onChange={(e) => setNewRoom({...newRoom, instructors: e.target.value})}
-                    className="w-full border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-primary-500"
-                    placeholder="e.g., John Doe, Jane Smith"
-                  />
-                </div>
+              {/* Third row - Instructors (the schedule comes from the timetable) */}
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Instructors</label>
+                <input
+                  type="text"
+                  value={newRoom.instructors}
+                  onChange={(e) => setNewRoom({...newRoom, instructors: e.target.value})}
+                  className="w-full border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-primary-500"
+                  placeholder="e.g., John Doe, Jane Smith"
+                />
               </div>
 
               {/* Fourth row - Subjects (full width) */}
@@ -1116,6 +1301,19 @@ const Rooms = () => {
           </div>
         </div>
       )}
+
+      {/* Save or delete rejected because the room changed elsewhere */}
+      {roomConflict && (
+        <ConflictResolveDialog
+          title={roomConflict.current ? 'This room was changed elsewhere' : 'This room was deleted elsewhere'}
+          message={`${roomConflict.message}. ${roomConflict.isDelete ? 'Delete it anyway or keep the saved version.' : 'Choose which version to keep.'}`}
+          rows={listChangedFields(roomConflict.mine, roomConflict.current, conflictFields)}
+          deleted={!roomConflict.current}
+          keepMineLabel={roomConflict.isDelete ? 'Delete anyway' : undefined}
+          onKeepMine={handleKeepMyRoom}
+          onUseTheirs={handleUseSavedRoom}
+        />
+      )}
     </div>
   )
 }
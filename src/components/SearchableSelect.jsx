@@ -0,0 +1,162 @@
+/**
+ * SearchableSelect Component
+ *
+ * A reusable dropdown with a search box for picking one record from a long list,
+ * e.g. a course or room in the Edit Period modal.
+ *
+ * Features:
+ * - Type to filter options by label or description
+ * - Keyboard navigation (arrow keys, Enter, Escape)
+ * - Closes when clicking outside
+ * - Optional "none" choice to clear the selection
+ */
+
+// Import React hooks for state management and side effects
+import React, { useState, useEffect, useRef } from 'react'
+// Import Lucide React icons for UI elements
+import { ChevronDown, Search } from 'lucide-react'
+
+/**
+ * SearchableSelect Component
+ *
+ * @param {string} label - Field label shown above the dropdown
+ * @param {Array<Object>} options - Options as { value, label, description }
+ * @param {string} value - Value of the selected option ('' for none)
+ * @param {function} onChange - Called with the selected option (or null when cleared)
+ * @param {string} placeholder - Text shown when nothing is selected
+ * @param {string} noneLabel - Label of the option that clears the selection (omit to hide it)
+ */
+const SearchableSelect = ({ label, options, value, onChange, placeholder, noneLabel }) => {
+  const [isOpen, setIsOpen] = useState(false)
+  const [query, setQuery] = useState('')
+  const [activeIndex, setActiveIndex] = useState(0)
+  const containerRef = useRef(null)
+  const searchRef = useRef(null)
+
+  const selected = options.find(option => option.value === value) || null
+
+  // Options matching the search text, with the "none" choice first when enabled
+  const normalizedQuery = query.trim().toLowerCase()
+  const filtered = options.filter(option => (
+    !normalizedQuery ||
+    option.label.toLowerCase().includes(normalizedQuery) ||
+    (option.description || '').toLowerCase().includes(normalizedQuery)
+  ))
+  const choices = noneLabel ? [{ value: '', label: noneLabel }, ...filtered] : filtered
+
+  // Handle click outside to close the dropdown
+  useEffect(() => {
+    const handleClickOutside = (event) => {
+      if (containerRef.current && !containerRef.current.contains(event.target)) {
+        setIsOpen(false)
+      }
+    }
+
+    document.addEventListener('mousedown', handleClickOutside)
+    return () => {
+      document.removeEventListener('mousedown', handleClickOutside)
+    }
+  }, [])
+
+  // Focus the search box and reset the search whenever the dropdown opens
+  useEffect(() => {
+    if (isOpen) {
+      setQuery('')
+      setActiveIndex(0)
+      searchRef.current?.focus()
+    }
+  }, [isOpen])
+
+  const choose = (choice) => {
+    onChange(choice.value ? choice : null)
+    setIsOpen(false)
+  }
+
+  const handleKeyDown = (event) => {
+    switch (event.key) {
+      case 'ArrowDown':
+        event.preventDefault()
+        setActiveIndex(index => Math.min(index + 1, choices.length - 1))
+        break
+      case 'ArrowUp':
+        event.preventDefault()
+        setActiveIndex(index => Math.max(index - 1, 0))
+        break
+      case 'Enter':
+        event.preventDefault()
+        if (choices[activeIndex]) choose(choices[activeIndex])
+        break
+      case 'Escape':
+        event.preventDefault()
+        setIsOpen(false)
+        break
+      default:
+        break
+    }
+  }
+
+  return (
+    <div className="relative" ref={containerRef}>
+      <label className="block text-sm font-medium text-gray-700 mb-1">{label}</label>
+      <button
+        type="button"
+        onClick={() => setIsOpen(!isOpen)}
+        className="w-full border border-gray-300 rounded-lg px-3 py-2 text-left flex items-center justify-between focus:ring-2 focus:ring-primary-500"
+        aria-haspopup="listbox"
+        aria-expanded={isOpen}
+      >
+        <span className={selected ? 'text-gray-900' : 'text-gray-500'}>{selected ? selected.label : placeholder}</span>
+        <ChevronDown className={`w-4 h-4 text-gray-500 transition-transform duration-200 ${isOpen ? 'rotate-180' : ''}`} />
+      </button>
+
+      {isOpen && (
+        <div className="absolute top-full left-0 mt-1 w-full bg-white border border-gray-300 rounded-lg shadow-lg z-10">
+          <div className="flex items-center px-3 py-2 border-b border-gray-200">
+            <Search className="w-4 h-4 text-gray-400 mr-2" />
+            <input
+              ref={searchRef}
+              type="text"
+              value={query}
+              onChange={(e) => {
+                setQuery(e.target.value)
+                setActiveIndex(0)
+              }}
+              onKeyDown={handleKeyDown}
+              placeholder="Search..."
+              className="w-full text-sm outline-none"
+              role="combobox"
+              aria-expanded={isOpen}
+              aria-controls={`${label}-options`}
+              aria-activedescendant={choices[activeIndex] ? `${label}-option-${activeIndex}` : undefined}
+            />
+          </div>
+          <ul id={`${label}-options`} role="listbox" className="max-h-56 overflow-y-auto py-1">
+            {choices.length === 0 && (
+              <li className="px-3 py-2 text-sm text-gray-500">No matches</li>
+            )}
+            {choices.map((choice, index) => (
+              <li
+                key={choice.value || 'none'}
+                id={`${label}-option-${index}`}
+                role="option"
+                aria-selected={choice.value === value}
+                onMouseDown={(e) => e.preventDefault()}
+                onClick={() => choose(choice)}
+                onMouseEnter={() => setActiveIndex(index)}
+                className={`px-3 py-2 cursor-pointer text-sm ${
+                  index === activeIndex ? 'bg-primary-50' : ''
+                } ${choice.value === value ? 'font-bold text-primary-700' : 'text-gray-700'}`}
+              >
+                <div>{choice.label}</div>
+                {choice.description && <div className="text-xs text-gray-500">{choice.description}</div>}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  )
+}
+
+// Export the SearchableSelect component as the default export
+export default SearchableSelect
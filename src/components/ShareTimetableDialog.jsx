@@ -0,0 +1,144 @@
+/**
+ * ShareTimetableDialog Component
+ *
+ * Lets the owner of a timetable share it with other users, who can then open it
+ * from the timetable selector and edit it live alongside the owner (see
+ * create_timetable_members_table.sql for what members may change).
+ *
+ * Key features:
+ * - List of the users the timetable is shared with
+ * - Share with another user by the email on their profile
+ * - Stop sharing with a member
+ */
+
+// Import React hooks for state management and loading the members
+import React, { useState, useEffect } from 'react'
+// Import Lucide React icons for UI elements
+import { Users, Trash2 } from 'lucide-react'
+// Import the timetable sharing service
+import { loadTimetableMembers, shareTimetable, removeTimetableMember } from '../services/timetableMembersService'
+
+/**
+ * ShareTimetableDialog Component
+ *
+ * @param {string} ownerId - Clerk ID of the signed-in owner
+ * @param {function} onClose - Close the dialog
+ */
+const ShareTimetableDialog = ({ ownerId, onClose }) => {
+  const [members, setMembers] = useState(null)  // null while loading
+  const [email, setEmail] = useState('')
+  const [isSharing, setIsSharing] = useState(false)
+  const [error, setError] = useState('')
+
+  useEffect(() => {
+    loadTimetableMembers(ownerId)
+      .then(setMembers)
+      .catch(err => {
+        console.error('Failed to load timetable members', err)
+        setMembers([])
+        setError('Could not load who the timetable is shared with.')
+      })
+  }, [ownerId])
+
+  const handleShare = async () => {
+    if (!email.trim()) return
+    setIsSharing(true)
+    setError('')
+    try {
+      const member = await shareTimetable(email)
+      setMembers(prev => [...(prev || []).filter(m => m.member_id !== member.member_id), member])
+      setEmail('')
+    } catch (err) {
+      console.error('Failed to share timetable', err)
+      setError(err.message || 'Could not share the timetable.')
+    } finally {
+      setIsSharing(false)
+    }
+  }
+
+  const handleRemove = async (member) => {
+    if (!window.confirm(`Stop sharing the timetable with ${member.member_name || member.member_email}?`)) return
+    setError('')
+    try {
+      await removeTimetableMember(ownerId, member.member_id)
+      setMembers(prev => prev.filter(m => m.member_id !== member.member_id))
+    } catch (err) {
+      console.error('Failed to remove timetable member', err)
+      setError('Could not stop sharing with this user.')
+    }
+  }
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+      <div className="bg-white rounded-lg p-6 w-full max-w-lg mx-4 shadow-xl max-h-[90vh] overflow-y-auto">
+        <h3 className="text-lg font-semibold text-gray-900 mb-2 flex items-center">
+          <Users className="w-5 h-5 mr-2 text-primary-600" />
+          Share Timetable
+        </h3>
+        <p className="text-sm text-gray-600 mb-4">
+          People you share with can edit this timetable, its date-specific changes and versions.
+          Sections, courses, rooms and terms stay yours to manage.
+        </p>
+
+        {/* Share with another user */}
+        <div className="flex items-center space-x-3 mb-2">
+          <input
+            type="email"
+            placeholder="Email on their profile"
+            value={email}
+            onChange={(e) => setEmail(e.target.value)}
+            onKeyDown={(e) => e.key === 'Enter' && handleShare()}
+            className="flex-1 border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-primary-500"
+          />
+          <button
+            onClick={handleShare}
+            disabled={!email.trim() || isSharing}
+            className="px-4 py-2 bg-primary-600 text-white rounded-lg hover:bg-primary-700 disabled:opacity-50"
+          >
+            {isSharing ? 'Sharing...' : 'Share'}
+          </button>
+        </div>
+        {error && <p className="text-sm text-red-600 mb-2">{error}</p>}
+
+        {/* Current members */}
+        <div className="mt-4 mb-6">
+          {members === null ? (
+            <p className="text-sm text-gray-500">Loading...</p>
+          ) : members.length === 0 ? (
+            <p className="text-sm text-gray-500">This timetable is not shared with anyone yet.</p>
+          ) : (
+            <div className="border border-gray-200 rounded-lg divide-y divide-gray-200">
+              {members.map(member => (
+                <div key={member.member_id} className="flex items-center justify-between p-3 text-sm">
+                  <div className="min-w-0">
+                    <div className="font-medium text-gray-900 truncate">{member.member_name || member.member_email}</div>
+                    {member.member_name && <div className="text-xs text-gray-500 truncate">{member.member_email}</div>}
+                  </div>
+                  <button
+                    onClick={() => handleRemove(member)}
+                    className="p-1 text-gray-400 hover:text-red-600"
+                    title="Stop sharing"
+                  >
+                    <Trash2 className="w-4 h-4" />
+                  </button>
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+
+        <div className="flex justify-end">
+          <button
+            onClick={onClose}
+            className="px-4 py-2 text-gray-600 border border-gray-300 rounded-lg hover:bg-gray-50 transition-colors"
+          >
+            Close
+          </button>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+// Export the ShareTimetableDialog component as the default export
+export default ShareTimetableDialog
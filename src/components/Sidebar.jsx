@@ -21,12 +21,17 @@ import { useNavigate, useLocation } from 'react-router-dom'
 import { useClerk, useUser } from '@clerk/clerk-react'
 // Import user profile service to load user name
 import { loadUserProfile } from '../services/userProfileService'
+// Import the offline sync indicator and the unsynced change count
+import SyncStatus from './SyncStatus'
+import { countUnsyncedChanges } from '../lib/offlineSync'
 // Import Lucide React icons for navigation items
 import { 
   LayoutDashboard,  // Dashboard icon
   Calendar,         // Timetable icon
   BookOpen,         // Courses icon
+  CalendarRange,    // Terms icon
   Building,         // Rooms icon
+  UserCheck,        // Substitutions icon
   User,             // User icon
   HelpCircle,       // Help icon
   LogOut            // Logout icon
@@ -107,7 +112,9 @@ const Sidebar = ({ activePage, setActivePage }) => {
     { id: 'dashboard', label: 'Dashboard', icon: LayoutDashboard, path: '/dashboard' },
     { id: 'timetable', label: 'Timetable', icon: Calendar, path: '/timetable' },
     { id: 'courses', label: 'Courses', icon: BookOpen, path: '/courses' },
+    { id: 'terms', label: 'Terms', icon: CalendarRange, path: '/terms' },
     { id: 'rooms', label: 'Rooms', icon: Building, path: '/rooms' },
+    { id: 'substitutions', label: 'Substitutions', icon: UserCheck, path: '/substitutions' },
     { id: 'user', label: 'User', icon: User, path: '/user' },
     { id: 'help', label: 'Help', icon: HelpCircle, path: '/help' },
   ]
@@ -148,6 +155,9 @@ const Sidebar = ({ activePage, setActivePage }) => {
    */
   const handleLogout = async () => {
     try {
+      // Changes still waiting to sync are cleared with the offline data on sign-out
+      const unsynced = await countUnsyncedChanges()
+      if (unsynced > 0 && !window.confirm(`${unsynced} change${unsynced === 1 ? ' has' : 's have'} not been synced yet and will be lost if you sign out. Sign out anyway?`)) return
       await signOut()
       // After logout, the App component will automatically show the landing page
       // due to the authentication state change
@@ -192,6 +202,11 @@ const Sidebar = ({ activePage, setActivePage }) => {
         })}
       </nav>
 
+      {/* Sync Status Section - offline mode and queued changes */}
+      <div className="px-4 pb-4">
+        <SyncStatus />
+      </div>
+
       {/* User Information Section */}
       {user && (
         <div className="p-4 border-t border-white/10">
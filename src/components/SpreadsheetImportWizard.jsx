@@ -0,0 +1,256 @@
+/**
+ * SpreadsheetImportWizard Component
+ *
+ * Imports one section's timetable from a CSV or XLSX grid with days as rows
+ * and periods as columns, in three steps:
+ * 1. Upload - choose the file (the first row holds the column headings)
+ * 2. Map - match columns to bell schedule slots and set the cell pattern
+ * 3. Review - fix validation errors, preview the grid and choose how to apply it
+ */
+
+// Import React hooks for state management
+import React, { useState, useMemo } from 'react'
+// Import Lucide React icons for UI elements
+import { FileSpreadsheet, AlertTriangle } from 'lucide-react'
+// Import the preview grid shared with the calendar import
+import TimetablePreview from './TimetablePreview'
+// Import spreadsheet parsing helpers
+import {
+  DEFAULT_CELL_PATTERN,
+  readSpreadsheetFile,
+  guessColumnMapping,
+  compileCellPattern,
+  buildSectionFromRows
+} from '../lib/spreadsheetImport'
+
+/**
+ * SpreadsheetImportWizard Component
+ *
+ * @param {Array<string>} sections - Section names the grid can be imported into
+ * @param {string} defaultSection - Section selected when the wizard opens
+ * @param {Array<Object>} bellSchedule - Bell schedule
+ * @param {Array<string>} workingDays - Days classes are held
+ * @param {Array<Object>} courses - Course records, used to fill in subjects
+ * @param {function} onImport - Called with (section, sectionData, mode); may return a promise
+ * @param {function} onClose - Called when the wizard is closed
+ */
+const SpreadsheetImportWizard = ({ sections, defaultSection, bellSchedule, workingDays, courses, onImport, onClose }) => {
+  const [step, setStep] = useState('upload')  // 'upload' | 'map' | 'review'
+  const [fileName, setFileName] = useState('')
+  const [headers, setHeaders] = useState([])
+  const [rows, setRows] = useState([])
+  const [dayColumn, setDayColumn] = useState(0)
+  const [columnSlots, setColumnSlots] = useState([])
+  const [pattern, setPattern] = useState(DEFAULT_CELL_PATTERN)
+  const [targetSection, setTargetSection] = useState(defaultSection)
+  const [mode, setMode] = useState('replace')  // 'replace' | 'merge'
+  const [isReading, setIsReading] = useState(false)
+  const [isImporting, setIsImporting] = useState(false)
+
+  const patternError = compileCellPattern(pattern).error
+  const result = useMemo(() => (
+    step === 'review'
+      ? buildSectionFromRows(rows, { dayColumn, columnSlots, pattern, schedule: bellSchedule, workingDays, courses })
+      : null
+  ), [step, rows, dayColumn, columnSlots, pattern, bellSchedule, workingDays, courses])
+
+  /**
+   * Read the uploaded file and guess the column mapping
+   */
+  const handleFile = async (event) => {
+    const file = event.target.files?.[0]
+    event.target.value = ''
+    if (!file) return
+    setIsReading(true)
+    try {
+      const sheet = await readSpreadsheetFile(file)
+      if (sheet.length < 2) {
+        alert('The file needs a heading row and at least one day.')
+        return
+      }
+      const [headingRow, ...dataRows] = sheet
+      const guess = guessColumnMapping(headingRow, dataRows, bellSchedule)
+      setFileName(file.name)
+      setHeaders(headingRow)
+      setRows(dataRows)
+      setDayColumn(guess.dayColumn)
+      setColumnSlots(guess.columnSlots)
+      setStep('map')
+    } catch (err) {
+      console.error('Failed to read spreadsheet', err)
+      alert('Failed to read the file. Please upload a .csv or .xlsx file.')
+    } finally {
+      setIsReading(false)
+    }
+  }
+
+  const handleImport = async () => {
+    setIsImporting(true)
+    try {
+      await onImport(targetSection, result.sectionData, mode)
+      onClose()
+    } finally {
+      setIsImporting(false)
+    }
+  }
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+      <div className="bg-white rounded-lg p-6 w-full max-w-5xl mx-4 shadow-xl max-h-[90vh] overflow-y-auto">
+        <h3 className="text-lg font-semibold text-gray-900 mb-1">Import from Spreadsheet</h3>
+        <p className="text-sm text-gray-500 mb-4">
+          Step {step === 'upload' ? 1 : step === 'map' ? 2 : 3} of 3
+          {fileName && ` • ${fileName}`}
+        </p>
+
+        {/* Step 1: choose the file */}
+        {step === 'upload' && (
+          <div>
+            <p className="text-sm text-gray-600 mb-4">
+              Upload a .csv or .xlsx file with one row per day and one column per period. The first row should hold
+              the column headings, e.g. Day, Period 1, Period 2 or 09:30, 10:20. Only the first sheet of a workbook is read.
+            </p>
+            <label className="flex flex-col items-center justify-center border-2 border-dashed border-gray-300 rounded-lg p-8 cursor-pointer hover:bg-gray-50">
+              <FileSpreadsheet className="w-10 h-10 text-gray-400 mb-2" />
+              <span className="text-sm font-medium text-gray-700">{isReading ? 'Reading file...' : 'Choose a .csv or .xlsx file'}</span>
+              <input
+                type="file"
+                accept=".csv,.xlsx,text/csv,application/vnd.openxmlformats-officedocument.spreadsheetml.sheet"
+                onChange={handleFile}
+                disabled={isReading}
+                className="hidden"
+              />
+            </label>
+          </div>
+        )}
+
+        {/* Step 2: map columns to slots and set the cell pattern */}
+        {step === 'map' && (
+          <div className="space-y-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Day column</label>
+              <select
+                value={dayColumn}
+                onChange={(e) => setDayColumn(Number(e.target.value))}
+                className="border border-gray-300 rounded-lg px-3 py-2 text-sm focus:ring-2 focus:ring-primary-500"
+              >
+                {headers.map((header, index) => <option key={index} value={index}>{header || `Column ${index + 1}`}</option>)}
+              </select>
+            </div>
+
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Columns</label>
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-2">
+                {headers.map((header, index) => index !== dayColumn && (
+                  <div key={index} className="flex items-center space-x-2 text-sm">
+                    <span className="w-40 truncate text-gray-700" title={header}>{header || `Column ${index + 1}`}</span>
+                    <select
+                      value={columnSlots[index] || ''}
+                      onChange={(e) => setColumnSlots(columnSlots.map((slotId, i) => (i === index ? e.target.value : slotId)))}
+                      className="flex-1 border border-gray-300 rounded-lg px-2 py-1 focus:ring-2 focus:ring-primary-500"
+                    >
+                      <option value="">Ignore</option>
+                      {bellSchedule.map(slot => (
+                        <option key={slot.id} value={slot.id}>{slot.name} ({slot.start}-{slot.end})</option>
+                      ))}
+                    </select>
+                  </div>
+                ))}
+              </div>
+            </div>
+
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Cell pattern</label>
+              <input
+                type="text"
+                value={pattern}
+                onChange={(e) => setPattern(e.target.value)}
+                className="w-full border border-gray-300 rounded-lg px-3 py-2 font-mono text-sm focus:ring-2 focus:ring-primary-500"
+              />
+              <p className="text-xs text-gray-500 mt-1">
+                Use {'{course}'}, {'{subject}'}, {'{instructor}'} and {'{room}'} around the text that separates them,
+                e.g. {'{course} / {instructor}'} for &quot;PCC CS-501 / J(CS)&quot;. Missing subjects are filled in from your courses.
+              </p>
+              {patternError && <p className="text-sm text-red-700 mt-1">{patternError}</p>}
+            </div>
+          </div>
+        )}
+
+        {/* Step 3: validate, preview and choose how to apply */}
+        {step === 'review' && result && (
+          <div className="space-y-4">
+            <div className="flex flex-wrap items-center gap-6">
+              <div className="flex items-center space-x-2">
+                <label className="text-sm font-medium text-gray-700">Section</label>
+                <select
+                  value={targetSection}
+                  onChange={(e) => setTargetSection(e.target.value)}
+                  className="border border-gray-300 rounded-lg px-3 py-2 text-sm focus:ring-2 focus:ring-primary-500"
+                >
+                  {sections.map(name => <option key={name} value={name}>{name}</option>)}
+                </select>
+              </div>
+              <label className="flex items-center space-x-2 text-sm text-gray-700">
+                <input type="radio" checked={mode === 'replace'} onChange={() => setMode('replace')} />
+                <span>Replace the whole grid</span>
+              </label>
+              <label className="flex items-center space-x-2 text-sm text-gray-700">
+                <input type="radio" checked={mode === 'merge'} onChange={() => setMode('merge')} />
+                <span>Merge (imported periods replace only the cells they cover)</span>
+              </label>
+            </div>
+
+            {result.errors.length > 0 ? (
+              <div className="bg-red-50 border border-red-200 rounded-lg p-3 space-y-1 max-h-48 overflow-y-auto">
+                <p className="text-sm font-bold text-red-800">Fix these problems in the file or the mapping before importing:</p>
+                {result.errors.map((error, index) => (
+                  <div key={index} className="text-sm text-red-800 flex items-center space-x-2">
+                    <AlertTriangle className="w-4 h-4 flex-shrink-0" />
+                    <span>{error.row ? `Row ${error.row}: ` : ''}{error.message}</span>
+                  </div>
+                ))}
+              </div>
+            ) : (
+              <p className="text-sm text-gray-600">
+                {result.periods} period{result.periods === 1 ? '' : 's'} ready to import into {targetSection}.
+              </p>
+            )}
+
+            <TimetablePreview sectionData={result.sectionData} bellSchedule={bellSchedule} days={workingDays} />
+          </div>
+        )}
+
+        <div className="flex justify-end space-x-3 mt-6">
+          <button onClick={onClose} className="px-4 py-2 text-gray-600 border border-gray-300 rounded-lg hover:bg-gray-50">Cancel</button>
+          {step === 'map' && (
+            <>
+              <button onClick={() => setStep('upload')} className="px-4 py-2 bg-gray-200 text-gray-800 rounded-lg hover:bg-gray-300">Back</button>
+              <button
+                onClick={() => setStep('review')}
+                disabled={!!patternError}
+                className="px-4 py-2 bg-primary-600 text-white rounded-lg hover:bg-primary-700 disabled:opacity-50"
+              >
+                Next
+              </button>
+            </>
+          )}
+          {step === 'review' && (
+            <>
+              <button onClick={() => setStep('map')} className="px-4 py-2 bg-gray-200 text-gray-800 rounded-lg hover:bg-gray-300">Back</button>
+              <button
+                onClick={handleImport}
+                disabled={!result || result.errors.length > 0 || result.periods === 0 || !targetSection || isImporting}
+                className="px-4 py-2 bg-primary-600 text-white rounded-lg hover:bg-primary-700 disabled:opacity-50"
+              >
+                {isImporting ? 'Importing...' : `Import into ${targetSection}`}
+              </button>
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  )
+}
+
+// Export the SpreadsheetImportWizard component as the default export
+export default SpreadsheetImportWizard
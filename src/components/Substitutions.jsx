@@ -0,0 +1,466 @@
+/**
+ * Substitutions Component
+ *
+ * Arranges cover when an instructor is away. Instead of overwriting the
+ * instructor on the weekly timetable, each cover is saved as a dated
+ * override, so the timetable is unchanged once the absence is over.
+ *
+ * Key features:
+ * - Mark an instructor absent for a date range
+ * - List every period they would have taught across all sections
+ * - Suggest instructors who are free at that time, least busy first
+ * - Record the cover as a dated substitution
+ * - Print a daily cover sheet
+ */
+
+// Import React hooks for state management and side effects
+import React, { useState, useEffect, useMemo } from 'react'
+// Import Lucide React icons for UI elements
+import { UserX, UserCheck, Printer, Trash2, CheckCircle, AlertTriangle } from 'lucide-react'
+// Import Clerk authentication hooks
+import { useUser } from '@clerk/clerk-react'
+// Import services for the timetable, dated exceptions and absences
+import { loadUserTimetable } from '../services/timetableService'
+import { loadTimetableExceptions, createTimetableException, deleteTimetableException } from '../services/timetableExceptionsService'
+import { loadInstructorAbsences, createInstructorAbsence, deleteInstructorAbsence } from '../services/instructorAbsencesService'
+// Import the searchable dropdown used for picking an instructor
+import SearchableSelect from './SearchableSelect'
+// Import the printable cover sheet
+import CoverSheetPrintView from './CoverSheetPrintView'
+// Import timetable helpers
+import { DEFAULT_TIMETABLES } from '../lib/defaultTimetables'
+import { DEFAULT_BELL_SCHEDULE, normalizeBellSchedule } from '../lib/bellSchedule'
+import { DEFAULT_WORKING_DAYS, normalizeWorkingDays } from '../lib/workingDays'
+import { listInstructors } from '../lib/instructorSchedule'
+import { toDateKey, formatDateKey, toStoredEntry } from '../lib/timetableExceptions'
+import { validateAbsenceDates, isAbsentOn, findAffectedPeriods, suggestSubstitutes, buildCoverSheet } from '../lib/substitutions'
+
+/**
+ * Substitutions Component
+ *
+ * Loads the user's timetable, dated exceptions and absences, and works out
+ * the periods needing cover from the effective schedule of each date.
+ */
+const Substitutions = () => {
+  // Clerk hook to get current user information
+  const { user, isSignedIn } = useUser()
+
+  // Timetable, bell schedule and working week (defaults until the saved timetable loads)
+  const [timetables, setTimetables] = useState(DEFAULT_TIMETABLES)
+  const [bellSchedule, setBellSchedule] = useState(DEFAULT_BELL_SCHEDULE)
+  const [workingDays, setWorkingDays] = useState(DEFAULT_WORKING_DAYS)
+  // Dated exceptions (substitutions are stored here) and absences
+  const [exceptions, setExceptions] = useState([])
+  const [absences, setAbsences] = useState([])
+
+  // New absence form
+  const today = toDateKey(new Date())
+  const [absenceForm, setAbsenceForm] = useState({ instructor: '', start_date: today, end_date: today, reason: '' })
+  const [formError, setFormError] = useState('')
+  // Absence whose periods are listed
+  const [selectedAbsenceId, setSelectedAbsenceId] = useState(null)
+  // Substitute picked for each uncovered period, keyed by date, section and slot
+  const [picks, setPicks] = useState({})
+  // Date of the cover sheet
+  const [coverDate, setCoverDate] = useState(today)
+
+  // Load the timetable, exceptions and absences
+  useEffect(() => {
+    async function fetchData() {
+      if (!isSignedIn || !user?.id) return
+      try {
+        const record = await loadUserTimetable(user.id)
+        const schedule = normalizeBellSchedule(record?.bell_schedule)
+        if (record?.data && typeof record.data === 'object') setTimetables(record.data)
+        setBellSchedule(schedule)
+        setWorkingDays(normalizeWorkingDays(record?.working_days))
+      } catch (error) {
+        console.error('Failed to load timetable:', error)
+      }
+      try {
+        const [loadedExceptions, loadedAbsences] = await Promise.all([
+          loadTimetableExceptions(user.id),
+          loadInstructorAbsences(user.id)
+        ])
+        setExceptions(loadedExceptions)
+        setAbsences(loadedAbsences)
+      } catch (error) {
+        console.error('Failed to load absences and substitutions:', error)
+      }
+    }
+    fetchData()
+  }, [isSignedIn, user?.id])
+
+  const instructors = useMemo(() => listInstructors(timetables), [timetables])
+
+  // Absences that have not ended yet come first, then past ones, most recent first
+  const sortedAbsences = useMemo(() => {
+    const upcoming = absences.filter(absence => absence.end_date >= today)
+    const past = absences.filter(absence => absence.end_date < today).reverse()
+    return [...upcoming, ...past]
+  }, [absences, today])
+
+  const selectedAbsence = absences.find(absence => absence.id === selectedAbsenceId) || sortedAbsences[0] || null
+
+  const affected = useMemo(
+    () => (selectedAbsence
+      ? findAffectedPeriods({ timetables, schedule: bellSchedule, workingDays, exceptions, absence: selectedAbsence })
+      : []),
+    [selectedAbsence, timetables, bellSchedule, workingDays, exceptions]
+  )
+
+  const coverSheetRows = useMemo(
+    () => buildCoverSheet({ timetables, schedule: bellSchedule, workingDays, exceptions, absences, date: coverDate }),
+    [timetables, bellSchedule, workingDays, exceptions, absences, coverDate]
+  )
+
+  const slotLabel = (id) => {
+    const slot = bellSchedule.find(candidate => candidate.id === id)
+    return slot ? `${slot.name} (${slot.start}-${slot.end})` : id
+  }
+
+  const requireSignIn = () => {
+    if (isSignedIn && user?.id) return true
+    alert('Please sign in to manage substitutions.')
+    return false
+  }
+
+  /**
+   * Handle mark absent - save the absence and show its periods
+   */
+  const handleMarkAbsent = async () => {
+    if (!requireSignIn()) return
+    if (!absenceForm.instructor) {
+      setFormError('Please choose the absent instructor.')
+      return
+    }
+    const error = validateAbsenceDates(absenceForm.start_date, absenceForm.end_date)
+    if (error) {
+      setFormError(error)
+      return
+    }
+    try {
+      const saved = await createInstructorAbsence(user.id, absenceForm)
+      setAbsences(prev => [...prev, saved].sort((a, b) => a.start_date.localeCompare(b.start_date)))
+      setSelectedAbsenceId(saved.id)
+      setAbsenceForm({ ...absenceForm, instructor: '', reason: '' })
+      setFormError('')
+    } catch (err) {
+      console.error('Failed to save absence:', err)
+      setFormError('Failed to save the absence. Please try again.')
+    }
+  }
+
+  /**
+   * Handle delete absence - the cover arranged for it is removed too
+   */
+  const handleDeleteAbsence = async (absence) => {
+    if (!requireSignIn()) return
+    if (!window.confirm(`Remove ${absence.instructor}'s absence? Any cover arranged for it will be removed too.`)) return
+    const covers = exceptions.filter(exception => (
+      exception.kind === 'substitute' &&
+      exception.absent_instructor === absence.instructor &&
+      isAbsentOn(absence, exception.date)
+    ))
+    try {
+      await Promise.all(covers.map(exception => deleteTimetableException(user.id, exception.id)))
+      await deleteInstructorAbsence(user.id, absence.id)
+      setExceptions(prev => prev.filter(exception => !covers.includes(exception)))
+      setAbsences(prev => prev.filter(item => item.id !== absence.id))
+      if (selectedAbsenceId === absence.id) setSelectedAbsenceId(null)
+    } catch (err) {
+      console.error('Failed to delete absence:', err)
+      alert('Failed to remove the absence. Please try again.')
+    }
+  }
+
+  const periodKey = (item) => `${item.date}|${item.section}|${item.slotId}`
+
+  /**
+   * Handle assign cover - save the substitution for one period on one date
+   */
+  const handleAssign = async (item, substitute) => {
+    if (!requireSignIn() || !substitute) return
+    try {
+      const saved = await createTimetableException(user.id, {
+        kind: 'substitute',
+        section: item.section,
+        date: item.date,
+        slot_id: item.slotId,
+        entry: toStoredEntry(item.entry),
+        absent_instructor: selectedAbsence.instructor,
+        substitute,
+        note: selectedAbsence.reason
+      })
+      setExceptions(prev => [...prev, saved])
+    } catch (err) {
+      console.error('Failed to save substitution:', err)
+      alert('Failed to save the substitution. Please try again.')
+    }
+  }
+
+  /**
+   * Handle remove cover - the period goes back to needing cover
+   */
+  const handleRemoveCover = async (substitution) => {
+    if (!requireSignIn()) return
+    try {
+      await deleteTimetableException(user.id, substitution.id)
+      setExceptions(prev => prev.filter(exception => exception.id !== substitution.id))
+    } catch (err) {
+      console.error('Failed to remove substitution:', err)
+      alert('Failed to remove the substitution. Please try again.')
+    }
+  }
+
+  const coveredCount = affected.filter(item => item.substitution).length
+
+  return (
+    <div className="min-h-full">
+      {/* Page Header */}
+      <div className="mb-8">
+        <h1 className="text-3xl font-bold text-gray-900 mb-2">Substitutions</h1>
+        <p className="text-gray-600">
+          Mark instructors absent and arrange cover for their periods without changing the weekly timetable.
+        </p>
+      </div>
+
+      <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+        {/* Absences */}
+        <div className="space-y-6">
+          <div className="bg-white rounded-lg shadow-sm border border-gray-100 p-6">
+            <h2 className="text-lg font-semibold text-gray-900 mb-4 flex items-center">
+              <UserX className="w-5 h-5 mr-2 text-red-600" />
+              Mark Absent
+            </h2>
+            <div className="space-y-4">
+              <SearchableSelect
+                label="Instructor"
+                options={instructors.map(code => ({ value: code, label: code }))}
+                value={absenceForm.instructor}
+                onChange={(option) => setAbsenceForm({ ...absenceForm, instructor: option?.value || '' })}
+                placeholder="Select an instructor"
+              />
+              <div className="grid grid-cols-2 gap-2">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">From</label>
+                  <input
+                    type="date"
+                    value={absenceForm.start_date}
+                    onChange={(e) => setAbsenceForm({ ...absenceForm, start_date: e.target.value })}
+                    className="w-full border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-primary-500"
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">To</label>
+                  <input
+                    type="date"
+                    value={absenceForm.end_date}
+                    onChange={(e) => setAbsenceForm({ ...absenceForm, end_date: e.target.value })}
+                    className="w-full border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-primary-500"
+                  />
+                </div>
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Reason</label>
+                <input
+                  type="text"
+                  value={absenceForm.reason}
+                  onChange={(e) => setAbsenceForm({ ...absenceForm, reason: e.target.value })}
+                  className="w-full border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-primary-500"
+                  placeholder="e.g., Conference, Medical leave"
+                />
+              </div>
+              {formError && <p className="text-sm text-red-700">{formError}</p>}
+              <button onClick={handleMarkAbsent} className="btn-primary w-full">
+                Mark Absent
+              </button>
+            </div>
+          </div>
+
+          <div className="bg-white rounded-lg shadow-sm border border-gray-100 p-6">
+            <h2 className="text-lg font-semibold text-gray-900 mb-4">Absences</h2>
+            {sortedAbsences.length === 0 ? (
+              <p className="text-sm text-gray-500">No absences recorded.</p>
+            ) : (
+              <ul className="space-y-2">
+                {sortedAbsences.map(absence => (
+                  <li
+                    key={absence.id}
+                    className={`flex items-center justify-between rounded-lg px-3 py-2 cursor-pointer ${
+                      selectedAbsence?.id === absence.id ? 'bg-primary-50 border border-primary-200' : 'bg-gray-50 hover:bg-gray-100'
+                    } ${absence.end_date < today ? 'opacity-60' : ''}`}
+                    onClick={() => setSelectedAbsenceId(absence.id)}
+                  >
+                    <div className="text-sm">
+                      <div className="font-bold text-gray-900">{absence.instructor}</div>
+                      <div className="text-gray-600">
+                        {absence.start_date === absence.end_date
+                          ? formatDateKey(absence.start_date)
+                          : `${formatDateKey(absence.start_date)} – ${formatDateKey(absence.end_date)}`}
+                        {absence.reason && ` • ${absence.reason}`}
+                      </div>
+                    </div>
+                    <button
+                      onClick={(e) => {
+                        e.stopPropagation()
+                        handleDeleteAbsence(absence)
+                      }}
+                      className="p-2 text-gray-600 hover:text-red-600 hover:bg-red-50 rounded-lg transition-colors"
+                      title="Remove absence"
+                    >
+                      <Trash2 className="w-4 h-4" />
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+
+          {/* Daily cover sheet */}
+          <div className="bg-white rounded-lg shadow-sm border border-gray-100 p-6">
+            <h2 className="text-lg font-semibold text-gray-900 mb-4 flex items-center">
+              <Printer className="w-5 h-5 mr-2 text-gray-700" />
+              Cover Sheet
+            </h2>
+            <div className="flex items-center space-x-2">
+              <input
+                type="date"
+                value={coverDate}
+                onChange={(e) => e.target.value && setCoverDate(e.target.value)}
+                className="flex-1 border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-primary-500"
+              />
+              <button onClick={() => window.print()} className="btn-secondary">
+                Print
+              </button>
+            </div>
+            <p className="text-sm text-gray-600 mt-2">
+              {coverSheetRows.length === 0
+                ? 'No cover needed on this date.'
+                : `${coverSheetRows.length} period${coverSheetRows.length === 1 ? '' : 's'}, ${coverSheetRows.filter(row => !row.substitute).length} without cover.`}
+            </p>
+          </div>
+        </div>
+
+        {/* Affected periods of the selected absence */}
+        <div className="lg:col-span-2 bg-white rounded-lg shadow-sm border border-gray-100 p-6">
+          {!selectedAbsence ? (
+            <p className="text-gray-600">Mark an instructor absent to see the periods that need cover.</p>
+          ) : (
+            <>
+              <div className="flex items-center justify-between mb-4">
+                <h2 className="text-lg font-semibold text-gray-900">
+                  Periods of {selectedAbsence.instructor}
+                </h2>
+                <span className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${
+                  coveredCount === affected.length ? 'bg-green-100 text-green-800' : 'bg-amber-100 text-amber-800'
+                }`}>
+                  {coveredCount} of {affected.length} covered
+                </span>
+              </div>
+
+              {affected.length === 0 ? (
+                <p className="text-sm text-gray-600">No periods fall within this absence.</p>
+              ) : (
+                <div className="w-full overflow-x-auto">
+                  <table className="w-full text-sm">
+                    <thead>
+                      <tr className="border-b-2 border-gray-200 text-left text-gray-700">
+                        <th className="p-2">Date</th>
+                        <th className="p-2">Period</th>
+                        <th className="p-2">Section</th>
+                        <th className="p-2">Course</th>
+                        <th className="p-2">Cover</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {affected.map(item => {
+                        const key = periodKey(item)
+                        if (item.substitution) {
+                          return (
+                            <tr key={key} className="border-b border-gray-100">
+                              <td className="p-2 whitespace-nowrap">{formatDateKey(item.date)}</td>
+                              <td className="p-2 whitespace-nowrap">{slotLabel(item.slotId)}</td>
+                              <td className="p-2">{item.section}</td>
+                              <td className="p-2">{item.entry.course || item.entry.subject}</td>
+                              <td className="p-2">
+                                <div className="flex items-center space-x-2">
+                                  <CheckCircle className="w-4 h-4 text-green-600" />
+                                  <span className="font-medium text-green-800">{item.substitution.substitute}</span>
+                                  <button
+                                    onClick={() => handleRemoveCover(item.substitution)}
+                                    className="text-xs text-gray-500 hover:text-red-600"
+                                  >
+                                    Remove
+                                  </button>
+                                </div>
+                              </td>
+                            </tr>
+                          )
+                        }
+                        const suggestions = suggestSubstitutes({
+                          timetables,
+                          schedule: bellSchedule,
+                          workingDays,
+                          exceptions,
+                          absences,
+                          date: item.date,
+                          slotId: item.slotId,
+                          span: item.span
+                        })
+                        const pick = suggestions.some(option => option.code === picks[key]) ? picks[key] : suggestions[0]?.code || ''
+                        return (
+                          <tr key={key} className="border-b border-gray-100">
+                            <td className="p-2 whitespace-nowrap">{formatDateKey(item.date)}</td>
+                            <td className="p-2 whitespace-nowrap">{slotLabel(item.slotId)}</td>
+                            <td className="p-2">{item.section}</td>
+                            <td className="p-2">{item.entry.course || item.entry.subject}</td>
+                            <td className="p-2">
+                              {suggestions.length === 0 ? (
+                                <span className="flex items-center text-red-700">
+                                  <AlertTriangle className="w-4 h-4 mr-1" />
+                                  No free instructors
+                                </span>
+                              ) : (
+                                <div className="flex items-center space-x-2">
+                                  <select
+                                    value={pick}
+                                    onChange={(e) => setPicks({ ...picks, [key]: e.target.value })}
+                                    className="border border-gray-300 rounded-lg px-2 py-1 focus:ring-2 focus:ring-primary-500"
+                                  >
+                                    {suggestions.map(option => (
+                                      <option key={option.code} value={option.code}>
+                                        {option.code} ({option.periods} period{option.periods === 1 ? '' : 's'} that day)
+                                      </option>
+                                    ))}
+                                  </select>
+                                  <button
+                                    onClick={() => handleAssign(item, pick)}
+                                    className="inline-flex items-center px-3 py-1 rounded-lg bg-primary-600 text-white hover:bg-primary-700"
+                                  >
+                                    <UserCheck className="w-4 h-4 mr-1" />
+                                    Assign
+                                  </button>
+                                </div>
+                              )}
+                            </td>
+                          </tr>
+                        )
+                      })}
+                    </tbody>
+                  </table>
+                </div>
+              )}
+            </>
+          )}
+        </div>
+      </div>
+
+      {/* Printed only */}
+      <CoverSheetPrintView date={coverDate} rows={coverSheetRows} />
+    </div>
+  )
+}
+
+// Export the Substitutions component as the default export
+export default Substitutions
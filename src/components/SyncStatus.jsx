@@ -0,0 +1,121 @@
+/**
+ * SyncStatus Component
+ *
+ * Sync indicator in the sidebar for the offline data layer (see lib/offlineSync):
+ * whether the app is online, how many changes are waiting to be sent, and the
+ * changes that could not be synced.
+ *
+ * Key features:
+ * - Offline, syncing, waiting and synced states at a glance
+ * - Expandable list of conflicting or failed changes
+ * - Keep (send again) or discard each of those changes
+ */
+
+// Import React hooks for state management and the status subscription
+import React, { useState, useEffect } from 'react'
+// Import Lucide React icons for UI elements
+import { Cloud, CloudOff, RefreshCw, AlertTriangle, ChevronDown } from 'lucide-react'
+// Import the sync status feed and conflict resolution
+import { subscribeToSyncStatus, resolveSyncProblem } from '../lib/offlineSync'
+
+/**
+ * SyncStatus Component
+ */
+const SyncStatus = () => {
+  const [status, setStatus] = useState(null)
+  const [isOpen, setIsOpen] = useState(false)  // Problem list expanded
+  const [resolvingId, setResolvingId] = useState(null)  // Change being kept or discarded
+
+  useEffect(() => subscribeToSyncStatus(setStatus), [])
+
+  if (!status) return null
+
+  const plural = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`
+  let Icon = Cloud
+  let title = 'All changes synced'
+  let detail = status.lastSyncedAt ? `Last synced ${new Date(status.lastSyncedAt).toLocaleTimeString()}` : 'Saved to the cloud'
+  if (!status.online) {
+    Icon = CloudOff
+    title = 'Offline'
+    detail = status.pending > 0 ? `${plural(status.pending, 'change')} waiting to sync` : 'Showing data saved on this device'
+  } else if (status.syncing) {
+    Icon = RefreshCw
+    title = 'Syncing…'
+    detail = `${plural(status.pending, 'change')} left`
+  } else if (status.pending > 0) {
+    Icon = RefreshCw
+    title = 'Waiting to sync'
+    detail = `${plural(status.pending, 'change')} queued`
+  }
+
+  const resolve = async (id, keepMine) => {
+    setResolvingId(id)
+    try {
+      await resolveSyncProblem(id, keepMine)
+    } catch (err) {
+      console.error('Failed to resolve sync problem', err)
+    } finally {
+      setResolvingId(null)
+    }
+  }
+
+  return (
+    <div className="px-4 py-3 bg-white/5 rounded-lg text-sm" aria-live="polite">
+      <div className="flex items-center space-x-3">
+        <Icon className={`w-5 h-5 flex-shrink-0 ${status.syncing ? 'animate-spin' : ''} ${status.online ? 'text-primary-100' : 'text-amber-300'}`} />
+        <div className="min-w-0">
+          <div className="font-medium text-white">{title}</div>
+          <div className="text-xs text-primary-100 truncate">{detail}</div>
+        </div>
+      </div>
+
+      {/* Changes rejected on replay wait for the user */}
+      {status.problems.length > 0 && (
+        <div className="mt-3">
+          <button
+            onClick={() => setIsOpen(!isOpen)}
+            className="w-full flex items-center justify-between text-amber-200 hover:text-amber-100 font-medium"
+            aria-expanded={isOpen}
+          >
+            <span className="flex items-center">
+              <AlertTriangle className="w-4 h-4 mr-1" />
+              {plural(status.problems.length, 'change')} not synced
+            </span>
+            <ChevronDown className={`w-4 h-4 transition-transform duration-200 ${isOpen ? 'rotate-180' : ''}`} />
+          </button>
+          {isOpen && (
+            <ul className="mt-2 space-y-2">
+              {status.problems.map(problem => (
+                <li key={problem.id} className="bg-white/10 rounded-md p-2">
+                  <div className="text-white font-medium">{problem.label}</div>
+                  <div className="text-xs text-primary-100 mb-2">{problem.error}</div>
+                  <div className="flex space-x-2">
+                    <button
+                      onClick={() => resolve(problem.id, true)}
+                      disabled={resolvingId === problem.id}
+                      className="text-xs px-2 py-1 rounded bg-white text-primary-700 hover:bg-primary-50 disabled:opacity-50"
+                      title={problem.status === 'conflict' ? 'Save your change over the newer version' : 'Send your change again'}
+                    >
+                      {problem.status === 'conflict' ? 'Keep mine' : 'Retry'}
+                    </button>
+                    <button
+                      onClick={() => resolve(problem.id, false)}
+                      disabled={resolvingId === problem.id}
+                      className="text-xs px-2 py-1 rounded border border-white/30 text-white hover:bg-white/10 disabled:opacity-50"
+                      title="Drop your change; reload the page to see the saved data"
+                    >
+                      Discard
+                    </button>
+                  </div>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+    </div>
+  )
+}
+
+// Export the SyncStatus component as the default export
+export default SyncStatus
@@ -0,0 +1,328 @@
+/**
+ * Terms Component
+ *
+ * Manages the academic terms that courses and the timetable belong to.
+ * The term running today is treated as active across the app: the dashboard
+ * shows how many of its teaching weeks remain, and calendar exports stop at
+ * its last day and skip its breaks.
+ *
+ * Key features:
+ * - Add, edit and delete terms with start and end dates
+ * - Breaks (vacations, exam weeks) within each term
+ * - Teaching week count and progress for each term
+ * - Active term highlighted
+ */
+
+// Import React hooks for state management and side effects
+import React, { useState, useEffect } from 'react'
+// Import Lucide React icons for UI elements
+import { CalendarRange, Plus, Edit, Trash2, X } from 'lucide-react'
+// Import Clerk authentication hooks
+import { useUser } from '@clerk/clerk-react'
+// Import services for terms and the timetable's working week
+import { loadUserTerms, createTerm, updateTerm, deleteTerm } from '../services/termsService'
+import { loadUserTimetable } from '../services/timetableService'
+// Import term and date helpers
+import { DEFAULT_WORKING_DAYS, normalizeWorkingDays } from '../lib/workingDays'
+import { formatDateKey } from '../lib/timetableExceptions'
+import { validateTerm, getActiveTerm, getTermProgress, formatTermDates } from '../lib/terms'
+
+// Empty term form
+const EMPTY_TERM = { id: null, name: '', start_date: '', end_date: '', breaks: [] }
+
+/**
+ * Terms Component
+ *
+ * Loads the user's terms and the working week used to count teaching weeks.
+ */
+const Terms = () => {
+  // Clerk hook to get current user information
+  const { user, isSignedIn } = useUser()
+
+  // Saved terms, ordered by start date
+  const [terms, setTerms] = useState([])
+  // Days classes are held, used to count teaching weeks
+  const [workingDays, setWorkingDays] = useState(DEFAULT_WORKING_DAYS)
+  // Term being added or edited (id is null for a new term)
+  const [form, setForm] = useState(EMPTY_TERM)
+  const [formError, setFormError] = useState('')
+  const [isSaving, setIsSaving] = useState(false)
+
+  // Load terms and the working week
+  useEffect(() => {
+    async function fetchData() {
+      if (!isSignedIn || !user?.id) return
+      try {
+        setTerms(await loadUserTerms(user.id))
+      } catch (error) {
+        console.error('Failed to load terms:', error)
+      }
+      try {
+        const record = await loadUserTimetable(user.id)
+        setWorkingDays(normalizeWorkingDays(record?.working_days))
+      } catch (error) {
+        console.error('Failed to load timetable:', error)
+      }
+    }
+    fetchData()
+  }, [isSignedIn, user?.id])
+
+  const activeTerm = getActiveTerm(terms)
+
+  const updateBreak = (index, field, value) => {
+    setForm(prev => ({
+      ...prev,
+      breaks: prev.breaks.map((item, i) => (i === index ? { ...item, [field]: value } : item))
+    }))
+  }
+
+  const addBreak = () => {
+    setForm(prev => ({ ...prev, breaks: [...prev.breaks, { name: '', start_date: '', end_date: '' }] }))
+  }
+
+  const removeBreak = (index) => {
+    setForm(prev => ({ ...prev, breaks: prev.breaks.filter((_, i) => i !== index) }))
+  }
+
+  const resetForm = () => {
+    setForm(EMPTY_TERM)
+    setFormError('')
+  }
+
+  /**
+   * Handle save term - create a new term or update the one being edited
+   */
+  const handleSave = async () => {
+    if (!isSignedIn || !user?.id) {
+      setFormError('Please sign in to manage terms.')
+      return
+    }
+    const error = validateTerm(form, terms)
+    if (error) {
+      setFormError(error)
+      return
+    }
+    setIsSaving(true)
+    try {
+      const saved = form.id ? await updateTerm(user.id, form.id, form) : await createTerm(user.id, form)
+      setTerms(prev => [...prev.filter(term => term.id !== saved.id), saved].sort((a, b) => a.start_date.localeCompare(b.start_date)))
+      resetForm()
+    } catch (err) {
+      console.error('Failed to save term:', err)
+      setFormError(err.code === '23505' ? 'A term with that name already exists.' : 'Failed to save the term. Please try again.')
+    } finally {
+      setIsSaving(false)
+    }
+  }
+
+  /**
+   * Handle delete term - linked courses and timetables keep their data
+   */
+  const handleDelete = async (term) => {
+    if (!isSignedIn || !user?.id) return
+    if (!window.confirm(`Delete ${term.name}? Courses and timetables linked to it will no longer belong to a term.`)) return
+    try {
+      await deleteTerm(user.id, term.id)
+      setTerms(prev => prev.filter(item => item.id !== term.id))
+      if (form.id === term.id) resetForm()
+    } catch (err) {
+      console.error('Failed to delete term:', err)
+      alert('Failed to delete the term. Please try again.')
+    }
+  }
+
+  return (
+    <div className="min-h-full">
+      {/* Page Header */}
+      <div className="mb-8">
+        <h1 className="text-3xl font-bold text-gray-900 mb-2">Terms</h1>
+        <p className="text-gray-600">
+          Set the dates, breaks and teaching weeks of each academic term. The term running today is used across the app.
+        </p>
+      </div>
+
+      <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+        {/* Add / edit form */}
+        <div className="bg-white rounded-lg shadow-sm border border-gray-100 p-6 h-fit">
+          <h2 className="text-lg font-semibold text-gray-900 mb-4 flex items-center">
+            {form.id ? <Edit className="w-5 h-5 mr-2 text-primary-600" /> : <Plus className="w-5 h-5 mr-2 text-primary-600" />}
+            {form.id ? 'Edit Term' : 'Add Term'}
+          </h2>
+          <div className="space-y-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Name</label>
+              <input
+                type="text"
+                value={form.name}
+                onChange={(e) => setForm({ ...form, name: e.target.value })}
+                className="w-full border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-primary-500"
+                placeholder="e.g., Fall 2025"
+              />
+            </div>
+            <div className="grid grid-cols-2 gap-2">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Starts</label>
+                <input
+                  type="date"
+                  value={form.start_date}
+                  onChange={(e) => setForm({ ...form, start_date: e.target.value })}
+                  className="w-full border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-primary-500"
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Ends</label>
+                <input
+                  type="date"
+                  value={form.end_date}
+                  onChange={(e) => setForm({ ...form, end_date: e.target.value })}
+                  className="w-full border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-primary-500"
+                />
+              </div>
+            </div>
+
+            {/* Breaks within the term */}
+            <div>
+              <div className="flex items-center justify-between mb-1">
+                <label className="block text-sm font-medium text-gray-700">Breaks</label>
+                <button onClick={addBreak} className="text-sm text-primary-600 hover:text-primary-700 font-medium">
+                  + Add break
+                </button>
+              </div>
+              {form.breaks.length === 0 ? (
+                <p className="text-sm text-gray-500">No breaks.</p>
+              ) : (
+                <div className="space-y-3">
+                  {form.breaks.map((item, index) => (
+                    <div key={index} className="bg-gray-50 rounded-lg p-3 space-y-2">
+                      <div className="flex items-center space-x-2">
+                        <input
+                          type="text"
+                          value={item.name}
+                          onChange={(e) => updateBreak(index, 'name', e.target.value)}
+                          className="flex-1 border border-gray-300 rounded-lg px-3 py-1.5 text-sm focus:ring-2 focus:ring-primary-500"
+                          placeholder="e.g., Puja Vacation"
+                        />
+                        <button
+                          onClick={() => removeBreak(index)}
+                          className="p-1.5 text-gray-500 hover:text-red-600 hover:bg-red-50 rounded-lg"
+                          title="Remove break"
+                        >
+                          <X className="w-4 h-4" />
+                        </button>
+                      </div>
+                      <div className="grid grid-cols-2 gap-2">
+                        <input
+                          type="date"
+                          value={item.start_date}
+                          onChange={(e) => updateBreak(index, 'start_date', e.target.value)}
+                          className="border border-gray-300 rounded-lg px-2 py-1.5 text-sm focus:ring-2 focus:ring-primary-500"
+                          aria-label="First day of the break"
+                        />
+                        <input
+                          type="date"
+                          value={item.end_date}
+                          onChange={(e) => updateBreak(index, 'end_date', e.target.value)}
+                          className="border border-gray-300 rounded-lg px-2 py-1.5 text-sm focus:ring-2 focus:ring-primary-500"
+                          aria-label="Last day of the break"
+                        />
+                      </div>
+                    </div>
+                  ))}
+                </div>
+              )}
+            </div>
+
+            {formError && <p className="text-sm text-red-700">{formError}</p>}
+            <div className="flex space-x-2">
+              <button onClick={handleSave} disabled={isSaving} className="btn-primary flex-1 disabled:opacity-50">
+                {form.id ? 'Save Changes' : 'Add Term'}
+              </button>
+              {form.id && (
+                <button onClick={resetForm} className="btn-secondary">
+                  Cancel
+                </button>
+              )}
+            </div>
+          </div>
+        </div>
+
+        {/* Saved terms */}
+        <div className="lg:col-span-2 space-y-4">
+          {terms.length === 0 ? (
+            <div className="bg-white rounded-lg shadow-sm border border-gray-100 p-6">
+              <p className="text-gray-600">No terms yet. Add the current term to track its teaching weeks.</p>
+            </div>
+          ) : (
+            terms.map(term => {
+              const progress = getTermProgress(term, workingDays)
+              const isActive = activeTerm?.id === term.id
+              return (
+                <div
+                  key={term.id}
+                  className={`bg-white rounded-lg shadow-sm border p-6 ${isActive ? 'border-primary-300' : 'border-gray-100'}`}
+                >
+                  <div className="flex items-start justify-between">
+                    <div>
+                      <h3 className="text-lg font-semibold text-gray-900 flex items-center">
+                        <CalendarRange className="w-5 h-5 mr-2 text-primary-600" />
+                        {term.name}
+                        {isActive && (
+                          <span className="ml-2 inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-primary-100 text-primary-800">
+                            Active
+                          </span>
+                        )}
+                      </h3>
+                      <p className="text-sm text-gray-600 mt-1">{formatTermDates(term)}</p>
+                    </div>
+                    <div className="flex items-center space-x-1">
+                      <button
+                        onClick={() => {
+                          setForm({ ...term, breaks: term.breaks || [] })
+                          setFormError('')
+                        }}
+                        className="p-2 text-gray-600 hover:text-primary-600 hover:bg-primary-50 rounded-lg transition-colors"
+                        title="Edit term"
+                      >
+                        <Edit className="w-4 h-4" />
+                      </button>
+                      <button
+                        onClick={() => handleDelete(term)}
+                        className="p-2 text-gray-600 hover:text-red-600 hover:bg-red-50 rounded-lg transition-colors"
+                        title="Delete term"
+                      >
+                        <Trash2 className="w-4 h-4" />
+                      </button>
+                    </div>
+                  </div>
+
+                  <div className="mt-4 text-sm text-gray-700">
+                    <span className="font-bold">{progress.total}</span> teaching week{progress.total === 1 ? '' : 's'}
+                    {progress.current && ` • Week ${progress.current}`}
+                    {progress.remaining < progress.total && ` • ${progress.remaining} left`}
+                  </div>
+
+                  {(term.breaks || []).length > 0 && (
+                    <ul className="mt-3 space-y-1">
+                      {term.breaks.map((item, index) => (
+                        <li key={index} className="text-sm text-gray-600">
+                          <span className="font-medium text-gray-800">{item.name}</span>
+                          {': '}
+                          {item.start_date === item.end_date
+                            ? formatDateKey(item.start_date)
+                            : `${formatDateKey(item.start_date)} – ${formatDateKey(item.end_date)}`}
+                        </li>
+                      ))}
+                    </ul>
+                  )}
+                </div>
+              )
+            })
+          )}
+        </div>
+      </div>
+    </div>
+  )
+}
+
+// Export the Terms component as the default export
+export default Terms
@@ -10,16 +10,96 @@
  * - Real-time class data display
  * - Professional grid layout
  * - Responsive design for different screen sizes
+ * - Automatic clash-free timetable generation from courses and rooms
+ * - Cross-section clash detection with inline warnings and a clash report
+ * - Configurable bell schedule with named periods and breaks of any length
+ * - Configurable working week per timetable
+ * - User-managed sections with home room, strength, program and semester
+ * - Multi-period blocks (e.g. labs) rendered as one merged cell
+ * - Batches (e.g. B1/B2) in parallel sessions within one slot, optionally rotating weekly
+ * - Personal view for students, following the elective choices in their profile
+ * - Live collaborative editing: cell-level merges of other editors' saves and their open cells
+ * - Sharing a timetable with other users, who edit it live alongside the owner
+ * - Stale saves rejected cell by cell, with a dialog to keep either version
+ * - Drag-and-drop (or keyboard) rescheduling with live clash validation
+ * - Undo/redo for edits, deletes, moves and generated timetables
+ * - Named and automatic version snapshots with diff and restore
+ * - Periods linked to course and room records via searchable dropdowns
+ * - Export a section's timetable to calendar apps (.ics) and import one from an .ics file
+ * - Import a section's grid from a CSV or Excel spreadsheet
+ * - Export the current section as CSV (grid or list layout) or XLSX
+ * - Print-ready landscape layout and PDF download, for one or all sections
+ * - Instructor view gathering one instructor's week from every section
+ * - Linked to an academic term, whose dates and breaks bound calendar exports
  */
 
 // Import React and useState hook for state management
-import React, { useState, useEffect, useRef } from 'react'
+import React, { useState, useEffect, useRef, useMemo } from 'react'
 // Import useLocation hook to get navigation state
 import { useLocation } from 'react-router-dom'
 // Import Lucide React icons for UI elements
-import { Calendar, Clock, MapPin, Users, Settings, Eye, EyeOff, Edit, ChevronDown } from 'lucide-react'
+import { Calendar, Clock, MapPin, Users, Settings, Eye, EyeOff, Edit, ChevronDown, Wand2, AlertTriangle, Bell, Plus, Trash2, GripVertical, Undo2, Redo2, History, CalendarPlus, Upload, FileSpreadsheet, Printer, Radio, Share2 } from 'lucide-react'
 import { useUser } from '@clerk/clerk-react'
-import { loadUserTimetable, upsertUserTimetable } from '../services/timetableService'
+import SearchableSelect from './SearchableSelect'
+import TimetablePreview from './TimetablePreview'
+import SpreadsheetImportWizard from './SpreadsheetImportWizard'
+import ExportMenu from './ExportMenu'
+import TimetablePrintView from './TimetablePrintView'
+import InstructorTimetable from './InstructorTimetable'
+import DatedTimetable from './DatedTimetable'
+import PersonalTimetable from './PersonalTimetable'
+import BatchSessionsEditor from './BatchSessionsEditor'
+import BatchSessionList from './BatchSessionList'
+import ConflictResolveDialog from './ConflictResolveDialog'
+import ShareTimetableDialog from './ShareTimetableDialog'
+import { loadUserTimetable, upsertUserTimetable, saveTimetableChanges, subscribeToTimetable } from '../services/timetableService'
+import { loadUserCourses } from '../services/coursesService'
+import { loadUserRooms } from '../services/roomsService'
+import { loadTimetableVersions, createTimetableVersion, deleteTimetableVersion } from '../services/timetableVersionsService'
+import { loadTimetableExceptions, createTimetableException, deleteTimetableException } from '../services/timetableExceptionsService'
+import { loadUserSections, createSection, updateSection, renameSection, setSectionArchived } from '../services/sectionsService'
+import { loadUserTerms } from '../services/termsService'
+import { loadUserProfile } from '../services/userProfileService'
+import { loadSharedTimetables } from '../services/timetableMembersService'
+import { generateTimetables } from '../lib/timetableGenerator'
+import { getPeriodLabel, syncLinkedPeriods } from '../lib/periodLinks'
+import { buildSectionCalendar, validateTermDates, parseCalendar, mapEventsToTimetable, applyImportedSection } from '../lib/icalendar'
+import { downloadFile, toFileName } from '../lib/download'
+import { buildTimetableGridRows, buildTimetableListRows, downloadCsv, downloadXlsx } from '../lib/spreadsheetExport'
+import { PAPER_SIZES } from '../lib/printLayout'
+import { downloadTimetablePdf } from '../lib/timetablePdf'
+import { detectClashes, findClashesForPeriod, describeClash } from '../lib/clashDetection'
+import {
+  DEFAULT_BELL_SCHEDULE,
+  normalizeBellSchedule,
+  validateBellSchedule,
+  sortBellSchedule,
+  createSlotId,
+  getSlotKeys,
+  getBreakKeys,
+  getSlot,
+  findSlotAt,
+  formatSlotRange,
+  toMinutes
+} from '../lib/bellSchedule'
+import {
+  WEEK_DAYS,
+  DEFAULT_WORKING_DAYS,
+  normalizeWorkingDays,
+  isWorkingDay,
+  getNonWorkingDays,
+  getDayName,
+  formatDayList
+} from '../lib/workingDays'
+import { DEFAULT_SECTIONS, withDefaultSections, getActiveSectionNames, findSection, getSectionRoomMap, renameSectionGrid } from '../lib/sections'
+import { DEFAULT_TIMETABLES } from '../lib/defaultTimetables'
+import { diffTimetables, describePeriod, summarizeDiff } from '../lib/timetableDiff'
+import { createHistory, recordChange, undoChange, redoChange, rebaseHistory } from '../lib/editHistory'
+import { diffCells, applyCells, mergeRemoteChanges, getCellKey, getCellEditors, getEditorColor, isNewerVersion } from '../lib/collaboration'
+import { isConflictError } from '../lib/concurrency'
+import { getSpan, getBlockSlots, findBlockAt, validateBlockPlacement, expandBlocks, moveBlock, remapPeriods } from '../lib/periodBlocks'
+import { DEFAULT_TERM_NAME, getActiveTerm, getBreakDates } from '../lib/terms'
+import { getSessions, buildBatchEntry, splitIntoBatches, validateSessions } from '../lib/batchSessions'
 
 /**
  * Timetable Component
@@ -52,8 +132,57 @@ const Timetable = () => {
     localStorage.setItem('selectedSection', section)
   }, [section])
 
-  // Sections for dropdown
-  const sections = ['CSE A', 'CSE B', 'CSE C']
+  // The timetable being edited: the user's own or one shared with them (see timetableMembersService).
+  // Its owner's ID scopes the timetable and everything it is built from; the profile stays the user's.
+  const [sharedOwnerId, setSharedOwnerId] = useState(null)  // null for the user's own timetable
+  const [sharedTimetables, setSharedTimetables] = useState([])  // Memberships of timetables shared with the user
+  const [isShareDialogOpen, setIsShareDialogOpen] = useState(false)
+  const ownerId = sharedOwnerId || user?.id
+  const isSharedTimetable = Boolean(sharedOwnerId)
+
+  useEffect(() => {
+    async function fetchSharedTimetables() {
+      if (!isSignedIn || !user?.id) return
+      try {
+        setSharedTimetables(await loadSharedTimetables(user.id))
+      } catch (err) {
+        console.error('Failed to load shared timetables', err)
+      }
+    }
+    fetchSharedTimetables()
+  }, [isSignedIn, user?.id])
+
+  // Sections managed by the user (falls back to the default CSE sections)
+  const [sectionRecords, setSectionRecords] = useState(DEFAULT_SECTIONS)
+
+  // Load the user's sections on mount / user change
+  useEffect(() => {
+    async function fetchSections() {
+      if (!isSignedIn || !ownerId) return
+      try {
+        const records = await loadUserSections(ownerId)
+        setSectionRecords(withDefaultSections(records))
+      } catch (err) {
+        console.error('Failed to load sections', err)
+      }
+    }
+    fetchSections()
+  }, [isSignedIn, ownerId])
+
+  // Sections for dropdown - archived sections are hidden but keep their timetable
+  const sections = getActiveSectionNames(sectionRecords)
+  const activeSectionRecord = findSection(sectionRecords, section)
+
+  // Room mapping per section, taken from each section's home room
+  const sectionRoom = getSectionRoomMap(sectionRecords)
+
+  // Fall back to the first active section if the selected one was archived or removed
+  useEffect(() => {
+    if (sections.length > 0 && !sections.includes(section)) {
+      setSection(sections[0])
+    }
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [sectionRecords])
 
   // Ref for section dropdown
   const sectionDropdownRef = useRef(null)
@@ -79,7 +208,7 @@ const Timetable = () => {
       
       // Scroll to lab sessions area after a short delay
       setTimeout(() => {
-        const labSessions = document.querySelectorAll('[data-time="14:30-15:20"], [data-time="15:20-16:10"], [data-time="16:10-17:00"]')
+        const labSessions = document.querySelectorAll('[data-lab="true"]')
         if (labSessions.length > 0) {
           labSessions[0].scrollIntoView({ 
             behavior: 'smooth', 
@@ -96,277 +225,70 @@ const Timetable = () => {
     }
   }, [location.state])
 
-  // Timetable data for 5th Semester CSE A
-  const timetableDataA = {
-    'Monday': {
-      '09:30-10:20': null,
-      '10:20-11:10': null,
-      '11:10-12:00': null,
-      '12:00-12:50': null,
-      'LUNCH': { subject: 'Lunch Break', room: '', instructor: '' },
-      '13:40-14:30': { course: 'PCC CS-592 (LAB 13&14)', instructor: 'RKM(CS)+AS(CS)+SP(CS)+AD(CS)', subject: 'Operating Systems Lab' },
-      '14:30-15:20': { course: 'PCC CS-592 (LAB 3&4)', instructor: 'RKM(CS)+AS(CS)+SP(CS)+AD(CS)', subject: 'Operating Systems Lab' },
-      '15:20-16:10': { course: 'PCC CS-592 (LAB 3&4)', instructor: 'RKM(CS)+AS(CS)+SP(CS)+AD(CS)', subject: 'Operating Systems Lab' },
-      '16:10-17:00': { course: 'PCC CS-592 (LAB 3&4)', instructor: 'RKM(CS)+AS(CS)+SP(CS)+AD(CS)', subject: 'Operating Systems Lab' }
-    },
-    'Tuesday': {
-      '09:30-10:20': { course: 'PCC CS-501', instructor: 'J(CS)', subject: 'Compiler Design' },
-      '10:20-11:10': { course: 'ESC-501', instructor: 'BR(CS)', subject: 'Software Engineering' },
-      '11:10-12:00': { course: 'PCC CS-502', instructor: 'RKM(CS)', subject: 'Operating Systems' },
-      '12:00-12:50': { course: 'MC CS-501A', instructor: 'TB(E)', subject: 'Constitution of India' },
-      'LUNCH': { subject: 'Lunch Break', room: '', instructor: '' },
-      '13:40-14:30': { course: 'PCC CS-503', instructor: 'SKHC(CS)', subject: 'Object Oriented Programming' },
-      '14:30-15:20': { course: 'PCC CS-592 (LAB 3&4)', instructor: 'RKM(CS)+AS(CS)+SP(CS)+AD(CS)', subject: 'Operating Systems Lab' },
-      '15:20-16:10': { course: 'PCC CS-592 (LAB 3&4)', instructor: 'RKM(CS)+AS(CS)+SP(CS)+AD(CS)', subject: 'Operating Systems Lab' },
-      '16:10-17:00': { course: 'PCC CS-592 (LAB 3&4)', instructor: 'RKM(CS)+AS(CS)+SP(CS)+AD(CS)', subject: 'Operating Systems Lab' }
-    },
-    'Wednesday': {
-      '09:30-10:20': { course: 'PEC IT-501B', instructor: 'PC(CS)', subject: 'Artificial Intelligence' },
-      '10:20-11:10': { course: 'ESC-501', instructor: 'BR(CS)', subject: 'Software Engineering' },
-      '11:10-12:00': { course: 'PCC CS-502', instructor: 'RKM(CS)', subject: 'Operating Systems' },
-      '12:00-12:50': { course: 'PCC CS-501', instructor: 'J(CS)', subject: 'Compiler Design' },
-      'LUNCH': { subject: 'Lunch Break', room: '', instructor: '' },
-      '13:40-14:30': { course: 'LIB', instructor: '', subject: 'Library' },
-      '14:30-15:20': { course: 'HSMC 501', instructor: 'NF', subject: 'Introduction to Industrial Management' },
-      '15:20-16:10': { course: 'MC CS-501A', instructor: 'TB(E)', subject: 'Constitution of India' },
-      '16:10-17:00': { course: 'GROOM', instructor: 'BR(CS)', subject: 'Grooming Session' }
-    },
-    'Thursday': {
-      '09:30-10:20': { course: 'PCC CS-501', instructor: 'J(CS)', subject: 'Compiler Design' },
-      '10:20-11:10': { course: 'PCC CS-503', instructor: 'SKHC(CS)', subject: 'Object Oriented Programming' },
-      '11:10-12:00': { course: 'ESC-501', instructor: 'BR(CS)', subject: 'Software Engineering' },
-      '12:00-12:50': { course: 'PEC IT-501B', instructor: 'PC(CS)', subject: 'Artificial Intelligence' },
-      'LUNCH': { subject: 'Lunch Break', room: '', instructor: '' },
-      '13:40-14:30': { course: 'LIB', instructor: '', subject: 'Library' },
-      '14:30-15:20': { course: 'PCC CS-593 (LAB 7&8)', instructor: 'SKHC(CS)+AS(CS)+PC(CS)+AD(CS)', subject: 'Object Oriented Programming Lab' },
-      '15:20-16:10': { course: 'PCC CS-593 (LAB 7&8)', instructor: 'SKHC(CS)+AS(CS)+PC(CS)+AD(CS)', subject: 'Object Oriented Programming Lab' },
-      '16:10-17:00': { course: 'PCC CS-593 (LAB 7&8)', instructor: 'SKHC(CS)+AS(CS)+PC(CS)+AD(CS)', subject: 'Object Oriented Programming Lab' }
-    },
-    'Friday': {
-      '09:30-10:20': { course: 'ESC-501', instructor: 'BR(CS)', subject: 'Software Engineering' },
-      '10:20-11:10': { course: 'PCC CS-502', instructor: 'RKM(CS)', subject: 'Operating Systems' },
-      '11:10-12:00': { course: 'PEC IT-501B', instructor: 'PC(CS)', subject: 'Artificial Intelligence' },
-      '12:00-12:50': { course: 'PCC CS-503', instructor: 'SKHC(CS)', subject: 'Object Oriented Programming' },
-      'LUNCH': { subject: 'Lunch Break', room: '', instructor: '' },
-      '13:40-14:30': { course: 'LIB', instructor: '', subject: 'Library' },
-      '14:30-15:20': { course: 'ESC 591 (LAB 3&4)', instructor: 'BR(CS)+PR(CS)+LKM(CS)', subject: 'Software Engineering Lab' },
-      '15:20-16:10': { course: 'ESC 591 (LAB 3&4)', instructor: 'BR(CS)+PR(CS)+LKM(CS)', subject: 'Software Engineering Lab' },
-      '16:10-17:00': { course: 'ESC 591 (LAB 3&4)', instructor: 'BR(CS)+PR(CS)+LKM(CS)', subject: 'Software Engineering Lab' }
-    },
-    'Saturday': {
-      '09:30-10:20': { course: 'PCC CS-502', instructor: 'RKM(CS)', subject: 'Operating Systems' },
-      '10:20-11:10': { course: 'PCC CS-503', instructor: 'SKHC(CS)', subject: 'Object Oriented Programming' },
-      '11:10-12:00': { course: 'PEC IT-501B', instructor: 'PC(CS)', subject: 'Artificial Intelligence' },
-      '12:00-12:50': { course: 'PCC CS-501', instructor: 'J(CS)', subject: 'Compiler Design' },
-      'LUNCH': { subject: 'Lunch Break', room: '', instructor: '' },
-      '13:40-14:30': { course: 'LIB', instructor: '', subject: 'Library' },
-      '14:30-15:20': { course: 'HSMC 501', instructor: 'NF', subject: 'Introduction to Industrial Management' },
-      '15:20-16:10': { course: 'HSMC 501', instructor: 'NF', subject: 'Introduction to Industrial Management' },
-      '16:10-17:00': { course: 'APTI', instructor: 'BR(CS)', subject: 'Aptitude Training' }
-    },
-    'Sunday': {
-      '09:30-10:20': null,
-      '10:20-11:10': null,
-      '11:10-12:00': null,
-      '12:00-12:50': null,
-      'LUNCH': { subject: 'Lunch Break', room: '', instructor: '' },
-      '13:40-14:30': null,
-      '14:30-15:20': null,
-      '15:20-16:10': null,
-      '16:10-17:00': null
-    }
-  }
-
-  // Sample timetable data for 5th Semester CSE B
-  // Contains detailed schedule for each day and time slot
-  const timetableDataB = {
-    // Monday - No classes (weekend)
-    'Monday': {
-      '09:30-10:20': null,
-      '10:20-11:10': null,
-      '11:10-12:00': null,
-      '12:00-12:50': null,
-      'LUNCH': { subject: 'Lunch Break', room: '', instructor: '' },
-      '13:40-14:30': null,
-      '14:30-15:20': null,
-      '15:20-16:10': null,
-      '16:10-17:00': null
-    },
-    // Tuesday - Regular class schedule
-    'Tuesday': {
-      '09:30-10:20': { course: 'PCC CS-503', instructor: 'AB(CS)', subject: 'Object Oriented Programming' },
-      '10:20-11:10': { course: 'ESC-501', instructor: 'SAR(CS)', subject: 'Software Engineering' },
-      '11:10-12:00': { course: 'PEC IT-501B', instructor: 'PKP(CS)', subject: 'Artificial Intelligence' },
-      '12:00-12:50': { course: 'PCC CS-502', instructor: 'BTM(CS)', subject: 'Operating Systems' },
-      'LUNCH': { subject: 'Lunch Break', room: '', instructor: '' },
-      '13:40-14:30': { course: 'HSMC 501', instructor: 'NF', subject: 'Introduction to Industrial Management' },
-      '14:30-15:20': { course: 'PCC CS-502', instructor: 'BTM(CS)', subject: 'Operating Systems' },
-      '15:20-16:10': { course: 'MC CS-501A', instructor: 'TB(E)', subject: 'Constitution of India' },
-      '16:10-17:00': { course: 'GROOM', instructor: 'PR(CS)', subject: 'Grooming Session' }
-    },
-    // Wednesday - Regular class schedule with lab sessions
-    'Wednesday': {
-      '09:30-10:20': { course: 'PCC CS-501', instructor: 'RDB(CS)', subject: 'Compiler Design' },
-      '10:20-11:10': { course: 'ESC-501', instructor: 'SAR(CS)', subject: 'Software Engineering' },
-      '11:10-12:00': { course: 'PEC IT-501B', instructor: 'PKP(CS)', subject: 'Artificial Intelligence' },
-      '12:00-12:50': { course: 'PCC CS-502', instructor: 'BTM(CS)', subject: 'Operating Systems' },
-      'LUNCH': { subject: 'Lunch Break', room: '', instructor: '' },
-      '13:40-14:30': { course: 'HSMC 501', instructor: 'NF', subject: 'Introduction to Industrial Management' },
-      '14:30-15:20': { course: 'ESC 591 (LAB 3&4)', instructor: 'SAR(CS)+SKHC(CS)+ASH(CS)+SHD(CS)', subject: 'Software Engineering Lab' },
-      '15:20-16:10': { course: 'ESC 591 (LAB 3&4)', instructor: 'SAR(CS)+SKHC(CS)+ASH(CS)+SHD(CS)', subject: 'Software Engineering Lab' },
-      '16:10-17:00': { course: 'ESC 591 (LAB 3&4)', instructor: 'SAR(CS)+SKHC(CS)+ASH(CS)+SHD(CS)', subject: 'Software Engineering Lab' }
-    },
-    // Thursday - Regular class schedule with library and lab sessions
-    'Thursday': {
-      '09:30-10:20': { course: 'PCC CS-503', instructor: 'AB(CS)', subject: 'Object Oriented Programming' },
-      '10:20-11:10': { course: 'PCC CS-503', instructor: 'AB(CS)', subject: 'Object Oriented Programming' },
-      '11:10-12:00': { course: 'ESC-501', instructor: 'SAR(CS)', subject: 'Software Engineering' },
-      '12:00-12:50': { course: 'PCC CS-501', instructor: 'RDB(CS)', subject: 'Compiler Design' },
-      'LUNCH': { subject: 'Lunch Break', room: '', instructor: '' },
-      '13:40-14:30': { course: 'LIB', instructor: 'LIBRARIAN', subject: 'Library' },
-      '14:30-15:20': { course: 'PCC CS-593 (LAB 3&4)', instructor: 'BTM(CS)+PR(CS)+MM(CS)+PK(CS)', subject: 'Operating Systems Lab' },
-      '15:20-16:10': { course: 'PCC CS-593 (LAB 3&4)', instructor: 'BTM(CS)+PR(CS)+MM(CS)+PK(CS)', subject: 'Operating Systems Lab' },
-      '16:10-17:00': { course: 'PCC CS-593 (LAB 3&4)', instructor: 'BTM(CS)+PR(CS)+MM(CS)+PK(CS)', subject: 'Operating Systems Lab' }
-    },
-    // Friday - Regular class schedule with aptitude training
-    'Friday': {
-      '09:30-10:20': { course: 'PEC IT-501B', instructor: 'PKP(CS)', subject: 'Artificial Intelligence' },
-      '10:20-11:10': { course: 'PCC CS-501', instructor: 'RDB(CS)', subject: 'Compiler Design' },
-      '11:10-12:00': { course: 'PCC CS-502', instructor: 'BTM(CS)', subject: 'Operating Systems' },
-      '12:00-12:50': { course: 'MC CS-501A', instructor: 'TB(E)', subject: 'Constitution of India' },
-      'LUNCH': { subject: 'Lunch Break', room: '', instructor: '' },
-      '13:40-14:30': { course: 'LIB', instructor: '', subject: 'Library' },
-      '14:30-15:20': { course: 'APTI', instructor: 'AM(CS)', subject: 'Aptitude Training' },
-      '15:20-16:10': { course: 'APTI', instructor: 'BTM(CS)', subject: 'Aptitude Training' },
-      '16:10-17:00': { course: 'GROOM', instructor: 'PKC(CS)', subject: 'Grooming Session' }
-    },
-    // Saturday - Regular class schedule with lab sessions
-    'Saturday': {
-      '09:30-10:20': { course: 'PCC CS-502', instructor: 'BTM(CS)', subject: 'Operating Systems' },
-      '10:20-11:10': { course: 'ESC-501', instructor: 'SAR(CS)', subject: 'Software Engineering' },
-      '11:10-12:00': { course: 'PCC CS-501', instructor: 'RDB(CS)', subject: 'Compiler Design' },
-      '12:00-12:50': { course: 'PEC IT-501B', instructor: 'PKP(CS)', subject: 'Artificial Intelligence' },
-      'LUNCH': { subject: 'Lunch Break', room: '', instructor: '' },
-      '13:40-14:30': { course: 'HSMC 501', instructor: 'NF', subject: 'Introduction to Industrial Management' },
-      '14:30-15:20': { course: 'PCC CS-593 (LAB 7&8)', instructor: 'AB(CS)+LKM(CS)+RR(CS)', subject: 'Object Oriented Programming Lab' },
-      '15:20-16:10': { course: 'PCC CS-593 (LAB 7&8)', instructor: 'AB(CS)+LKM(CS)+RR(CS)', subject: 'Object Oriented Programming Lab' },
-      '16:10-17:00': { course: 'PCC CS-593 (LAB 7&8)', instructor: 'AB(CS)+LKM(CS)+RR(CS)', subject: 'Object Oriented Programming Lab' }
-    },
-    // Sunday - No classes (weekend)
-    'Sunday': {
-      '09:30-10:20': null,
-      '10:20-11:10': null,
-      '11:10-12:00': null,
-      '12:00-12:50': null,
-      'LUNCH': { subject: 'Lunch Break', room: '', instructor: '' },
-      '13:40-14:30': null,
-      '14:30-15:20': null,
-      '15:20-16:10': null,
-      '16:10-17:00': null
-    }
-  }
-
-  // Timetable data for 5th Semester CSE C
-  const timetableDataC = {
-    'Monday': {
-      '09:30-10:20': null,
-      '10:20-11:10': null,
-      '11:10-12:00': null,
-      '12:00-12:50': null,
-      'LUNCH': { subject: 'Lunch Break', room: '', instructor: '' },
-      '13:40-14:30': null,
-      '14:30-15:20': null,
-      '15:20-16:10': null,
-      '16:10-17:00': null
-    },
-    'Tuesday': {
-      '09:30-10:20': { course: 'PCC CS-503', instructor: 'PR(CS)', subject: 'Object Oriented Programming' },
-      '10:20-11:10': { course: 'ESC-501', instructor: 'SK(CS)', subject: 'Software Engineering' },
-      '11:10-12:00': { course: 'PEC IT-501B', instructor: 'SKM(CS)', subject: 'Artificial Intelligence' },
-      '12:00-12:50': { course: 'PCC CS-501', instructor: 'AS(CS)', subject: 'Compiler Design' },
-      'LUNCH': { subject: 'Lunch Break', room: '', instructor: '' },
-      '13:40-14:30': { course: 'LIB', instructor: '', subject: 'Library' },
-      '14:30-15:20': { course: 'HSMC 501', instructor: 'NF', subject: 'Introduction to Industrial Management' },
-      '15:20-16:10': { course: 'GROOM', instructor: 'BTM(CS)', subject: 'Grooming Session' },
-      '16:10-17:00': { course: 'APTI', instructor: 'SG(CS)', subject: 'Aptitude Training' }
-    },
-    'Wednesday': {
-      '09:30-10:20': { course: 'PEC IT-501B', instructor: 'SKM(CS)', subject: 'Artificial Intelligence' },
-      '10:20-11:10': { course: 'ESC-501', instructor: 'SK(CS)', subject: 'Software Engineering' },
-      '11:10-12:00': { course: 'PCC CS-501', instructor: 'AS(CS)', subject: 'Compiler Design' },
-      '12:00-12:50': { course: 'PCC CS-503', instructor: 'PR(CS)', subject: 'Object Oriented Programming' },
-      'LUNCH': { subject: 'Lunch Break', room: '', instructor: '' },
-      '13:40-14:30': { course: 'LIB', instructor: '', subject: 'Library' },
-      '14:30-15:20': { course: 'PCC CS-593 (LAB 7&8)', instructor: 'PR(CS)+RKM(CS)+PKC(CS)+SP(CS)', subject: 'Operating Systems Lab' },
-      '15:20-16:10': { course: 'PCC CS-593 (LAB 7&8)', instructor: 'PR(CS)+RKM(CS)+PKC(CS)+SP(CS)', subject: 'Operating Systems Lab' },
-      '16:10-17:00': { course: 'PCC CS-593 (LAB 7&8)', instructor: 'PR(CS)+RKM(CS)+PKC(CS)+SP(CS)', subject: 'Operating Systems Lab' }
-    },
-    'Thursday': {
-      '09:30-10:20': { course: 'PCC CS-501', instructor: 'AS(CS)', subject: 'Compiler Design' },
-      '10:20-11:10': { course: 'PCC CS-503', instructor: 'PR(CS)', subject: 'Object Oriented Programming' },
-      '11:10-12:00': { course: 'PEC IT-501B', instructor: 'SKM(CS)', subject: 'Artificial Intelligence' },
-      '12:00-12:50': { course: 'ESC-501', instructor: 'SK(CS)', subject: 'Software Engineering' },
-      'LUNCH': { subject: 'Lunch Break', room: '', instructor: '' },
-      '13:40-14:30': { course: 'MC CS-501A', instructor: 'TB(E)', subject: 'Constitution of India' },
-      '14:30-15:20': { course: 'ESC 591 (LAB 3&4)', instructor: 'BR(CS)+SAR(CS)+LKM(CS)+SP(CS)', subject: 'Software Engineering Lab' },
-      '15:20-16:10': { course: 'ESC 591 (LAB 3&4)', instructor: 'BR(CS)+SAR(CS)+LKM(CS)+SP(CS)', subject: 'Software Engineering Lab' },
-      '16:10-17:00': { course: 'ESC 591 (LAB 3&4)', instructor: 'BR(CS)+SAR(CS)+LKM(CS)+SP(CS)', subject: 'Software Engineering Lab' }
-    },
-    'Friday': {
-      '09:30-10:20': { course: 'PCC CS-503', instructor: 'PR(CS)', subject: 'Object Oriented Programming' },
-      '10:20-11:10': { course: 'PCC CS-501', instructor: 'AS(CS)', subject: 'Compiler Design' },
-      '11:10-12:00': { course: 'PCC CS-502', instructor: 'AC(CS)', subject: 'Operating Systems' },
-      '12:00-12:50': { course: 'PCC CS-502', instructor: 'AC(CS)', subject: 'Operating Systems' },
-      'LUNCH': { subject: 'Lunch Break', room: '', instructor: '' },
-      '13:40-14:30': { course: 'LIB', instructor: '', subject: 'Library' },
-      '14:30-15:20': { course: 'HSMC 501', instructor: 'NF', subject: 'Introduction to Industrial Management' },
-      '15:20-16:10': { course: 'HSMC 501', instructor: 'NF', subject: 'Introduction to Industrial Management' },
-      '16:10-17:00': { course: 'MC CS-501A', instructor: 'TB(E)', subject: 'Constitution of India' }
-    },
-    'Saturday': {
-      '09:30-10:20': { course: 'PCC CS-502', instructor: 'AC(CS)', subject: 'Operating Systems' },
-      '10:20-11:10': { course: 'PCC CS-502', instructor: 'AC(CS)', subject: 'Operating Systems' },
-      '11:10-12:00': { course: 'ESC-501', instructor: 'SK(CS)', subject: 'Software Engineering' },
-      '12:00-12:50': { course: 'PEC IT-501B', instructor: 'SKM(CS)', subject: 'Artificial Intelligence' },
-      'LUNCH': { subject: 'Lunch Break', room: '', instructor: '' },
-      '13:40-14:30': { course: 'LIB', instructor: '', subject: 'Library' },
-      '14:30-15:20': { course: 'PCC CS-592 (LAB 3&4)', instructor: 'AC(CS)+BM(CS)+AM(CS)', subject: 'Operating Systems Lab' },
-      '15:20-16:10': { course: 'PCC CS-592 (LAB 3&4)', instructor: 'AC(CS)+BM(CS)+AM(CS)', subject: 'Operating Systems Lab' },
-      '16:10-17:00': { course: 'PCC CS-592 (LAB 3&4)', instructor: 'AC(CS)+BM(CS)+AM(CS)', subject: 'Operating Systems Lab' }
-    },
-    'Sunday': {
-      '09:30-10:20': null,
-      '10:20-11:10': null,
-      '11:10-12:00': null,
-      '12:00-12:50': null,
-      'LUNCH': { subject: 'Lunch Break', room: '', instructor: '' },
-      '13:40-14:30': null,
-      '14:30-15:20': null,
-      '15:20-16:10': null,
-      '16:10-17:00': null
-    }
-  }
-
   // Initialize editable timetables state per section
-  const initialTimetables = {
-    'CSE A': timetableDataA,
-    'CSE B': timetableDataB,
-    'CSE C': timetableDataC
-  }
-  const [timetables, setTimetables] = useState(initialTimetables)
+  const [timetables, setTimetables] = useState(DEFAULT_TIMETABLES)
+  const [bellSchedule, setBellSchedule] = useState(DEFAULT_BELL_SCHEDULE)  // Periods and breaks of the day
+  const [workingDays, setWorkingDays] = useState(DEFAULT_WORKING_DAYS)  // Days on which classes are held
+  // Undo/redo stacks of earlier timetables. Undoing sets timetables like any other
+  // edit, so the autosave effect below persists the restored state.
+  const [history, setHistory] = useState(createHistory)
+  const [courseOptions, setCourseOptions] = useState([])  // Course records for the Edit Period dropdown
+  const [roomOptions, setRoomOptions] = useState([])  // Room records for the Edit Period dropdown
+  const [termId, setTermId] = useState(null)  // Term the timetable is linked to; null follows the active term
   const hasLoadedFromRemoteRef = useRef(false)
   const saveTimeoutRef = useRef(null)
+  // Live collaboration (see lib/collaboration): the grids and settings last seen on the
+  // server, so only this page's own edits are saved and other editors' saves are merged in
+  const savedDataRef = useRef(null)
+  const savedSettingsRef = useRef(null)
+  const savedUpdatedAtRef = useRef(null)  // updated_at of the saved record; null before the first save
+  const latestRef = useRef(null)  // Current grids and bell schedule, for realtime callbacks
+  latestRef.current = { timetables, bellSchedule }
+  const presenceKeyRef = useRef(null)
+  if (!presenceKeyRef.current) presenceKeyRef.current = crypto.randomUUID()
+  const [editors, setEditors] = useState([])  // Other editors with the timetable open
+  const [collabNotice, setCollabNotice] = useState('')  // Last merge of another editor's changes
+  // Cells changed here and by another editor, as the other editor saved them; saving waits until resolved
+  const [timetableConflicts, setTimetableConflicts] = useState([])
+  const timetableConflictsRef = useRef([])
+  timetableConflictsRef.current = timetableConflicts
 
   // Load per-user timetable on mount / user change
   useEffect(() => {
     async function fetchRemote() {
-      if (!isSignedIn || !user?.id) return
+      if (!isSignedIn || !ownerId) return
       try {
-        const record = await loadUserTimetable(user.id)
-        if (record?.data && typeof record.data === 'object') {
-          setTimetables(record.data)
+        const record = await loadUserTimetable(ownerId)
+        const schedule = normalizeBellSchedule(record?.bell_schedule)
+
+        // Courses and rooms for the Edit Period dropdowns; linked periods are refreshed from them
+        const [courses, rooms] = await Promise.all([loadUserCourses(ownerId), loadUserRooms(ownerId)])
+          .catch((err) => {
+            console.error('Failed to load courses and rooms', err)
+            return [[], []]
+          })
+        setCourseOptions(courses)
+        setRoomOptions(rooms)
+
+        // The grids exactly as saved are the collaboration base, so the cell changes
+        // diffed against it carry the before the server still holds
+        const saved = record?.data && typeof record.data === 'object' ? record.data : null
+        savedDataRef.current = saved
+        savedUpdatedAtRef.current = record?.updated_at || null
+        savedSettingsRef.current = {
+          section: record?.section,
+          bellSchedule: JSON.stringify(schedule),
+          workingDays: JSON.stringify(normalizeWorkingDays(record?.working_days)),
+          termId: record?.term_id || null
+        }
+        if (saved) {
+          setTimetables(syncLinkedPeriods(saved, courses, rooms))
+          setHistory(createHistory())
           if (record.section) setSection(record.section)
         }
+        setBellSchedule(schedule)
+        setWorkingDays(normalizeWorkingDays(record?.working_days))
+        setTermId(record?.term_id || null)
         hasLoadedFromRemoteRef.current = true
       } catch (err) {
         // eslint-disable-next-line no-console
@@ -375,101 +297,432 @@ const Timetable = () => {
     }
     fetchRemote()
     // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [isSignedIn, user?.id])
+  }, [isSignedIn, ownerId])
+
+  /**
+   * Merge a timetable record saved by another editor into the local grids
+   *
+   * @param {Object} record - Saved timetable record
+   * @param {Object} base - Grids this page last saw on the server, including its own saved cells
+   * @returns {Object} - { applied, conflicts } cell changes, see mergeRemoteChanges
+   */
+  const applyRemoteRecord = (record, base = savedDataRef.current) => {
+    if (!record?.data || typeof record.data !== 'object') return { applied: [], conflicts: [] }
+    // A late event for a save this page has already seen
+    if (!isNewerVersion(record.updated_at, savedUpdatedAtRef.current)) return { applied: [], conflicts: [] }
+    const { timetables: local, bellSchedule: schedule } = latestRef.current
+    const { data, applied, conflicts } = mergeRemoteChanges(base || {}, local, record.data, schedule)
+    savedDataRef.current = record.data
+    savedUpdatedAtRef.current = record.updated_at || null
+    if (applied.length > 0) {
+      setTimetables(data)
+      // Undo and redo step through this page's edits only, on top of the merged cells
+      setHistory(prev => rebaseHistory(prev, state => applyCells(state, applied)))
+    }
+
+    // Bell schedule, working days and term changed by another editor
+    const saved = savedSettingsRef.current || {}
+    const remoteSchedule = normalizeBellSchedule(record.bell_schedule)
+    const remoteDays = normalizeWorkingDays(record.working_days)
+    if (JSON.stringify(remoteSchedule) !== saved.bellSchedule) setBellSchedule(remoteSchedule)
+    if (JSON.stringify(remoteDays) !== saved.workingDays) setWorkingDays(remoteDays)
+    if ((record.term_id || null) !== saved.termId) setTermId(record.term_id || null)
+    savedSettingsRef.current = {
+      section: record.section,
+      bellSchedule: JSON.stringify(remoteSchedule),
+      workingDays: JSON.stringify(remoteDays),
+      termId: record.term_id || null
+    }
+
+    if (applied.length > 0) {
+      setCollabNotice(`${applied.length} cell${applied.length === 1 ? '' : 's'} updated by another editor`)
+    }
+    // Cells both sides changed are resolved in the dialog; a newer remote version replaces an older one
+    if (conflicts.length > 0) {
+      const keys = new Set(conflicts.map(getCellKey))
+      setTimetableConflicts(prev => [...prev.filter(cell => !keys.has(getCellKey(cell))), ...conflicts])
+    }
+    return { applied, conflicts }
+  }
+
+  /**
+   * Save the grids unless conflicting cells are waiting to be resolved. A save rejected
+   * because the timetable changed elsewhere merges in the newer grids instead.
+   *
+   * @param {Object} data - Grids to save
+   * @param {Object} settings - { section, bellSchedule, workingDays, termId }
+   * @param {boolean} isRetry - Whether this is the retry after a rejected stale save
+   */
+  const saveTimetable = async (data, settings, isRetry = false) => {
+    if (timetableConflictsRef.current.length > 0) return
+    try {
+      await writeTimetable(data, settings)
+    } catch (err) {
+      if (!isConflictError(err)) throw err
+      // Saved elsewhere first: merge the newer grids; cells changed on both sides go to the dialog
+      if (!err.current) {
+        savedDataRef.current = null
+        savedUpdatedAtRef.current = null
+      }
+      const { applied, conflicts } = applyRemoteRecord(err.current)
+      // With nothing merged the local grids are unchanged, so save them again on the new base
+      if (applied.length === 0 && conflicts.length === 0 && !isRetry) await saveTimetable(data, settings, true)
+    }
+  }
+
+  /**
+   * Save the cells that differ from the server, with any settings that changed
+   * Before the first save the whole document is written
+   */
+  const writeTimetable = async (data, settings) => {
+    if (!savedDataRef.current) {
+      const record = await upsertUserTimetable(ownerId, { ...settings, data, updatedAt: savedUpdatedAtRef.current })
+      applyRemoteRecord(record, data)
+      return
+    }
+    const saved = savedSettingsRef.current || {}
+    const changedSettings = {}
+    if (settings.section && settings.section !== saved.section) changedSettings.section = settings.section
+    if (settings.bellSchedule && JSON.stringify(settings.bellSchedule) !== saved.bellSchedule) changedSettings.bellSchedule = settings.bellSchedule
+    if (settings.workingDays && JSON.stringify(settings.workingDays) !== saved.workingDays) changedSettings.workingDays = settings.workingDays
+    if (settings.termId !== undefined && settings.termId !== saved.termId) changedSettings.termId = settings.termId
+
+    const changes = diffCells(savedDataRef.current, data)
+    if (changes.length === 0 && Object.keys(changedSettings).length === 0) return
+    const record = await saveTimetableChanges(ownerId, changes, changedSettings)
+    // Queued offline without a cached copy to apply them to; they count as saved
+    if (!record) {
+      savedDataRef.current = applyCells(savedDataRef.current, changes)
+      return
+    }
+    applyRemoteRecord(record, applyCells(savedDataRef.current, changes))
+  }
 
   // Debounced autosave when timetables or section change
   useEffect(() => {
-    if (!isSignedIn || !user?.id) return
+    if (!isSignedIn || !ownerId) return
     if (!hasLoadedFromRemoteRef.current) return
     if (saveTimeoutRef.current) clearTimeout(saveTimeoutRef.current)
     saveTimeoutRef.current = setTimeout(() => {
-      upsertUserTimetable(user.id, { section, data: timetables }).catch((err) => {
+      saveTimetable(timetables, { section, bellSchedule, workingDays, termId }).catch((err) => {
         // eslint-disable-next-line no-console
         console.error('Failed to save timetable', err)
       })
     }, 600)
     return () => saveTimeoutRef.current && clearTimeout(saveTimeoutRef.current)
-  }, [timetables, section, isSignedIn, user?.id])
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [timetables, section, bellSchedule, workingDays, termId, timetableConflicts, isSignedIn, ownerId])
+
+  /**
+   * Keep this page's version of the conflicting cells; the autosave writes them over the saved ones
+   */
+  const keepMyCells = () => setTimetableConflicts([])
+
+  /**
+   * Take the saved version of the conflicting cells
+   */
+  const takeSavedCells = () => {
+    const cells = timetableConflicts.map(cell => ({
+      ...cell,
+      entry: savedDataRef.current?.[cell.section]?.[cell.day]?.[cell.slotId] || null
+    }))
+    setTimetables(prev => applyCells(prev, cells))
+    setHistory(prev => rebaseHistory(prev, state => applyCells(state, cells)))
+    setTimetableConflicts([])
+  }
+
+  /**
+   * Open another timetable: the user's own or one shared with them
+   * Edits waiting for the autosave are saved to the timetable being left first,
+   * then the owner-scoped effects load the other one
+   *
+   * @param {string} nextOwnerId - Clerk ID of the timetable's owner
+   */
+  const switchTimetable = async (nextOwnerId) => {
+    if (nextOwnerId === ownerId) return
+    if (saveTimeoutRef.current) clearTimeout(saveTimeoutRef.current)
+    if (hasLoadedFromRemoteRef.current) {
+      await saveTimetable(timetables, { section, bellSchedule, workingDays, termId }).catch((err) => {
+        console.error('Failed to save timetable', err)
+      })
+    }
+    // Nothing is autosaved until the other timetable has loaded
+    hasLoadedFromRemoteRef.current = false
+    savedDataRef.current = null
+    savedSettingsRef.current = null
+    savedUpdatedAtRef.current = null
+    setTimetables(DEFAULT_TIMETABLES)
+    setHistory(createHistory())
+    setTimetableConflicts([])
+    setCollabNotice('')
+    setVersions(null)
+    setExceptions([])
+    setSharedOwnerId(nextOwnerId === user.id ? null : nextOwnerId)
+  }
+
+  // Follow other editors' saves and the cells they have open
+  const liveRef = useRef(null)
+  useEffect(() => {
+    if (!isSignedIn || !ownerId) return
+    const live = subscribeToTimetable(ownerId, {
+      presenceKey: presenceKeyRef.current,
+      onChange: (record) => {
+        // Saves arriving before the first load are picked up by the load itself
+        if (hasLoadedFromRemoteRef.current) applyRemoteRecord(record)
+      },
+      onPresenceChange: setEditors
+    })
+    liveRef.current = live
+    return () => {
+      live.unsubscribe()
+      liveRef.current = null
+      setEditors([])
+    }
+  }, [isSignedIn, ownerId])
+
+  // Academic terms (see lib/terms); the timetable's term names it on screen and in exports
+  const [terms, setTerms] = useState([])
+
+  useEffect(() => {
+    async function fetchTerms() {
+      if (!isSignedIn || !ownerId) return
+      try {
+        setTerms(await loadUserTerms(ownerId))
+      } catch (err) {
+        console.error('Failed to load terms', err)
+      }
+    }
+    fetchTerms()
+  }, [isSignedIn, ownerId])
+
+  // The signed-in student's section and elective choices, for the My Timetable view (see lib/electives)
+  const [profile, setProfile] = useState(null)
+
+  useEffect(() => {
+    async function fetchProfile() {
+      if (!isSignedIn || !user?.id) return
+      try {
+        setProfile(await loadUserProfile(user.id))
+      } catch (err) {
+        console.error('Failed to load profile', err)
+      }
+    }
+    fetchProfile()
+  }, [isSignedIn, user?.id])
+
+  // Without a linked term (or if it was deleted) the term running today is used
+  const activeTerm = getActiveTerm(terms)
+  const term = terms.find(candidate => candidate.id === termId) || activeTerm
+  const termName = term?.name || DEFAULT_TERM_NAME
+
+  // Date-specific cancellations, reschedules, extra classes and holidays (see lib/timetableExceptions)
+  const [exceptions, setExceptions] = useState([])
+
+  useEffect(() => {
+    async function fetchExceptions() {
+      if (!isSignedIn || !ownerId) return
+      try {
+        setExceptions(await loadTimetableExceptions(ownerId))
+      } catch (err) {
+        console.error('Failed to load timetable exceptions', err)
+      }
+    }
+    fetchExceptions()
+  }, [isSignedIn, ownerId])
+
+  /**
+   * Save a dated exception; errors are shown by the Dated Week view
+   */
+  const handleAddException = async (exception) => {
+    if (!isSignedIn || !ownerId) throw new Error('Please sign in to change the timetable for specific dates.')
+    const saved = await createTimetableException(ownerId, exception)
+    setExceptions(prev => [...prev, saved])
+  }
+
+  const handleDeleteException = async (exception) => {
+    if (!isSignedIn || !ownerId) throw new Error('Please sign in to change the timetable for specific dates.')
+    await deleteTimetableException(ownerId, exception.id)
+    setExceptions(prev => prev.filter(item => item.id !== exception.id))
+  }
+
+  // Saved snapshots of the timetable (loaded when the Versions panel is first opened)
+  const [versions, setVersions] = useState(null)
+  const lastAutoSnapshotRef = useRef(0)  // When the last automatic snapshot was taken
+
+  /**
+   * Save a snapshot of the current timetable document
+   * 
+   * @param {string} name - Version name
+   * @param {string} kind - 'manual' for named versions, 'auto' for automatic ones
+   * @returns {Promise<Object>} - The saved version
+   */
+  const saveVersion = async (name, kind) => {
+    const version = await createTimetableVersion(ownerId, { name, kind, data: timetables, bellSchedule, workingDays })
+    setVersions(prev => prev ? [version, ...prev] : prev)
+    return version
+  }
+
+  /**
+   * Take an automatic snapshot before a change: always before bulk changes,
+   * otherwise at most once every 30 minutes of editing
+   */
+  const snapshotBeforeChange = (label, force) => {
+    if (!isSignedIn || !ownerId || !hasLoadedFromRemoteRef.current) return
+    const now = Date.now()
+    if (!force && now - lastAutoSnapshotRef.current < 30 * 60 * 1000) return
+    lastAutoSnapshotRef.current = now
+    saveVersion(`Auto-save (${label})`, 'auto').catch((err) => {
+      console.error('Failed to save automatic snapshot', err)
+    })
+  }
+
+  /**
+   * Change the timetables and record the previous state so it can be undone
+   * 
+   * @param {function} update - Receives the current timetables and returns the new ones
+   * @param {string} label - Description shown on the undo/redo buttons
+   * @param {boolean} [isBulk] - Bulk changes always take an automatic snapshot first
+   */
+  const commitTimetables = (update, label, isBulk = false) => {
+    const next = update(timetables)
+    if (next === timetables) return
+    snapshotBeforeChange(label, isBulk)
+    setHistory(prev => recordChange(prev, timetables, label))
+    setTimetables(next)
+  }
+
+  const undo = () => {
+    const result = undoChange(history, timetables)
+    if (!result) return
+    setHistory(result.history)
+    setTimetables(result.state)
+  }
+
+  const redo = () => {
+    const result = redoChange(history, timetables)
+    if (!result) return
+    setHistory(result.history)
+    setTimetables(result.state)
+  }
+
+  // Ctrl+Z / Ctrl+Shift+Z (Cmd on macOS); text fields keep their own undo
+  useEffect(() => {
+    const handleKeyDown = (event) => {
+      if (!(event.ctrlKey || event.metaKey) || event.key.toLowerCase() !== 'z') return
+      const target = event.target
+      if (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName)) return
+      event.preventDefault()
+      if (event.shiftKey) redo()
+      else undo()
+    }
+
+    document.addEventListener('keydown', handleKeyDown)
+    return () => document.removeEventListener('keydown', handleKeyDown)
+  })
 
   // Active timetable based on selected section
-  const timetableData = timetables[section]
+  const timetableData = timetables[section] || {}
+
+  // Timetables with every block copied into each slot it covers, for slot-by-slot clash checks
+  const expandedTimetables = useMemo(() => expandBlocks(timetables, bellSchedule), [timetables, bellSchedule])
+
+  // Instructor, room and lab-batch clashes across all sections
+  const clashes = useMemo(() => detectClashes(expandedTimetables), [expandedTimetables])
+  const sectionClashes = clashes.filter(clash => clash.sections.includes(section))
+  const [showClashReport, setShowClashReport] = useState(false)
+
+  /**
+   * Get the clashes the active section is involved in for a given cell
+   */
+  const getCellClashes = (day, time) => {
+    return sectionClashes.filter(clash => clash.day === day && clash.time === time)
+  }
+
+  /**
+   * Get the clashes for every slot covered by a block
+   */
+  const getBlockClashes = (day, slots) => slots.flatMap(time => getCellClashes(day, time))
+
+  // Time slots for the daily schedule, in bell schedule order
+  const timeSlots = getSlotKeys(bellSchedule)
+
+  /**
+   * Check whether a slot is a break (lunch or any other break in the bell schedule)
+   */
+  const isBreakSlot = (time) => getSlot(bellSchedule, time)?.type === 'break'
 
-  // Time slots for the daily schedule
-  const timeSlots = ['09:30-10:20', '10:20-11:10', '11:10-12:00', '12:00-12:50', 'LUNCH', '13:40-14:30', '14:30-15:20', '15:20-16:10', '16:10-17:00']
+  /**
+   * Label shown for a slot in the time column, e.g. '09:30-10:20' or '12:50 PM - 1:40 PM'
+   */
+  const getSlotLabel = (time) => {
+    const slot = getSlot(bellSchedule, time)
+    return slot ? `${slot.start}-${slot.end}` : time
+  }
   
+  // Days outside the configured working week are treated as weekends
+  const nonWorkingDays = getNonWorkingDays(workingDays)
+
   // Days array - shows weekends based on toggle state
-  // Fixed weekend logic: Tuesday-Saturday are class days, Sunday-Monday are weekends
-  const days = showWeekends ? ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'] : ['Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday']
+  const days = showWeekends ? WEEK_DAYS : workingDays
+
+  /**
+   * Check whether a day is outside the working week
+   */
+  const isWeekend = (day) => !isWorkingDay(workingDays, day)
 
   /**
    * Get current day name
    */
-  const getCurrentDayName = () => {
-    const daysOfWeek = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday']
-    return daysOfWeek[new Date().getDay()]
-  }
+  const getCurrentDayName = () => getDayName(new Date())
 
   /**
    * Get current time period based on current time
    */
   const getCurrentTimePeriod = () => {
     const now = new Date()
-    const currentHour = now.getHours()
-    const currentMinute = now.getMinutes()
-    const currentTime = currentHour * 60 + currentMinute // Convert to minutes from midnight
-
-    // Time slot mappings (in minutes from midnight)
-    // Format: 'HH:MM-HH:MM' -> { start: minutes, end: minutes }
-    const timeSlotMap = {
-      '09:30-10:20': { start: 9 * 60 + 30, end: 10 * 60 + 20 },
-      '10:20-11:10': { start: 10 * 60 + 20, end: 11 * 60 + 10 },
-      '11:10-12:00': { start: 11 * 60 + 10, end: 12 * 60 + 0 },
-      '12:00-12:50': { start: 12 * 60 + 0, end: 12 * 60 + 50 },
-      '13:40-14:30': { start: 13 * 60 + 40, end: 14 * 60 + 30 },
-      '14:30-15:20': { start: 14 * 60 + 30, end: 15 * 60 + 20 },
-      '15:20-16:10': { start: 15 * 60 + 20, end: 16 * 60 + 10 },
-      '16:10-17:00': { start: 16 * 60 + 10, end: 17 * 60 + 0 }
-    }
-
-    // Check which time slot the current time falls into
-    for (const [timeSlot, range] of Object.entries(timeSlotMap)) {
-      if (currentTime >= range.start && currentTime < range.end) {
-        return timeSlot
-      }
-    }
+    const currentTime = now.getHours() * 60 + now.getMinutes() // Convert to minutes from midnight
 
-    return null // Outside of class hours
+    // Find the teaching period in progress according to the bell schedule
+    const slot = findSlotAt(bellSchedule, currentTime, 'period')
+    return slot ? slot.id : null // null when outside of class hours
   }
 
   /**
    * Check if a time slot has ended based on current time
-   * @param {string} timeSlot - Time slot in format 'HH:MM-HH:MM'
+   * @param {string} timeSlot - Slot id from the bell schedule
    * @returns {boolean} - True if the time slot has ended
    */
   const hasTimeSlotEnded = (timeSlot) => {
-    if (!timeSlot || timeSlot === 'LUNCH') return false
+    const slot = getSlot(bellSchedule, timeSlot)
+    if (!slot || slot.type === 'break') return false
     
     const now = new Date()
-    const currentHour = now.getHours()
-    const currentMinute = now.getMinutes()
-    const currentTime = currentHour * 60 + currentMinute // Convert to minutes from midnight
-
-    // Extract end time from time slot (format: 'HH:MM-HH:MM')
-    const parts = timeSlot.split('-')
-    if (parts.length !== 2) return false
-    
-    const endTimeStr = parts[1] // e.g., '17:00'
-    const [endHour, endMinute] = endTimeStr.split(':').map(Number)
-    const endTime = endHour * 60 + endMinute // Convert to minutes from midnight
+    const currentTime = now.getHours() * 60 + now.getMinutes() // Convert to minutes from midnight
 
     // Check if current time is past the end time
-    return currentTime >= endTime
+    return currentTime >= toMinutes(slot.end)
+  }
+
+  /**
+   * Check whether a period is a multi-period block, e.g. a three-period lab
+   */
+  const isLabBlockSlot = (day, time) => getSpan(getClassData(day, time)) > 1
+
+  /**
+   * Label for the time range of a block, e.g. '14:30-17:00'
+   */
+  const getBlockLabel = (slots) => {
+    const first = getSlot(bellSchedule, slots[0])
+    const last = getSlot(bellSchedule, slots[slots.length - 1])
+    return first && last ? `${first.start}-${last.end}` : getSlotLabel(slots[0])
   }
 
   // Update current day and period periodically
   useEffect(() => {
     const updateCurrentInfo = () => {
-      setCurrentDay(getCurrentDayName())
+      // Only working days have a current day to highlight
+      const today = getCurrentDayName()
+      setCurrentDay(isWorkingDay(workingDays, today) ? today : '')
       setCurrentPeriod(getCurrentTimePeriod() || '')
     }
 
@@ -480,7 +733,8 @@ const Timetable = () => {
     const interval = setInterval(updateCurrentInfo, 60000)
 
     return () => clearInterval(interval)
-  }, [])
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [bellSchedule, workingDays])
 
   /**
    * Get class data for a specific day and time slot
@@ -493,35 +747,151 @@ const Timetable = () => {
     return timetableData[day]?.[time] || null
   }
 
+  /**
+   * Get the block covering a slot, including the later slots of a multi-period block
+   * 
+   * @returns {Object|null} - { start, entry, slots } or null if the slot is free
+   */
+  const getBlockAt = (day, time) => {
+    if (isBreakSlot(time)) return null
+    return findBlockAt(timetableData[day], bellSchedule, time)
+  }
+
   // Editing state
   const [isEditingPeriod, setIsEditingPeriod] = useState(false)
-  const [editingContext, setEditingContext] = useState({ day: '', time: '', course: '', subject: '', instructor: '' })
+  const [editingContext, setEditingContext] = useState({ day: '', time: '', course: '', subject: '', instructor: '', courseId: '', room: '', roomId: '', span: 1, sessions: [], rotate: false })
   const [showDeleteConfirm, setShowDeleteConfirm] = useState(false)
 
+  // A block is always edited from its first slot, whichever of its slots was clicked
   const openEditPeriod = (day, time) => {
-    if (time === 'LUNCH') return
-    const existing = getClassData(day, time)
+    if (isBreakSlot(time)) return
+    const block = getBlockAt(day, time)
+    const existing = block?.entry
     setEditingContext({
       day,
-      time,
+      time: block?.start || time,
       course: existing?.course || '',
       subject: existing?.subject || '',
-      instructor: existing?.instructor || ''
+      instructor: existing?.instructor || '',
+      courseId: existing?.courseId || '',
+      room: existing?.room || '',
+      roomId: existing?.roomId || '',
+      span: getSpan(existing),
+      sessions: getSessions(existing) || [],
+      rotate: !!existing?.rotate
     })
     setIsEditingPeriod(true)
   }
 
+  // Share the cell being edited with other editors; null while no cell is open
+  useEffect(() => {
+    liveRef.current?.trackCell({
+      name: user?.fullName || user?.primaryEmailAddress?.emailAddress || 'Someone',
+      section: isEditingPeriod ? section : null,
+      day: isEditingPeriod ? editingContext.day : null,
+      time: isEditingPeriod ? editingContext.time : null
+    })
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [isEditingPeriod, editingContext.day, editingContext.time, section, user?.id])
+
+  /**
+   * Badges of the other editors who have a cell open
+   *
+   * @param {string} position - Tailwind classes placing the badges in the cell
+   */
+  const renderCellEditors = (day, slots, position = 'top-2 left-2') => {
+    const cellEditors = getCellEditors(editors, section, day, slots)
+    if (cellEditors.length === 0) return null
+    return (
+      <div className={`absolute ${position} flex -space-x-1 z-10`}>
+        {cellEditors.map(editor => (
+          <span
+            key={editor.key}
+            className={`w-6 h-6 rounded-full ring-2 ring-white text-white text-xs font-bold flex items-center justify-center ${editor.color}`}
+            title={`${editor.name} is editing this period`}
+          >
+            {(editor.name || '?').charAt(0).toUpperCase()}
+          </span>
+        ))}
+      </div>
+    )
+  }
+
   const cancelEditPeriod = () => {
     setIsEditingPeriod(false)
-    setEditingContext({ day: '', time: '', course: '', subject: '', instructor: '' })
+    setEditingContext({ day: '', time: '', course: '', subject: '', instructor: '', courseId: '', room: '', roomId: '', span: 1, sessions: [], rotate: false })
+  }
+
+  // Dropdown options for linking a period to a course and a room
+  const courseSelectOptions = courseOptions.map(course => ({ value: course.id, label: `${course.code} - ${course.name}`, description: course.instructor, record: course }))
+  const roomSelectOptions = roomOptions.map(room => ({ value: room.id, label: room.name, description: `${room.type} • ${room.capacity} seats`, record: room }))
+
+  // Link the period being edited to a course; subject and instructor come from the course
+  const selectEditCourse = (option) => {
+    if (!option) {
+      setEditingContext(prev => ({ ...prev, courseId: '' }))
+      return
+    }
+    const room = roomOptions.find(r => r.id === editingContext.roomId) || null
+    setEditingContext(prev => ({
+      ...prev,
+      courseId: option.record.id,
+      course: getPeriodLabel(option.record, room),
+      subject: option.record.name || '',
+      instructor: option.record.instructor || ''
+    }))
+  }
+
+  const selectEditRoom = (option) => {
+    const room = option?.record || null
+    const course = courseOptions.find(c => c.id === editingContext.courseId)
+    setEditingContext(prev => ({
+      ...prev,
+      roomId: room?.id || '',
+      room: room?.name || '',
+      // A linked lab's label includes the lab batch taken from its room
+      course: course ? getPeriodLabel(course, room) : prev.course
+    }))
   }
 
+  // Slots the period being edited covers, and the most it could cover before a break
+  const editSlots = isEditingPeriod ? getBlockSlots(bellSchedule, editingContext.time, editingContext.span) : []
+  const maxEditSpan = isEditingPeriod ? getBlockSlots(bellSchedule, editingContext.time, timeSlots.length).length : 1
+
+  // A period split into batches is saved as one entry listing its sessions
+  const editEntry = editingContext.sessions.length > 0
+    ? buildBatchEntry(editingContext.sessions, { span: editingContext.span, rotate: editingContext.rotate })
+    : editingContext
+
+  // Clashes the period being edited would cause with other sections
+  const editClashes = isEditingPeriod && (editEntry.course || editEntry.instructor)
+    ? editSlots.flatMap(time => findClashesForPeriod(expandedTimetables, section, editingContext.day, time, editEntry))
+    : []
+
   const saveEditPeriod = () => {
-    const { day, time, course, subject, instructor } = editingContext
-    setTimetables(prev => {
+    const { day, time, course, subject, instructor, courseId, room, roomId, span, sessions } = editingContext
+    const placementError = validateBlockPlacement(timetableData[day], bellSchedule, time, span)
+    if (placementError) {
+      alert(placementError)
+      return
+    }
+    const sessionsError = sessions.length > 0 ? validateSessions(sessions) : null
+    if (sessionsError) {
+      alert(sessionsError)
+      return
+    }
+    commitTimetables(prev => {
       const sectionData = prev[section] || {}
       const dayData = { ...(sectionData[day] || {}) }
-      dayData[time] = { course, subject, instructor }
+      if (sessions.length > 0) {
+        dayData[time] = editEntry
+      } else {
+        dayData[time] = { course, subject, instructor }
+        if (courseId) dayData[time].courseId = courseId
+        if (room) dayData[time].room = room
+        if (roomId) dayData[time].roomId = roomId
+        if (span > 1) dayData[time].span = span
+      }
       return {
         ...prev,
         [section]: {
@@ -529,15 +899,37 @@ const Timetable = () => {
           [day]: dayData
         }
       }
-    })
+    }, `Edit ${editEntry.course || 'period'}`)
     setIsEditingPeriod(false)
   }
 
+  // Split the period being edited into batches, or merge its batches back into one class
+  const splitEditPeriod = () => {
+    setEditingContext(prev => ({ ...prev, sessions: splitIntoBatches(prev), rotate: false }))
+  }
+
+  const mergeEditPeriod = () => {
+    setEditingContext(prev => {
+      const [first = {}] = prev.sessions
+      return {
+        ...prev,
+        course: first.course || '',
+        subject: first.subject || '',
+        instructor: first.instructor || '',
+        courseId: first.courseId || '',
+        room: first.room || '',
+        roomId: first.roomId || '',
+        sessions: [],
+        rotate: false
+      }
+    })
+  }
+
   const handleDeleteClick = () => {
     const { time } = editingContext
-    // Prevent deleting LUNCH period
-    if (time === 'LUNCH') {
-      alert('Lunch period cannot be deleted.')
+    // Prevent deleting break periods
+    if (isBreakSlot(time)) {
+      alert('Break periods cannot be deleted.')
       return
     }
     // Show custom delete confirmation modal
@@ -545,8 +937,8 @@ const Timetable = () => {
   }
 
   const confirmDelete = () => {
-    const { day, time } = editingContext
-    setTimetables(prev => {
+    const { day, time, course } = editingContext
+    commitTimetables(prev => {
       const sectionData = prev[section] || {}
       const dayData = { ...(sectionData[day] || {}) }
       // Set to null to clear the period
@@ -558,7 +950,7 @@ const Timetable = () => {
           [day]: dayData
         }
       }
-    })
+    }, `Delete ${course || 'period'}`)
     setIsEditingPeriod(false)
     setShowDeleteConfirm(false)
   }
@@ -567,145 +959,846 @@ const Timetable = () => {
     setShowDeleteConfirm(false)
   }
 
-  const renderWeeklyView = () => (
-    <div className="w-full overflow-x-auto">
-      <table className="w-full border-collapse text-gray-900 min-w-[1200px]">
-        <thead>
-          <tr className="border-b-2 border-gray-300">
-            <th className="p-4 text-left font-bold text-gray-800 text-sm min-w-[100px] sticky left-0 bg-white z-10">Time</th>
-            {days.map(day => (
-              <th key={day} className={`p-4 text-center font-bold text-sm min-w-[140px] max-w-[160px] ${
-                (day === 'Sunday' || day === 'Monday') ? 'text-gray-600 bg-gray-100' : 'text-gray-800'
-              }`}>
-                <div className="truncate">{day}</div>
-              </th>
-            ))}
-          </tr>
-        </thead>
-        <tbody>
-          {timeSlots.map((time) => (
-            <tr key={time} className="border-b border-gray-200" data-time={time}>
-              <td className="p-4 font-bold text-gray-700 text-xs sticky left-0 bg-white z-10 border-r border-gray-200">
-                <div className="truncate">{time}</div>
-              </td>
-              {days.map((day) => {
-                const classData = getClassData(day, time)
-                
-                if (time === 'LUNCH') {
-                  // Show lunch break as null on Sunday and Monday (weekends)
-                  if (day === 'Sunday' || day === 'Monday') {
-                    return (
-                      <td key={day} className={`p-3 border border-gray-200 ${
-                        (day === 'Sunday' || day === 'Monday') ? 'bg-gray-100' : ''
-                      }`}>
-                        <div className="h-52 border-2 border-dashed border-gray-300 rounded-lg flex items-center justify-center bg-gray-50 p-4">
-                          <span className="text-base text-gray-600 font-semibold text-center leading-tight">No Lunch Break</span>
-                        </div>
-                      </td>
-                    )
-                  }
-                  
-                  return (
-                    <td key={day} className="p-3 bg-orange-50 border border-orange-200">
-                      <div className="text-center text-orange-800 font-bold text-xs h-52 flex flex-col justify-center">
-                        <div className="mb-2">LUNCH</div>
-                        <div className="text-orange-600 text-xs">
-                          12:50-1:40
-                        </div>
-                      </div>
-                    </td>
-                  )
-                }
+  // Drag-and-drop / keyboard move state
+  const [moveSource, setMoveSource] = useState(null)  // { day, time } of the period being moved
+  const [moveTarget, setMoveTarget] = useState(null)  // { day, time } of the cell it would land on
+  const [moveStatus, setMoveStatus] = useState('')    // Result of the last move, also announced to screen readers
 
-                if (!classData) {
-                  return (
-                    <td key={day} className={`p-3 border border-gray-200 ${
-                      (day === 'Sunday' || day === 'Monday') ? 'bg-gray-100' : ''
-                    }`}>
-                      <div className="h-52 border-2 border-dashed border-gray-300 rounded-lg flex flex-col items-center justify-center bg-gray-50 p-4">
-                        <span className="text-base text-gray-600 font-semibold text-center leading-tight mb-3">No Class</span>
-                        <button onClick={() => openEditPeriod(day, time)} className="text-xs px-3 py-1 rounded-md bg-primary-600 text-white hover:bg-primary-700">Edit</button>
-                      </div>
-                    </td>
-                  )
-                }
+  // Clear the move result message after a few seconds
+  useEffect(() => {
+    if (!moveStatus) return
+    const timer = setTimeout(() => setMoveStatus(''), 5000)
+    return () => clearTimeout(timer)
+  }, [moveStatus])
 
-                // Check if this is a lab session
-                const isLab = classData.course.includes('LAB')
-                
-                // Check if this is the current day
-                const isCurrentDay = day === currentDay
-                
-                // Check if this is the current period
-                const isCurrentPeriod = day === currentDay && time === currentPeriod
-                
-                // Highlight lab sessions only on current day and if the session hasn't ended
-                const shouldHighlightLab = isLab && isCurrentDay && !hasTimeSlotEnded(time)
-                
-                // Determine styling based on current period or lab highlighting
-                let cardClasses = 'bg-blue-50 border border-blue-200'
-                if (isCurrentPeriod) {
-                  cardClasses = 'bg-yellow-200 border-4 border-yellow-500 shadow-2xl transform scale-110 ring-4 ring-yellow-300 animate-pulse'
-                } else if (shouldHighlightLab && (time === '14:30-15:20' || time === '15:20-16:10' || time === '16:10-17:00')) {
-                  cardClasses = 'bg-green-200 border-4 border-green-500 shadow-2xl transform scale-110 ring-4 ring-green-300 animate-pulse'
-                } else if (shouldHighlightLab) {
-                  cardClasses = 'bg-green-100 border-2 border-green-400 shadow-lg transform scale-105'
-                }
-                
-                return (
-                  <td key={day} className={`p-3 border border-gray-200 ${
-                    (day === 'Sunday' || day === 'Monday') ? 'bg-gray-100' : ''
-                  }`}>
-                    <div className={`h-52 p-4 rounded-lg flex flex-col justify-between relative transition-all duration-700 ${cardClasses}`}>
-                      <button
-                        onClick={() => openEditPeriod(day, time)}
-                        className="absolute top-2 right-2 p-1.5 rounded-md bg-white/80 hover:bg-white border border-blue-200"
-                        aria-label={`Edit ${day} ${time}`}
-                      >
-                        <Edit className="w-4 h-4 text-blue-700" />
-                      </button>
-                      <div className={`font-bold text-sm mb-2 leading-tight truncate ${
-                        isCurrentPeriod ? 'text-yellow-900' : shouldHighlightLab && (time === '14:30-15:20' || time === '15:20-16:10' || time === '16:10-17:00') ? 'text-green-900' : shouldHighlightLab ? 'text-green-900' : 'text-blue-900'
-                      }`}>
-                        {classData.course}
-                      </div>
-                      <div className={`font-semibold text-sm mb-2 leading-tight line-clamp-3 ${
-                        isCurrentPeriod ? 'text-yellow-900' : shouldHighlightLab && (time === '14:30-15:20' || time === '15:20-16:10' || time === '16:10-17:00') ? 'text-green-900' : shouldHighlightLab ? 'text-green-900' : 'text-blue-900'
-                      }`}>
-                        {classData.subject}
-                      </div>
-                      <div className={`text-xs font-medium leading-tight line-clamp-3 mb-2 ${
-                        isCurrentPeriod ? 'text-yellow-800' : shouldHighlightLab && (time === '14:30-15:20' || time === '15:20-16:10' || time === '16:10-17:00') ? 'text-green-800' : shouldHighlightLab ? 'text-green-800' : 'text-blue-700'
-                      }`}>
-                        {classData.instructor}
-                      </div>
-                      {/* Current period indicator */}
-                      {isCurrentPeriod && (
-                        <div className="mt-auto text-xs px-3 py-1.5 rounded-full font-bold text-center bg-yellow-400 text-yellow-900 animate-bounce shadow-lg">
-                          ⏰ CURRENT
-                        </div>
-                      )}
-                      {/* Lab sessions have special styling */}
-                      {isLab && !isCurrentPeriod && (
-                        <div className={`mt-auto text-xs px-3 py-1.5 rounded-full font-bold text-center ${
-                          shouldHighlightLab && (time === '14:30-15:20' || time === '15:20-16:10' || time === '16:10-17:00')
-                            ? 'bg-green-300 text-green-900 animate-bounce shadow-lg' 
-                            : shouldHighlightLab
-                            ? 'bg-green-200 text-green-900 animate-pulse' 
-                            : 'bg-green-100 text-green-800'
+  /**
+   * Work out what moving a period would do: the new section grid and the clashes
+   * it would cause with other sections, or why the move is not possible
+   */
+  const previewMove = (from, to) => {
+    const result = moveBlock(timetableData, bellSchedule, from, to)
+    if (result.error) return result
+    const moveClashes = result.moved.flatMap(({ day, start, entry }) => (
+      getBlockSlots(bellSchedule, start, getSpan(entry)).flatMap(time => findClashesForPeriod(expandedTimetables, section, day, time, entry))
+    ))
+    return { ...result, clashes: moveClashes }
+  }
+
+  // Live validation for the cell currently under the dragged period
+  const movePreview = moveSource && moveTarget ? previewMove(moveSource, moveTarget) : null
+
+  const cancelMove = () => {
+    setMoveSource(null)
+    setMoveTarget(null)
+  }
+
+  /**
+   * Move (or swap) a period; the autosave effect persists the new grid
+   */
+  const completeMove = (from, to) => {
+    const result = previewMove(from, to)
+    cancelMove()
+    if (result.error) {
+      setMoveStatus(`Move not possible: ${result.error}`)
+      return
+    }
+    if (result.moved.length === 0) return
+
+    const [moved] = result.moved
+    commitTimetables(prev => ({ ...prev, [section]: result.sectionData }), `Move ${moved.entry.course}`)
+    setMoveStatus(result.clashes.length > 0
+      ? `Moved ${moved.entry.course} with ${result.clashes.length} clash${result.clashes.length === 1 ? '' : 'es'}: ${describeClash(result.clashes[0])}`
+      : `Moved ${moved.entry.course} to ${moved.day} ${getSlot(bellSchedule, moved.start)?.name || moved.start}`)
+
+    // Keep keyboard focus on the period that was moved
+    setTimeout(() => {
+      document.querySelector(`[data-move-handle="${moved.day}|${moved.start}"]`)?.focus()
+    }, 0)
+  }
+
+  /**
+   * Keyboard alternative to dragging: Enter/Space picks a period up, the arrow keys
+   * choose a cell, Enter/Space drops it there and Escape cancels
+   */
+  const handleMoveKeyDown = (event, day, time) => {
+    const periodSlots = timeSlots.filter(slot => !isBreakSlot(slot))
+
+    if (!moveSource) {
+      if (event.key === 'Enter' || event.key === ' ') {
+        event.preventDefault()
+        setMoveSource({ day, time })
+        setMoveTarget({ day, time })
+        setMoveStatus('')
+      }
+      return
+    }
+
+    const target = moveTarget || moveSource
+    const dayIndex = days.indexOf(target.day)
+    const slotIndex = periodSlots.indexOf(target.time)
+
+    switch (event.key) {
+      case 'Escape':
+        event.preventDefault()
+        cancelMove()
+        setMoveStatus('Move cancelled')
+        break
+      case 'Enter':
+      case ' ':
+        event.preventDefault()
+        completeMove(moveSource, target)
+        break
+      case 'ArrowLeft':
+      case 'ArrowRight':
+        event.preventDefault()
+        setMoveTarget({ ...target, day: days[Math.min(Math.max(dayIndex + (event.key === 'ArrowLeft' ? -1 : 1), 0), days.length - 1)] })
+        break
+      case 'ArrowUp':
+      case 'ArrowDown':
+        event.preventDefault()
+        setMoveTarget({ ...target, time: periodSlots[Math.min(Math.max(slotIndex + (event.key === 'ArrowUp' ? -1 : 1), 0), periodSlots.length - 1)] })
+        break
+      default:
+        break
+    }
+  }
+
+  /**
+   * Drop handlers shared by empty and occupied cells of the weekly grid
+   */
+  const getDropHandlers = (day, time) => ({
+    onDragOver: (event) => {
+      if (!moveSource) return
+      event.preventDefault()
+      if (moveTarget?.day !== day || moveTarget?.time !== time) setMoveTarget({ day, time })
+    },
+    onDrop: (event) => {
+      event.preventDefault()
+      if (moveSource) completeMove(moveSource, { day, time })
+    }
+  })
+
+  /**
+   * Outline for the cell a period is being moved to: green when free of clashes,
+   * orange when the move would clash with another section, red when it is not possible
+   */
+  const getDropTargetClasses = (day, slots) => {
+    if (!movePreview || moveTarget.day !== day || !slots.includes(moveTarget.time)) return ''
+    if (movePreview.error) return 'ring-4 ring-red-400'
+    return movePreview.clashes.length > 0 ? 'ring-4 ring-orange-400' : 'ring-4 ring-green-400'
+  }
+
+  // Bell schedule editing state
+  const [scheduleDraft, setScheduleDraft] = useState(null)  // Copy of the bell schedule being edited
+  const scheduleErrors = scheduleDraft ? validateBellSchedule(scheduleDraft) : []
+
+  /**
+   * Format minutes from midnight as 'HH:MM'
+   */
+  const fromMinutes = (minutes) => {
+    const clamped = Math.min(minutes, 23 * 60 + 59)
+    return `${String(Math.floor(clamped / 60)).padStart(2, '0')}:${String(clamped % 60).padStart(2, '0')}`
+  }
+
+  /**
+   * Append a period or break after the last slot of the draft schedule
+   */
+  const addScheduleSlot = (type) => {
+    setScheduleDraft(prev => {
+      const sorted = sortBellSchedule(prev)
+      const lastEnd = sorted.length > 0 ? toMinutes(sorted[sorted.length - 1].end) ?? 9 * 60 : 9 * 60
+      const length = type === 'break' ? 15 : 50
+      const slot = {
+        name: type === 'break' ? 'Break' : `Period ${prev.filter(s => s.type === 'period').length + 1}`,
+        start: fromMinutes(lastEnd),
+        end: fromMinutes(lastEnd + length),
+        type
+      }
+      return [...prev, { ...slot, id: createSlotId(prev, slot) }]
+    })
+  }
+
+  const updateScheduleSlot = (id, field, value) => {
+    setScheduleDraft(prev => prev.map(slot => slot.id === id ? { ...slot, [field]: value } : slot))
+  }
+
+  const removeScheduleSlot = (id) => {
+    setScheduleDraft(prev => prev.filter(slot => slot.id !== id))
+  }
+
+  /**
+   * Save the draft schedule. Periods on slots that were removed or turned into breaks
+   * move to the matching new period; the user confirms dropping any that do not fit.
+   */
+  const saveBellSchedule = () => {
+    if (scheduleErrors.length > 0) return
+    const schedule = sortBellSchedule(scheduleDraft)
+    const { timetables: remapped, dropped } = remapPeriods(timetables, bellSchedule, schedule)
+    if (dropped.length > 0) {
+      const lines = dropped.slice(0, 10).map(({ section: name, day, slotId, entry }) => (
+        `- ${name}, ${day}, ${getSlot(bellSchedule, slotId)?.name || slotId}: ${entry.course || entry.subject || 'period'}`
+      ))
+      if (dropped.length > 10) lines.push(`- and ${dropped.length - 10} more`)
+      const message = `${dropped.length} period${dropped.length === 1 ? ' has' : 's have'} no matching slot in the new bell schedule and will be removed:\n${lines.join('\n')}\n\nSave the bell schedule anyway?`
+      if (!window.confirm(message)) return
+    }
+    if (remapped !== timetables) {
+      snapshotBeforeChange('Change bell schedule', true)
+      // Earlier states use the old slots, so they can no longer be restored
+      setHistory(createHistory())
+      setTimetables(remapped)
+    }
+    setBellSchedule(schedule)
+    setScheduleDraft(null)
+  }
+
+  // Working week editing state
+  const [workingDaysDraft, setWorkingDaysDraft] = useState(null)  // Copy of the working days being edited
+
+  const toggleWorkingDayDraft = (day) => {
+    setWorkingDaysDraft(prev => prev.includes(day) ? prev.filter(d => d !== day) : [...prev, day])
+  }
+
+  const saveWorkingDays = () => {
+    if (workingDaysDraft.length === 0) return
+    setWorkingDays(normalizeWorkingDays(workingDaysDraft))
+    setWorkingDaysDraft(null)
+  }
+
+  // Section management state
+  const [isManagingSections, setIsManagingSections] = useState(false)
+  const [sectionDrafts, setSectionDrafts] = useState({})  // Edits per section, keyed by the saved name
+  const [newSectionDraft, setNewSectionDraft] = useState({ name: '', home_room: '', strength: 65, program: '', semester: '' })
+  const [isSavingSection, setIsSavingSection] = useState(false)
+
+  const openSectionManager = () => {
+    setSectionDrafts(Object.fromEntries(sectionRecords.map(record => [record.name, { ...record }])))
+    setIsManagingSections(true)
+  }
+
+  const updateSectionDraft = (name, field, value) => {
+    setSectionDrafts(prev => ({ ...prev, [name]: { ...prev[name], [field]: value } }))
+  }
+
+  /**
+   * Save the default sections to Supabase the first time the user manages sections
+   * @returns {Promise<Array>} - Stored section records
+   */
+  const ensureSectionsStored = async () => {
+    if (sectionRecords.every(record => record.id)) return sectionRecords
+    const stored = await Promise.all(sectionRecords.map(record => (
+      record.id ? record : createSection(ownerId, record)
+    )))
+    setSectionRecords(stored)
+    return stored
+  }
+
+  /**
+   * Run a section change, reporting failures the same way for every action
+   */
+  const runSectionAction = async (action, failureMessage) => {
+    if (!isSignedIn || !ownerId) {
+      alert('Please sign in to manage sections.')
+      return
+    }
+    setIsSavingSection(true)
+    try {
+      await action(await ensureSectionsStored())
+    } catch (err) {
+      console.error(failureMessage, err)
+      alert(`${failureMessage}. ${err.code === '23505' ? 'A section with that name already exists.' : 'Please try again.'}`)
+    } finally {
+      setIsSavingSection(false)
+    }
+  }
+
+  /**
+   * Save a section's name and metadata; a rename moves its timetable, the profile,
+   * exceptions, substitutions and versions that use the old name to the new one
+   */
+  const saveSection = (originalName) => runSectionAction(async (stored) => {
+    const draft = sectionDrafts[originalName]
+    const name = draft.name.trim()
+    if (!name) {
+      alert('Section name is required.')
+      return
+    }
+    if (name !== originalName && findSection(stored, name)) {
+      alert('A section with that name already exists.')
+      return
+    }
+
+    const record = findSection(stored, originalName)
+    const changes = { ...record, ...draft, name, strength: Number(draft.strength) || 0 }
+    const updated = name !== originalName
+      ? await renameSection(ownerId, originalName, changes)
+      : await updateSection(ownerId, record.id, changes)
+    setSectionRecords(stored.map(r => r.id === updated.id ? updated : r))
+    setSectionDrafts(prev => {
+      const next = { ...prev }
+      delete next[originalName]
+      return { ...next, [updated.name]: { ...updated } }
+    })
+
+    if (updated.name !== originalName) {
+      // Earlier states use the old section name, so they can no longer be restored
+      setHistory(createHistory())
+      setTimetables(prev => renameSectionGrid(prev, originalName, updated.name))
+      if (section === originalName) setSection(updated.name)
+      // Renamed on the server by renameSection, the saved grid included, so the autosave has nothing to move
+      savedDataRef.current = renameSectionGrid(savedDataRef.current, originalName, updated.name)
+      const renamed = (item) => item?.section === originalName ? { ...item, section: updated.name } : item
+      setExceptions(prev => prev.map(renamed))
+      setProfile(renamed)
+      setVersions(prev => prev && prev.map(version => {
+        if (!version.data?.[originalName]) return version
+        const { [originalName]: data, ...rest } = version.data
+        return { ...version, data: { ...rest, [updated.name]: data } }
+      }))
+    }
+  }, 'Failed to save section')
+
+  /**
+   * Archive or restore a section; archived sections keep their timetable
+   */
+  const toggleSectionArchived = (name) => runSectionAction(async (stored) => {
+    const record = findSection(stored, name)
+    if (!record.archived && getActiveSectionNames(stored).length === 1) {
+      alert('At least one section must stay active.')
+      return
+    }
+    const updated = await setSectionArchived(ownerId, record, !record.archived)
+    setSectionRecords(stored.map(r => r.id === updated.id ? updated : r))
+    setSectionDrafts(prev => ({ ...prev, [name]: { ...prev[name], archived: updated.archived } }))
+  }, 'Failed to update section')
+
+  const addSection = () => runSectionAction(async (stored) => {
+    const name = newSectionDraft.name.trim()
+    if (!name) {
+      alert('Section name is required.')
+      return
+    }
+    if (findSection(stored, name)) {
+      alert('A section with that name already exists.')
+      return
+    }
+
+    const created = await createSection(ownerId, { ...newSectionDraft, name, strength: Number(newSectionDraft.strength) || 0 })
+    setSectionRecords([...stored, created].sort((a, b) => a.name.localeCompare(b.name)))
+    setSectionDrafts(prev => ({ ...prev, [created.name]: { ...created } }))
+    setTimetables(prev => ({ ...prev, [created.name]: prev[created.name] || {} }))
+    setNewSectionDraft({ name: '', home_room: '', strength: 65, program: '', semester: '' })
+  }, 'Failed to add section')
+
+  // Generation state
+  const [isGenerating, setIsGenerating] = useState(false)
+  const [generationResult, setGenerationResult] = useState(null)  // Preview of generated timetables
+
+  /**
+   * Generate clash-free timetables for every section from the user's courses and rooms,
+   * each section getting the courses taught to it (see getSectionCourses)
+   * The result is shown as a preview and only applied after confirmation
+   */
+  const handleGenerateTimetable = async () => {
+    if (!isSignedIn || !ownerId) {
+      alert('Please sign in to generate a timetable.')
+      return
+    }
+
+    setIsGenerating(true)
+    try {
+      const [courses, rooms] = await Promise.all([
+        loadUserCourses(ownerId),
+        loadUserRooms(ownerId)
+      ])
+      setCourseOptions(courses)
+      setRoomOptions(rooms)
+
+      if (courses.length === 0) {
+        alert('Add courses on the Courses page before generating a timetable.')
+        return
+      }
+
+      const result = generateTimetables({
+        sections,
+        courses,
+        rooms,
+        days: workingDays,
+        timeSlots,
+        breakSlots: getBreakKeys(bellSchedule),
+        sectionRooms: sectionRoom
+      })
+      setGenerationResult(result)
+    } catch (err) {
+      console.error('Failed to generate timetable', err)
+      alert('Failed to generate timetable. Please try again.')
+    } finally {
+      setIsGenerating(false)
+    }
+  }
+
+  /**
+   * Apply the generated timetables and save them so they can be hand-tuned afterwards
+   */
+  const applyGeneratedTimetable = () => {
+    // Saved by the autosave like any other edit
+    commitTimetables(prev => ({ ...prev, ...generationResult.timetables }), 'Generate timetable', true)
+    setGenerationResult(null)
+  }
+
+  /**
+   * Count the periods placed for a section in a generated grid (lunch excluded, blocks counted per period)
+   */
+  const countGeneratedPeriods = (grid) => {
+    return Object.values(grid).reduce((total, dayData) => (
+      total + Object.entries(dayData)
+        .filter(([time, entry]) => !isBreakSlot(time) && entry)
+        .reduce((sum, [, entry]) => sum + getSpan(entry), 0)
+    ), 0)
+  }
+
+  // Calendar export state; the term bounds the weekly recurring events
+  const [isCalendarExportOpen, setIsCalendarExportOpen] = useState(false)
+  const [termDates, setTermDates] = useState(() => {
+    const toDateInput = (date) => `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`
+    const start = new Date()
+    const end = new Date()
+    end.setDate(end.getDate() + 16 * 7)
+    return { start: toDateInput(start), end: toDateInput(end) }
+  })
+  const termDatesError = validateTermDates(termDates.start, termDates.end)
+
+  /**
+   * Open the calendar export, starting from the term's dates when there is one
+   */
+  const openCalendarExport = () => {
+    if (term) setTermDates({ start: term.start_date, end: term.end_date })
+    setIsCalendarExportOpen(true)
+  }
+
+  /**
+   * Download the active section's timetable as an iCalendar file
+   */
+  const handleCalendarExport = () => {
+    if (termDatesError) {
+      alert(termDatesError)
+      return
+    }
+    const calendar = buildSectionCalendar({
+      section,
+      sectionData: timetableData,
+      schedule: bellSchedule,
+      workingDays,
+      termStart: termDates.start,
+      termEnd: termDates.end,
+      excludedDates: getBreakDates(term)
+    })
+    downloadFile(`${toFileName(section)} timetable.ics`, calendar, 'text/calendar;charset=utf-8')
+    setIsCalendarExportOpen(false)
+  }
+
+  // Calendar import state: the parsed file is previewed before it is applied
+  const [calendarImport, setCalendarImport] = useState(null)  // { fileName, sectionData, matched, unmatched }
+  const [importTarget, setImportTarget] = useState('')  // Section the imported periods go into
+  const [importMode, setImportMode] = useState('merge')  // 'merge' keeps existing periods, 'replace' clears the grid first
+  const calendarFileRef = useRef(null)
+
+  /**
+   * Read an uploaded .ics file and map its weekly events onto the bell schedule
+   */
+  const handleCalendarFile = async (event) => {
+    const file = event.target.files?.[0]
+    event.target.value = ''
+    if (!file) return
+    try {
+      const events = parseCalendar(await file.text())
+      if (events.length === 0) {
+        alert('No events were found in this file.')
+        return
+      }
+      setCalendarImport({ fileName: file.name, ...mapEventsToTimetable(events, bellSchedule, workingDays) })
+      setImportTarget(section)
+      setImportMode('merge')
+    } catch (err) {
+      console.error('Failed to read calendar file', err)
+      alert('Failed to read the calendar file. Please check that it is a valid .ics file.')
+    }
+  }
+
+  const confirmCalendarImport = () => {
+    const { fileName, sectionData } = calendarImport
+    commitTimetables(prev => ({
+      ...prev,
+      [importTarget]: applyImportedSection(prev[importTarget] || {}, sectionData, bellSchedule, importMode)
+    }), `Import ${fileName}`, true)
+    setSection(importTarget)
+    setCalendarImport(null)
+  }
+
+  // Spreadsheet import wizard state
+  const [isSpreadsheetImportOpen, setIsSpreadsheetImportOpen] = useState(false)
+
+  /**
+   * Write a validated spreadsheet grid into a section; the autosave saves it like any other edit
+   */
+  const handleSpreadsheetImport = (targetSection, sectionData, mode) => {
+    commitTimetables(prev => ({
+      ...prev,
+      [targetSection]: applyImportedSection(prev[targetSection] || {}, sectionData, bellSchedule, mode)
+    }), `Import spreadsheet into ${targetSection}`, true)
+    setSection(targetSection)
+  }
+
+  // Spreadsheet exports of the current section, limited to the days on screen
+  const timetableExportOptions = [
+    {
+      label: 'Grid layout (CSV)',
+      onSelect: () => downloadCsv(`${section} timetable`, buildTimetableGridRows(timetableData, bellSchedule, days))
+    },
+    {
+      label: 'List layout (CSV)',
+      onSelect: () => downloadCsv(`${section} timetable list`, buildTimetableListRows(section, timetableData, bellSchedule, days))
+    },
+    {
+      label: 'Grid and list (XLSX)',
+      onSelect: () => downloadXlsx(`${section} timetable`, [
+        { name: `${section} Grid`, rows: buildTimetableGridRows(timetableData, bellSchedule, days) },
+        { name: `${section} List`, rows: buildTimetableListRows(section, timetableData, bellSchedule, days) }
+      ])
+    }
+  ]
+
+  // Print dialog state; the print layout is mounted while the dialog is open
+  const [printSettings, setPrintSettings] = useState(null)  // { scope: 'current' | 'all', paper }
+  const [isGeneratingPdf, setIsGeneratingPdf] = useState(false)
+  const printPages = printSettings
+    ? (printSettings.scope === 'all' ? sections : [section]).map(name => ({
+        section: name,
+        homeRoom: sectionRoom[name],
+        sectionData: timetables[name] || {}
+      }))
+    : []
+
+  const handleDownloadPdf = async () => {
+    setIsGeneratingPdf(true)
+    try {
+      await downloadTimetablePdf({
+        pages: printPages,
+        schedule: bellSchedule,
+        days: workingDays,
+        term: termName,
+        paper: printSettings.paper,
+        fileName: toFileName(printSettings.scope === 'all' ? 'All sections timetable' : `${section} timetable`)
+      })
+    } catch (err) {
+      console.error('Failed to generate PDF', err)
+      alert('Failed to generate the PDF. Please try again.')
+    } finally {
+      setIsGeneratingPdf(false)
+    }
+  }
+
+  // Versions panel state
+  const [isVersionsOpen, setIsVersionsOpen] = useState(false)
+  const [versionName, setVersionName] = useState('')
+  const [compareFrom, setCompareFrom] = useState('')  // Version id to compare from
+  const [compareTo, setCompareTo] = useState('current')  // Version id (or the current timetable) to compare to
+
+  const openVersions = async () => {
+    if (!isSignedIn || !ownerId) {
+      alert('Please sign in to view timetable versions.')
+      return
+    }
+    setIsVersionsOpen(true)
+    try {
+      const loaded = await loadTimetableVersions(ownerId)
+      setVersions(loaded)
+      if (!compareFrom && loaded.length > 0) setCompareFrom(loaded[0].id)
+    } catch (err) {
+      console.error('Failed to load versions', err)
+      alert('Failed to load versions. Please try again.')
+    }
+  }
+
+  const handleSaveVersion = async () => {
+    if (!versionName.trim()) return
+    try {
+      const version = await saveVersion(versionName, 'manual')
+      setVersionName('')
+      setCompareFrom(version.id)
+    } catch (err) {
+      console.error('Failed to save version', err)
+      alert('Failed to save version. Please try again.')
+    }
+  }
+
+  /**
+   * Restore a version; the current timetable is snapshotted first and the restore can be undone
+   */
+  const restoreVersion = (version) => {
+    if (!window.confirm(`Restore "${version.name}"? The current timetable will be saved as an automatic version first.`)) return
+    const schedule = version.bell_schedule ? normalizeBellSchedule(version.bell_schedule) : bellSchedule
+    commitTimetables(() => version.data || {}, `Restore ${version.name}`, true)
+    if (version.bell_schedule) setBellSchedule(schedule)
+    if (version.working_days) setWorkingDays(normalizeWorkingDays(version.working_days))
+    setIsVersionsOpen(false)
+  }
+
+  const removeVersion = async (version) => {
+    if (!window.confirm(`Delete the version "${version.name}"?`)) return
+    try {
+      await deleteTimetableVersion(ownerId, version.id)
+      setVersions(prev => prev.filter(v => v.id !== version.id))
+      if (compareFrom === version.id) setCompareFrom('')
+      if (compareTo === version.id) setCompareTo('current')
+    } catch (err) {
+      console.error('Failed to delete version', err)
+      alert('Failed to delete version. Please try again.')
+    }
+  }
+
+  /**
+   * Timetable document for a compare option ('current' or a version id)
+   */
+  const getComparedTimetables = (id) => {
+    if (id === 'current') return timetables
+    const version = (versions || []).find(v => v.id === id)
+    return version ? version.data || {} : null
+  }
+
+  const compareBefore = isVersionsOpen ? getComparedTimetables(compareFrom) : null
+  const compareAfter = isVersionsOpen ? getComparedTimetables(compareTo) : null
+  const versionDiff = compareBefore && compareAfter ? diffTimetables(compareBefore, compareAfter, bellSchedule) : []
+  const versionDiffSummary = summarizeDiff(versionDiff)
+
+  const renderWeeklyView = () => (
+    <>
+      {/* Move status - live validation while a period is being moved, then the result */}
+      <div aria-live="polite">
+        {moveSource ? (
+          <div className={`mb-4 rounded-lg p-3 text-sm font-bold border-2 ${
+            movePreview?.error ? 'bg-red-50 border-red-200 text-red-800'
+              : movePreview?.clashes.length > 0 ? 'bg-orange-50 border-orange-200 text-orange-800'
+              : 'bg-green-50 border-green-200 text-green-800'
+          }`}>
+            {!movePreview
+              ? 'Drag the period onto another cell to move it, or onto another period to swap.'
+              : movePreview.error
+              ? `Cannot drop here: ${movePreview.error}`
+              : movePreview.clashes.length > 0
+              ? `Dropping here causes a clash: ${describeClash(movePreview.clashes[0])}`
+              : 'No clashes here. Drop to move, or onto another period to swap.'}
+            <span className="font-medium"> Arrow keys choose a cell, Enter drops, Escape cancels.</span>
+          </div>
+        ) : moveStatus && (
+          <div className="mb-4 rounded-lg p-3 text-sm font-bold border-2 bg-gray-50 border-gray-200 text-gray-800">{moveStatus}</div>
+        )}
+      </div>
+      <div className="w-full overflow-x-auto">
+        <table className="w-full border-collapse text-gray-900 min-w-[1200px]">
+          <thead>
+            <tr className="border-b-2 border-gray-300">
+              <th className="p-4 text-left font-bold text-gray-800 text-sm min-w-[100px] sticky left-0 bg-white z-10">Time</th>
+              {days.map(day => (
+                <th key={day} className={`p-4 text-center font-bold text-sm min-w-[140px] max-w-[160px] ${
+                  isWeekend(day) ? 'text-gray-600 bg-gray-100' : 'text-gray-800'
+                }`}>
+                  <div className="truncate">{day}</div>
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {timeSlots.map((time) => (
+              <tr key={time} className="border-b border-gray-200" data-time={time}>
+                <td className="p-4 font-bold text-gray-700 text-xs sticky left-0 bg-white z-10 border-r border-gray-200">
+                  <div className="truncate">{getSlot(bellSchedule, time)?.name}</div>
+                  <div className="truncate font-medium text-gray-500">{getSlotLabel(time)}</div>
+                </td>
+                {days.map((day) => {
+                  if (isBreakSlot(time)) {
+                    // Show breaks as empty on non-working days (weekends)
+                    if (isWeekend(day)) {
+                      return (
+                        <td key={day} className={`p-3 border border-gray-200 ${
+                          isWeekend(day) ? 'bg-gray-100' : ''
                         }`}>
-                          {shouldHighlightLab && (time === '14:30-15:20' || time === '15:20-16:10' || time === '16:10-17:00') ? '🔬 LAB' : 'LAB'}
+                          <div className="h-52 border-2 border-dashed border-gray-300 rounded-lg flex items-center justify-center bg-gray-50 p-4">
+                            <span className="text-base text-gray-600 font-semibold text-center leading-tight">No {getSlot(bellSchedule, time).name}</span>
+                          </div>
+                        </td>
+                      )
+                    }
+                    
+                    return (
+                      <td key={day} className="p-3 bg-orange-50 border border-orange-200">
+                        <div className="text-center text-orange-800 font-bold text-xs h-52 flex flex-col justify-center">
+                          <div className="mb-2 uppercase">{getSlot(bellSchedule, time).name}</div>
+                          <div className="text-orange-600 text-xs">
+                            {formatSlotRange(getSlot(bellSchedule, time))}
+                          </div>
                         </div>
-                      )}
-                    </div>
-                  </td>
-                )
-              })}
-            </tr>
-          ))}
-        </tbody>
-      </table>
-    </div>
+                      </td>
+                    )
+                  }
+
+                  // A block is drawn once in its first slot and spans the rows it covers
+                  const block = getBlockAt(day, time)
+                  if (block && block.start !== time) return null
+                  const classData = block?.entry
+                  const blockSlots = block ? block.slots : [time]
+
+                  if (!classData) {
+                    return (
+                      <td key={day} {...getDropHandlers(day, time)} className={`p-3 border border-gray-200 ${
+                        isWeekend(day) ? 'bg-gray-100' : ''
+                      }`}>
+                        <div className={`h-52 border-2 border-dashed border-gray-300 rounded-lg flex flex-col items-center justify-center bg-gray-50 p-4 relative ${getDropTargetClasses(day, [time])}`}>
+                          {renderCellEditors(day, [time])}
+                          <span className="text-base text-gray-600 font-semibold text-center leading-tight mb-3">No Class</span>
+                          <button onClick={() => openEditPeriod(day, time)} className="text-xs px-3 py-1 rounded-md bg-primary-600 text-white hover:bg-primary-700">Edit</button>
+                        </div>
+                      </td>
+                    )
+                  }
+
+                  // Check if this is a lab session
+                  const isLab = classData.course.includes('LAB')
+                  
+                  // Check if this is the current day
+                  const isCurrentDay = day === currentDay
+                  
+                  // Check if this is the current period (any period of a block counts)
+                  const isCurrentPeriod = day === currentDay && blockSlots.includes(currentPeriod)
+                  
+                  // Highlight lab sessions only on current day and if the session hasn't ended
+                  const shouldHighlightLab = isLab && isCurrentDay && !hasTimeSlotEnded(blockSlots[blockSlots.length - 1])
+
+                  // Clashes with other sections in any slot of this period
+                  const cellClashes = getBlockClashes(day, blockSlots)
+                  
+                  // Determine styling based on current period or lab highlighting
+                  let cardClasses = cellClashes.length > 0 ? 'bg-red-50 border-2 border-red-300' : 'bg-blue-50 border border-blue-200'
+                  if (isCurrentPeriod) {
+                    cardClasses = 'bg-yellow-200 border-4 border-yellow-500 shadow-2xl transform scale-110 ring-4 ring-yellow-300 animate-pulse'
+                  } else if (shouldHighlightLab && isLabBlockSlot(day, time)) {
+                    cardClasses = 'bg-green-200 border-4 border-green-500 shadow-2xl transform scale-110 ring-4 ring-green-300 animate-pulse'
+                  } else if (shouldHighlightLab) {
+                    cardClasses = 'bg-green-100 border-2 border-green-400 shadow-lg transform scale-105'
+                  }
+                  
+                  return (
+                    <td key={day} rowSpan={blockSlots.length} data-lab={isLab || undefined} {...getDropHandlers(day, time)} className={`p-3 border border-gray-200 ${
+                      isWeekend(day) ? 'bg-gray-100' : ''
+                    }`}>
+                      <div
+                        draggable
+                        onDragStart={(event) => {
+                          event.dataTransfer.effectAllowed = 'move'
+                          event.dataTransfer.setData('text/plain', `${day} ${time}`)
+                          setMoveSource({ day, time })
+                        }}
+                        onDragEnd={cancelMove}
+                        className={`h-52 p-4 rounded-lg flex flex-col justify-between relative transition-all duration-700 cursor-move ${cardClasses} ${getDropTargetClasses(day, blockSlots)} ${
+                          moveSource?.day === day && moveSource?.time === time ? 'opacity-50' : ''
+                        }`}
+                        // Each extra row adds a card (13rem) plus the cell padding (1.5rem)
+                        style={blockSlots.length > 1 ? { height: `${blockSlots.length * 14.5 - 1.5}rem` } : undefined}
+                      >
+                        <button
+                          data-move-handle={`${day}|${time}`}
+                          onKeyDown={(event) => handleMoveKeyDown(event, day, time)}
+                          onBlur={() => moveSource?.day === day && moveSource?.time === time && cancelMove()}
+                          className="absolute top-2 right-11 p-1.5 rounded-md bg-white/80 hover:bg-white border border-blue-200 cursor-move"
+                          aria-label={`Move ${classData.course} on ${day} ${time}. Press Enter to pick up`}
+                          aria-pressed={moveSource?.day === day && moveSource?.time === time}
+                        >
+                          <GripVertical className="w-4 h-4 text-blue-700" />
+                        </button>
+                        {/* Left of the move and edit buttons */}
+                        {renderCellEditors(day, blockSlots, 'top-2 right-20')}
+                        <button
+                          onClick={() => openEditPeriod(day, time)}
+                          className="absolute top-2 right-2 p-1.5 rounded-md bg-white/80 hover:bg-white border border-blue-200"
+                          aria-label={`Edit ${day} ${time}`}
+                        >
+                          <Edit className="w-4 h-4 text-blue-700" />
+                        </button>
+                        {/* Batches in parallel sessions are shown side by side */}
+                        {getSessions(classData) ? (
+                          <div className="mt-8 mb-2">
+                            <BatchSessionList sessions={getSessions(classData)} rotate={classData.rotate} />
+                          </div>
+                        ) : (
+                          <>
+                            <div className={`font-bold text-sm mb-2 leading-tight truncate ${
+                              isCurrentPeriod ? 'text-yellow-900' : shouldHighlightLab && isLabBlockSlot(day, time) ? 'text-green-900' : shouldHighlightLab ? 'text-green-900' : 'text-blue-900'
+                            }`}>
+                              {classData.course}
+                            </div>
+                            <div className={`font-semibold text-sm mb-2 leading-tight line-clamp-3 ${
+                              isCurrentPeriod ? 'text-yellow-900' : shouldHighlightLab && isLabBlockSlot(day, time) ? 'text-green-900' : shouldHighlightLab ? 'text-green-900' : 'text-blue-900'
+                            }`}>
+                              {classData.subject}
+                            </div>
+                            <div className={`text-xs font-medium leading-tight line-clamp-3 mb-2 ${
+                              isCurrentPeriod ? 'text-yellow-800' : shouldHighlightLab && isLabBlockSlot(day, time) ? 'text-green-800' : shouldHighlightLab ? 'text-green-800' : 'text-blue-700'
+                            }`}>
+                              {classData.instructor}
+                            </div>
+                            {/* Room the period is held in */}
+                            {classData.room && (
+                              <div className="text-xs font-bold text-gray-600 flex items-center space-x-1 mb-2">
+                                <MapPin className="w-3 h-3 flex-shrink-0" />
+                                <span className="truncate">{classData.room}</span>
+                              </div>
+                            )}
+                          </>
+                        )}
+                        {/* Time range of a multi-period block */}
+                        {blockSlots.length > 1 && (
+                          <div className="text-xs font-bold text-gray-600 mb-2">
+                            {blockSlots.length} periods • {getBlockLabel(blockSlots)}
+                          </div>
+                        )}
+                        {/* Clash warning */}
+                        {cellClashes.length > 0 && (
+                          <div
+                            className="text-xs px-2 py-1 rounded-md font-bold bg-red-100 text-red-800 border border-red-300 flex items-center space-x-1 mb-2"
+                            title={cellClashes.map(describeClash).join('\n')}
+                          >
+                            <AlertTriangle className="w-3 h-3 flex-shrink-0" />
+                            <span className="truncate">Clash: {cellClashes[0].resource}</span>
+                          </div>
+                        )}
+                        {/* Current period indicator */}
+                        {isCurrentPeriod && (
+                          <div className="mt-auto text-xs px-3 py-1.5 rounded-full font-bold text-center bg-yellow-400 text-yellow-900 animate-bounce shadow-lg">
+                            ⏰ CURRENT
+                          </div>
+                        )}
+                        {/* Lab sessions have special styling */}
+                        {isLab && !isCurrentPeriod && (
+                          <div className={`mt-auto text-xs px-3 py-1.5 rounded-full font-bold text-center ${
+                            shouldHighlightLab && isLabBlockSlot(day, time)
+                              ? 'bg-green-300 text-green-900 animate-bounce shadow-lg' 
+                              : shouldHighlightLab
+                              ? 'bg-green-200 text-green-900 animate-pulse' 
+                              : 'bg-green-100 text-green-800'
+                          }`}>
+                            {shouldHighlightLab && isLabBlockSlot(day, time) ? '🔬 LAB' : 'LAB'}
+                          </div>
+                        )}
+                      </div>
+                    </td>
+                  )
+                })}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </>
   )
 
   const renderDailyView = () => (
@@ -715,16 +1808,14 @@ const Timetable = () => {
           <h3 className="text-xl font-bold text-gray-900 mb-4">{day}</h3>
           <div className="space-y-4">
             {timeSlots.map((time) => {
-              const classData = getClassData(day, time)
-              
-              if (time === 'LUNCH') {
-                // Show lunch break as null on Sunday and Monday (weekends)
-                if (day === 'Sunday' || day === 'Monday') {
+              if (isBreakSlot(time)) {
+                // Show breaks as empty on non-working days (weekends)
+                if (isWeekend(day)) {
                   return (
                     <div key={time} className="flex items-center p-6 border-2 border-dashed border-gray-300 rounded-lg bg-gray-50">
-                      <div className="w-20 font-bold text-gray-700 text-sm">{time}</div>
+                      <div className="w-20 font-bold text-gray-700 text-sm">{getSlotLabel(time)}</div>
                       <div className="flex-1 text-center text-gray-500 font-medium text-sm">
-                        No Lunch Break (Weekend)
+                        No {getSlot(bellSchedule, time).name} (Weekend)
                       </div>
                     </div>
                   )
@@ -732,18 +1823,24 @@ const Timetable = () => {
                 
                 return (
                   <div key={time} className="flex items-center p-6 bg-orange-50 rounded-lg border-2 border-orange-200">
-                    <div className="w-20 font-bold text-orange-800 text-sm">{time}</div>
-                    <div className="flex-1 text-center text-orange-800 font-bold text-sm">
-                      LUNCH BREAK (12:50 - 1:40 PM)
+                    <div className="w-20 font-bold text-orange-800 text-sm">{getSlotLabel(time)}</div>
+                    <div className="flex-1 text-center text-orange-800 font-bold text-sm uppercase">
+                      {getSlot(bellSchedule, time).name} ({formatSlotRange(getSlot(bellSchedule, time))})
                     </div>
                   </div>
                 )
               }
 
+              // A block is shown once, at its first slot
+              const block = getBlockAt(day, time)
+              if (block && block.start !== time) return null
+              const classData = block?.entry
+              const blockSlots = block ? block.slots : [time]
+
               if (!classData) {
                 return (
                   <div key={time} className="flex items-center p-6 border-2 border-dashed border-gray-300 rounded-lg bg-gray-50 text-gray-500">
-                    <div className="w-20 font-bold text-gray-700 text-sm">{time}</div>
+                    <div className="w-20 font-bold text-gray-700 text-sm">{getSlotLabel(time)}</div>
                     <div className="flex-1 text-center font-medium text-sm">No Class</div>
                     <button onClick={() => openEditPeriod(day, time)} className="ml-4 text-xs px-3 py-1 rounded-md bg-primary-600 text-white hover:bg-primary-700">Edit</button>
                   </div>
@@ -756,14 +1853,17 @@ const Timetable = () => {
               // Check if this is the current day
               const isCurrentDay = day === currentDay
               
-              // Check if this is the current period
-              const isCurrentPeriod = day === currentDay && time === currentPeriod
+              // Check if this is the current period (any period of a block counts)
+              const isCurrentPeriod = day === currentDay && blockSlots.includes(currentPeriod)
               
               // Highlight lab sessions only on current day and if the session hasn't ended
-              const shouldHighlightLab = isLab && isCurrentDay && !hasTimeSlotEnded(time)
+              const shouldHighlightLab = isLab && isCurrentDay && !hasTimeSlotEnded(blockSlots[blockSlots.length - 1])
+
+              // Clashes with other sections in any slot of this period
+              const cellClashes = getBlockClashes(day, blockSlots)
               
               // Determine styling based on current period or lab highlighting
-              let cardClasses = 'bg-blue-50 border-2 border-blue-200'
+              let cardClasses = cellClashes.length > 0 ? 'bg-red-50 border-2 border-red-300' : 'bg-blue-50 border-2 border-blue-200'
               if (isCurrentPeriod) {
                 cardClasses = 'bg-yellow-200 border-4 border-yellow-500 shadow-2xl animate-pulse'
               } else if (shouldHighlightLab) {
@@ -774,11 +1874,35 @@ const Timetable = () => {
                 <div key={time} className={`p-6 rounded-lg ${cardClasses}`}>
                   <div className="flex items-start justify-between">
                     <div className="flex items-start">
-                      <div className={`font-bold text-sm mr-6 flex-shrink-0 ${isCurrentPeriod ? 'text-yellow-900' : shouldHighlightLab ? 'text-green-900' : 'text-gray-700'}`}>{time}</div>
+                      <div className={`font-bold text-sm mr-6 flex-shrink-0 ${isCurrentPeriod ? 'text-yellow-900' : shouldHighlightLab ? 'text-green-900' : 'text-gray-700'}`}>
+                        {getBlockLabel(blockSlots)}
+                        {blockSlots.length > 1 && <div className="text-xs font-medium">{blockSlots.length} periods</div>}
+                      </div>
                       <div className="flex-1">
-                        <div className={`font-bold text-sm mb-2 ${isCurrentPeriod ? 'text-yellow-900' : shouldHighlightLab ? 'text-green-900' : 'text-blue-900'}`}>{classData.course}</div>
-                        <div className={`font-semibold text-sm mb-2 ${isCurrentPeriod ? 'text-yellow-900' : shouldHighlightLab ? 'text-green-900' : 'text-blue-900'}`}>{classData.subject}</div>
-                        <div className={`text-xs font-medium leading-tight mb-2 ${isCurrentPeriod ? 'text-yellow-800' : shouldHighlightLab ? 'text-green-800' : 'text-blue-700'}`}>{classData.instructor}</div>
+                        {getSessions(classData) ? (
+                          <div className="mb-2">
+                            <BatchSessionList sessions={getSessions(classData)} rotate={classData.rotate} showSubject />
+                          </div>
+                        ) : (
+                          <>
+                            <div className={`font-bold text-sm mb-2 ${isCurrentPeriod ? 'text-yellow-900' : shouldHighlightLab ? 'text-green-900' : 'text-blue-900'}`}>{classData.course}</div>
+                            <div className={`font-semibold text-sm mb-2 ${isCurrentPeriod ? 'text-yellow-900' : shouldHighlightLab ? 'text-green-900' : 'text-blue-900'}`}>{classData.subject}</div>
+                            <div className={`text-xs font-medium leading-tight mb-2 ${isCurrentPeriod ? 'text-yellow-800' : shouldHighlightLab ? 'text-green-800' : 'text-blue-700'}`}>{classData.instructor}</div>
+                            {classData.room && (
+                              <div className="text-xs font-bold text-gray-600 flex items-center space-x-1 mb-2">
+                                <MapPin className="w-3 h-3 flex-shrink-0" />
+                                <span>{classData.room}</span>
+                              </div>
+                            )}
+                          </>
+                        )}
+                        {/* Clash warnings */}
+                        {cellClashes.map((clash, index) => (
+                          <div key={index} className="text-xs text-red-800 font-bold flex items-center space-x-1 mb-2">
+                            <AlertTriangle className="w-3 h-3 flex-shrink-0" />
+                            <span>{describeClash(clash)}</span>
+                          </div>
+                        ))}
                         {/* Current period indicator */}
                         {isCurrentPeriod && (
                           <div className="text-xs bg-yellow-400 text-yellow-900 px-2 py-1 rounded-full font-bold mb-2">
@@ -821,20 +1945,19 @@ const Timetable = () => {
                   <th className="p-4 text-left font-bold text-gray-800 text-base">Course</th>
                   <th className="p-4 text-left font-bold text-gray-800 text-base">Subject</th>
                   <th className="p-4 text-left font-bold text-gray-800 text-base">Instructor</th>
+                  <th className="p-4 text-left font-bold text-gray-800 text-base">Room</th>
                 </tr>
               </thead>
               <tbody>
                 {timeSlots.map((time) => {
-                  const classData = getClassData(day, time)
-                  
-                  if (time === 'LUNCH') {
-                    // Show lunch break as null on Sunday and Monday (weekends)
-                    if (day === 'Sunday' || day === 'Monday') {
+                  if (isBreakSlot(time)) {
+                    // Show breaks as empty on non-working days (weekends)
+                    if (isWeekend(day)) {
                       return (
                         <tr key={`${day}-${time}`} className="border-b border-gray-200">
-                          <td className="p-4 text-gray-600 text-base">{time}</td>
-                          <td className="p-4 text-gray-500 text-base" colSpan="3">
-                            No Lunch Break (Weekend)
+                          <td className="p-4 text-gray-600 text-base">{getSlotLabel(time)}</td>
+                          <td className="p-4 text-gray-500 text-base" colSpan="4">
+                            No {getSlot(bellSchedule, time).name} (Weekend)
                           </td>
                         </tr>
                       )
@@ -842,31 +1965,52 @@ const Timetable = () => {
                     
                     return (
                       <tr key={`${day}-${time}`} className="border-b border-gray-200">
-                        <td className="p-4 text-gray-600 text-base">{time}</td>
-                        <td className="p-4 text-orange-800 font-bold text-base" colSpan="3">
-                          LUNCH BREAK
+                        <td className="p-4 text-gray-600 text-base">{getSlotLabel(time)}</td>
+                        <td className="p-4 text-orange-800 font-bold text-base uppercase" colSpan="4">
+                          {getSlot(bellSchedule, time).name}
                         </td>
                       </tr>
                     )
                   }
 
+                  // A block is listed once, at its first slot
+                  const block = getBlockAt(day, time)
+                  if (block && block.start !== time) return null
+                  const classData = block?.entry
+                  const blockSlots = block ? block.slots : [time]
+
                   if (!classData) {
                     return (
                       <tr key={`${day}-${time}`} className="border-b border-gray-200">
-                        <td className="p-4 text-gray-600 text-base">{time}</td>
-                        <td className="p-4 text-gray-500 text-base" colSpan="3">
+                        <td className="p-4 text-gray-600 text-base">{getSlotLabel(time)}</td>
+                        <td className="p-4 text-gray-500 text-base" colSpan="4">
                           No Class
                         </td>
                       </tr>
                     )
                   }
 
+                  // Batches in parallel sessions get one line each, prefixed with the batch
+                  const sessions = getSessions(classData)
+                  const renderField = (field, fallback = '') => (sessions
+                    ? sessions.map(session => <div key={session.batch}>{session.batch}: {session[field] || fallback}</div>)
+                    : classData[field] || fallback)
+
                   return (
                     <tr key={`${day}-${time}`} className="border-b border-gray-200">
-                      <td className="p-4 text-gray-600 text-base">{time}</td>
-                      <td className="p-4 font-bold text-gray-900 text-base">{classData.course}</td>
-                      <td className="p-4 font-semibold text-gray-900 text-base">{classData.subject}</td>
-                      <td className="p-4 text-gray-600 text-base">{classData.instructor}</td>
+                      <td className="p-4 text-gray-600 text-base">
+                        {getBlockLabel(blockSlots)}
+                        {blockSlots.length > 1 && <span className="text-sm text-gray-500"> ({blockSlots.length} periods)</span>}
+                      </td>
+                      <td className="p-4 font-bold text-gray-900 text-base">{renderField('course')}</td>
+                      <td className="p-4 font-semibold text-gray-900 text-base">{renderField('subject')}</td>
+                      <td className="p-4 text-gray-600 text-base">
+                        {renderField('instructor')}
+                        {getBlockClashes(day, blockSlots).length > 0 && (
+                          <AlertTriangle className="w-4 h-4 text-red-600 inline ml-2" aria-label="Clash with another section" />
+                        )}
+                      </td>
+                      <td className="p-4 text-gray-600 text-base">{renderField('room', '-')}</td>
                     </tr>
                   )
                 })}
@@ -941,10 +2085,12 @@ const Timetable = () => {
         <div>
           <h4 className="font-bold text-gray-800 mb-3">Special Sessions</h4>
           <div className="space-y-2">
-            <div className="flex items-center">
-              <div className="w-4 h-4 bg-orange-50 border border-orange-200 rounded mr-3"></div>
-              <span className="text-sm text-gray-700"><span className="font-bold">LUNCH BREAK:</span> 12:50 - 1:40 PM</span>
-            </div>
+            {bellSchedule.filter(slot => slot.type === 'break').map(slot => (
+              <div key={slot.id} className="flex items-center">
+                <div className="w-4 h-4 bg-orange-50 border border-orange-200 rounded mr-3"></div>
+                <span className="text-sm text-gray-700"><span className="font-bold uppercase">{slot.name}:</span> {formatSlotRange(slot)}</span>
+              </div>
+            ))}
             <div className="flex items-center">
               <div className="w-4 h-4 bg-gray-50 border-2 border-dashed border-gray-300 rounded mr-3"></div>
               <span className="text-sm text-gray-700"><span className="font-bold">FREE PERIOD:</span> No Class Scheduled</span>
@@ -967,13 +2113,6 @@ const Timetable = () => {
     </div>
   )
 
-  // Room mapping per section
-  const sectionRoom = {
-    'CSE A': 'LH-124',
-    'CSE B': 'LH-136',
-    'CSE C': 'LH-132'
-  }
-
   return (
     <div className="min-h-full">
       {/* Header */}
@@ -982,47 +2121,99 @@ const Timetable = () => {
           <div>
             <h1 className="text-4xl font-bold text-gray-900 mb-3">Timetable</h1>
             <p className="text-gray-600 text-lg">
-              {`5th Semester ${section} • ${sectionRoom[section]} • Fall 2025`}
+              {[activeSectionRecord?.semester, section].filter(Boolean).join(' ')}
+              {sectionRoom[section] ? ` • ${sectionRoom[section]}` : ''}
+              {` • ${termName}`}
             </p>
+            {/* Other editors with the timetable open, and the last merge of their changes */}
+            {isSignedIn && (
+              <div className="flex flex-wrap items-center gap-2 mt-2 text-sm text-gray-600">
+                <Radio className="w-4 h-4 text-green-600" />
+                {editors.length === 0 ? (
+                  <span>Live • no one else is editing</span>
+                ) : (
+                  [...new Map(editors.map(editor => [editor.key, editor])).values()].map(editor => (
+                    <span key={editor.key} className={`px-2 py-0.5 rounded-full text-white text-xs font-bold ${getEditorColor(editor.key)}`}>
+                      {editor.name}{editor.section ? ` • ${editor.section} ${editor.day}` : ''}
+                    </span>
+                  ))
+                )}
+                {collabNotice && (
+                  <button onClick={() => setCollabNotice('')} className="text-amber-700 hover:text-amber-800" title="Dismiss">
+                    {collabNotice}
+                  </button>
+                )}
+              </div>
+            )}
           </div>
           <div className="flex flex-col items-end space-y-3">
-            <div className="relative" ref={sectionDropdownRef}>
-              <button
-                onClick={() => setIsSectionDropdownOpen(!isSectionDropdownOpen)}
-                className="border-2 border-gray-300 rounded-xl px-4 py-2.5 font-bold text-gray-700 bg-white hover:shadow-md transition-all duration-200 flex items-center space-x-2 min-w-[120px] focus:ring-2 focus:ring-primary-500 focus:border-primary-500"
-                aria-label="Select Section"
-              >
-                <span>{section}</span>
-                <ChevronDown className={`w-4 h-4 transition-transform duration-200 ${isSectionDropdownOpen ? 'rotate-180' : ''}`} />
-              </button>
-              
-              {isSectionDropdownOpen && (
-                <div className="absolute top-full left-0 mt-1 w-full bg-white border-2 border-gray-300 rounded-xl shadow-lg z-10 overflow-hidden">
-                  {sections.map((sectionOption) => (
-                    <button
-                      key={sectionOption}
-                      onClick={() => {
-                        setSection(sectionOption)
-                        setIsSectionDropdownOpen(false)
-                      }}
-                      className={`w-full text-left px-4 py-2.5 text-gray-700 hover:bg-gray-50 transition-colors duration-200 font-bold ${
-                        section === sectionOption ? 'bg-primary-50 text-primary-700' : ''
-                      }`}
-                    >
-                      {sectionOption}
-                    </button>
+            <div className="flex items-center space-x-3">
+              {sharedTimetables.length > 0 && (
+                <select
+                  value={ownerId || ''}
+                  onChange={(e) => switchTimetable(e.target.value)}
+                  className="border-2 border-gray-300 rounded-xl px-4 py-2.5 font-bold text-gray-700 bg-white focus:ring-2 focus:ring-primary-500 focus:border-primary-500"
+                  aria-label="Select Timetable"
+                >
+                  <option value={user?.id || ''}>My timetable</option>
+                  {sharedTimetables.map(membership => (
+                    <option key={membership.owner_id} value={membership.owner_id}>
+                      {membership.owner_name ? `${membership.owner_name}'s timetable` : 'Shared timetable'}
+                    </option>
                   ))}
-                </div>
+                </select>
+              )}
+              {terms.length > 0 && (
+                <select
+                  value={termId || ''}
+                  onChange={(e) => setTermId(e.target.value || null)}
+                  className="border-2 border-gray-300 rounded-xl px-4 py-2.5 font-bold text-gray-700 bg-white focus:ring-2 focus:ring-primary-500 focus:border-primary-500"
+                  aria-label="Select Term"
+                >
+                  <option value="">Active term ({activeTerm.name})</option>
+                  {terms.map(option => (
+                    <option key={option.id} value={option.id}>{option.name}</option>
+                  ))}
+                </select>
               )}
+              <div className="relative" ref={sectionDropdownRef}>
+                <button
+                  onClick={() => setIsSectionDropdownOpen(!isSectionDropdownOpen)}
+                  className="border-2 border-gray-300 rounded-xl px-4 py-2.5 font-bold text-gray-700 bg-white hover:shadow-md transition-all duration-200 flex items-center space-x-2 min-w-[120px] focus:ring-2 focus:ring-primary-500 focus:border-primary-500"
+                  aria-label="Select Section"
+                >
+                  <span>{section}</span>
+                  <ChevronDown className={`w-4 h-4 transition-transform duration-200 ${isSectionDropdownOpen ? 'rotate-180' : ''}`} />
+                </button>
+              
+                {isSectionDropdownOpen && (
+                  <div className="absolute top-full left-0 mt-1 w-full bg-white border-2 border-gray-300 rounded-xl shadow-lg z-10 overflow-hidden">
+                    {sections.map((sectionOption) => (
+                      <button
+                        key={sectionOption}
+                        onClick={() => {
+                          setSection(sectionOption)
+                          setIsSectionDropdownOpen(false)
+                        }}
+                        className={`w-full text-left px-4 py-2.5 text-gray-700 hover:bg-gray-50 transition-colors duration-200 font-bold ${
+                          section === sectionOption ? 'bg-primary-50 text-primary-700' : ''
+                        }`}
+                      >
+                        {sectionOption}
+                      </button>
+                    ))}
+                  </div>
+                )}
+              </div>
             </div>
             <div className="flex items-center space-x-6">
               <div className="flex items-center space-x-3 p-4 rounded-xl bg-white border-2 border-gray-200">
                 <Calendar className="w-6 h-6 text-primary-600" />
-                <span className="text-lg font-bold text-gray-700">{sectionRoom[section]}</span>
+                <span className="text-lg font-bold text-gray-700">{sectionRoom[section] || 'No home room'}</span>
               </div>
               <div className="flex items-center space-x-3 p-4 rounded-xl bg-white border-2 border-gray-200">
                 <Users className="w-6 h-6 text-primary-600" />
-                <span className="text-lg font-bold text-gray-700">65 Students</span>
+                <span className="text-lg font-bold text-gray-700">{activeSectionRecord?.strength || 0} Students</span>
               </div>
             </div>
           </div>
@@ -1064,10 +2255,151 @@ const Timetable = () => {
               >
                 List
               </button>
+              <button
+                onClick={() => setView('instructor')}
+                className={`px-6 py-3 rounded-xl transition-all duration-200 font-bold text-lg ${
+                  view === 'instructor'
+                    ? 'bg-primary-600 text-white shadow-lg'
+                    : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+                }`}
+              >
+                Instructor
+              </button>
+              <button
+                onClick={() => setView('dated')}
+                className={`px-6 py-3 rounded-xl transition-all duration-200 font-bold text-lg ${
+                  view === 'dated'
+                    ? 'bg-primary-600 text-white shadow-lg'
+                    : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+                }`}
+              >
+                Dated Week
+              </button>
+              <button
+                onClick={() => setView('personal')}
+                className={`px-6 py-3 rounded-xl transition-all duration-200 font-bold text-lg ${
+                  view === 'personal'
+                    ? 'bg-primary-600 text-white shadow-lg'
+                    : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+                }`}
+              >
+                My Timetable
+              </button>
             </div>
           </div>
 
           <div className="flex items-center space-x-6">
+            <div className="flex items-center space-x-2">
+              <button
+                onClick={undo}
+                disabled={history.past.length === 0}
+                className="p-3 rounded-xl transition-all duration-200 bg-gray-100 text-gray-700 hover:bg-gray-200 disabled:opacity-50"
+                title={history.past.length > 0 ? `Undo ${history.past[history.past.length - 1].label} (Ctrl+Z)` : 'Nothing to undo'}
+                aria-label="Undo"
+              >
+                <Undo2 className="w-5 h-5" />
+              </button>
+              <button
+                onClick={redo}
+                disabled={history.future.length === 0}
+                className="p-3 rounded-xl transition-all duration-200 bg-gray-100 text-gray-700 hover:bg-gray-200 disabled:opacity-50"
+                title={history.future.length > 0 ? `Redo ${history.future[0].label} (Ctrl+Shift+Z)` : 'Nothing to redo'}
+                aria-label="Redo"
+              >
+                <Redo2 className="w-5 h-5" />
+              </button>
+            </div>
+            {/* Sections and sharing are managed by the timetable's owner */}
+            {!isSharedTimetable && (
+              <>
+                <button
+                  onClick={openSectionManager}
+                  className="px-6 py-3 rounded-xl transition-all duration-200 font-bold text-lg bg-gray-100 text-gray-700 hover:bg-gray-200 flex items-center space-x-2"
+                >
+                  <Users className="w-5 h-5" />
+                  <span>Sections</span>
+                </button>
+                <button
+                  onClick={() => setIsShareDialogOpen(true)}
+                  disabled={!isSignedIn}
+                  className="px-6 py-3 rounded-xl transition-all duration-200 font-bold text-lg bg-gray-100 text-gray-700 hover:bg-gray-200 disabled:opacity-50 flex items-center space-x-2"
+                >
+                  <Share2 className="w-5 h-5" />
+                  <span>Share</span>
+                </button>
+              </>
+            )}
+            <button
+              onClick={() => setWorkingDaysDraft(workingDays)}
+              className="px-6 py-3 rounded-xl transition-all duration-200 font-bold text-lg bg-gray-100 text-gray-700 hover:bg-gray-200 flex items-center space-x-2"
+            >
+              <Calendar className="w-5 h-5" />
+              <span>Working Days</span>
+            </button>
+            <button
+              onClick={() => setScheduleDraft(bellSchedule)}
+              className="px-6 py-3 rounded-xl transition-all duration-200 font-bold text-lg bg-gray-100 text-gray-700 hover:bg-gray-200 flex items-center space-x-2"
+            >
+              <Bell className="w-5 h-5" />
+              <span>Bell Schedule</span>
+            </button>
+            <button
+              onClick={() => setShowClashReport(!showClashReport)}
+              className={`px-6 py-3 rounded-xl transition-all duration-200 font-bold text-lg flex items-center space-x-2 ${
+                clashes.length > 0 ? 'bg-red-100 text-red-800 hover:bg-red-200' : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+              }`}
+            >
+              <AlertTriangle className="w-5 h-5" />
+              <span>Clashes ({clashes.length})</span>
+            </button>
+            <button
+              onClick={openVersions}
+              className="px-6 py-3 rounded-xl transition-all duration-200 font-bold text-lg bg-gray-100 text-gray-700 hover:bg-gray-200 flex items-center space-x-2"
+            >
+              <History className="w-5 h-5" />
+              <span>Versions</span>
+            </button>
+            <button
+              onClick={openCalendarExport}
+              className="px-6 py-3 rounded-xl transition-all duration-200 font-bold text-lg bg-gray-100 text-gray-700 hover:bg-gray-200 flex items-center space-x-2"
+            >
+              <CalendarPlus className="w-5 h-5" />
+              <span>Export to Calendar</span>
+            </button>
+            <button
+              onClick={() => calendarFileRef.current?.click()}
+              className="px-6 py-3 rounded-xl transition-all duration-200 font-bold text-lg bg-gray-100 text-gray-700 hover:bg-gray-200 flex items-center space-x-2"
+            >
+              <Upload className="w-5 h-5" />
+              <span>Import Calendar</span>
+            </button>
+            <input ref={calendarFileRef} type="file" accept=".ics,text/calendar" onChange={handleCalendarFile} className="hidden" />
+            <button
+              onClick={() => setIsSpreadsheetImportOpen(true)}
+              className="px-6 py-3 rounded-xl transition-all duration-200 font-bold text-lg bg-gray-100 text-gray-700 hover:bg-gray-200 flex items-center space-x-2"
+            >
+              <FileSpreadsheet className="w-5 h-5" />
+              <span>Import Spreadsheet</span>
+            </button>
+            <button
+              onClick={() => setPrintSettings({ scope: 'current', paper: 'a4' })}
+              className="px-6 py-3 rounded-xl transition-all duration-200 font-bold text-lg bg-gray-100 text-gray-700 hover:bg-gray-200 flex items-center space-x-2"
+            >
+              <Printer className="w-5 h-5" />
+              <span>Print</span>
+            </button>
+            <ExportMenu
+              options={timetableExportOptions}
+              className="px-6 py-3 rounded-xl transition-all duration-200 font-bold text-lg bg-gray-100 text-gray-700 hover:bg-gray-200"
+            />
+            <button
+              onClick={handleGenerateTimetable}
+              disabled={isGenerating}
+              className="px-6 py-3 rounded-xl transition-all duration-200 font-bold text-lg bg-gray-100 text-gray-700 hover:bg-gray-200 disabled:opacity-50 flex items-center space-x-2"
+            >
+              <Wand2 className="w-5 h-5" />
+              <span>{isGenerating ? 'Generating...' : 'Generate Timetable'}</span>
+            </button>
             <label className="flex items-center cursor-pointer">
               <input
                 type="checkbox"
@@ -1075,15 +2407,68 @@ const Timetable = () => {
                 onChange={(e) => setShowWeekends(e.target.checked)}
                 className="mr-3 w-5 h-5"
               />
-              <span className="text-lg font-bold text-gray-700">Show Weekends (Sun-Mon)</span>
+              <span className="text-lg font-bold text-gray-700">
+                Show Weekends{nonWorkingDays.length > 0 ? ` (${formatDayList(nonWorkingDays)})` : ''}
+              </span>
             </label>
           </div>
         </div>
       </div>
 
+      {/* Clash Report Panel */}
+      {showClashReport && (
+        <div className="bg-white rounded-xl shadow-lg border-2 border-red-200 p-6 mb-8">
+          <h3 className="text-xl font-bold text-gray-900 mb-4">Clash Report</h3>
+          {clashes.length === 0 ? (
+            <p className="text-gray-600">No instructor, room or lab-batch clashes across sections.</p>
+          ) : (
+            <div className="space-y-2 max-h-80 overflow-y-auto">
+              {clashes.map((clash, index) => (
+                <div key={index} className="flex items-center justify-between p-3 rounded-lg bg-red-50 border border-red-200">
+                  <div className="flex items-center space-x-2 text-sm text-red-800">
+                    <AlertTriangle className="w-4 h-4 flex-shrink-0" />
+                    <span>{describeClash(clash)}</span>
+                  </div>
+                  <div className="flex space-x-2">
+                    {clash.sections.map(clashSection => (
+                      <button
+                        key={clashSection}
+                        onClick={() => setSection(clashSection)}
+                        className={`text-xs px-2 py-1 rounded-md border ${
+                          clashSection === section ? 'bg-red-600 text-white border-red-600' : 'bg-white text-red-700 border-red-300 hover:bg-red-100'
+                        }`}
+                      >
+                        {clashSection}
+                      </button>
+                    ))}
+                  </div>
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+      )}
+
+      {/* Section Clash Banner */}
+      {!showClashReport && sectionClashes.length > 0 && (
+        <div className="bg-red-50 border-2 border-red-300 rounded-xl p-4 mb-6 flex items-center justify-between">
+          <div className="flex items-center space-x-3">
+            <AlertTriangle className="w-5 h-5 text-red-600" />
+            <p className="text-red-800 font-bold">
+              {section} has {sectionClashes.length} clash{sectionClashes.length === 1 ? '' : 'es'} with other sections
+            </p>
+          </div>
+          <button onClick={() => setShowClashReport(true)} className="text-sm px-3 py-1 rounded-md bg-red-600 text-white hover:bg-red-700">
+            View Report
+          </button>
+        </div>
+      )}
+
       {/* Current Day Lab Sessions Banner */}
-      {currentDay && timetableData[currentDay] && Object.entries(timetableData[currentDay]).some(([time, data]) => 
-        data && data.course && data.course.includes('LAB') && !hasTimeSlotEnded(time)
+      {currentDay && timetableData[currentDay] && timeSlots.some(time => {
+        const data = getBlockAt(currentDay, time)?.entry
+        return data && data.course && data.course.includes('LAB') && !hasTimeSlotEnded(time)
+      }
       ) && (
         <div className="bg-green-100 border-2 border-green-400 rounded-xl p-4 mb-6">
           <div className="flex items-center space-x-3">
@@ -1097,13 +2482,13 @@ const Timetable = () => {
       )}
       
       {/* Current Period Banner */}
-      {currentPeriod && currentDay && timetableData[currentDay] && timetableData[currentDay][currentPeriod] && (
+      {currentPeriod && currentDay && getBlockAt(currentDay, currentPeriod) && (
         <div className="bg-yellow-100 border-2 border-yellow-400 rounded-xl p-4 mb-6 animate-pulse">
           <div className="flex items-center space-x-3">
             <div className="w-3 h-3 bg-yellow-500 rounded-full animate-ping"></div>
             <div>
               <h3 className="text-lg font-bold text-yellow-800">⏰ Current Period</h3>
-              <p className="text-yellow-700">Currently in progress: {currentDay} {currentPeriod}</p>
+              <p className="text-yellow-700">Currently in progress: {currentDay} {getSlot(bellSchedule, currentPeriod)?.name} ({formatSlotRange(getSlot(bellSchedule, currentPeriod))})</p>
             </div>
           </div>
         </div>
@@ -1118,6 +2503,32 @@ const Timetable = () => {
         )}
         {view === 'daily' && renderDailyView()}
         {view === 'list' && renderListView()}
+        {view === 'instructor' && (
+          <InstructorTimetable timetables={timetables} bellSchedule={bellSchedule} workingDays={workingDays} />
+        )}
+        {view === 'dated' && (
+          <DatedTimetable
+            section={section}
+            sectionData={timetables[section] || {}}
+            bellSchedule={bellSchedule}
+            workingDays={workingDays}
+            exceptions={exceptions}
+            courses={courseOptions}
+            terms={terms}
+            onAddException={handleAddException}
+            onDeleteException={handleDeleteException}
+          />
+        )}
+        {view === 'personal' && (
+          <PersonalTimetable
+            timetables={timetables}
+            bellSchedule={bellSchedule}
+            workingDays={workingDays}
+            courses={courseOptions}
+            section={profile?.section && timetables[profile.section] ? profile.section : section}
+            electives={profile?.electives || []}
+          />
+        )}
       </div>
 
       {/* Delete Confirmation Modal */}
@@ -1126,7 +2537,9 @@ const Timetable = () => {
           <div className="bg-white rounded-lg p-6 w-full max-w-md mx-4 shadow-xl">
             <h3 className="text-lg font-semibold text-gray-900 mb-4">Confirm Deletion</h3>
             <p className="text-gray-700 mb-6">
-              Are you sure you want to delete this period? It will be cleared and show as "No Class".
+              {editingContext.span > 1
+                ? `Are you sure you want to delete this ${editingContext.span}-period block? All of its periods will be cleared and show as "No Class".`
+                : 'Are you sure you want to delete this period? It will be cleared and show as "No Class".'}
             </p>
             <div className="flex justify-end space-x-3">
               <button 
@@ -1146,10 +2559,589 @@ const Timetable = () => {
         </div>
       )}
 
+      {/* Cells changed here and saved by another editor at the same time */}
+      {timetableConflicts.length > 0 && (
+        <ConflictResolveDialog
+          title="Another editor changed the same periods"
+          message="These periods were changed here and saved elsewhere before your changes. Choose which version to keep; saving is paused until you do."
+          rows={timetableConflicts.map(cell => ({
+            label: `${cell.section} • ${cell.day} • ${getSlot(bellSchedule, cell.slotId)?.name || cell.slotId}`,
+            mine: describePeriod(timetables[cell.section]?.[cell.day]?.[cell.slotId]),
+            theirs: describePeriod(cell.entry)
+          }))}
+          onKeepMine={keepMyCells}
+          onUseTheirs={takeSavedCells}
+        />
+      )}
+
+      {/* Share Timetable Modal */}
+      {isShareDialogOpen && (
+        <ShareTimetableDialog ownerId={user.id} onClose={() => setIsShareDialogOpen(false)} />
+      )}
+
+      {/* Versions Modal */}
+      {isCalendarExportOpen && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+          <div className="bg-white rounded-lg p-6 w-full max-w-md mx-4 shadow-xl">
+            <h3 className="text-lg font-semibold text-gray-900 mb-2">Export to Calendar</h3>
+            <p className="text-sm text-gray-600 mb-4">
+              Download {section}&apos;s timetable as an .ics file for Google Calendar, Outlook or a phone calendar.
+              Each period repeats weekly between the first and last day of the term.
+              {term?.breaks?.length > 0 && ` Breaks in ${term.name} are left out.`}
+            </p>
+            <div className="grid grid-cols-2 gap-4">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Term Starts</label>
+                <input
+                  type="date"
+                  value={termDates.start}
+                  onChange={(e) => setTermDates({ ...termDates, start: e.target.value })}
+                  className="w-full border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-primary-500"
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Term Ends</label>
+                <input
+                  type="date"
+                  value={termDates.end}
+                  onChange={(e) => setTermDates({ ...termDates, end: e.target.value })}
+                  className="w-full border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-primary-500"
+                />
+              </div>
+            </div>
+            {termDatesError && <p className="text-sm text-red-700 mt-2">{termDatesError}</p>}
+            <div className="flex justify-end space-x-3 mt-6">
+              <button onClick={() => setIsCalendarExportOpen(false)} className="px-4 py-2 text-gray-600 border border-gray-300 rounded-lg hover:bg-gray-50">Cancel</button>
+              <button
+                onClick={handleCalendarExport}
+                disabled={!!termDatesError}
+                className="px-4 py-2 bg-primary-600 text-white rounded-lg hover:bg-primary-700 disabled:opacity-50"
+              >
+                Download .ics
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {calendarImport && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+          <div className="bg-white rounded-lg p-6 w-full max-w-5xl mx-4 shadow-xl max-h-[90vh] overflow-y-auto">
+            <h3 className="text-lg font-semibold text-gray-900 mb-2">Import {calendarImport.fileName}</h3>
+            <p className="text-sm text-gray-600 mb-4">
+              {calendarImport.matched} period{calendarImport.matched === 1 ? '' : 's'} matched the working days and bell schedule.
+              {calendarImport.unmatched.length > 0 && ` ${calendarImport.unmatched.length} could not be placed and will be skipped.`}
+            </p>
+
+            <div className="flex flex-wrap items-center gap-6 mb-4">
+              <div className="flex items-center space-x-2">
+                <label className="text-sm font-medium text-gray-700">Section</label>
+                <select
+                  value={importTarget}
+                  onChange={(e) => setImportTarget(e.target.value)}
+                  className="border border-gray-300 rounded-lg px-3 py-2 text-sm focus:ring-2 focus:ring-primary-500"
+                >
+                  {sections.map(name => <option key={name} value={name}>{name}</option>)}
+                </select>
+              </div>
+              <label className="flex items-center space-x-2 text-sm text-gray-700">
+                <input type="radio" checked={importMode === 'merge'} onChange={() => setImportMode('merge')} />
+                <span>Merge (imported periods replace only the cells they cover)</span>
+              </label>
+              <label className="flex items-center space-x-2 text-sm text-gray-700">
+                <input type="radio" checked={importMode === 'replace'} onChange={() => setImportMode('replace')} />
+                <span>Replace the whole grid</span>
+              </label>
+            </div>
+
+            {/* Preview of the imported periods */}
+            <div className="mb-4">
+              <TimetablePreview sectionData={calendarImport.sectionData} bellSchedule={bellSchedule} days={workingDays} />
+            </div>
+
+            {/* Events that could not be placed */}
+            {calendarImport.unmatched.length > 0 && (
+              <div className="bg-red-50 border border-red-200 rounded-lg p-3 space-y-1 mb-4 max-h-48 overflow-y-auto">
+                {calendarImport.unmatched.map((item, index) => (
+                  <div key={index} className="text-sm text-red-800 flex items-center space-x-2">
+                    <AlertTriangle className="w-4 h-4 flex-shrink-0" />
+                    <span>
+                      <span className="font-bold">{item.event.summary || 'Untitled event'}</span>
+                      {item.day && ` (${item.day}${item.event.start?.time ? ` ${item.event.start.time}` : ''})`}: {item.reason}
+                    </span>
+                  </div>
+                ))}
+              </div>
+            )}
+
+            <div className="flex justify-end space-x-3">
+              <button onClick={() => setCalendarImport(null)} className="px-4 py-2 text-gray-600 border border-gray-300 rounded-lg hover:bg-gray-50">Cancel</button>
+              <button
+                onClick={confirmCalendarImport}
+                disabled={calendarImport.matched === 0 || !importTarget}
+                className="px-4 py-2 bg-primary-600 text-white rounded-lg hover:bg-primary-700 disabled:opacity-50"
+              >
+                Import into {importTarget}
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {isSpreadsheetImportOpen && (
+        <SpreadsheetImportWizard
+          sections={sections}
+          defaultSection={section}
+          bellSchedule={bellSchedule}
+          workingDays={workingDays}
+          courses={courseOptions}
+          onImport={handleSpreadsheetImport}
+          onClose={() => setIsSpreadsheetImportOpen(false)}
+        />
+      )}
+
+      {printSettings && (
+        <>
+          <TimetablePrintView
+            pages={printPages}
+            bellSchedule={bellSchedule}
+            days={workingDays}
+            term={termName}
+            paper={printSettings.paper}
+          />
+          <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+            <div className="bg-white rounded-lg p-6 w-full max-w-md mx-4 shadow-xl">
+              <h3 className="text-lg font-semibold text-gray-900 mb-2">Print Timetable</h3>
+              <p className="text-sm text-gray-600 mb-4">
+                Prints in landscape with one section per page, a header and a course legend.
+                Use Download PDF to save the same layout as a file.
+              </p>
+              <div className="space-y-4">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Sections</label>
+                  <div className="flex items-center space-x-6 text-sm text-gray-700">
+                    <label className="flex items-center space-x-2">
+                      <input type="radio" checked={printSettings.scope === 'current'} onChange={() => setPrintSettings({ ...printSettings, scope: 'current' })} />
+                      <span>{section} only</span>
+                    </label>
+                    <label className="flex items-center space-x-2">
+                      <input type="radio" checked={printSettings.scope === 'all'} onChange={() => setPrintSettings({ ...printSettings, scope: 'all' })} />
+                      <span>All sections ({sections.length})</span>
+                    </label>
+                  </div>
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Paper</label>
+                  <div className="flex items-center space-x-6 text-sm text-gray-700">
+                    {Object.entries(PAPER_SIZES).map(([key, size]) => (
+                      <label key={key} className="flex items-center space-x-2">
+                        <input type="radio" checked={printSettings.paper === key} onChange={() => setPrintSettings({ ...printSettings, paper: key })} />
+                        <span>{size.label} landscape</span>
+                      </label>
+                    ))}
+                  </div>
+                </div>
+              </div>
+              <div className="flex justify-end space-x-3 mt-6">
+                <button onClick={() => setPrintSettings(null)} className="px-4 py-2 text-gray-600 border border-gray-300 rounded-lg hover:bg-gray-50">Cancel</button>
+                <button
+                  onClick={handleDownloadPdf}
+                  disabled={isGeneratingPdf}
+                  className="px-4 py-2 bg-gray-200 text-gray-800 rounded-lg hover:bg-gray-300 disabled:opacity-50"
+                >
+                  {isGeneratingPdf ? 'Generating...' : 'Download PDF'}
+                </button>
+                <button onClick={() => window.print()} className="px-4 py-2 bg-primary-600 text-white rounded-lg hover:bg-primary-700">
+                  Print
+                </button>
+              </div>
+            </div>
+          </div>
+        </>
+      )}
+
+      {isVersionsOpen && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+          <div className="bg-white rounded-lg p-6 w-full max-w-4xl mx-4 shadow-xl max-h-[90vh] overflow-y-auto">
+            <h3 className="text-lg font-semibold text-gray-900 mb-2">Versions</h3>
+            <p className="text-sm text-gray-600 mb-4">
+              Save named versions of the timetable, compare any two versions and restore an earlier one.
+              Automatic versions are taken before generating or restoring and every 30 minutes while editing.
+            </p>
+
+            {/* Save a named version */}
+            <div className="flex items-center space-x-3 mb-6">
+              <input
+                type="text"
+                placeholder="Version name, e.g. Draft for HOD review"
+                value={versionName}
+                onChange={(e) => setVersionName(e.target.value)}
+                onKeyDown={(e) => e.key === 'Enter' && handleSaveVersion()}
+                className="flex-1 border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-primary-500"
+              />
+              <button
+                onClick={handleSaveVersion}
+                disabled={!versionName.trim()}
+                className="px-4 py-2 bg-primary-600 text-white rounded-lg hover:bg-primary-700 disabled:opacity-50"
+              >
+                Save Version
+              </button>
+            </div>
+
+            {/* Saved versions */}
+            {versions === null ? (
+              <p className="text-sm text-gray-500 mb-6">Loading versions...</p>
+            ) : versions.length === 0 ? (
+              <p className="text-sm text-gray-500 mb-6">No versions saved yet.</p>
+            ) : (
+              <div className="border border-gray-200 rounded-lg divide-y divide-gray-200 mb-6 max-h-64 overflow-y-auto">
+                {versions.map(version => (
+                  <div key={version.id} className="flex items-center justify-between p-3 text-sm">
+                    <div>
+                      <span className="font-bold text-gray-900">{version.name}</span>
+                      <span className={`ml-2 text-xs px-2 py-0.5 rounded-full font-bold ${
+                        version.kind === 'auto' ? 'bg-gray-100 text-gray-700' : 'bg-primary-50 text-primary-700'
+                      }`}>
+                        {version.kind === 'auto' ? 'Automatic' : 'Named'}
+                      </span>
+                      <div className="text-xs text-gray-500">{new Date(version.created_at).toLocaleString()}</div>
+                    </div>
+                    <div className="flex items-center space-x-2">
+                      <button onClick={() => restoreVersion(version)} className="px-3 py-1 bg-primary-600 text-white rounded hover:bg-primary-700">Restore</button>
+                      <button onClick={() => removeVersion(version)} className="p-1.5 text-red-600 hover:bg-red-50 rounded" aria-label={`Delete ${version.name}`}>
+                        <Trash2 className="w-4 h-4" />
+                      </button>
+                    </div>
+                  </div>
+                ))}
+              </div>
+            )}
+
+            {/* Compare two versions */}
+            <h4 className="font-bold text-gray-800 mb-2">Compare</h4>
+            <div className="grid grid-cols-2 gap-4 mb-4">
+              {[['From', compareFrom, setCompareFrom], ['To', compareTo, setCompareTo]].map(([label, value, setValue]) => (
+                <label key={label} className="text-sm font-medium text-gray-700">
+                  {label}
+                  <select
+                    value={value}
+                    onChange={(e) => setValue(e.target.value)}
+                    className="mt-1 w-full border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-primary-500"
+                  >
+                    <option value="">Select a version</option>
+                    <option value="current">Current timetable</option>
+                    {(versions || []).map(version => (
+                      <option key={version.id} value={version.id}>
+                        {version.name} ({new Date(version.created_at).toLocaleString()})
+                      </option>
+                    ))}
+                  </select>
+                </label>
+              ))}
+            </div>
+            {compareBefore && compareAfter && (
+              versionDiff.length === 0 ? (
+                <p className="text-sm text-gray-500">No differences.</p>
+              ) : (
+                <>
+                  <p className="text-sm text-gray-700 mb-2">
+                    <span className="text-green-700 font-bold">{versionDiffSummary.added} added</span>
+                    {' • '}
+                    <span className="text-red-700 font-bold">{versionDiffSummary.removed} removed</span>
+                    {' • '}
+                    <span className="text-orange-700 font-bold">{versionDiffSummary.changed} changed</span>
+                  </p>
+                  <div className="border border-gray-200 rounded-lg divide-y divide-gray-200 max-h-72 overflow-y-auto">
+                    {versionDiff.map(change => (
+                      <div
+                        key={`${change.section}|${change.day}|${change.time}`}
+                        className={`p-3 text-sm ${
+                          change.type === 'added' ? 'bg-green-50' : change.type === 'removed' ? 'bg-red-50' : 'bg-orange-50'
+                        }`}
+                      >
+                        <div className="font-bold text-gray-900">
+                          {change.section} • {change.day} • {getSlot(bellSchedule, change.time)?.name || change.time}
+                        </div>
+                        <div className="text-gray-700">
+                          {change.type === 'added' && <>Added {describePeriod(change.after)}</>}
+                          {change.type === 'removed' && <>Removed {describePeriod(change.before)}</>}
+                          {change.type === 'changed' && <>{describePeriod(change.before)} → {describePeriod(change.after)}</>}
+                        </div>
+                      </div>
+                    ))}
+                  </div>
+                </>
+              )
+            )}
+
+            <div className="flex justify-end mt-6">
+              <button onClick={() => setIsVersionsOpen(false)} className="px-4 py-2 text-gray-600 border border-gray-300 rounded-lg hover:bg-gray-50">Close</button>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* Manage Sections Modal */}
+      {isManagingSections && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+          <div className="bg-white rounded-lg p-6 w-full max-w-4xl mx-4 shadow-xl max-h-[90vh] overflow-y-auto">
+            <h3 className="text-lg font-semibold text-gray-900 mb-2">Sections</h3>
+            <p className="text-sm text-gray-600 mb-4">
+              Rename sections and set their home room, strength, program and semester. Archived sections are hidden from the section dropdown but keep their timetable.
+            </p>
+            <div className="overflow-x-auto">
+              <table className="w-full text-sm">
+                <thead>
+                  <tr className="text-left text-gray-600">
+                    <th className="py-2 pr-2">Name</th>
+                    <th className="py-2 pr-2">Home Room</th>
+                    <th className="py-2 pr-2">Strength</th>
+                    <th className="py-2 pr-2">Program</th>
+                    <th className="py-2 pr-2">Semester</th>
+                    <th className="py-2" />
+                  </tr>
+                </thead>
+                <tbody>
+                  {sectionRecords.map(record => {
+                    const draft = sectionDrafts[record.name] || record
+                    return (
+                      <tr key={record.id || record.name} className={record.archived ? 'opacity-60' : ''}>
+                        <td className="py-1 pr-2">
+                          <input type="text" value={draft.name} onChange={(e) => updateSectionDraft(record.name, 'name', e.target.value)} className="w-full px-2 py-1 border border-gray-300 rounded" />
+                        </td>
+                        <td className="py-1 pr-2">
+                          <input type="text" value={draft.home_room || ''} onChange={(e) => updateSectionDraft(record.name, 'home_room', e.target.value)} className="w-full px-2 py-1 border border-gray-300 rounded" />
+                        </td>
+                        <td className="py-1 pr-2">
+                          <input type="number" min="0" value={draft.strength ?? ''} onChange={(e) => updateSectionDraft(record.name, 'strength', e.target.value)} className="w-20 px-2 py-1 border border-gray-300 rounded" />
+                        </td>
+                        <td className="py-1 pr-2">
+                          <input type="text" value={draft.program || ''} onChange={(e) => updateSectionDraft(record.name, 'program', e.target.value)} className="w-full px-2 py-1 border border-gray-300 rounded" />
+                        </td>
+                        <td className="py-1 pr-2">
+                          <input type="text" value={draft.semester || ''} onChange={(e) => updateSectionDraft(record.name, 'semester', e.target.value)} className="w-full px-2 py-1 border border-gray-300 rounded" />
+                        </td>
+                        <td className="py-1 whitespace-nowrap space-x-2">
+                          <button onClick={() => saveSection(record.name)} disabled={isSavingSection} className="px-3 py-1 bg-primary-600 text-white rounded hover:bg-primary-700 disabled:opacity-50">Save</button>
+                          <button onClick={() => toggleSectionArchived(record.name)} disabled={isSavingSection} className="px-3 py-1 border border-gray-300 text-gray-700 rounded hover:bg-gray-50 disabled:opacity-50">
+                            {record.archived ? 'Restore' : 'Archive'}
+                          </button>
+                        </td>
+                      </tr>
+                    )
+                  })}
+                  <tr>
+                    <td className="pt-3 pr-2">
+                      <input type="text" placeholder="e.g. CSE D" value={newSectionDraft.name} onChange={(e) => setNewSectionDraft({ ...newSectionDraft, name: e.target.value })} className="w-full px-2 py-1 border border-gray-300 rounded" />
+                    </td>
+                    <td className="pt-3 pr-2">
+                      <input type="text" placeholder="e.g. LH-140" value={newSectionDraft.home_room} onChange={(e) => setNewSectionDraft({ ...newSectionDraft, home_room: e.target.value })} className="w-full px-2 py-1 border border-gray-300 rounded" />
+                    </td>
+                    <td className="pt-3 pr-2">
+                      <input type="number" min="0" value={newSectionDraft.strength} onChange={(e) => setNewSectionDraft({ ...newSectionDraft, strength: e.target.value })} className="w-20 px-2 py-1 border border-gray-300 rounded" />
+                    </td>
+                    <td className="pt-3 pr-2">
+                      <input type="text" placeholder="e.g. B.Tech CSE" value={newSectionDraft.program} onChange={(e) => setNewSectionDraft({ ...newSectionDraft, program: e.target.value })} className="w-full px-2 py-1 border border-gray-300 rounded" />
+                    </td>
+                    <td className="pt-3 pr-2">
+                      <input type="text" placeholder="e.g. 5th Semester" value={newSectionDraft.semester} onChange={(e) => setNewSectionDraft({ ...newSectionDraft, semester: e.target.value })} className="w-full px-2 py-1 border border-gray-300 rounded" />
+                    </td>
+                    <td className="pt-3">
+                      <button onClick={addSection} disabled={isSavingSection} className="px-3 py-1 bg-green-600 text-white rounded hover:bg-green-700 disabled:opacity-50 flex items-center space-x-1">
+                        <Plus className="w-4 h-4" />
+                        <span>Add</span>
+                      </button>
+                    </td>
+                  </tr>
+                </tbody>
+              </table>
+            </div>
+            <div className="flex justify-end mt-6">
+              <button onClick={() => setIsManagingSections(false)} className="px-4 py-2 text-gray-600 border border-gray-300 rounded-lg hover:bg-gray-50">Close</button>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* Working Days Modal */}
+      {workingDaysDraft && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+          <div className="bg-white rounded-lg p-6 w-full max-w-md mx-4 shadow-xl">
+            <h3 className="text-lg font-semibold text-gray-900 mb-2">Working Days</h3>
+            <p className="text-sm text-gray-600 mb-4">
+              Choose the days on which classes are held. The remaining days are treated as the weekend.
+            </p>
+            <div className="space-y-2">
+              {WEEK_DAYS.map(day => (
+                <label key={day} className="flex items-center cursor-pointer">
+                  <input
+                    type="checkbox"
+                    checked={workingDaysDraft.includes(day)}
+                    onChange={() => toggleWorkingDayDraft(day)}
+                    className="mr-3 w-5 h-5"
+                  />
+                  <span className="font-bold text-gray-700">{day}</span>
+                </label>
+              ))}
+            </div>
+            {workingDaysDraft.length === 0 && (
+              <div className="mt-4 bg-red-50 border border-red-200 rounded-lg p-3 text-xs text-red-800">
+                Select at least one working day
+              </div>
+            )}
+            <div className="flex justify-end space-x-3 mt-6">
+              <button onClick={() => setWorkingDaysDraft(null)} className="px-4 py-2 text-gray-600 border border-gray-300 rounded-lg hover:bg-gray-50">Cancel</button>
+              <button
+                onClick={saveWorkingDays}
+                disabled={workingDaysDraft.length === 0}
+                className="px-4 py-2 bg-primary-600 text-white rounded-lg hover:bg-primary-700 disabled:opacity-50"
+              >
+                Save Working Days
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* Bell Schedule Modal */}
+      {scheduleDraft && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+          <div className="bg-white rounded-lg p-6 w-full max-w-2xl mx-4 shadow-xl max-h-[90vh] overflow-y-auto">
+            <h3 className="text-lg font-semibold text-gray-900 mb-2">Bell Schedule</h3>
+            <p className="text-sm text-gray-600 mb-4">
+              Name each period and break and set its start and end time. Periods keep their classes when their times change.
+              Classes on a period you remove or turn into a break move to the free period that overlaps its times the most;
+              any that have nowhere to go are listed for you to confirm before they are removed.
+            </p>
+            <div className="space-y-2">
+              <div className="grid grid-cols-12 gap-2 text-xs font-bold text-gray-600 uppercase">
+                <div className="col-span-4">Name</div>
+                <div className="col-span-2">Start</div>
+                <div className="col-span-2">End</div>
+                <div className="col-span-3">Type</div>
+                <div className="col-span-1"></div>
+              </div>
+              {sortBellSchedule(scheduleDraft).map(slot => (
+                <div key={slot.id} className="grid grid-cols-12 gap-2 items-center">
+                  <input
+                    type="text"
+                    value={slot.name}
+                    onChange={(e) => updateScheduleSlot(slot.id, 'name', e.target.value)}
+                    className="col-span-4 border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-primary-500"
+                  />
+                  <input
+                    type="time"
+                    value={slot.start}
+                    onChange={(e) => updateScheduleSlot(slot.id, 'start', e.target.value)}
+                    className="col-span-2 border border-gray-300 rounded-lg px-2 py-2 focus:ring-2 focus:ring-primary-500"
+                  />
+                  <input
+                    type="time"
+                    value={slot.end}
+                    onChange={(e) => updateScheduleSlot(slot.id, 'end', e.target.value)}
+                    className="col-span-2 border border-gray-300 rounded-lg px-2 py-2 focus:ring-2 focus:ring-primary-500"
+                  />
+                  <select
+                    value={slot.type}
+                    onChange={(e) => updateScheduleSlot(slot.id, 'type', e.target.value)}
+                    className="col-span-3 border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-primary-500"
+                  >
+                    <option value="period">Period</option>
+                    <option value="break">Break</option>
+                  </select>
+                  <button
+                    onClick={() => removeScheduleSlot(slot.id)}
+                    className="col-span-1 p-2 text-red-600 hover:bg-red-50 rounded-lg"
+                    aria-label={`Remove ${slot.name}`}
+                  >
+                    <Trash2 className="w-4 h-4" />
+                  </button>
+                </div>
+              ))}
+            </div>
+            <div className="flex space-x-3 mt-4">
+              <button onClick={() => addScheduleSlot('period')} className="text-sm px-3 py-1.5 rounded-md border border-gray-300 text-gray-700 hover:bg-gray-50 flex items-center space-x-1">
+                <Plus className="w-4 h-4" />
+                <span>Add Period</span>
+              </button>
+              <button onClick={() => addScheduleSlot('break')} className="text-sm px-3 py-1.5 rounded-md border border-gray-300 text-gray-700 hover:bg-gray-50 flex items-center space-x-1">
+                <Plus className="w-4 h-4" />
+                <span>Add Break</span>
+              </button>
+              <button onClick={() => setScheduleDraft(DEFAULT_BELL_SCHEDULE)} className="text-sm px-3 py-1.5 rounded-md border border-gray-300 text-gray-700 hover:bg-gray-50">
+                Reset to Default
+              </button>
+            </div>
+            {scheduleErrors.length > 0 && (
+              <div className="mt-4 bg-red-50 border border-red-200 rounded-lg p-3 space-y-1">
+                {scheduleErrors.map((error, index) => (
+                  <div key={index} className="text-xs text-red-800">{error}</div>
+                ))}
+              </div>
+            )}
+            <div className="flex justify-end space-x-3 mt-6">
+              <button onClick={() => setScheduleDraft(null)} className="px-4 py-2 text-gray-600 border border-gray-300 rounded-lg hover:bg-gray-50">Cancel</button>
+              <button
+                onClick={saveBellSchedule}
+                disabled={scheduleErrors.length > 0}
+                className="px-4 py-2 bg-primary-600 text-white rounded-lg hover:bg-primary-700 disabled:opacity-50"
+              >
+                Save Schedule
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* Generated Timetable Preview Modal */}
+      {generationResult && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+          <div className="bg-white rounded-lg p-6 w-full max-w-lg mx-4 shadow-xl">
+            <h3 className="text-lg font-semibold text-gray-900 mb-4">Generated Timetable</h3>
+            <p className="text-gray-700 mb-4">
+              A clash-free timetable was generated for {Object.keys(generationResult.timetables).length} sections.
+              Applying it replaces the current grids for these sections; you can still edit any period afterwards.
+            </p>
+            <div className="space-y-2 mb-4">
+              {Object.entries(generationResult.timetables).map(([sectionName, grid]) => (
+                <div key={sectionName} className="flex justify-between text-sm text-gray-700">
+                  <span className="font-bold">{sectionName}</span>
+                  <span>{countGeneratedPeriods(grid)} periods scheduled</span>
+                </div>
+              ))}
+            </div>
+            {generationResult.unplaced.length > 0 && (
+              <div className="bg-orange-50 border border-orange-200 rounded-lg p-3 mb-4 max-h-40 overflow-y-auto">
+                <h4 className="text-sm font-bold text-orange-800 mb-2">Could not be placed</h4>
+                {generationResult.unplaced.map((item, index) => (
+                  <div key={index} className="text-xs text-orange-800">
+                    <span className="font-bold">{item.section} • {item.course}:</span> {item.reason}
+                  </div>
+                ))}
+              </div>
+            )}
+            <div className="flex justify-end space-x-3">
+              <button
+                onClick={() => setGenerationResult(null)}
+                className="px-4 py-2 text-gray-600 border border-gray-300 rounded-lg hover:bg-gray-50 transition-colors"
+              >
+                Cancel
+              </button>
+              <button
+                onClick={applyGeneratedTimetable}
+                className="px-4 py-2 bg-primary-600 text-white rounded-lg hover:bg-primary-700 transition-colors"
+              >
+                Apply Timetable
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
       {/* Edit Period Modal */}
       {isEditingPeriod && (
         <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
-          <div className="bg-white rounded-lg p-6 w-full max-w-md mx-4">
+          <div className={`bg-white rounded-lg p-6 w-full mx-4 max-h-[90vh] overflow-y-auto ${editingContext.sessions.length > 0 ? 'max-w-2xl' : 'max-w-md'}`}>
             <h3 className="text-lg font-semibold text-gray-900 mb-4">Edit Period</h3>
             <div className="space-y-4">
               <div className="grid grid-cols-2 gap-4">
@@ -1159,40 +3151,100 @@ const Timetable = () => {
                 </div>
                 <div>
                   <label className="block text-sm font-medium text-gray-700 mb-1">Time</label>
-                  <input type="text" value={editingContext.time} readOnly className="w-full border border-gray-300 rounded-lg px-3 py-2 bg-gray-100" />
+                  <input type="text" value={getBlockLabel(editSlots)} readOnly className="w-full border border-gray-300 rounded-lg px-3 py-2 bg-gray-100" />
                 </div>
               </div>
               <div>
-                <label className="block text-sm font-medium text-gray-700 mb-1">Course</label>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Periods</label>
                 <input
-                  type="text"
-                  value={editingContext.course}
-                  onChange={(e) => setEditingContext({ ...editingContext, course: e.target.value })}
+                  type="number"
+                  min="1"
+                  max={maxEditSpan}
+                  value={editingContext.span}
+                  onChange={(e) => setEditingContext({ ...editingContext, span: Math.min(Math.max(Number(e.target.value) || 1, 1), maxEditSpan) })}
                   className="w-full border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-primary-500"
                 />
+                <p className="text-xs text-gray-500 mt-1">Consecutive periods this class takes up, e.g. 3 for a lab. Up to {maxEditSpan} fit before the next break.</p>
               </div>
-              <div>
-                <label className="block text-sm font-medium text-gray-700 mb-1">Subject</label>
-                <input
-                  type="text"
-                  value={editingContext.subject}
-                  onChange={(e) => setEditingContext({ ...editingContext, subject: e.target.value })}
-                  className="w-full border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-primary-500"
-                />
-              </div>
-              <div>
-                <label className="block text-sm font-medium text-gray-700 mb-1">Instructor</label>
-                <input
-                  type="text"
-                  value={editingContext.instructor}
-                  onChange={(e) => setEditingContext({ ...editingContext, instructor: e.target.value })}
-                  className="w-full border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-primary-500"
+              {/* A section split into batches edits one session per batch instead of a single class */}
+              {editingContext.sessions.length > 0 ? (
+                <BatchSessionsEditor
+                  sessions={editingContext.sessions}
+                  rotate={editingContext.rotate}
+                  courseOptions={courseSelectOptions}
+                  roomOptions={roomSelectOptions}
+                  onChange={(sessions, rotate) => setEditingContext(prev => ({ ...prev, sessions, rotate }))}
+                  onMerge={mergeEditPeriod}
                 />
-              </div>
+              ) : (
+                <>
+                  <SearchableSelect
+                    label="Linked Course"
+                    options={courseSelectOptions}
+                    value={editingContext.courseId}
+                    onChange={selectEditCourse}
+                    placeholder="Select a course from the Courses page"
+                    noneLabel="Custom period (not linked)"
+                  />
+                  {/* Linked periods take their code, subject and instructor from the course record */}
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">Course</label>
+                    <input
+                      type="text"
+                      value={editingContext.course}
+                      readOnly={!!editingContext.courseId}
+                      onChange={(e) => setEditingContext({ ...editingContext, course: e.target.value })}
+                      className={`w-full border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-primary-500 ${editingContext.courseId ? 'bg-gray-100' : ''}`}
+                    />
+                  </div>
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">Subject</label>
+                    <input
+                      type="text"
+                      value={editingContext.subject}
+                      readOnly={!!editingContext.courseId}
+                      onChange={(e) => setEditingContext({ ...editingContext, subject: e.target.value })}
+                      className={`w-full border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-primary-500 ${editingContext.courseId ? 'bg-gray-100' : ''}`}
+                    />
+                  </div>
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">Instructor</label>
+                    <input
+                      type="text"
+                      value={editingContext.instructor}
+                      readOnly={!!editingContext.courseId}
+                      onChange={(e) => setEditingContext({ ...editingContext, instructor: e.target.value })}
+                      className={`w-full border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-primary-500 ${editingContext.courseId ? 'bg-gray-100' : ''}`}
+                    />
+                  </div>
+                  <SearchableSelect
+                    label="Room"
+                    options={roomSelectOptions}
+                    value={editingContext.roomId}
+                    onChange={selectEditRoom}
+                    placeholder={editingContext.room || 'Select a room from the Rooms page'}
+                    noneLabel="No room"
+                  />
+                  <button onClick={splitEditPeriod} className="text-sm text-primary-600 hover:text-primary-700 font-medium">
+                    Split into batches (e.g. B1 / B2 labs)
+                  </button>
+                </>
+              )}
             </div>
+            {/* Inline clash warnings for the period being edited */}
+            {editClashes.length > 0 && (
+              <div className="mt-4 bg-red-50 border border-red-200 rounded-lg p-3 space-y-1">
+                {editClashes.map((clash, index) => (
+                  <div key={index} className="text-xs text-red-800 flex items-start space-x-1">
+                    <AlertTriangle className="w-3 h-3 flex-shrink-0 mt-0.5" />
+                    <span>{describeClash(clash)}</span>
+                  </div>
+                ))}
+              </div>
+            )}
             <div className="flex justify-between items-center mt-6">
               {/* Delete button on the left - only show if there's a period to delete */}
-              {editingContext.course || editingContext.subject || editingContext.instructor ? (
+              {editingContext.course || editingContext.subject || editingContext.instructor || editingContext.sessions.length > 0 ? (
                 <button 
                   onClick={handleDeleteClick} 
                   className="px-4 py-2 bg-red-600 text-white rounded-lg hover:bg-red-700 transition-colors"
@@ -1205,7 +3257,7 @@ const Timetable = () => {
               {/* Cancel and Save buttons on the right */}
               <div className="flex space-x-3">
                 <button onClick={cancelEditPeriod} className="px-4 py-2 text-gray-600 border border-gray-300 rounded-lg hover:bg-gray-50">Cancel</button>
-                <button onClick={saveEditPeriod} className="px-4 py-2 bg-primary-600 text-white rounded-lg hover:bg-primary-700">Save Changes</button>
+                <button onClick={saveEditPeriod} className="px-4 py-2 bg-primary-600 text-white rounded-lg hover:bg-primary-700">{editClashes.length > 0 ? 'Save Anyway' : 'Save Changes'}</button>
               </div>
             </div>
           </div>
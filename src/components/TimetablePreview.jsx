@@ -0,0 +1,72 @@
+/**
+ * TimetablePreview Component
+ *
+ * A compact, read-only grid of one section's periods, used to preview
+ * imported timetables before they are written into the real grid and to
+ * show a student's personal timetable.
+ *
+ * Features:
+ * - One column per day and one row per bell schedule slot
+ * - Breaks labelled by name
+ * - Multi-period blocks shown once with their later slots marked as continued
+ * - Periods joined from another section labelled with that section
+ */
+
+// Import React for JSX
+import React from 'react'
+// Import block helper to find the period covering each slot
+import { findBlockAt } from '../lib/periodBlocks'
+
+/**
+ * TimetablePreview Component
+ *
+ * @param {Object} sectionData - sectionData[day][slotId] to show
+ * @param {Array<Object>} bellSchedule - Bell schedule
+ * @param {Array<string>} days - Days to show as columns
+ */
+const TimetablePreview = ({ sectionData, bellSchedule, days }) => {
+  return (
+    <div className="overflow-x-auto border border-gray-200 rounded-lg">
+      <table className="w-full text-xs">
+        <thead>
+          <tr className="bg-gray-50">
+            <th className="p-2 text-left font-bold text-gray-700">Time</th>
+            {days.map(day => <th key={day} className="p-2 text-left font-bold text-gray-700">{day}</th>)}
+          </tr>
+        </thead>
+        <tbody>
+          {bellSchedule.map(slot => (
+            <tr key={slot.id} className="border-t border-gray-200">
+              <td className="p-2 text-gray-600 whitespace-nowrap">{slot.start}-{slot.end}</td>
+              {days.map(day => {
+                if (slot.type === 'break') {
+                  return <td key={day} className="p-2 text-orange-800 font-bold uppercase">{slot.name}</td>
+                }
+                const block = findBlockAt(sectionData?.[day], bellSchedule, slot.id)
+                if (!block) return <td key={day} className="p-2 text-gray-400">-</td>
+                return (
+                  <td key={day} className={`p-2 ${block.slots.length > 1 ? 'bg-green-50' : 'bg-blue-50'}`}>
+                    {block.start === slot.id ? (
+                      <>
+                        <div className="font-bold text-gray-900">{block.entry.course}</div>
+                        <div className="text-gray-700">{block.entry.subject}</div>
+                        {block.entry.instructor && <div className="text-gray-500">{block.entry.instructor}</div>}
+                        {block.entry.room && <div className="text-gray-500">{block.entry.room}</div>}
+                        {block.entry.fromSection && <div className="font-medium text-purple-700">With {block.entry.fromSection}</div>}
+                      </>
+                    ) : (
+                      <span className="text-gray-500">(continued)</span>
+                    )}
+                  </td>
+                )
+              })}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  )
+}
+
+// Export the TimetablePreview component as the default export
+export default TimetablePreview
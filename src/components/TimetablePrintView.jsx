@@ -0,0 +1,134 @@
+/**
+ * TimetablePrintView Component
+ *
+ * The printable timetable. It is rendered outside the app root and hidden on
+ * screen; when the browser prints, the app is hidden and only these pages are
+ * printed (see the print styles in index.css).
+ *
+ * Features:
+ * - Landscape A4 or Letter pages, one section per page
+ * - Header with section, home room and term
+ * - Compact grid with days as rows and multi-period blocks as merged cells
+ * - Legend generated from the courses in each section's grid
+ */
+
+// Import React for JSX
+import React from 'react'
+// Import createPortal to render next to the app root
+import { createPortal } from 'react-dom'
+// Import print layout helpers shared with the PDF export
+import { buildPrintRows, buildLegend, PAPER_SIZES } from '../lib/printLayout'
+import { getSessions } from '../lib/batchSessions'
+
+/**
+ * TimetablePrintView Component
+ *
+ * @param {Array<Object>} pages - Sections to print as { section, homeRoom, sectionData }
+ * @param {Array<Object>} bellSchedule - Bell schedule
+ * @param {Array<string>} days - Days to print
+ * @param {string} term - Term shown in each page header
+ * @param {string} paper - Key of PAPER_SIZES
+ */
+const TimetablePrintView = ({ pages, bellSchedule, days, term, paper }) => {
+  return createPortal(
+    <div className="print-root text-gray-900">
+      {/* Page size follows the selected paper */}
+      <style>{`@page { size: ${PAPER_SIZES[paper]?.css || PAPER_SIZES.a4.css}; margin: 10mm; }`}</style>
+
+      {pages.map(page => {
+        const legend = buildLegend(page.sectionData, days)
+        return (
+          <div key={page.section} className="print-page">
+            {/* Page header */}
+            <div className="flex items-end justify-between border-b-2 border-gray-800 pb-1 mb-2">
+              <h1 className="text-xl font-bold">{page.section} Timetable</h1>
+              <div className="text-sm">
+                {[page.homeRoom && `Home room: ${page.homeRoom}`, term].filter(Boolean).join(' • ')}
+              </div>
+            </div>
+
+            {/* Grid */}
+            <table className="w-full border-collapse text-[9px] leading-tight">
+              <thead>
+                <tr>
+                  <th className="border border-gray-700 bg-gray-700 text-white p-1 text-left">Day</th>
+                  {bellSchedule.map(slot => (
+                    <th key={slot.id} className="border border-gray-700 bg-gray-700 text-white p-1">
+                      <div>{slot.name}</div>
+                      <div className="font-normal">{slot.start}-{slot.end}</div>
+                    </th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {buildPrintRows(page.sectionData, bellSchedule, days).map(row => (
+                  <tr key={row.day}>
+                    <td className="border border-gray-700 p-1 font-bold">{row.day}</td>
+                    {row.cells.map(cell => {
+                      if (cell.type === 'break') {
+                        return <td key={cell.slotId} className="border border-gray-700 p-1 text-center font-bold bg-orange-100">{cell.label}</td>
+                      }
+                      if (cell.type === 'empty') {
+                        return <td key={cell.slotId} className="border border-gray-700 p-1" />
+                      }
+                      return (
+                        <td
+                          key={cell.slotId}
+                          colSpan={cell.colSpan}
+                          className={`border border-gray-700 p-1 text-center ${cell.colSpan > 1 ? 'bg-green-100' : ''}`}
+                        >
+                          {getSessions(cell.entry) ? (
+                            // One line per batch of a period split into batches
+                            getSessions(cell.entry).map(session => (
+                              <div key={session.batch}>
+                                <span className="font-bold">{session.batch}: {session.course || session.subject}</span>
+                                {session.instructor && ` ${session.instructor}`}
+                                {session.room && <span className="italic"> {session.room}</span>}
+                              </div>
+                            ))
+                          ) : (
+                            <>
+                              <div className="font-bold">{cell.entry.course || cell.entry.subject}</div>
+                              {cell.entry.instructor && <div>{cell.entry.instructor}</div>}
+                              {cell.entry.room && <div className="italic">{cell.entry.room}</div>}
+                            </>
+                          )}
+                        </td>
+                      )
+                    })}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+
+            {/* Legend of the courses in the grid */}
+            {legend.length > 0 && (
+              <table className="mt-2 text-[9px] leading-tight">
+                <thead>
+                  <tr>
+                    <th className="text-left pr-4">Course</th>
+                    <th className="text-left pr-4">Subject</th>
+                    <th className="text-left">Instructor</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {legend.map(item => (
+                    <tr key={item.course}>
+                      <td className="pr-4 font-bold">{item.course}</td>
+                      <td className="pr-4">{item.subject}</td>
+                      <td>{item.instructors.join(', ')}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+          </div>
+        )
+      })}
+    </div>,
+    document.body
+  )
+}
+
+// Export the TimetablePrintView component as the default export
+export default TimetablePrintView
@@ -3,12 +3,14 @@
  * 
  * This component displays and manages user profile information.
  * It allows users to view and edit their profile details including
- * name, email, phone number, semester, section, roll numbers, and address.
+ * name, email, phone number, semester, section, elective choices, roll numbers,
+ * and address.
  * It also provides the ability to delete their account.
  * 
  * Key features:
  * - View user profile information
  * - Edit profile details
+ * - Choose electives, which shape the personal timetable
  * - Save changes to Supabase
  * - Delete account functionality
  * - Attractive, modern UI design
@@ -30,12 +32,18 @@ import {
   X, 
   Trash2,
   AlertTriangle,
-  Loader
+  Loader,
+  BookOpen
 } from 'lucide-react'
 // Import Clerk authentication hooks
 import { useUser, useClerk } from '@clerk/clerk-react'
 // Import user profile service for Supabase operations
 import { loadUserProfile, upsertUserProfile, deleteUserProfile } from '../services/userProfileService'
+// Import timetable and course services to list the electives on offer
+import { loadUserTimetable } from '../services/timetableService'
+import { loadUserCourses } from '../services/coursesService'
+import { listElectives } from '../lib/electives'
+import { DEFAULT_TIMETABLES } from '../lib/defaultTimetables'
 // Import useNavigate for redirecting after account deletion
 import { useNavigate } from 'react-router-dom'
 
@@ -73,9 +81,13 @@ const User = () => {
     section: '',
     university_roll: '',
     college_roll: '',
-    address: ''
+    address: '',
+    electives: []
   })
 
+  // Electives on offer, from the course records and the timetable
+  const [electiveOptions, setElectiveOptions] = useState([])
+
   // Reset image error when user changes
   useEffect(() => {
     setImageError(false)
@@ -102,11 +114,39 @@ const User = () => {
         section: profile?.section || '',
         university_roll: profile?.university_roll || '',
         college_roll: profile?.college_roll || '',
-        address: profile?.address || ''
+        address: profile?.address || '',
+        electives: profile?.electives || []
       })
     }
   }, [user, profile, isLoading])
 
+  // Load the electives students can choose from
+  useEffect(() => {
+    async function fetchElectives() {
+      if (!isSignedIn || !user?.id) return
+      try {
+        const [record, courses] = await Promise.all([loadUserTimetable(user.id), loadUserCourses(user.id)])
+        const timetables = record?.data && typeof record.data === 'object' ? record.data : DEFAULT_TIMETABLES
+        setElectiveOptions(listElectives(timetables, courses))
+      } catch (err) {
+        console.error('Failed to load electives:', err)
+      }
+    }
+    fetchElectives()
+  }, [isSignedIn, user?.id])
+
+  /**
+   * Handle elective checkbox changes
+   */
+  const toggleElective = (code) => {
+    setFormData(prev => ({
+      ...prev,
+      electives: prev.electives.includes(code)
+        ? prev.electives.filter(item => item !== code)
+        : [...prev.electives, code]
+    }))
+  }
+
   /**
    * Load user profile from Supabase
    */
@@ -134,7 +174,8 @@ const User = () => {
           section: data?.section || '',
           university_roll: data?.university_roll || '',
           college_roll: data?.college_roll || '',
-          address: data?.address || ''
+          address: data?.address || '',
+          electives: data?.electives || []
         })
       }
     } catch (err) {
@@ -183,7 +224,8 @@ const User = () => {
         section: profile?.section || '',
         university_roll: profile?.university_roll || '',
         college_roll: profile?.college_roll || '',
-        address: profile?.address || ''
+        address: profile?.address || '',
+        electives: profile?.electives || []
       })
     }
   }
@@ -438,6 +480,42 @@ const User = () => {
                 )}
               </div>
 
+              {/* Electives Field */}
+              <div>
+                <label className="flex items-center text-sm font-medium text-gray-700 mb-2">
+                  <BookOpen className="w-4 h-4 mr-2 text-gray-500" />
+                  Electives
+                </label>
+                {isEditing ? (
+                  electiveOptions.length === 0 ? (
+                    <p className="text-sm text-gray-500">No electives are offered in the timetable or the course list.</p>
+                  ) : (
+                    <div className="space-y-2">
+                      {electiveOptions.map(option => (
+                        <label key={option.code} className="flex items-start space-x-2 text-sm text-gray-700">
+                          <input
+                            type="checkbox"
+                            checked={formData.electives.includes(option.code)}
+                            onChange={() => toggleElective(option.code)}
+                            className="mt-0.5 rounded border-gray-300 text-primary-600 focus:ring-primary-500"
+                          />
+                          <span>
+                            <span className="font-medium text-gray-900">{option.code}</span>
+                            {option.subject && ` – ${option.subject}`}
+                            {option.sections.length > 0 && (
+                              <span className="block text-xs text-gray-500">Taught to {option.sections.join(', ')}</span>
+                            )}
+                          </span>
+                        </label>
+                      ))}
+                      <p className="text-xs text-gray-500">Your timetable hides the electives you did not choose and adds chosen ones taught to other sections.</p>
+                    </div>
+                  )
+                ) : (
+                  <p className="text-gray-900 font-medium">{formData.electives.length > 0 ? formData.electives.join(', ') : 'Not set'}</p>
+                )}
+              </div>
+
               {/* University Roll Field */}
               <div>
                 <label className="flex items-center text-sm font-medium text-gray-700 mb-2">
@@ -0,0 +1,143 @@
+/**
+ * Batch Sessions
+ *
+ * A section can split into batches (sub-groups) that attend different
+ * classes at the same time, e.g. B1 in the Operating Systems lab while B2 is
+ * in the Software Engineering lab. Such a period keeps one entry in its slot
+ * with the parallel sessions listed in it:
+ * { span, rotate, sessions: [{ batch, course, subject, instructor, courseId, room, roomId }], course, subject, instructor }
+ *
+ * The top-level course, subject and instructor are a summary of the sessions
+ * so views and exports that only know single periods keep working. Rooms
+ * belong to the sessions only.
+ *
+ * When rotate is set the batches swap sessions every week: in week n the
+ * session at index i is attended by the batch stored at index (i + n) mod k.
+ */
+
+import { parseInstructors } from './timetableGenerator'
+
+export const DEFAULT_BATCHES = ['B1', 'B2']
+
+/**
+ * The parallel sessions of a period
+ * @param {Object|null} entry - Period entry
+ * @returns {Array<Object>|null} - Sessions, or null for an ordinary period
+ */
+export function getSessions(entry) {
+	return Array.isArray(entry?.sessions) && entry.sessions.length > 0 ? entry.sessions : null
+}
+
+/**
+ * The parts of a period that take up instructors and rooms: its sessions, or the period itself
+ * @param {Object|null} entry - Period entry
+ * @returns {Array<Object>}
+ */
+export function getPeriodParts(entry) {
+	if (!entry) return []
+	return getSessions(entry) || [entry]
+}
+
+/**
+ * Copy the stored fields of a session
+ */
+function toSession(session) {
+	const stored = {
+		batch: (session.batch || '').trim().toUpperCase(),
+		course: session.course || '',
+		subject: session.subject || '',
+		instructor: session.instructor || ''
+	}
+	if (session.courseId) stored.courseId = session.courseId
+	if (session.room) stored.room = session.room
+	if (session.roomId) stored.roomId = session.roomId
+	return stored
+}
+
+/**
+ * Build a period entry holding parallel sessions
+ * @param {Array<Object>} sessions - [{ batch, course, subject, instructor, courseId, room, roomId }]
+ * @param {Object} [options]
+ * @param {number} [options.span] - Number of slots the period covers
+ * @param {boolean} [options.rotate] - Whether the batches swap sessions every week
+ * @returns {Object} - Period entry
+ */
+export function buildBatchEntry(sessions, { span = 1, rotate = false } = {}) {
+	const unique = (values) => [...new Set(values.filter(Boolean))]
+	const entry = {
+		course: unique(sessions.map(session => session.course)).join(' / '),
+		subject: unique(sessions.map(session => session.subject)).join(' / '),
+		instructor: unique(sessions.flatMap(session => parseInstructors(session.instructor))).join('+'),
+		sessions: sessions.map(toSession)
+	}
+	if (span > 1) entry.span = span
+	if (rotate && sessions.length > 1) entry.rotate = true
+	return entry
+}
+
+/**
+ * Split an ordinary period into batches; the first batch keeps the period's class
+ * @param {Object} entry - Period entry, e.g. { course, subject, instructor, room }
+ * @param {Array<string>} [batches] - Batch names
+ * @returns {Array<Object>} - Sessions
+ */
+export function splitIntoBatches(entry, batches = DEFAULT_BATCHES) {
+	return batches.map((batch, index) => (
+		index === 0
+			? toSession({ ...entry, batch })
+			: { batch, course: '', subject: '', instructor: '' }
+	))
+}
+
+/**
+ * Validate the sessions of a period before it is saved
+ * @param {Array<Object>} sessions - Sessions being edited
+ * @returns {string|null} - Error message or null when valid
+ */
+export function validateSessions(sessions) {
+	if (sessions.length < 2) return 'Add at least two batches, or merge them back into one class.'
+	const batches = new Set()
+	const instructors = new Map()
+	const rooms = new Map()
+	for (const session of sessions) {
+		const batch = (session.batch || '').trim().toUpperCase()
+		if (!batch) return 'Every session needs a batch name, e.g. B1.'
+		if (batches.has(batch)) return `Batch ${batch} is listed twice.`
+		batches.add(batch)
+		if (!session.course && !session.subject) return `Batch ${batch} needs a course.`
+		for (const code of parseInstructors(session.instructor)) {
+			if (instructors.has(code)) return `${code} cannot teach ${instructors.get(code)} and ${batch} at the same time.`
+			instructors.set(code, batch)
+		}
+		const room = session.roomId || (session.room || '').trim().toUpperCase()
+		if (room) {
+			if (rooms.has(room)) return `Batches ${rooms.get(room)} and ${batch} cannot use the same room.`
+			rooms.set(room, batch)
+		}
+	}
+	return null
+}
+
+/**
+ * The sessions of a period with the batches attending them in a given week
+ * @param {Object} entry - Period entry
+ * @param {number} week - Week number (see getRotationWeek in lib/terms)
+ * @returns {Array<Object>|null} - Sessions, or null for an ordinary period
+ */
+export function getSessionsForWeek(entry, week) {
+	const sessions = getSessions(entry)
+	if (!sessions || !entry.rotate) return sessions
+	const batches = sessions.map(session => session.batch)
+	const shift = ((week % batches.length) + batches.length) % batches.length
+	return sessions.map((session, index) => ({ ...session, batch: batches[(index + shift) % batches.length] }))
+}
+
+/**
+ * One-line description of a session, e.g. 'B1: PCC CS-592 (LAB 3&4) – RKM(CS) – Computer Lab 3&4'
+ * @param {Object} session - Session
+ * @returns {string}
+ */
+export function describeSession(session) {
+	const details = [session.course || session.subject, session.instructor, session.room].filter(Boolean).join(' – ')
+	return `${session.batch}: ${details}`
+}
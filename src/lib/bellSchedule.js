@@ -0,0 +1,178 @@
+/**
+ * Bell Schedule
+ *
+ * A bell schedule is an ordered list of slots, each either a teaching period
+ * or a break of any length:
+ * { id, name, start: 'HH:MM', end: 'HH:MM', type: 'period' | 'break' }
+ *
+ * Slot ids are the keys used in timetables[section][day][id]. They are fixed
+ * when a slot is created, so changing a slot's times keeps its periods attached.
+ */
+
+export const LUNCH_SLOT = 'LUNCH'
+
+export const DEFAULT_BELL_SCHEDULE = [
+	{ id: '09:30-10:20', name: 'Period 1', start: '09:30', end: '10:20', type: 'period' },
+	{ id: '10:20-11:10', name: 'Period 2', start: '10:20', end: '11:10', type: 'period' },
+	{ id: '11:10-12:00', name: 'Period 3', start: '11:10', end: '12:00', type: 'period' },
+	{ id: '12:00-12:50', name: 'Period 4', start: '12:00', end: '12:50', type: 'period' },
+	{ id: LUNCH_SLOT, name: 'Lunch Break', start: '12:50', end: '13:40', type: 'break' },
+	{ id: '13:40-14:30', name: 'Period 5', start: '13:40', end: '14:30', type: 'period' },
+	{ id: '14:30-15:20', name: 'Period 6', start: '14:30', end: '15:20', type: 'period' },
+	{ id: '15:20-16:10', name: 'Period 7', start: '15:20', end: '16:10', type: 'period' },
+	{ id: '16:10-17:00', name: 'Period 8', start: '16:10', end: '17:00', type: 'period' }
+]
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/
+
+/**
+ * Convert 'HH:MM' to minutes from midnight
+ * @param {string} time - 24-hour time string
+ * @returns {number|null} - Minutes from midnight or null if invalid
+ */
+export function toMinutes(time) {
+	const match = TIME_PATTERN.exec(time || '')
+	if (!match) return null
+	return Number(match[1]) * 60 + Number(match[2])
+}
+
+/**
+ * Format 'HH:MM' as a 12-hour clock time, e.g. '13:40' -> '1:40 PM'
+ * @param {string} time - 24-hour time string
+ * @returns {string}
+ */
+export function formatTime12(time) {
+	const minutes = toMinutes(time)
+	if (minutes === null) return time || ''
+	const hour = Math.floor(minutes / 60)
+	const minute = String(minutes % 60).padStart(2, '0')
+	const suffix = hour >= 12 ? 'PM' : 'AM'
+	return `${hour % 12 || 12}:${minute} ${suffix}`
+}
+
+/**
+ * Format a slot's time range for display, e.g. '12:50 PM - 1:40 PM'
+ * @param {Object} slot - Bell schedule slot
+ * @returns {string}
+ */
+export function formatSlotRange(slot) {
+	if (!slot) return ''
+	return `${formatTime12(slot.start)} - ${formatTime12(slot.end)}`
+}
+
+/**
+ * Create a stable id for a new slot that does not collide with existing ones
+ * @param {Array<Object>} schedule - Current bell schedule
+ * @param {Object} slot - Slot being added ({ start, end, type })
+ * @returns {string}
+ */
+export function createSlotId(schedule, slot) {
+	const base = slot.type === 'break' ? `BREAK ${slot.start}` : `${slot.start}-${slot.end}`
+	const ids = new Set((schedule || []).map(s => s.id))
+	let id = base
+	let n = 2
+	while (ids.has(id)) id = `${base} (${n++})`
+	return id
+}
+
+/**
+ * Validate a bell schedule
+ * @param {Array<Object>} schedule - Bell schedule to validate
+ * @returns {Array<string>} - Validation error messages (empty when valid)
+ */
+export function validateBellSchedule(schedule) {
+	const errors = []
+	if (!Array.isArray(schedule) || schedule.length === 0) {
+		return ['The bell schedule needs at least one period']
+	}
+	if (!schedule.some(slot => slot.type === 'period')) {
+		errors.push('The bell schedule needs at least one period')
+	}
+
+	schedule.forEach(slot => {
+		const label = slot.name || slot.id
+		const start = toMinutes(slot.start)
+		const end = toMinutes(slot.end)
+		if (!slot.name?.trim()) errors.push('Every slot needs a name')
+		if (start === null || end === null) {
+			errors.push(`${label}: times must be in HH:MM format`)
+		} else if (end <= start) {
+			errors.push(`${label}: end time must be after start time`)
+		}
+	})
+
+	const sorted = sortBellSchedule(schedule)
+	for (let i = 1; i < sorted.length; i++) {
+		const previousEnd = toMinutes(sorted[i - 1].end)
+		const start = toMinutes(sorted[i].start)
+		if (previousEnd !== null && start !== null && start < previousEnd) {
+			errors.push(`${sorted[i - 1].name} overlaps ${sorted[i].name}`)
+		}
+	}
+
+	return [...new Set(errors)]
+}
+
+/**
+ * Sort slots by start time
+ * @param {Array<Object>} schedule - Bell schedule
+ * @returns {Array<Object>} - New sorted array
+ */
+export function sortBellSchedule(schedule) {
+	return [...(schedule || [])].sort((a, b) => (toMinutes(a.start) ?? 0) - (toMinutes(b.start) ?? 0))
+}
+
+/**
+ * Return a usable bell schedule, falling back to the default when missing or invalid
+ * @param {Array<Object>|null} schedule - Stored bell schedule
+ * @returns {Array<Object>}
+ */
+export function normalizeBellSchedule(schedule) {
+	if (!Array.isArray(schedule) || validateBellSchedule(schedule).length > 0) {
+		return DEFAULT_BELL_SCHEDULE
+	}
+	return sortBellSchedule(schedule)
+}
+
+/**
+ * Get the slot ids of a schedule in order (periods and breaks)
+ * @param {Array<Object>} schedule - Bell schedule
+ * @returns {Array<string>}
+ */
+export function getSlotKeys(schedule) {
+	return schedule.map(slot => slot.id)
+}
+
+/**
+ * Get the ids of the break slots in a schedule
+ * @param {Array<Object>} schedule - Bell schedule
+ * @returns {Array<string>}
+ */
+export function getBreakKeys(schedule) {
+	return schedule.filter(slot => slot.type === 'break').map(slot => slot.id)
+}
+
+/**
+ * Find a slot by id
+ * @param {Array<Object>} schedule - Bell schedule
+ * @param {string} id - Slot id
+ * @returns {Object|null}
+ */
+export function getSlot(schedule, id) {
+	return schedule.find(slot => slot.id === id) || null
+}
+
+/**
+ * Find the slot in progress at a given time of day
+ * @param {Array<Object>} schedule - Bell schedule
+ * @param {number} minutes - Minutes from midnight
+ * @param {string} [type] - Restrict the search to 'period' or 'break' slots
+ * @returns {Object|null}
+ */
+export function findSlotAt(schedule, minutes, type) {
+	return schedule.find(slot => (
+		(!type || slot.type === type) &&
+		minutes >= toMinutes(slot.start) &&
+		minutes < toMinutes(slot.end)
+	)) || null
+}
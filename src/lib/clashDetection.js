@@ -0,0 +1,109 @@
+/**
+ * Clash Detection
+ *
+ * Validates timetables across all sections and reports slots where the same
+ * instructor, room or lab batch is booked more than once.
+ *
+ * A clash object has the shape:
+ * { type: 'instructor' | 'room' | 'lab', resource, day, time, sections: [section, ...] }
+ */
+
+import { parseInstructors } from './timetableGenerator'
+import { getPeriodParts } from './batchSessions'
+import { WEEK_DAYS } from './workingDays'
+
+export const CLASH_LABELS = {
+	instructor: 'Instructor',
+	room: 'Room',
+	lab: 'Lab batch'
+}
+
+/**
+ * Extract the lab batch label from a course string, e.g. 'PCC CS-592 (LAB 3&4)' -> 'LAB 3&4'
+ * @param {string} course - Course field of a period
+ * @returns {string|null}
+ */
+export function getLabBatch(course) {
+	const match = /\((LAB[^)]*)\)/i.exec(course || '')
+	return match ? match[1].trim().toUpperCase() : null
+}
+
+/**
+ * List the resources a period occupies, keyed by clash type
+ * Parallel batch sessions each add their own instructors, room and lab.
+ * @param {Object|null} entry - Period entry { course, subject, instructor, room, sessions }
+ * @returns {Array<Object>} - [{ type, resource }]
+ */
+function getResources(entry) {
+	return getPeriodParts(entry).flatMap(part => {
+		const resources = parseInstructors(part.instructor).map(code => ({ type: 'instructor', resource: code }))
+		if (part.room) resources.push({ type: 'room', resource: part.room.trim().toUpperCase() })
+		const batch = getLabBatch(part.course)
+		if (batch) resources.push({ type: 'lab', resource: batch })
+		return resources
+	})
+}
+
+/**
+ * Detect every clash across all sections
+ * @param {Object} timetables - timetables[section][day][time]
+ * @returns {Array<Object>} - Clash objects sorted by day, time and type
+ */
+export function detectClashes(timetables) {
+	const bookings = new Map()
+
+	Object.entries(timetables || {}).forEach(([section, sectionData]) => {
+		Object.entries(sectionData || {}).forEach(([day, dayData]) => {
+			Object.entries(dayData || {}).forEach(([time, entry]) => {
+				getResources(entry).forEach(({ type, resource }) => {
+					const key = `${day}|${time}|${type}|${resource}`
+					if (!bookings.has(key)) bookings.set(key, { type, resource, day, time, sections: [] })
+					const booking = bookings.get(key)
+					if (!booking.sections.includes(section)) booking.sections.push(section)
+				})
+			})
+		})
+	})
+
+	return [...bookings.values()]
+		.filter(booking => booking.sections.length > 1)
+		.sort((a, b) => WEEK_DAYS.indexOf(a.day) - WEEK_DAYS.indexOf(b.day) || a.time.localeCompare(b.time) || a.type.localeCompare(b.type))
+}
+
+/**
+ * Check a single period against the other sections before it is saved
+ * @param {Object} timetables - timetables[section][day][time]
+ * @param {string} section - Section being edited
+ * @param {string} day - Day of the period
+ * @param {string} time - Time slot of the period
+ * @param {Object} entry - Proposed period entry
+ * @returns {Array<Object>} - Clash objects involving the proposed period
+ */
+export function findClashesForPeriod(timetables, section, day, time, entry) {
+	const proposed = getResources(entry)
+	if (proposed.length === 0) return []
+
+	const clashes = []
+	proposed.forEach(({ type, resource }) => {
+		const sections = Object.entries(timetables || {})
+			.filter(([otherSection, sectionData]) => (
+				otherSection !== section &&
+				getResources(sectionData?.[day]?.[time]).some(r => r.type === type && r.resource === resource)
+			))
+			.map(([otherSection]) => otherSection)
+
+		if (sections.length > 0) {
+			clashes.push({ type, resource, day, time, sections: [section, ...sections] })
+		}
+	})
+	return clashes
+}
+
+/**
+ * Build a human-readable message for a clash
+ * @param {Object} clash - Clash object
+ * @returns {string}
+ */
+export function describeClash(clash) {
+	return `${CLASH_LABELS[clash.type]} ${clash.resource} is booked in ${clash.sections.join(', ')} on ${clash.day} ${clash.time}`
+}
@@ -0,0 +1,211 @@
+/**
+ * Collaboration
+ *
+ * Several editors can have the same timetable open. Each keeps the grids it
+ * last saw on the server (the base); its own edits are the cells that differ
+ * from the base, and only those cells are saved, so editors working on
+ * different cells no longer overwrite each other. A cell is one
+ * data[section][day][slotId] entry and a cell change has the shape:
+ * { section, day, slotId, entry, before } where entry is null for a cleared
+ * cell and before is the cell the change was based on. The server rejects a
+ * change whose before no longer matches the saved cell (see the
+ * apply_timetable_changes function in create_timetables_table.sql).
+ *
+ * When another editor saves, their changed cells are merged into the local
+ * grids. A cell edited on both sides keeps the local edit, which is saved
+ * over the remote one, and is reported as a conflict.
+ *
+ * Presence: every open Timetable page shares the cell it is editing as
+ * { key, name, section, day, time } (see subscribeToTimetable in timetableService).
+ */
+
+import { getSpan, getBlockSlots } from './periodBlocks'
+
+// Badge colours for other editors, picked by their presence key
+export const EDITOR_COLORS = ['bg-purple-600', 'bg-pink-600', 'bg-teal-600', 'bg-orange-600', 'bg-indigo-600', 'bg-rose-600']
+
+/**
+ * A value with its object keys sorted; grids read back from the database
+ * (jsonb) do not keep the key order they were saved with
+ */
+function toCanonical(value) {
+	if (Array.isArray(value)) return value.map(toCanonical)
+	if (value && typeof value === 'object') {
+		return Object.fromEntries(Object.keys(value).sort().map(key => [key, toCanonical(value[key])]))
+	}
+	return value
+}
+
+/**
+ * Compare two cells; missing and cleared cells are equal
+ */
+function isSameCell(a, b) {
+	return JSON.stringify(toCanonical(a || null)) === JSON.stringify(toCanonical(b || null))
+}
+
+/**
+ * Check whether a saved record is newer than the version last seen. Realtime
+ * events can arrive late, e.g. the echo of an earlier save after a later one
+ * has returned, and must not rewind the base.
+ * @param {string} updatedAt - updated_at of the incoming record
+ * @param {string|null} lastUpdatedAt - updated_at last seen, or null before the first load
+ * @returns {boolean}
+ */
+export function isNewerVersion(updatedAt, lastUpdatedAt) {
+	const last = toMicroseconds(lastUpdatedAt)
+	// Nothing seen yet, or a placeholder for a save still queued offline
+	if (Number.isNaN(last)) return true
+	const next = toMicroseconds(updatedAt)
+	return Number.isNaN(next) || next > last
+}
+
+/**
+ * A Postgres timestamp in microseconds; Date.parse drops everything below a millisecond
+ */
+function toMicroseconds(timestamp) {
+	if (!timestamp) return NaN
+	const micros = /\.\d{3}(\d{1,3})/.exec(timestamp)?.[1] || ''
+	return Date.parse(timestamp) * 1000 + Number(micros.padEnd(3, '0'))
+}
+
+/**
+ * Unique key of a cell, e.g. 'CSE B|Monday|09:30-10:20'
+ * @param {Object} change - { section, day, slotId }
+ * @returns {string}
+ */
+export function getCellKey({ section, day, slotId }) {
+	return `${section}|${day}|${slotId}`
+}
+
+/**
+ * The cells that differ between two timetable documents
+ * @param {Object} before - data[section][day][slotId]
+ * @param {Object} after - data[section][day][slotId]
+ * @returns {Array<Object>} - Cell changes taking before to after
+ */
+export function diffCells(before, after) {
+	const changes = []
+	const keys = (...objects) => [...new Set(objects.flatMap(object => Object.keys(object || {})))]
+	keys(before, after).forEach(section => {
+		keys(before?.[section], after?.[section]).forEach(day => {
+			const beforeDay = before?.[section]?.[day]
+			const afterDay = after?.[section]?.[day]
+			keys(beforeDay, afterDay).forEach(slotId => {
+				if (!isSameCell(beforeDay?.[slotId], afterDay?.[slotId])) {
+					changes.push({ section, day, slotId, entry: afterDay?.[slotId] || null, before: beforeDay?.[slotId] || null })
+				}
+			})
+		})
+	})
+	return changes
+}
+
+/**
+ * The changes whose cell was changed by someone else since the change was made
+ * @param {Array<Object>} changes - Cell changes with the cell they were based on
+ * @param {Object} data - Grids now on the server
+ * @returns {Array<Object>} - Stale changes
+ */
+export function findStaleChanges(changes, data) {
+	return changes.filter(change => !isSameCell(data?.[change.section]?.[change.day]?.[change.slotId], change.before))
+}
+
+/**
+ * Apply cell changes to a timetable document, sharing unchanged sections and days
+ * @param {Object} data - data[section][day][slotId]
+ * @param {Array<Object>} changes - Cell changes
+ * @returns {Object} - New document, or the same one when there are no changes
+ */
+export function applyCells(data, changes) {
+	if (changes.length === 0) return data
+	const next = { ...data }
+	changes.forEach(({ section, day, slotId, entry }) => {
+		next[section] = next[section] === data?.[section] ? { ...(data?.[section] || {}) } : next[section]
+		next[section][day] = { ...(next[section][day] || {}), [slotId]: entry }
+	})
+	return next
+}
+
+/**
+ * Drop periods that start inside another block after a merge, e.g. a remote
+ * period placed in a slot a local lab now covers. Local edits win.
+ * @returns {Array<Object>} - Removed cells as { section, day, slotId, entry }
+ */
+function removeOverlaps(data, section, day, schedule, localKeys) {
+	const dayData = data[section]?.[day] || {}
+	const removed = []
+	let covering = null
+	schedule.forEach(slot => {
+		const entry = dayData[slot.id]
+		if (covering && !covering.slots.includes(slot.id)) covering = null
+		if (!entry) return
+		const cell = { section, day, slotId: slot.id, entry }
+		if (covering) {
+			// Keep the local one of the two overlapping periods, or the earlier one
+			const dropCovering = localKeys.has(getCellKey(cell)) && !localKeys.has(getCellKey(covering.cell))
+			removed.push(dropCovering ? covering.cell : cell)
+			if (!dropCovering) return
+		}
+		covering = { cell, slots: getBlockSlots(schedule, slot.id, getSpan(entry)) }
+	})
+	removed.forEach(cell => { data[section][day][cell.slotId] = null })
+	return removed
+}
+
+/**
+ * Merge the cells another editor saved into the local grids
+ * @param {Object} base - Grids last seen on the server
+ * @param {Object} local - Local grids, possibly with unsaved edits
+ * @param {Object} remote - Grids now on the server
+ * @param {Array<Object>} schedule - Bell schedule, to keep blocks from overlapping
+ * @returns {Object} - { data, applied, conflicts } where applied lists the remote cell
+ *   changes taken and conflicts the remote changes dropped in favour of local edits
+ */
+export function mergeRemoteChanges(base, local, remote, schedule) {
+	const localKeys = new Set(diffCells(base, local).map(getCellKey))
+	const applied = []
+	const conflicts = []
+	diffCells(base, remote).forEach(change => {
+		if (!localKeys.has(getCellKey(change))) applied.push(change)
+		else if (!isSameCell(local?.[change.section]?.[change.day]?.[change.slotId], change.entry)) conflicts.push(change)
+	})
+	if (applied.length === 0) return { data: local, applied, conflicts }
+
+	const data = applyCells(local, applied)
+	const days = new Set(applied.map(change => `${change.section}|${change.day}`))
+	days.forEach(key => {
+		const [section, day] = key.split('|')
+		removeOverlaps(data, section, day, schedule, localKeys).forEach(removed => {
+			if (localKeys.has(getCellKey(removed))) return
+			// A remote period that no longer fits is treated like a conflicting edit
+			const index = applied.findIndex(change => getCellKey(change) === getCellKey(removed))
+			if (index !== -1) conflicts.push(applied.splice(index, 1)[0])
+			else applied.push({ ...removed, entry: null })
+		})
+	})
+	return { data, applied, conflicts }
+}
+
+/**
+ * Other editors working in a section, with the cell each one has open
+ * @param {Array<Object>} editors - Presence entries { key, name, section, day, time }
+ * @param {string} section - Section being shown
+ * @param {string} day - Day of the cell
+ * @param {Array<string>} slots - Slot ids the cell covers
+ * @returns {Array<Object>} - Matching editors with a badge colour
+ */
+export function getCellEditors(editors, section, day, slots) {
+	return editors
+		.filter(editor => editor.section === section && editor.day === day && slots.includes(editor.time))
+		.map(editor => ({ ...editor, color: getEditorColor(editor.key) }))
+}
+
+/**
+ * Badge colour of an editor, the same on every page that shows them
+ * @param {string} key - Presence key
+ * @returns {string} - Tailwind background class
+ */
+export function getEditorColor(key) {
+	const hash = [...(key || '')].reduce((total, char) => (total * 31 + char.charCodeAt(0)) >>> 0, 0)
+	return EDITOR_COLORS[hash % EDITOR_COLORS.length]
+}
@@ -0,0 +1,52 @@
+/**
+ * Concurrency
+ *
+ * Writes carry the version of the row they were based on (its updated_at, or
+ * for timetable cells the cell as it was loaded). A write over a newer version
+ * is rejected with a ConflictError holding the row as it is now, so the page
+ * can show both versions and let the user keep theirs or take the saved one
+ * instead of silently overwriting it.
+ */
+
+/**
+ * A write rejected because the row changed since it was loaded
+ */
+export class ConflictError extends Error {
+	/**
+	 * @param {string} message - What changed, e.g. 'The course was changed in another tab'
+	 * @param {Object} details
+	 * @param {string} details.table - Table of the row
+	 * @param {Object|null} details.current - The row as it is now, or null if it was deleted
+	 * @param {Array<Object>} [details.conflicts] - For timetables, the cell changes that were stale
+	 */
+	constructor(message, { table, current = null, conflicts = [] }) {
+		super(message)
+		this.name = 'ConflictError'
+		this.table = table
+		this.current = current
+		this.conflicts = conflicts
+	}
+}
+
+/**
+ * Check whether an error is a rejected stale write
+ * @param {*} error - Caught error
+ * @returns {boolean}
+ */
+export function isConflictError(error) {
+	return error instanceof ConflictError
+}
+
+/**
+ * The fields on which two versions of a record differ, for the resolve dialog
+ * @param {Object} mine - The version being saved
+ * @param {Object|null} theirs - The saved version, or null if it was deleted
+ * @param {Array<Object>} fields - [{ key, label }] in display order
+ * @returns {Array<Object>} - [{ label, mine, theirs }] with values formatted for display
+ */
+export function listChangedFields(mine, theirs, fields) {
+	const format = value => (Array.isArray(value) ? value.join(', ') : value ?? '').toString()
+	return fields
+		.filter(({ key }) => format(mine?.[key]) !== format(theirs?.[key]))
+		.map(({ key, label }) => ({ label, mine: format(mine?.[key]), theirs: theirs ? format(theirs[key]) : '' }))
+}
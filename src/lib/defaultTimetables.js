@@ -0,0 +1,239 @@
+/**
+ * Default Timetables
+ *
+ * Built-in 5th Semester CSE timetables used until a user saves their own
+ * timetable to Supabase. Keyed as timetables[section][day][slot]; labs and
+ * double periods are stored once as multi-period blocks (see periodBlocks.js).
+ */
+
+// Timetable data for 5th Semester CSE A
+const timetableDataA = {
+	'Monday': {
+		'09:30-10:20': null,
+		'10:20-11:10': null,
+		'11:10-12:00': null,
+		'12:00-12:50': null,
+		'LUNCH': { subject: 'Lunch Break', room: '', instructor: '' },
+		'13:40-14:30': { course: 'PCC CS-592 (LAB 13&14)', instructor: 'RKM(CS)+AS(CS)+SP(CS)+AD(CS)', subject: 'Operating Systems Lab' },
+		'14:30-15:20': { course: 'PCC CS-592 (LAB 3&4)', instructor: 'RKM(CS)+AS(CS)+SP(CS)+AD(CS)', subject: 'Operating Systems Lab', span: 3 }
+	},
+	'Tuesday': {
+		'09:30-10:20': { course: 'PCC CS-501', instructor: 'J(CS)', subject: 'Compiler Design' },
+		'10:20-11:10': { course: 'ESC-501', instructor: 'BR(CS)', subject: 'Software Engineering' },
+		'11:10-12:00': { course: 'PCC CS-502', instructor: 'RKM(CS)', subject: 'Operating Systems' },
+		'12:00-12:50': { course: 'MC CS-501A', instructor: 'TB(E)', subject: 'Constitution of India' },
+		'LUNCH': { subject: 'Lunch Break', room: '', instructor: '' },
+		'13:40-14:30': { course: 'PCC CS-503', instructor: 'SKHC(CS)', subject: 'Object Oriented Programming' },
+		'14:30-15:20': { course: 'PCC CS-592 (LAB 3&4)', instructor: 'RKM(CS)+AS(CS)+SP(CS)+AD(CS)', subject: 'Operating Systems Lab', span: 3 }
+	},
+	'Wednesday': {
+		'09:30-10:20': { course: 'PEC IT-501B', instructor: 'PC(CS)', subject: 'Artificial Intelligence' },
+		'10:20-11:10': { course: 'ESC-501', instructor: 'BR(CS)', subject: 'Software Engineering' },
+		'11:10-12:00': { course: 'PCC CS-502', instructor: 'RKM(CS)', subject: 'Operating Systems' },
+		'12:00-12:50': { course: 'PCC CS-501', instructor: 'J(CS)', subject: 'Compiler Design' },
+		'LUNCH': { subject: 'Lunch Break', room: '', instructor: '' },
+		'13:40-14:30': { course: 'LIB', instructor: '', subject: 'Library' },
+		'14:30-15:20': { course: 'HSMC 501', instructor: 'NF', subject: 'Introduction to Industrial Management' },
+		'15:20-16:10': { course: 'MC CS-501A', instructor: 'TB(E)', subject: 'Constitution of India' },
+		'16:10-17:00': { course: 'GROOM', instructor: 'BR(CS)', subject: 'Grooming Session' }
+	},
+	'Thursday': {
+		'09:30-10:20': { course: 'PCC CS-501', instructor: 'J(CS)', subject: 'Compiler Design' },
+		'10:20-11:10': { course: 'PCC CS-503', instructor: 'SKHC(CS)', subject: 'Object Oriented Programming' },
+		'11:10-12:00': { course: 'ESC-501', instructor: 'BR(CS)', subject: 'Software Engineering' },
+		'12:00-12:50': { course: 'PEC IT-501B', instructor: 'PC(CS)', subject: 'Artificial Intelligence' },
+		'LUNCH': { subject: 'Lunch Break', room: '', instructor: '' },
+		'13:40-14:30': { course: 'LIB', instructor: '', subject: 'Library' },
+		'14:30-15:20': { course: 'PCC CS-593 (LAB 7&8)', instructor: 'SKHC(CS)+AS(CS)+PC(CS)+AD(CS)', subject: 'Object Oriented Programming Lab', span: 3 }
+	},
+	'Friday': {
+		'09:30-10:20': { course: 'ESC-501', instructor: 'BR(CS)', subject: 'Software Engineering' },
+		'10:20-11:10': { course: 'PCC CS-502', instructor: 'RKM(CS)', subject: 'Operating Systems' },
+		'11:10-12:00': { course: 'PEC IT-501B', instructor: 'PC(CS)', subject: 'Artificial Intelligence' },
+		'12:00-12:50': { course: 'PCC CS-503', instructor: 'SKHC(CS)', subject: 'Object Oriented Programming' },
+		'LUNCH': { subject: 'Lunch Break', room: '', instructor: '' },
+		'13:40-14:30': { course: 'LIB', instructor: '', subject: 'Library' },
+		'14:30-15:20': { course: 'ESC 591 (LAB 3&4)', instructor: 'BR(CS)+PR(CS)+LKM(CS)', subject: 'Software Engineering Lab', span: 3 }
+	},
+	'Saturday': {
+		'09:30-10:20': { course: 'PCC CS-502', instructor: 'RKM(CS)', subject: 'Operating Systems' },
+		'10:20-11:10': { course: 'PCC CS-503', instructor: 'SKHC(CS)', subject: 'Object Oriented Programming' },
+		'11:10-12:00': { course: 'PEC IT-501B', instructor: 'PC(CS)', subject: 'Artificial Intelligence' },
+		'12:00-12:50': { course: 'PCC CS-501', instructor: 'J(CS)', subject: 'Compiler Design' },
+		'LUNCH': { subject: 'Lunch Break', room: '', instructor: '' },
+		'13:40-14:30': { course: 'LIB', instructor: '', subject: 'Library' },
+		'14:30-15:20': { course: 'HSMC 501', instructor: 'NF', subject: 'Introduction to Industrial Management', span: 2 },
+		'16:10-17:00': { course: 'APTI', instructor: 'BR(CS)', subject: 'Aptitude Training' }
+	},
+	'Sunday': {
+		'09:30-10:20': null,
+		'10:20-11:10': null,
+		'11:10-12:00': null,
+		'12:00-12:50': null,
+		'LUNCH': { subject: 'Lunch Break', room: '', instructor: '' },
+		'13:40-14:30': null,
+		'14:30-15:20': null,
+		'15:20-16:10': null,
+		'16:10-17:00': null
+	}
+}
+
+// Sample timetable data for 5th Semester CSE B
+// Contains detailed schedule for each day and time slot
+const timetableDataB = {
+	// Monday - No classes (weekend)
+	'Monday': {
+		'09:30-10:20': null,
+		'10:20-11:10': null,
+		'11:10-12:00': null,
+		'12:00-12:50': null,
+		'LUNCH': { subject: 'Lunch Break', room: '', instructor: '' },
+		'13:40-14:30': null,
+		'14:30-15:20': null,
+		'15:20-16:10': null,
+		'16:10-17:00': null
+	},
+	// Tuesday - Regular class schedule
+	'Tuesday': {
+		'09:30-10:20': { course: 'PCC CS-503', instructor: 'AB(CS)', subject: 'Object Oriented Programming' },
+		'10:20-11:10': { course: 'ESC-501', instructor: 'SAR(CS)', subject: 'Software Engineering' },
+		'11:10-12:00': { course: 'PEC IT-501B', instructor: 'PKP(CS)', subject: 'Artificial Intelligence' },
+		'12:00-12:50': { course: 'PCC CS-502', instructor: 'BTM(CS)', subject: 'Operating Systems' },
+		'LUNCH': { subject: 'Lunch Break', room: '', instructor: '' },
+		'13:40-14:30': { course: 'HSMC 501', instructor: 'NF', subject: 'Introduction to Industrial Management' },
+		'14:30-15:20': { course: 'PCC CS-502', instructor: 'BTM(CS)', subject: 'Operating Systems' },
+		'15:20-16:10': { course: 'MC CS-501A', instructor: 'TB(E)', subject: 'Constitution of India' },
+		'16:10-17:00': { course: 'GROOM', instructor: 'PR(CS)', subject: 'Grooming Session' }
+	},
+	// Wednesday - Regular class schedule with lab sessions
+	'Wednesday': {
+		'09:30-10:20': { course: 'PCC CS-501', instructor: 'RDB(CS)', subject: 'Compiler Design' },
+		'10:20-11:10': { course: 'ESC-501', instructor: 'SAR(CS)', subject: 'Software Engineering' },
+		'11:10-12:00': { course: 'PEC IT-501B', instructor: 'PKP(CS)', subject: 'Artificial Intelligence' },
+		'12:00-12:50': { course: 'PCC CS-502', instructor: 'BTM(CS)', subject: 'Operating Systems' },
+		'LUNCH': { subject: 'Lunch Break', room: '', instructor: '' },
+		'13:40-14:30': { course: 'HSMC 501', instructor: 'NF', subject: 'Introduction to Industrial Management' },
+		'14:30-15:20': { course: 'ESC 591 (LAB 3&4)', instructor: 'SAR(CS)+SKHC(CS)+ASH(CS)+SHD(CS)', subject: 'Software Engineering Lab', span: 3 }
+	},
+	// Thursday - Regular class schedule with library and lab sessions
+	'Thursday': {
+		'09:30-10:20': { course: 'PCC CS-503', instructor: 'AB(CS)', subject: 'Object Oriented Programming', span: 2 },
+		'11:10-12:00': { course: 'ESC-501', instructor: 'SAR(CS)', subject: 'Software Engineering' },
+		'12:00-12:50': { course: 'PCC CS-501', instructor: 'RDB(CS)', subject: 'Compiler Design' },
+		'LUNCH': { subject: 'Lunch Break', room: '', instructor: '' },
+		'13:40-14:30': { course: 'LIB', instructor: 'LIBRARIAN', subject: 'Library' },
+		'14:30-15:20': { course: 'PCC CS-593 (LAB 3&4)', instructor: 'BTM(CS)+PR(CS)+MM(CS)+PK(CS)', subject: 'Operating Systems Lab', span: 3 }
+	},
+	// Friday - Regular class schedule with aptitude training
+	'Friday': {
+		'09:30-10:20': { course: 'PEC IT-501B', instructor: 'PKP(CS)', subject: 'Artificial Intelligence' },
+		'10:20-11:10': { course: 'PCC CS-501', instructor: 'RDB(CS)', subject: 'Compiler Design' },
+		'11:10-12:00': { course: 'PCC CS-502', instructor: 'BTM(CS)', subject: 'Operating Systems' },
+		'12:00-12:50': { course: 'MC CS-501A', instructor: 'TB(E)', subject: 'Constitution of India' },
+		'LUNCH': { subject: 'Lunch Break', room: '', instructor: '' },
+		'13:40-14:30': { course: 'LIB', instructor: '', subject: 'Library' },
+		'14:30-15:20': { course: 'APTI', instructor: 'AM(CS)', subject: 'Aptitude Training' },
+		'15:20-16:10': { course: 'APTI', instructor: 'BTM(CS)', subject: 'Aptitude Training' },
+		'16:10-17:00': { course: 'GROOM', instructor: 'PKC(CS)', subject: 'Grooming Session' }
+	},
+	// Saturday - Regular class schedule with lab sessions
+	'Saturday': {
+		'09:30-10:20': { course: 'PCC CS-502', instructor: 'BTM(CS)', subject: 'Operating Systems' },
+		'10:20-11:10': { course: 'ESC-501', instructor: 'SAR(CS)', subject: 'Software Engineering' },
+		'11:10-12:00': { course: 'PCC CS-501', instructor: 'RDB(CS)', subject: 'Compiler Design' },
+		'12:00-12:50': { course: 'PEC IT-501B', instructor: 'PKP(CS)', subject: 'Artificial Intelligence' },
+		'LUNCH': { subject: 'Lunch Break', room: '', instructor: '' },
+		'13:40-14:30': { course: 'HSMC 501', instructor: 'NF', subject: 'Introduction to Industrial Management' },
+		'14:30-15:20': { course: 'PCC CS-593 (LAB 7&8)', instructor: 'AB(CS)+LKM(CS)+RR(CS)', subject: 'Object Oriented Programming Lab', span: 3 }
+	},
+	// Sunday - No classes (weekend)
+	'Sunday': {
+		'09:30-10:20': null,
+		'10:20-11:10': null,
+		'11:10-12:00': null,
+		'12:00-12:50': null,
+		'LUNCH': { subject: 'Lunch Break', room: '', instructor: '' },
+		'13:40-14:30': null,
+		'14:30-15:20': null,
+		'15:20-16:10': null,
+		'16:10-17:00': null
+	}
+}
+
+// Timetable data for 5th Semester CSE C
+const timetableDataC = {
+	'Monday': {
+		'09:30-10:20': null,
+		'10:20-11:10': null,
+		'11:10-12:00': null,
+		'12:00-12:50': null,
+		'LUNCH': { subject: 'Lunch Break', room: '', instructor: '' },
+		'13:40-14:30': null,
+		'14:30-15:20': null,
+		'15:20-16:10': null,
+		'16:10-17:00': null
+	},
+	'Tuesday': {
+		'09:30-10:20': { course: 'PCC CS-503', instructor: 'PR(CS)', subject: 'Object Oriented Programming' },
+		'10:20-11:10': { course: 'ESC-501', instructor: 'SK(CS)', subject: 'Software Engineering' },
+		'11:10-12:00': { course: 'PEC IT-501B', instructor: 'SKM(CS)', subject: 'Artificial Intelligence' },
+		'12:00-12:50': { course: 'PCC CS-501', instructor: 'AS(CS)', subject: 'Compiler Design' },
+		'LUNCH': { subject: 'Lunch Break', room: '', instructor: '' },
+		'13:40-14:30': { course: 'LIB', instructor: '', subject: 'Library' },
+		'14:30-15:20': { course: 'HSMC 501', instructor: 'NF', subject: 'Introduction to Industrial Management' },
+		'15:20-16:10': { course: 'GROOM', instructor: 'BTM(CS)', subject: 'Grooming Session' },
+		'16:10-17:00': { course: 'APTI', instructor: 'SG(CS)', subject: 'Aptitude Training' }
+	},
+	'Wednesday': {
+		'09:30-10:20': { course: 'PEC IT-501B', instructor: 'SKM(CS)', subject: 'Artificial Intelligence' },
+		'10:20-11:10': { course: 'ESC-501', instructor: 'SK(CS)', subject: 'Software Engineering' },
+		'11:10-12:00': { course: 'PCC CS-501', instructor: 'AS(CS)', subject: 'Compiler Design' },
+		'12:00-12:50': { course: 'PCC CS-503', instructor: 'PR(CS)', subject: 'Object Oriented Programming' },
+		'LUNCH': { subject: 'Lunch Break', room: '', instructor: '' },
+		'13:40-14:30': { course: 'LIB', instructor: '', subject: 'Library' },
+		'14:30-15:20': { course: 'PCC CS-593 (LAB 7&8)', instructor: 'PR(CS)+RKM(CS)+PKC(CS)+SP(CS)', subject: 'Operating Systems Lab', span: 3 }
+	},
+	'Thursday': {
+		'09:30-10:20': { course: 'PCC CS-501', instructor: 'AS(CS)', subject: 'Compiler Design' },
+		'10:20-11:10': { course: 'PCC CS-503', instructor: 'PR(CS)', subject: 'Object Oriented Programming' },
+		'11:10-12:00': { course: 'PEC IT-501B', instructor: 'SKM(CS)', subject: 'Artificial Intelligence' },
+		'12:00-12:50': { course: 'ESC-501', instructor: 'SK(CS)', subject: 'Software Engineering' },
+		'LUNCH': { subject: 'Lunch Break', room: '', instructor: '' },
+		'13:40-14:30': { course: 'MC CS-501A', instructor: 'TB(E)', subject: 'Constitution of India' },
+		'14:30-15:20': { course: 'ESC 591 (LAB 3&4)', instructor: 'BR(CS)+SAR(CS)+LKM(CS)+SP(CS)', subject: 'Software Engineering Lab', span: 3 }
+	},
+	'Friday': {
+		'09:30-10:20': { course: 'PCC CS-503', instructor: 'PR(CS)', subject: 'Object Oriented Programming' },
+		'10:20-11:10': { course: 'PCC CS-501', instructor: 'AS(CS)', subject: 'Compiler Design' },
+		'11:10-12:00': { course: 'PCC CS-502', instructor: 'AC(CS)', subject: 'Operating Systems', span: 2 },
+		'LUNCH': { subject: 'Lunch Break', room: '', instructor: '' },
+		'13:40-14:30': { course: 'LIB', instructor: '', subject: 'Library' },
+		'14:30-15:20': { course: 'HSMC 501', instructor: 'NF', subject: 'Introduction to Industrial Management', span: 2 },
+		'16:10-17:00': { course: 'MC CS-501A', instructor: 'TB(E)', subject: 'Constitution of India' }
+	},
+	'Saturday': {
+		'09:30-10:20': { course: 'PCC CS-502', instructor: 'AC(CS)', subject: 'Operating Systems', span: 2 },
+		'11:10-12:00': { course: 'ESC-501', instructor: 'SK(CS)', subject: 'Software Engineering' },
+		'12:00-12:50': { course: 'PEC IT-501B', instructor: 'SKM(CS)', subject: 'Artificial Intelligence' },
+		'LUNCH': { subject: 'Lunch Break', room: '', instructor: '' },
+		'13:40-14:30': { course: 'LIB', instructor: '', subject: 'Library' },
+		'14:30-15:20': { course: 'PCC CS-592 (LAB 3&4)', instructor: 'AC(CS)+BM(CS)+AM(CS)', subject: 'Operating Systems Lab', span: 3 }
+	},
+	'Sunday': {
+		'09:30-10:20': null,
+		'10:20-11:10': null,
+		'11:10-12:00': null,
+		'12:00-12:50': null,
+		'LUNCH': { subject: 'Lunch Break', room: '', instructor: '' },
+		'13:40-14:30': null,
+		'14:30-15:20': null,
+		'15:20-16:10': null,
+		'16:10-17:00': null
+	}
+}
+
+export const DEFAULT_TIMETABLES = {
+	'CSE A': timetableDataA,
+	'CSE B': timetableDataB,
+	'CSE C': timetableDataC
+}
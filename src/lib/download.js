@@ -0,0 +1,33 @@
+/**
+ * Download
+ *
+ * Saves generated content (calendars, spreadsheets) as a file in the browser.
+ */
+
+/**
+ * Trigger a browser download
+ * @param {string} filename - Suggested file name, e.g. 'CSE 3A.ics'
+ * @param {string|Blob|ArrayBuffer} content - File contents
+ * @param {string} mimeType - MIME type, e.g. 'text/calendar'
+ */
+export function downloadFile(filename, content, mimeType) {
+	const blob = content instanceof Blob ? content : new Blob([content], { type: mimeType })
+	const url = URL.createObjectURL(blob)
+	const link = document.createElement('a')
+	link.href = url
+	link.download = filename
+	document.body.appendChild(link)
+	link.click()
+	link.remove()
+	// Give the browser a moment to start the download before releasing the data
+	setTimeout(() => URL.revokeObjectURL(url), 1000)
+}
+
+/**
+ * Make a string safe to use as a file name
+ * @param {string} name - Name to clean, e.g. 'CSE 3A / Fall'
+ * @returns {string}
+ */
+export function toFileName(name) {
+	return String(name || 'export').replace(/[\\/:*?"<>|]+/g, '-').trim() || 'export'
+}
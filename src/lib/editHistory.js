@@ -0,0 +1,84 @@
+/**
+ * Edit History
+ *
+ * Undo/redo stacks for timetable edits. Each entry holds the full state from
+ * before a change plus a label for the toolbar, e.g. 'Move PCC CS-501':
+ * { past: [{ state, label }], future: [{ state, label }] }
+ *
+ * States are never mutated by the Timetable page, so entries can share
+ * unchanged sections with the current state instead of deep-copying them.
+ */
+
+export const HISTORY_LIMIT = 50
+
+/**
+ * Create empty undo/redo stacks
+ * @returns {Object}
+ */
+export function createHistory() {
+	return { past: [], future: [] }
+}
+
+/**
+ * Record a change; making a new change clears the redo stack
+ * @param {Object} history - Current history
+ * @param {*} previous - State before the change
+ * @param {string} label - Description of the change
+ * @returns {Object} - New history
+ */
+export function recordChange(history, previous, label) {
+	return {
+		past: [...history.past, { state: previous, label }].slice(-HISTORY_LIMIT),
+		future: []
+	}
+}
+
+/**
+ * Step back one change
+ * @param {Object} history - Current history
+ * @param {*} current - Current state, kept so the change can be redone
+ * @returns {Object|null} - { history, state, label } or null when there is nothing to undo
+ */
+export function undoChange(history, current) {
+	if (history.past.length === 0) return null
+	const entry = history.past[history.past.length - 1]
+	return {
+		history: {
+			past: history.past.slice(0, -1),
+			future: [{ state: current, label: entry.label }, ...history.future]
+		},
+		state: entry.state,
+		label: entry.label
+	}
+}
+
+/**
+ * Step forward one undone change
+ * @param {Object} history - Current history
+ * @param {*} current - Current state, kept so the change can be undone again
+ * @returns {Object|null} - { history, state, label } or null when there is nothing to redo
+ */
+export function redoChange(history, current) {
+	if (history.future.length === 0) return null
+	const [entry, ...future] = history.future
+	return {
+		history: {
+			past: [...history.past, { state: current, label: entry.label }],
+			future
+		},
+		state: entry.state,
+		label: entry.label
+	}
+}
+
+/**
+ * Apply a change made elsewhere, e.g. by another editor, to every stored
+ * state so undo and redo only step through the local changes
+ * @param {Object} history - Current history
+ * @param {function} update - Receives a stored state and returns it updated
+ * @returns {Object} - New history
+ */
+export function rebaseHistory(history, update) {
+	const rebase = entry => ({ ...entry, state: update(entry.state) })
+	return { past: history.past.map(rebase), future: history.future.map(rebase) }
+}
@@ -0,0 +1,159 @@
+/**
+ * Electives
+ *
+ * Elective courses (professional PEC and open OEC electives, or any course in
+ * an elective department) are taken by only some of the students of a
+ * section. Students record the codes of the electives they chose in their
+ * profile (user_profile.electives), e.g. ['PEC IT-501B'].
+ *
+ * A personal timetable is the student's section grid with the electives they
+ * did not choose hidden, and the chosen electives that are taught to other
+ * sections merged in. Merged periods are copies tagged with the section they
+ * come from: { ...entry, fromSection: 'CSE A' }
+ *
+ * Until a student records a choice their section's grid is shown unchanged.
+ */
+
+import { getSpan, getBlockSlots, findBlockAt } from './periodBlocks'
+import { WEEK_DAYS } from './workingDays'
+
+// Professional and open elective course codes, e.g. 'PEC IT-501B', 'OEC CS-501A'
+const ELECTIVE_CODE = /^(PEC|OEC)\b/i
+
+/**
+ * Normalize a course code for comparison, dropping a lab batch suffix,
+ * e.g. 'pec it-501b (LAB 3&4)' -> 'PEC IT-501B'
+ * @param {string} label - Course code or period label
+ * @returns {string}
+ */
+export function toElectiveCode(label) {
+	return (label || '').replace(/\s*\(LAB[^)]*\)\s*$/i, '').trim().toUpperCase()
+}
+
+/**
+ * Normalize a list of elective choices: trimmed, upper case, without duplicates
+ * @param {Array<string>} electives - Elective codes
+ * @returns {Array<string>}
+ */
+export function normalizeElectives(electives) {
+	if (!Array.isArray(electives)) return []
+	return [...new Set(electives.map(toElectiveCode).filter(Boolean))]
+}
+
+/**
+ * Check whether a course record is an elective
+ * @param {Object} course - Course record
+ * @returns {boolean}
+ */
+export function isElectiveCourse(course) {
+	return ELECTIVE_CODE.test(course?.code || '') || /elective/i.test(course?.department || '')
+}
+
+/**
+ * The elective code of a period, or null for a period every student attends
+ * @param {Object} entry - Period entry
+ * @param {Array<Object>} [courses] - Course records, for electives recognised by their department
+ * @returns {string|null}
+ */
+export function getElectiveCode(entry, courses = []) {
+	if (!entry) return null
+	const linked = entry.courseId ? courses.find(course => course.id === entry.courseId) : null
+	if (linked) return isElectiveCourse(linked) ? toElectiveCode(linked.code) : null
+	const code = toElectiveCode(entry.course)
+	if (!code) return null
+	if (ELECTIVE_CODE.test(code)) return code
+	return courses.some(course => isElectiveCourse(course) && toElectiveCode(course.code) === code) ? code : null
+}
+
+/**
+ * Every elective students can choose: elective course records and elective periods in the timetables
+ * @param {Object} timetables - timetables[section][day][slotId]
+ * @param {Array<Object>} [courses] - Course records
+ * @returns {Array<Object>} - [{ code, subject, sections }] sorted by code, where sections teach it
+ */
+export function listElectives(timetables, courses = []) {
+	const byCode = new Map()
+	const add = (code, subject) => {
+		const item = byCode.get(code) || { code, subject: '', sections: [] }
+		if (!item.subject && subject) item.subject = subject
+		byCode.set(code, item)
+		return item
+	}
+	courses.filter(isElectiveCourse).forEach(course => add(toElectiveCode(course.code), course.name))
+	Object.entries(timetables || {}).forEach(([section, sectionData]) => {
+		Object.values(sectionData || {}).forEach(dayData => {
+			Object.values(dayData || {}).forEach(entry => {
+				const code = getElectiveCode(entry, courses)
+				if (!code) return
+				const item = add(code, entry.subject)
+				if (!item.sections.includes(section)) item.sections.push(section)
+			})
+		})
+	})
+	return [...byCode.values()].sort((a, b) => a.code.localeCompare(b.code))
+}
+
+/**
+ * The personal timetable of a student
+ * @param {Object} options
+ * @param {Object} options.timetables - timetables[section][day][slotId]
+ * @param {string} options.section - The student's section
+ * @param {Array<string>} options.electives - Elective codes the student chose
+ * @param {Array<Object>} options.schedule - Bell schedule
+ * @param {Array<Object>} [options.courses] - Course records
+ * @returns {Object} - { sectionData, hidden, added, conflicts, missing }
+ *   sectionData is sectionData[day][slotId] for the student; hidden and added list
+ *   { day, slotId, section, entry }; conflicts list chosen periods from other sections
+ *   that overlap the student's own periods, with the period in the way as blockedBy;
+ *   missing lists chosen codes that no section teaches
+ */
+export function buildPersonalTimetable({ timetables, section, electives, schedule, courses = [] }) {
+	const chosen = new Set(normalizeElectives(electives))
+	const sectionData = {}
+	const hidden = []
+	const taughtHere = new Set()
+
+	// The section's own periods, without the electives the student did not choose
+	Object.entries(timetables?.[section] || {}).forEach(([day, dayData]) => {
+		sectionData[day] = {}
+		Object.entries(dayData || {}).forEach(([slotId, entry]) => {
+			const code = getElectiveCode(entry, courses)
+			if (code && chosen.size > 0 && !chosen.has(code)) {
+				hidden.push({ day, slotId, section, entry })
+				sectionData[day][slotId] = null
+				return
+			}
+			if (code) taughtHere.add(code)
+			sectionData[day][slotId] = entry
+		})
+	})
+
+	// Chosen electives not taught to the section are joined in the first other section teaching them
+	const added = []
+	const conflicts = []
+	const sources = new Map()
+	Object.entries(timetables || {}).forEach(([other, otherData]) => {
+		if (other === section) return
+		WEEK_DAYS.forEach(day => {
+			Object.entries(otherData?.[day] || {}).forEach(([slotId, entry]) => {
+				const code = getElectiveCode(entry, courses)
+				if (!code || !chosen.has(code) || taughtHere.has(code)) return
+				if (!sources.has(code)) sources.set(code, other)
+				if (sources.get(code) !== other) return
+				const dayData = sectionData[day] || (sectionData[day] = {})
+				const blocking = getBlockSlots(schedule, slotId, getSpan(entry))
+					.map(time => findBlockAt(dayData, schedule, time))
+					.find(Boolean)
+				if (blocking) {
+					conflicts.push({ day, slotId, section: other, entry, blockedBy: blocking.entry })
+					return
+				}
+				dayData[slotId] = { ...entry, fromSection: other }
+				added.push({ day, slotId, section: other, entry })
+			})
+		})
+	})
+
+	const missing = [...chosen].filter(code => !taughtHere.has(code) && !sources.has(code))
+	return { sectionData, hidden, added, conflicts, missing }
+}
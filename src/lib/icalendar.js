@@ -0,0 +1,401 @@
+/**
+ * iCalendar
+ *
+ * Converts between one section's timetable and RFC 5545 calendars.
+ *
+ * Export: every period (or multi-period block) becomes a VEVENT that repeats
+ * weekly from the first matching day of the term until the term's last day,
+ * skipping any excluded dates (the term's breaks).
+ * Times are written as floating local times (no time zone), so a class at
+ * 09:30 shows at 09:30 on whichever device imports the file.
+ *
+ * Import: weekly recurring VEVENTs are matched to the working days and the
+ * bell schedule. Events that cannot be placed are returned with a reason so
+ * they can be flagged in the preview.
+ */
+
+import { getSlot, toMinutes } from './bellSchedule'
+import { getSpan, getBlockSlots, findBlockAt } from './periodBlocks'
+import { getSessions, describeSession } from './batchSessions'
+import { WEEK_DAYS } from './workingDays'
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/
+
+/**
+ * Check the term dates used to bound the recurring events
+ * @param {string} termStart - First day of the term, 'YYYY-MM-DD'
+ * @param {string} termEnd - Last day of the term, 'YYYY-MM-DD'
+ * @returns {string|null} - Error message or null when the dates are usable
+ */
+export function validateTermDates(termStart, termEnd) {
+	if (!DATE_PATTERN.test(termStart || '') || !DATE_PATTERN.test(termEnd || '')) {
+		return 'Enter the first and last day of the term'
+	}
+	if (termEnd < termStart) return 'The term cannot end before it starts'
+	return null
+}
+
+/**
+ * Escape a TEXT value (RFC 5545 section 3.3.11)
+ */
+function escapeText(value) {
+	return String(value)
+		.replace(/\\/g, '\\\\')
+		.replace(/;/g, '\\;')
+		.replace(/,/g, '\\,')
+		.replace(/\r?\n/g, '\\n')
+}
+
+/**
+ * Fold a content line to at most 75 octets per line (RFC 5545 section 3.1)
+ */
+function foldLine(line) {
+	const encoder = new TextEncoder()
+	const parts = []
+	let current = ''
+	let size = 0
+	for (const char of line) {
+		const charSize = encoder.encode(char).length
+		// Continuation lines start with a space, which counts towards their 75 octets
+		const limit = parts.length === 0 ? 75 : 74
+		if (size + charSize > limit) {
+			parts.push(current)
+			current = ''
+			size = 0
+		}
+		current += char
+		size += charSize
+	}
+	parts.push(current)
+	return parts.join('\r\n ')
+}
+
+/**
+ * 'YYYY-MM-DD' -> 'YYYYMMDD'
+ */
+function toICalDate(date) {
+	return date.replace(/-/g, '')
+}
+
+/**
+ * Date -> 'YYYYMMDDTHHMMSSZ' in UTC
+ */
+function toICalTimestamp(date) {
+	return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '')
+}
+
+/**
+ * First date on or after the term start that falls on a day of the week
+ * @param {string} termStart - 'YYYY-MM-DD'
+ * @param {string} day - Day name, e.g. 'Monday'
+ * @returns {string} - 'YYYY-MM-DD'
+ */
+function firstDateOnDay(termStart, day) {
+	// Work in UTC so the local time zone cannot shift the date
+	const date = new Date(`${termStart}T00:00:00Z`)
+	const offset = (WEEK_DAYS.indexOf(day) - date.getUTCDay() + 7) % 7
+	date.setUTCDate(date.getUTCDate() + offset)
+	return date.toISOString().slice(0, 10)
+}
+
+/**
+ * Build the .ics file for one section
+ * @param {Object} options
+ * @param {string} options.section - Section name, e.g. 'CSE 3A'
+ * @param {Object} options.sectionData - timetables[section][day][slotId]
+ * @param {Array<Object>} options.schedule - Bell schedule
+ * @param {Array<string>} options.workingDays - Days classes are held
+ * @param {string} options.termStart - First day of the term, 'YYYY-MM-DD'
+ * @param {string} options.termEnd - Last day of the term, 'YYYY-MM-DD'
+ * @param {Array<string>} [options.excludedDates] - Dates without classes, 'YYYY-MM-DD'
+ * @param {Date} [options.now] - Time stamp written to each event
+ * @returns {string} - Calendar text with CRLF line endings
+ */
+export function buildSectionCalendar({ section, sectionData, schedule, workingDays, termStart, termEnd, excludedDates = [], now = new Date() }) {
+	const stamp = toICalTimestamp(now)
+	const until = `${toICalDate(termEnd)}T235959`
+	const lines = [
+		'BEGIN:VCALENDAR',
+		'VERSION:2.0',
+		'PRODID:-//Managing Systems//Timetable//EN',
+		'CALSCALE:GREGORIAN',
+		'METHOD:PUBLISH',
+		`X-WR-CALNAME:${escapeText(`${section} Timetable`)}`
+	]
+
+	WEEK_DAYS.filter(day => workingDays.includes(day)).forEach(day => {
+		const dayData = sectionData?.[day] || {}
+		const date = firstDateOnDay(termStart, day)
+		if (date > termEnd) return
+		// Excluded dates that fall on this day of the week within the term
+		const skipped = excludedDates.filter(excluded => (
+			excluded >= date && excluded <= termEnd && new Date(`${excluded}T00:00:00Z`).getUTCDay() === WEEK_DAYS.indexOf(day)
+		))
+
+		schedule.forEach(slot => {
+			const entry = dayData[slot.id]
+			// Breaks and empty slots are left out
+			if (slot.type === 'break' || !entry) return
+
+			const slots = getBlockSlots(schedule, slot.id, getSpan(entry))
+			const last = getSlot(schedule, slots[slots.length - 1]) || slot
+			const summary = [entry.course, entry.subject].filter(Boolean).join(' - ') || 'Class'
+			const sessions = getSessions(entry)
+			// Batches in parallel sessions are listed one per line instead of a single room
+			const description = [
+				entry.course && `Course: ${entry.course}`,
+				entry.subject && `Subject: ${entry.subject}`,
+				entry.instructor && `Instructor: ${entry.instructor}`,
+				entry.room && `Room: ${entry.room}`,
+				...(sessions || []).map(describeSession),
+				`Section: ${section}`
+			].filter(Boolean).join('\n')
+			const location = sessions ? sessions.map(session => session.room).filter(Boolean).join(', ') : entry.room
+
+			lines.push(
+				'BEGIN:VEVENT',
+				`UID:${`${section}-${day}-${slot.id}-${termStart}`.replace(/[^A-Za-z0-9-]/g, '')}@managing-systems`,
+				`DTSTAMP:${stamp}`,
+				`DTSTART:${toICalDate(date)}T${slot.start.replace(':', '')}00`,
+				`DTEND:${toICalDate(date)}T${last.end.replace(':', '')}00`,
+				`RRULE:FREQ=WEEKLY;UNTIL=${until}`
+			)
+			// EXDATE values must match the DTSTART time to cancel an occurrence
+			if (skipped.length > 0) {
+				lines.push(`EXDATE:${skipped.map(excluded => `${toICalDate(excluded)}T${slot.start.replace(':', '')}00`).join(',')}`)
+			}
+			lines.push(
+				`SUMMARY:${escapeText(summary)}`,
+				`DESCRIPTION:${escapeText(description)}`
+			)
+			if (location) lines.push(`LOCATION:${escapeText(location)}`)
+			lines.push('END:VEVENT')
+		})
+	})
+
+	lines.push('END:VCALENDAR')
+	return lines.map(foldLine).join('\r\n') + '\r\n'
+}
+
+// Largest difference, in minutes, between an event's times and a slot's times for them to match
+const SLOT_TOLERANCE = 10
+
+const ICAL_DAYS = { SU: 'Sunday', MO: 'Monday', TU: 'Tuesday', WE: 'Wednesday', TH: 'Thursday', FR: 'Friday', SA: 'Saturday' }
+
+/**
+ * Reverse escapeText
+ */
+function unescapeText(value) {
+	return value.replace(/\\([\\;,nN])/g, (match, char) => (char === 'n' || char === 'N' ? '\n' : char))
+}
+
+/**
+ * Parse a DATE or DATE-TIME value into a day name and local 'HH:MM'.
+ * UTC values (ending in Z) are converted to the browser's time zone; values
+ * with a TZID are read as wall-clock times.
+ * @returns {Object|null} - { day, time } (time is null for all-day values) or null if invalid
+ */
+function parseDateValue(value) {
+	const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})\d{2}(Z)?)?$/.exec(value || '')
+	if (!match) return null
+	const [, year, month, dayOfMonth, hour, minute, utc] = match
+	if (hour === undefined) {
+		const date = new Date(Date.UTC(Number(year), Number(month) - 1, Number(dayOfMonth)))
+		return { day: WEEK_DAYS[date.getUTCDay()], time: null }
+	}
+	if (utc) {
+		const date = new Date(Date.UTC(Number(year), Number(month) - 1, Number(dayOfMonth), Number(hour), Number(minute)))
+		return {
+			day: WEEK_DAYS[date.getDay()],
+			time: `${String(date.getHours()).padStart(2, '0')}:${String(date.getMinutes()).padStart(2, '0')}`
+		}
+	}
+	const date = new Date(Date.UTC(Number(year), Number(month) - 1, Number(dayOfMonth)))
+	return { day: WEEK_DAYS[date.getUTCDay()], time: `${hour}:${minute}` }
+}
+
+/**
+ * Parse the VEVENTs of a calendar file
+ * @param {string} text - Contents of an .ics file
+ * @returns {Array<Object>} - Events as { summary, description, location, start, end, rrule }
+ */
+export function parseCalendar(text) {
+	// Unfold continuation lines (RFC 5545 section 3.1)
+	const lines = String(text || '').replace(/\r\n/g, '\n').replace(/\n[ \t]/g, '').split('\n')
+	const events = []
+	let current = null
+
+	lines.forEach(line => {
+		if (line === 'BEGIN:VEVENT') {
+			current = {}
+			return
+		}
+		if (line === 'END:VEVENT') {
+			if (current) events.push(current)
+			current = null
+			return
+		}
+		if (!current) return
+
+		const colon = line.indexOf(':')
+		if (colon === -1) return
+		// Property parameters such as ;TZID=Asia/Kolkata are dropped
+		const name = line.slice(0, colon).split(';')[0].toUpperCase()
+		const value = line.slice(colon + 1)
+		switch (name) {
+			case 'SUMMARY':
+				current.summary = unescapeText(value)
+				break
+			case 'DESCRIPTION':
+				current.description = unescapeText(value)
+				break
+			case 'LOCATION':
+				current.location = unescapeText(value)
+				break
+			case 'DTSTART':
+				current.start = parseDateValue(value)
+				break
+			case 'DTEND':
+				current.end = parseDateValue(value)
+				break
+			case 'RRULE':
+				current.rrule = Object.fromEntries(value.split(';').map(part => part.split('=')).filter(pair => pair.length === 2).map(([key, val]) => [key.toUpperCase(), val]))
+				break
+			default:
+				break
+		}
+	})
+
+	return events
+}
+
+/**
+ * Turn an event into a period entry. Reads the 'COURSE - SUBJECT' summary and
+ * 'Instructor: ...' description lines written by buildSectionCalendar.
+ */
+function eventToEntry(event) {
+	const details = {}
+	;(event.description || '').split('\n').forEach(line => {
+		const match = /^(Course|Subject|Instructor|Room):\s*(.*)$/i.exec(line.trim())
+		if (match) details[match[1].toLowerCase()] = match[2]
+	})
+	const summary = event.summary || ''
+	const separator = summary.indexOf(' - ')
+	const entry = {
+		course: details.course || (separator === -1 ? summary : summary.slice(0, separator)),
+		subject: details.subject || (separator === -1 ? summary : summary.slice(separator + 3)),
+		instructor: details.instructor || ''
+	}
+	const room = event.location || details.room
+	if (room) entry.room = room
+	return entry
+}
+
+/**
+ * Days a weekly event repeats on: its BYDAY list, or the day it starts
+ */
+function getEventDays(event) {
+	if (event.rrule?.BYDAY) {
+		// BYDAY values may carry an ordinal, e.g. '1MO'; weekly rules only use the day
+		return event.rrule.BYDAY.split(',').map(code => ICAL_DAYS[code.slice(-2).toUpperCase()]).filter(Boolean)
+	}
+	return [event.start.day]
+}
+
+/**
+ * Find the slots an event's start and end times fall on
+ * @returns {Object} - { start, span } or { error }
+ */
+function matchSlots(event, schedule) {
+	const periods = schedule.filter(slot => slot.type !== 'break')
+	const near = (a, b) => Math.abs(toMinutes(a) - toMinutes(b)) <= SLOT_TOLERANCE
+	const first = periods.find(slot => near(slot.start, event.start.time))
+	if (!first) return { error: `No period starts at ${event.start.time}` }
+
+	const endTime = event.end?.time || first.end
+	// Extend the block period by period until it reaches the event's end
+	const slots = getBlockSlots(schedule, first.id, periods.length)
+	const lastIndex = slots.findIndex(id => near(getSlot(schedule, id).end, endTime))
+	if (lastIndex === -1) return { error: `No period ends at ${endTime} without crossing a break` }
+	return { start: first.id, span: lastIndex + 1 }
+}
+
+/**
+ * Map calendar events onto a section's days and bell schedule
+ * @param {Array<Object>} events - Result of parseCalendar
+ * @param {Array<Object>} schedule - Bell schedule
+ * @param {Array<string>} workingDays - Days classes are held
+ * @returns {Object} - { sectionData, matched: number, unmatched: [{ event, day, reason }] }
+ */
+export function mapEventsToTimetable(events, schedule, workingDays) {
+	const sectionData = {}
+	const unmatched = []
+	let matched = 0
+
+	events.forEach(event => {
+		if (!event.start) {
+			unmatched.push({ event, day: null, reason: 'Missing or invalid start time' })
+			return
+		}
+		if (!event.start.time) {
+			unmatched.push({ event, day: event.start.day, reason: 'All-day events cannot be placed in a period' })
+			return
+		}
+		if (event.rrule?.FREQ !== 'WEEKLY') {
+			unmatched.push({ event, day: event.start.day, reason: 'Does not repeat weekly' })
+			return
+		}
+
+		const placement = matchSlots(event, schedule)
+		getEventDays(event).forEach(day => {
+			if (!workingDays.includes(day)) {
+				unmatched.push({ event, day, reason: `${day} is not a working day` })
+				return
+			}
+			if (placement.error) {
+				unmatched.push({ event, day, reason: placement.error })
+				return
+			}
+			const dayData = sectionData[day] || {}
+			const blocked = getBlockSlots(schedule, placement.start, placement.span)
+				.map(time => findBlockAt(dayData, schedule, time))
+				.find(Boolean)
+			if (blocked) {
+				unmatched.push({ event, day, reason: `Overlaps ${blocked.entry.course || 'another event'}` })
+				return
+			}
+			const entry = eventToEntry(event)
+			if (placement.span > 1) entry.span = placement.span
+			sectionData[day] = { ...dayData, [placement.start]: entry }
+			matched++
+		})
+	})
+
+	return { sectionData, matched, unmatched }
+}
+
+/**
+ * Combine imported periods with a section's existing grid
+ * @param {Object} existing - sectionData[day][slotId] currently in the timetable
+ * @param {Object} imported - sectionData from mapEventsToTimetable
+ * @param {Array<Object>} schedule - Bell schedule
+ * @param {'merge'|'replace'} mode - Merge keeps existing periods that imported ones do not overlap
+ * @returns {Object} - New sectionData
+ */
+export function applyImportedSection(existing, imported, schedule, mode) {
+	if (mode === 'replace') return imported
+	const next = { ...existing }
+	Object.entries(imported).forEach(([day, importedDay]) => {
+		const dayData = { ...(next[day] || {}) }
+		Object.entries(importedDay).forEach(([time, entry]) => {
+			// Clear any existing block that overlaps the imported one
+			getBlockSlots(schedule, time, getSpan(entry)).forEach(slotId => {
+				const block = findBlockAt(dayData, schedule, slotId)
+				if (block) dayData[block.start] = null
+			})
+			dayData[time] = entry
+		})
+		next[day] = dayData
+	})
+	return next
+}
@@ -0,0 +1,89 @@
+/**
+ * Instructor Schedule
+ *
+ * Aggregates every section's periods into one week per instructor. Instructor
+ * fields may list several codes, e.g. 'RKM(CS)+AS(CS)+SP(CS)+AD(CS)' for a
+ * lab, and each code gets the period on its own schedule. For a period split
+ * into batch sessions only the session the instructor teaches is listed.
+ *
+ * An instructor schedule has the shape:
+ * { grid: grid[day][slotId] = [{ section, batch, start, entry, span }], periods, contactMinutes, freeSlots: [{ day, slotId }] }
+ */
+
+import { parseInstructors } from './timetableGenerator'
+import { toMinutes } from './bellSchedule'
+import { getSpan, getBlockSlots } from './periodBlocks'
+import { getSessions, getPeriodParts } from './batchSessions'
+import { WEEK_DAYS } from './workingDays'
+
+/**
+ * Every instructor code used in the timetables
+ * @param {Object} timetables - timetables[section][day][slotId]
+ * @returns {Array<string>} - Codes sorted alphabetically
+ */
+export function listInstructors(timetables) {
+	const codes = new Set()
+	Object.values(timetables || {}).forEach(sectionData => {
+		Object.values(sectionData || {}).forEach(dayData => {
+			Object.values(dayData || {}).forEach(entry => {
+				parseInstructors(entry?.instructor).forEach(code => codes.add(code))
+			})
+		})
+	})
+	return [...codes].sort((a, b) => a.localeCompare(b))
+}
+
+/**
+ * Build one instructor's week across all sections
+ * @param {Object} timetables - timetables[section][day][slotId]
+ * @param {Array<Object>} schedule - Bell schedule
+ * @param {Array<string>} workingDays - Days classes are held
+ * @param {string} code - Instructor code, e.g. 'RKM(CS)'
+ * @returns {Object} - Instructor schedule (see module comment)
+ */
+export function buildInstructorSchedule(timetables, schedule, workingDays, code) {
+	const target = (code || '').trim().toUpperCase()
+	const days = WEEK_DAYS.filter(day => workingDays.includes(day))
+	const grid = Object.fromEntries(days.map(day => [day, {}]))
+	let periods = 0
+	let contactMinutes = 0
+
+	Object.entries(timetables || {}).forEach(([section, sectionData]) => {
+		days.forEach(day => {
+			Object.entries(sectionData?.[day] || {}).forEach(([start, entry]) => {
+				const part = getPeriodParts(entry).find(candidate => parseInstructors(candidate.instructor).includes(target))
+				if (!part) return
+				const slots = getBlockSlots(schedule, start, getSpan(entry))
+				if (slots.length === 0) return
+				const batch = getSessions(entry) ? part.batch : null
+				// Every slot of a block points at the block so the grid can show it as busy
+				slots.forEach(slotId => {
+					grid[day][slotId] = [...(grid[day][slotId] || []), { section, batch, start, entry: part, span: slots.length }]
+					const slot = schedule.find(candidate => candidate.id === slotId)
+					contactMinutes += toMinutes(slot.end) - toMinutes(slot.start)
+				})
+				periods += slots.length
+			})
+		})
+	})
+
+	const freeSlots = []
+	days.forEach(day => {
+		schedule.forEach(slot => {
+			if (slot.type !== 'break' && !grid[day][slot.id]) freeSlots.push({ day, slotId: slot.id })
+		})
+	})
+
+	return { grid, periods, contactMinutes, freeSlots }
+}
+
+/**
+ * Format minutes as hours for display, e.g. 250 -> '4h 10m'
+ * @param {number} minutes - Duration in minutes
+ * @returns {string}
+ */
+export function formatContactHours(minutes) {
+	const hours = Math.floor(minutes / 60)
+	const rest = minutes % 60
+	return rest ? `${hours}h ${rest}m` : `${hours}h`
+}
@@ -0,0 +1,178 @@
+/**
+ * Offline Store
+ *
+ * IndexedDB database kept in the browser so pages load and edits are kept
+ * while the network is down (see lib/offlineSync). Two object stores:
+ * - cache: the last loaded rows per key, e.g. 'courses:<owner id>' -> [course, ...]
+ * - outbox: writes waiting to be sent to Supabase, in the order they were made,
+ *   as { id, name, args, version, status, error, current, createdAt }
+ *
+ * Both belong to the signed-in user and are cleared when another user signs in
+ * or the user signs out (see setSyncOwner and clearOfflineData in lib/offlineSync).
+ *
+ * Where IndexedDB is unavailable (e.g. some private windows) the same data is
+ * kept in memory for the session.
+ */
+
+const DB_NAME = 'timetable-manager'
+const DB_VERSION = 1
+const CACHE_STORE = 'cache'
+const OUTBOX_STORE = 'outbox'
+
+// In-memory fallback
+const memoryCache = new Map()
+const memoryOutbox = new Map()
+let nextMemoryId = 1
+
+let dbPromise = null
+
+/**
+ * Open the database once; resolves to null where IndexedDB cannot be used
+ * @returns {Promise<IDBDatabase|null>}
+ */
+function openDatabase() {
+	if (!dbPromise) {
+		dbPromise = new Promise((resolve) => {
+			if (typeof indexedDB === 'undefined') {
+				resolve(null)
+				return
+			}
+			const request = indexedDB.open(DB_NAME, DB_VERSION)
+			request.onupgradeneeded = () => {
+				const db = request.result
+				if (!db.objectStoreNames.contains(CACHE_STORE)) db.createObjectStore(CACHE_STORE)
+				if (!db.objectStoreNames.contains(OUTBOX_STORE)) db.createObjectStore(OUTBOX_STORE, { keyPath: 'id', autoIncrement: true })
+			}
+			request.onsuccess = () => resolve(request.result)
+			request.onerror = () => {
+				console.error('Failed to open the offline store, keeping data in memory', request.error)
+				resolve(null)
+			}
+		})
+	}
+	return dbPromise
+}
+
+/**
+ * Run one request against an object store and wait for its transaction
+ * @param {IDBDatabase} db - Open database
+ * @param {string} storeName - Object store
+ * @param {string} mode - 'readonly' or 'readwrite'
+ * @param {function} run - Receives the store and returns an IDBRequest
+ * @returns {Promise<*>} - The request's result
+ */
+function runRequest(db, storeName, mode, run) {
+	return new Promise((resolve, reject) => {
+		const transaction = db.transaction(storeName, mode)
+		const request = run(transaction.objectStore(storeName))
+		transaction.oncomplete = () => resolve(request.result)
+		transaction.onerror = () => reject(transaction.error)
+		transaction.onabort = () => reject(transaction.error)
+	})
+}
+
+/**
+ * Read cached rows
+ * @param {string} key - Cache key, e.g. 'rooms:<owner id>'
+ * @returns {Promise<*>} - The cached value, or undefined if nothing was cached
+ */
+export async function readCache(key) {
+	const db = await openDatabase()
+	if (!db) return memoryCache.get(key)
+	return runRequest(db, CACHE_STORE, 'readonly', store => store.get(key))
+}
+
+/**
+ * Replace cached rows
+ * @param {string} key - Cache key
+ * @param {*} value - Rows to cache; must be structured-cloneable
+ * @returns {Promise<void>}
+ */
+export async function writeCache(key, value) {
+	const db = await openDatabase()
+	if (!db) {
+		memoryCache.set(key, value)
+		return
+	}
+	await runRequest(db, CACHE_STORE, 'readwrite', store => store.put(value, key))
+}
+
+/**
+ * Update cached rows; nothing is written when nothing was cached
+ * @param {string} key - Cache key
+ * @param {function} update - Receives the cached value and returns the new one
+ * @returns {Promise<void>}
+ */
+export async function updateCache(key, update) {
+	const cached = await readCache(key)
+	if (cached === undefined) return
+	await writeCache(key, update(cached))
+}
+
+/**
+ * Append a write to the outbox
+ * @param {Object} entry - { name, args, version, status, createdAt }
+ * @returns {Promise<number>} - The entry's id
+ */
+export async function addToOutbox(entry) {
+	const db = await openDatabase()
+	if (!db) {
+		const id = nextMemoryId++
+		memoryOutbox.set(id, { ...entry, id })
+		return id
+	}
+	return runRequest(db, OUTBOX_STORE, 'readwrite', store => store.add(entry))
+}
+
+/**
+ * Every outbox entry, oldest first
+ * @returns {Promise<Array<Object>>}
+ */
+export async function listOutbox() {
+	const db = await openDatabase()
+	if (!db) return [...memoryOutbox.values()]
+	return runRequest(db, OUTBOX_STORE, 'readonly', store => store.getAll())
+}
+
+/**
+ * Replace an outbox entry, e.g. to mark it as conflicting
+ * @param {Object} entry - Entry with its id
+ * @returns {Promise<void>}
+ */
+export async function updateOutboxEntry(entry) {
+	const db = await openDatabase()
+	if (!db) {
+		memoryOutbox.set(entry.id, entry)
+		return
+	}
+	await runRequest(db, OUTBOX_STORE, 'readwrite', store => store.put(entry))
+}
+
+/**
+ * Remove an outbox entry once it was sent or discarded
+ * @param {number} id - Entry id
+ * @returns {Promise<void>}
+ */
+export async function removeFromOutbox(id) {
+	const db = await openDatabase()
+	if (!db) {
+		memoryOutbox.delete(id)
+		return
+	}
+	await runRequest(db, OUTBOX_STORE, 'readwrite', store => store.delete(id))
+}
+
+/**
+ * Remove every cached row and outbox entry, e.g. on sign-out
+ * @returns {Promise<void>}
+ */
+export async function clearOfflineStore() {
+	const db = await openDatabase()
+	if (!db) {
+		memoryCache.clear()
+		memoryOutbox.clear()
+		return
+	}
+	await runRequest(db, CACHE_STORE, 'readwrite', store => store.clear())
+	await runRequest(db, OUTBOX_STORE, 'readwrite', store => store.clear())
+}
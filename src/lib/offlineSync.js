@@ -0,0 +1,305 @@
+/**
+ * Offline Sync
+ *
+ * Services load through the offline cache and write through the outbox (see
+ * lib/offlineStore), so pages keep working while the network is down:
+ * - Loads come from Supabase and refresh the cache; offline, or when the
+ *   request fails for lack of network, the cached rows are returned instead.
+ * - Writes are sent straight away when online. Offline they are queued in the
+ *   outbox and the caller gets the row as it will be saved. Queued writes are
+ *   replayed in order as soon as the browser is back online.
+ *
+ * Each service registers its writes by name with run (the Supabase call) and
+ * optionally getBase/rebase (the updated_at the write is based on, see
+ * lib/concurrency), cache (store the saved row) and describe (a label for the
+ * sync status). A queued versioned write returns a placeholder updated_at
+ * ('pending:<id>'); writes based on it are given the real one once it is saved,
+ * so several offline edits of one row do not conflict with each other.
+ *
+ * Writes rejected on replay stay in the outbox as conflicts (the row changed
+ * elsewhere) or failures until the user keeps or discards them.
+ *
+ * The cache and outbox belong to one user: nothing is replayed until the
+ * signed-in user is known (setSyncOwner), and both are cleared when a different
+ * user signs in or on sign-out (clearOfflineData).
+ */
+
+import { readCache, writeCache, addToOutbox, listOutbox, updateOutboxEntry, removeFromOutbox, clearOfflineStore } from './offlineStore'
+import { isConflictError } from './concurrency'
+
+const PENDING_VERSION = 'pending:'
+// Saved updated_at of every replayed placeholder version
+const VERSIONS_KEY = 'sync:versions'
+// Clerk user id the cache and outbox belong to
+const OWNER_KEY = 'sync:owner'
+
+const mutations = new Map()
+const listeners = new Set()
+let flushing = null
+let owner = null  // Signed-in user; queued writes are only replayed once known
+let status = {
+	online: isOnline(),
+	syncing: false,
+	pending: 0,  // Writes waiting to be sent
+	problems: [],  // Conflicting or failed writes as { id, label, status, error }
+	lastSyncedAt: null
+}
+
+function isOnline() {
+	return typeof navigator === 'undefined' || navigator.onLine !== false
+}
+
+function setStatus(changes) {
+	status = { ...status, ...changes }
+	listeners.forEach(listener => listener(status))
+}
+
+/**
+ * Re-count the outbox for the sync status
+ */
+async function refreshStatus(changes = {}) {
+	const entries = await listOutbox()
+	setStatus({
+		...changes,
+		pending: entries.filter(entry => entry.status === 'pending').length,
+		problems: entries
+			.filter(entry => entry.status !== 'pending')
+			.map(entry => ({
+				id: entry.id,
+				label: mutations.get(entry.name)?.describe?.(entry.args) || entry.name,
+				status: entry.status,
+				error: entry.error
+			}))
+	})
+}
+
+/**
+ * Check whether a Supabase error means the network is unavailable
+ * @param {Object} error - Thrown error or Supabase error object
+ * @returns {boolean}
+ */
+export function isOfflineError(error) {
+	if (!isOnline()) return true
+	return /Failed to fetch|NetworkError|Load failed|fetch failed|Network request failed/i.test(error?.message || '')
+}
+
+/**
+ * Check whether an updated_at is the placeholder of a write still in the outbox
+ * @param {string} version - updated_at value
+ * @returns {boolean}
+ */
+export function isPendingVersion(version) {
+	return typeof version === 'string' && version.startsWith(PENDING_VERSION)
+}
+
+/**
+ * Register a write that can be queued and replayed
+ * @param {string} name - Unique name, e.g. 'courses.update'
+ * @param {Object} mutation - { run, getBase, rebase, cache, describe }
+ *   run(...args) performs the write and returns the saved row;
+ *   getBase(args) returns the updated_at the write is based on;
+ *   rebase(args, current) returns the args based on the saved row current;
+ *   cache(row, args) stores the saved row in the offline cache;
+ *   describe(args) labels the write in the sync status
+ */
+export function registerMutation(name, mutation) {
+	mutations.set(name, mutation)
+}
+
+/**
+ * Swap a placeholder updated_at for the saved one once its write was replayed
+ */
+function resolveBase(mutation, args, versions) {
+	const base = mutation.getBase?.(args)
+	return isPendingVersion(base) && versions[base] ? mutation.rebase(args, { updated_at: versions[base] }) : args
+}
+
+/**
+ * Load rows from Supabase, falling back to the cached rows while offline
+ * @param {string} key - Cache key, e.g. 'courses:<owner id>'
+ * @param {function} load - Loads the rows from Supabase
+ * @returns {Promise<*>} - The loaded or cached rows
+ */
+export async function loadWithCache(key, load) {
+	if (isOnline()) {
+		try {
+			// Send queued writes first so the loaded rows include them
+			await flushOutbox()
+			const value = await load()
+			await writeCache(key, value)
+			return value
+		} catch (error) {
+			if (!isOfflineError(error)) throw error
+		}
+	}
+	const cached = await readCache(key)
+	if (cached === undefined) throw new Error('You are offline and this data has not been loaded on this device yet')
+	return cached
+}
+
+/**
+ * Perform a registered write, or queue it while offline
+ * @param {string} name - Registered write
+ * @param {Array} args - Arguments of its run function; must be structured-cloneable
+ * @param {Object} optimistic - The row as it will be saved, returned when the write is queued
+ * @returns {Promise<Object>} - The saved row, or the optimistic one if queued
+ */
+export async function performMutation(name, args, optimistic) {
+	const mutation = mutations.get(name)
+	const resolvedArgs = resolveBase(mutation, args, (await readCache(VERSIONS_KEY)) || {})
+	const queue = await listOutbox()
+
+	// Writes keep their order, so nothing is sent past a queued write
+	const mustQueue = queue.some(entry => entry.status === 'pending') || isPendingVersion(mutation.getBase?.(resolvedArgs))
+	if (isOnline() && !mustQueue) {
+		try {
+			const saved = await mutation.run(...resolvedArgs)
+			await mutation.cache?.(saved, resolvedArgs)
+			return saved
+		} catch (error) {
+			if (!isOfflineError(error)) throw error
+		}
+	}
+
+	const version = mutation.getBase ? `${PENDING_VERSION}${crypto.randomUUID()}` : null
+	await addToOutbox({ name, args: resolvedArgs, version, status: 'pending', createdAt: new Date().toISOString() })
+	const queued = version && optimistic ? { ...optimistic, updated_at: version } : optimistic
+	await mutation.cache?.(queued, resolvedArgs)
+	await refreshStatus()
+	if (isOnline()) flushOutbox()
+	return queued
+}
+
+/**
+ * Send the queued writes in order; only one replay runs at a time
+ * @returns {Promise<void>}
+ */
+export function flushOutbox() {
+	if (!owner) return Promise.resolve()
+	if (!flushing) {
+		flushing = replayOutbox().finally(() => {
+			flushing = null
+		})
+	}
+	return flushing
+}
+
+async function replayOutbox() {
+	const entries = (await listOutbox()).filter(entry => entry.status === 'pending')
+	if (entries.length === 0) return
+	setStatus({ syncing: true })
+	const versions = (await readCache(VERSIONS_KEY)) || {}
+	let lastSyncedAt = status.lastSyncedAt
+	try {
+		for (const entry of entries) {
+			const mutation = mutations.get(entry.name)
+			// Registered when its service loads; wait rather than send later writes first
+			if (!mutation) break
+			const args = resolveBase(mutation, entry.args, versions)
+			if (isPendingVersion(mutation.getBase?.(args))) {
+				await updateOutboxEntry({ ...entry, status: 'failed', error: 'Based on a change that was not synced' })
+				continue
+			}
+			try {
+				const saved = await mutation.run(...args)
+				if (entry.version && saved?.updated_at) {
+					versions[entry.version] = saved.updated_at
+					await writeCache(VERSIONS_KEY, versions)
+				}
+				await mutation.cache?.(saved, args)
+				await removeFromOutbox(entry.id)
+				lastSyncedAt = new Date().toISOString()
+			} catch (error) {
+				if (isOfflineError(error)) break
+				console.error(`Failed to sync ${entry.name}`, error)
+				await updateOutboxEntry({
+					...entry,
+					args,
+					status: isConflictError(error) ? 'conflict' : 'failed',
+					error: error.message,
+					current: error.current ?? null
+				})
+			}
+		}
+	} finally {
+		await refreshStatus({ syncing: false, lastSyncedAt })
+	}
+}
+
+/**
+ * Resolve a conflicting or failed write
+ * @param {number} id - Outbox entry id
+ * @param {boolean} keepMine - Send it again (over the newer row for a conflict) rather than discard it
+ * @returns {Promise<void>}
+ */
+export async function resolveSyncProblem(id, keepMine) {
+	const entry = (await listOutbox()).find(item => item.id === id)
+	if (!entry) return
+	if (!keepMine) {
+		await removeFromOutbox(id)
+		await refreshStatus()
+		return
+	}
+	const mutation = mutations.get(entry.name)
+	const args = entry.status === 'conflict' && entry.current && mutation?.rebase ? mutation.rebase(entry.args, entry.current) : entry.args
+	await updateOutboxEntry({ ...entry, args, status: 'pending', error: null, current: null })
+	await refreshStatus()
+	await flushOutbox()
+}
+
+/**
+ * Set the signed-in user the cache and outbox belong to; data left by another
+ * user on this browser is cleared, then this user's queued writes are replayed
+ * @param {string} ownerId - The user's ID from Clerk
+ * @returns {Promise<void>}
+ */
+export async function setSyncOwner(ownerId) {
+	if (owner === ownerId) return
+	const previous = await readCache(OWNER_KEY)
+	if (previous && previous !== ownerId) await clearOfflineStore()
+	await writeCache(OWNER_KEY, ownerId)
+	owner = ownerId
+	await refreshStatus()
+	if (isOnline()) flushOutbox()
+}
+
+/**
+ * Send what can still be sent and count the writes that were not synced, e.g.
+ * to warn before signing out
+ * @returns {Promise<number>}
+ */
+export async function countUnsyncedChanges() {
+	if (isOnline()) await flushOutbox()
+	return (await listOutbox()).length
+}
+
+/**
+ * Forget the signed-in user's cached rows and queued writes, e.g. on sign-out
+ * @returns {Promise<void>}
+ */
+export async function clearOfflineData() {
+	owner = null
+	await flushing
+	await clearOfflineStore()
+	await refreshStatus({ lastSyncedAt: null })
+}
+
+/**
+ * Follow the sync status
+ * @param {function} listener - Called now and on every change with
+ *   { online, syncing, pending, problems, lastSyncedAt }
+ * @returns {function} - Unsubscribe
+ */
+export function subscribeToSyncStatus(listener) {
+	listeners.add(listener)
+	listener(status)
+	return () => listeners.delete(listener)
+}
+
+if (typeof window !== 'undefined') {
+	window.addEventListener('online', () => {
+		setStatus({ online: true })
+		flushOutbox()
+	})
+	window.addEventListener('offline', () => setStatus({ online: false }))
+}
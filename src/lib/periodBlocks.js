@@ -0,0 +1,254 @@
+/**
+ * Period Blocks
+ *
+ * A period can span several consecutive slots of the bell schedule, e.g. a
+ * three-period lab. The entry is stored once in its first slot with a span:
+ * { course, subject, instructor, room, span: 3 }
+ *
+ * The slots it covers after the first stay empty. A block never crosses a
+ * break; if the bell schedule changes, it is cut short at the next break.
+ */
+
+import { isLabCourse } from './timetableGenerator'
+import { getLabBatch } from './clashDetection'
+import { toMinutes } from './bellSchedule'
+
+/**
+ * Number of slots an entry spans (1 for a normal period)
+ * @param {Object|null} entry - Period entry
+ * @returns {number}
+ */
+export function getSpan(entry) {
+	const span = Number(entry?.span)
+	return Number.isInteger(span) && span > 1 ? span : 1
+}
+
+/**
+ * Slot ids covered by a block starting at a slot, stopping at a break or the end of the day
+ * @param {Array<Object>} schedule - Bell schedule
+ * @param {string} start - Slot id of the first period
+ * @param {number} span - Number of periods in the block
+ * @returns {Array<string>}
+ */
+export function getBlockSlots(schedule, start, span) {
+	const index = schedule.findIndex(slot => slot.id === start)
+	if (index === -1) return []
+	const slots = []
+	for (let i = index; i < schedule.length && slots.length < span; i++) {
+		if (schedule[i].type === 'break') break
+		slots.push(schedule[i].id)
+	}
+	return slots
+}
+
+/**
+ * Find the block covering a slot, whether the slot is its first period or a later one
+ * @param {Object} dayData - dayData[slotId] for one section and day
+ * @param {Array<Object>} schedule - Bell schedule
+ * @param {string} time - Slot id
+ * @returns {Object|null} - { start, entry, slots } or null for an empty slot
+ */
+export function findBlockAt(dayData, schedule, time) {
+	const index = schedule.findIndex(slot => slot.id === time)
+	for (let i = index; i >= 0; i--) {
+		const entry = dayData?.[schedule[i].id]
+		if (!entry) continue
+		const slots = getBlockSlots(schedule, schedule[i].id, getSpan(entry))
+		return slots.includes(time) ? { start: schedule[i].id, entry, slots } : null
+	}
+	return null
+}
+
+/**
+ * Check that a block fits at a slot without running into a break or another period
+ * @param {Object} dayData - dayData[slotId] for one section and day
+ * @param {Array<Object>} schedule - Bell schedule
+ * @param {string} start - Slot id of the first period
+ * @param {number} span - Number of periods in the block
+ * @returns {string|null} - Error message or null when the block fits
+ */
+export function validateBlockPlacement(dayData, schedule, start, span) {
+	const slots = getBlockSlots(schedule, start, span)
+	if (slots.length < span) {
+		return `Only ${slots.length} consecutive period${slots.length === 1 ? '' : 's'} fit before the next break or the end of the day`
+	}
+	const slotName = (time) => schedule.find(slot => slot.id === time)?.name || time
+	const covering = findBlockAt(dayData, schedule, start)
+	if (covering && covering.start !== start) {
+		return `${slotName(start)} is already taken by ${covering.entry.course || 'another period'}`
+	}
+	const occupied = slots.slice(1).find(time => dayData?.[time])
+	if (occupied) {
+		return `${slotName(occupied)} is already taken by ${dayData[occupied].course || 'another period'}`
+	}
+	return null
+}
+
+/**
+ * Check whether two entries describe the same period
+ */
+function isSamePeriod(a, b) {
+	return ['course', 'subject', 'instructor', 'room'].every(field => (a[field] || '') === (b[field] || '')) &&
+		JSON.stringify(a.sessions || null) === JSON.stringify(b.sessions || null)
+}
+
+/**
+ * Check whether a period is a lab, e.g. 'PCC CS-592 (LAB 3&4)' or 'Operating Systems Lab'
+ */
+function isLabPeriod(entry) {
+	return Boolean(getLabBatch(entry.course)) || isLabCourse({ name: entry.subject })
+}
+
+/**
+ * Collapse labs stored as one copy per slot into a single block.
+ * Timetables saved before blocks existed stored a three-period lab as three
+ * identical single periods; other courses and existing blocks are left alone,
+ * so back-to-back lectures of the same course stay separate periods.
+ * Run once per timetable, when its saved data is migrated (see timetableService).
+ * @param {Object} timetables - timetables[section][day][slotId]
+ * @param {Array<Object>} schedule - Bell schedule
+ * @returns {Object} - New timetables with blocks, or the same timetables when there were no copies
+ */
+export function migrateLabCopies(timetables, schedule) {
+	let changed = false
+	const migrated = {}
+	Object.entries(timetables || {}).forEach(([section, sectionData]) => {
+		migrated[section] = {}
+		Object.entries(sectionData || {}).forEach(([day, dayData]) => {
+			const nextDay = { ...dayData }
+			let blockStart = null  // First copy of the lab being collapsed
+
+			schedule.forEach(slot => {
+				const entry = dayData?.[slot.id]
+				const start = blockStart && nextDay[blockStart]
+				const blockEnd = start ? getBlockSlots(schedule, blockStart, getSpan(start) + 1) : []
+
+				if (entry && start && slot.type !== 'break' && getSpan(entry) === 1 && blockEnd[blockEnd.length - 1] === slot.id && isSamePeriod(start, entry)) {
+					nextDay[blockStart] = { ...start, span: getSpan(start) + 1 }
+					nextDay[slot.id] = null
+					changed = true
+					return
+				}
+				blockStart = entry && getSpan(entry) === 1 && isLabPeriod(entry) ? slot.id : null
+			})
+
+			migrated[section][day] = nextDay
+		})
+	})
+	return changed ? migrated : timetables
+}
+
+/**
+ * Move periods off slots that stop being teaching periods when the bell schedule
+ * changes (a slot removed or turned into a break). Each moves to the free period
+ * of the new schedule overlapping its old times the most; periods with no such
+ * slot cannot be kept. Entries on breaks, e.g. the lunch placeholder, stay put.
+ * @param {Object} timetables - timetables[section][day][slotId]
+ * @param {Array<Object>} previous - Bell schedule the periods were placed on
+ * @param {Array<Object>} next - New bell schedule
+ * @returns {Object} - { timetables, moved, dropped } where moved lists
+ *   { section, day, slotId, to, entry } and dropped { section, day, slotId, entry };
+ *   timetables is the same object when nothing had to move
+ */
+export function remapPeriods(timetables, previous, next) {
+	const slotType = (schedule, id) => schedule.find(slot => slot.id === id)?.type
+	const overlap = (a, b) => Math.min(toMinutes(a.end), toMinutes(b.end)) - Math.max(toMinutes(a.start), toMinutes(b.start))
+	const previousOrder = id => previous.findIndex(slot => slot.id === id)
+	const moved = []
+	const dropped = []
+	const remapped = {}
+
+	Object.entries(timetables || {}).forEach(([section, sectionData]) => {
+		remapped[section] = {}
+		Object.entries(sectionData || {}).forEach(([day, dayData]) => {
+			const orphans = Object.keys(dayData || {})
+				.filter(slotId => dayData[slotId] && slotType(next, slotId) !== 'period' && slotType(previous, slotId) !== 'break')
+				.sort((a, b) => previousOrder(a) - previousOrder(b))
+			const nextDay = { ...dayData }
+			orphans.forEach(slotId => { delete nextDay[slotId] })
+
+			orphans.forEach(slotId => {
+				const entry = dayData[slotId]
+				const old = previous.find(slot => slot.id === slotId)
+				// A free slot whose block would not run into another period
+				const fits = slot => !findBlockAt(nextDay, next, slot.id) &&
+					getBlockSlots(next, slot.id, getSpan(entry)).slice(1).every(id => !nextDay[id])
+				const target = old && next
+					.filter(slot => slot.type === 'period' && overlap(slot, old) > 0 && fits(slot))
+					.sort((a, b) => overlap(b, old) - overlap(a, old))[0]
+				if (target) {
+					nextDay[target.id] = entry
+					moved.push({ section, day, slotId, to: target.id, entry })
+				} else {
+					dropped.push({ section, day, slotId, entry })
+				}
+			})
+			remapped[section][day] = nextDay
+		})
+	})
+	return { timetables: moved.length > 0 || dropped.length > 0 ? remapped : timetables, moved, dropped }
+}
+
+/**
+ * Copy every block into each slot it covers, for code that checks slot by slot
+ * (clash detection, current class lookups)
+ * @param {Object} timetables - timetables[section][day][slotId]
+ * @param {Array<Object>} schedule - Bell schedule
+ * @returns {Object} - New timetables with one entry per covered slot
+ */
+export function expandBlocks(timetables, schedule) {
+	const expanded = {}
+	Object.entries(timetables || {}).forEach(([section, sectionData]) => {
+		expanded[section] = {}
+		Object.entries(sectionData || {}).forEach(([day, dayData]) => {
+			const nextDay = { ...dayData }
+			Object.entries(dayData || {}).forEach(([time, entry]) => {
+				if (getSpan(entry) === 1) return
+				getBlockSlots(schedule, time, getSpan(entry)).forEach(slotId => {
+					nextDay[slotId] = entry
+				})
+			})
+			expanded[section][day] = nextDay
+		})
+	})
+	return expanded
+}
+
+/**
+ * Move a period (or whole block) to another slot of the same section.
+ * Dropping onto an occupied slot swaps the two periods.
+ * @param {Object} sectionData - sectionData[day][slotId] for one section
+ * @param {Array<Object>} schedule - Bell schedule
+ * @param {Object} from - { day, time } of any slot of the period being moved
+ * @param {Object} to - { day, time } of the slot it is dropped on
+ * @returns {Object} - { sectionData, moved: [{ day, start, entry }] } or { error }
+ */
+export function moveBlock(sectionData, schedule, from, to) {
+	const source = findBlockAt(sectionData?.[from.day], schedule, from.time)
+	if (!source) return { error: 'There is no period to move' }
+	if (schedule.find(slot => slot.id === to.time)?.type !== 'period') return { error: 'Periods cannot be moved into a break' }
+
+	const target = findBlockAt(sectionData?.[to.day], schedule, to.time)
+	if (target && from.day === to.day && target.start === source.start) return { sectionData, moved: [] }
+
+	const next = { ...sectionData, [from.day]: { ...sectionData[from.day] } }
+	next[to.day] = { ...next[to.day] }
+	next[from.day][source.start] = null
+	if (target) next[to.day][target.start] = null
+
+	// A period dropped onto another block takes that block's first slot
+	const start = target ? target.start : to.time
+	const sourceError = validateBlockPlacement(next[to.day], schedule, start, getSpan(source.entry))
+	if (sourceError) return { error: sourceError }
+	next[to.day][start] = source.entry
+	const moved = [{ day: to.day, start, entry: source.entry }]
+
+	if (target) {
+		const targetError = validateBlockPlacement(next[from.day], schedule, source.start, getSpan(target.entry))
+		if (targetError || next[from.day][source.start]) return { error: `Cannot swap: ${targetError || 'the periods overlap'}` }
+		next[from.day][source.start] = target.entry
+		moved.push({ day: from.day, start: source.start, entry: target.entry })
+	}
+
+	return { sectionData: next, moved }
+}
@@ -0,0 +1,156 @@
+/**
+ * Period Links
+ *
+ * Periods can reference the course and room records managed on the Courses
+ * and Rooms pages:
+ * { courseId, roomId, course, subject, instructor, room }
+ *
+ * The display fields (course code, subject, instructor, room name) are copied
+ * from the linked records so clash detection and older periods keep working.
+ * When a course or room is renamed the copies are refreshed here. The batch
+ * sessions of a period (see lib/batchSessions) are linked and refreshed the
+ * same way, one session at a time.
+ */
+
+import { isLabCourse, buildLabLabel } from './timetableGenerator'
+import { getSessions, buildBatchEntry } from './batchSessions'
+import { getSpan } from './periodBlocks'
+
+/**
+ * Course label shown on a card: the code, plus the lab batch for labs, e.g. 'PCC CS-592 (LAB 3&4)'
+ * @param {Object} course - Course record
+ * @param {Object|null} room - Room record
+ * @returns {string}
+ */
+export function getPeriodLabel(course, room) {
+	return isLabCourse(course) && room ? buildLabLabel(course.code, room) : course.code
+}
+
+/**
+ * Build a period entry from a course and an optional room
+ * @param {Object} course - Course record
+ * @param {Object|null} room - Room record
+ * @param {Object} [extra] - Other fields to keep, e.g. { span: 3 }
+ * @returns {Object} - Period entry
+ */
+export function linkPeriod(course, room, extra = {}) {
+	const entry = {
+		...extra,
+		courseId: course.id,
+		course: getPeriodLabel(course, room),
+		subject: course.name || '',
+		instructor: course.instructor || ''
+	}
+	if (room) {
+		entry.roomId = room.id
+		entry.room = room.name
+	} else {
+		delete entry.roomId
+		delete entry.room
+	}
+	return entry
+}
+
+/**
+ * Apply a function to every period, returning the original object when nothing changed
+ * @param {Object} timetables - timetables[section][day][slotId]
+ * @param {function} update - Receives an entry and returns it or a replacement
+ * @returns {Object}
+ */
+function mapPeriods(timetables, update) {
+	let changed = false
+	const next = {}
+	Object.entries(timetables || {}).forEach(([section, sectionData]) => {
+		next[section] = {}
+		Object.entries(sectionData || {}).forEach(([day, dayData]) => {
+			next[section][day] = {}
+			Object.entries(dayData || {}).forEach(([time, entry]) => {
+				const updated = entry ? update(entry) : entry
+				if (updated !== entry) changed = true
+				next[section][day][time] = updated
+			})
+		})
+	})
+	return changed ? next : timetables
+}
+
+/**
+ * Check whether a refreshed entry differs from the stored one
+ */
+function hasChanged(entry, updated) {
+	return ['course', 'subject', 'instructor', 'room'].some(field => (entry[field] || '') !== (updated[field] || ''))
+}
+
+/**
+ * Refresh a period, or each session of a period split into batches
+ * @param {Object} entry - Period entry
+ * @param {function} refresh - Receives a period or session and returns it or a replacement
+ * @returns {Object} - The entry, or a replacement when something changed
+ */
+function refreshParts(entry, refresh) {
+	const sessions = getSessions(entry)
+	if (!sessions) return refresh(entry)
+	const updated = sessions.map(refresh)
+	if (updated.every((session, index) => session === sessions[index])) return entry
+	return { ...entry, ...buildBatchEntry(updated, { span: getSpan(entry), rotate: entry.rotate }) }
+}
+
+/**
+ * Refresh every linked period from the current course and room records
+ * @param {Object} timetables - timetables[section][day][slotId]
+ * @param {Array<Object>} courses - Course records
+ * @param {Array<Object>} rooms - Room records
+ * @returns {Object} - Updated timetables (the same object when nothing changed)
+ */
+export function syncLinkedPeriods(timetables, courses, rooms) {
+	const coursesById = new Map((courses || []).map(course => [course.id, course]))
+	const roomsById = new Map((rooms || []).map(room => [room.id, room]))
+
+	return mapPeriods(timetables, period => refreshParts(period, entry => {
+		if (!entry.courseId && !entry.roomId) return entry
+		const course = coursesById.get(entry.courseId)
+		const room = entry.roomId ? roomsById.get(entry.roomId) : null
+
+		let updated = { ...entry }
+		if (course) {
+			updated = linkPeriod(course, room || (entry.room ? { id: entry.roomId, name: entry.room } : null), entry)
+		} else if (room) {
+			updated.room = room.name
+		}
+		return hasChanged(entry, updated) ? updated : entry
+	}))
+}
+
+/**
+ * Refresh the periods that use a course after it is edited
+ * @param {Object} timetables - timetables[section][day][slotId]
+ * @param {Object} course - Updated course record
+ * @returns {Object} - Updated timetables (the same object when nothing changed)
+ */
+export function applyCourseUpdate(timetables, course) {
+	return mapPeriods(timetables, period => refreshParts(period, entry => {
+		if (entry.courseId !== course.id) return entry
+		const room = entry.roomId || entry.room ? { id: entry.roomId, name: entry.room } : null
+		const updated = linkPeriod(course, room, entry)
+		return hasChanged(entry, updated) ? updated : entry
+	}))
+}
+
+/**
+ * Refresh the periods that use a room after it is edited
+ * @param {Object} timetables - timetables[section][day][slotId]
+ * @param {Object} room - Updated room record
+ * @returns {Object} - Updated timetables (the same object when nothing changed)
+ */
+export function applyRoomUpdate(timetables, room) {
+	return mapPeriods(timetables, period => refreshParts(period, entry => {
+		if (entry.roomId !== room.id) return entry
+		const updated = { ...entry, room: room.name }
+		// Lab labels include the lab batch taken from the room name
+		if (/\(LAB[^)]*\)/i.test(entry.course || '')) {
+			const code = entry.course.replace(/\s*\(LAB[^)]*\)\s*$/i, '')
+			updated.course = buildLabLabel(code, room)
+		}
+		return hasChanged(entry, updated) ? updated : entry
+	}))
+}
@@ -0,0 +1,79 @@
+/**
+ * Print Layout
+ *
+ * Data for the printable timetable, shared by the browser print view and the
+ * generated PDF. Each section prints on one landscape page: days as rows,
+ * bell schedule slots as columns, multi-period blocks as merged cells, and a
+ * legend of the courses that appear in the grid. Periods split into batches
+ * print one line per batch session.
+ */
+
+import { getSpan, getBlockSlots } from './periodBlocks'
+import { getSessions, getPeriodParts, describeSession } from './batchSessions'
+import { WEEK_DAYS } from './workingDays'
+
+export const PAPER_SIZES = {
+	a4: { label: 'A4', css: 'A4 landscape', pdf: 'a4' },
+	letter: { label: 'Letter', css: 'letter landscape', pdf: 'letter' }
+}
+
+/**
+ * Rows of the printed grid with blocks merged into one cell
+ * @param {Object} sectionData - timetables[section][day][slotId]
+ * @param {Array<Object>} schedule - Bell schedule
+ * @param {Array<string>} days - Days to print
+ * @returns {Array<Object>} - [{ day, cells: [{ type: 'period' | 'empty' | 'break', slotId, colSpan, entry, label }] }]
+ */
+export function buildPrintRows(sectionData, schedule, days) {
+	return WEEK_DAYS.filter(day => days.includes(day)).map(day => {
+		const dayData = sectionData?.[day] || {}
+		const cells = []
+		for (let index = 0; index < schedule.length; index++) {
+			const slot = schedule[index]
+			if (slot.type === 'break') {
+				cells.push({ type: 'break', slotId: slot.id, colSpan: 1, label: slot.name })
+				continue
+			}
+			const entry = dayData[slot.id]
+			if (!entry) {
+				cells.push({ type: 'empty', slotId: slot.id, colSpan: 1 })
+				continue
+			}
+			const colSpan = getBlockSlots(schedule, slot.id, getSpan(entry)).length
+			cells.push({ type: 'period', slotId: slot.id, colSpan, entry })
+			// Skip the slots the block covers
+			index += colSpan - 1
+		}
+		return { day, cells }
+	})
+}
+
+/**
+ * Legend of the courses in a grid, one line per course code
+ * @param {Object} sectionData - timetables[section][day][slotId]
+ * @param {Array<string>} days - Days being printed
+ * @returns {Array<Object>} - [{ course, subject, instructors }] sorted by course
+ */
+export function buildLegend(sectionData, days) {
+	const byCourse = new Map()
+	days.forEach(day => {
+		Object.values(sectionData?.[day] || {}).flatMap(getPeriodParts).forEach(entry => {
+			if (!entry.course) return
+			const item = byCourse.get(entry.course) || { course: entry.course, subject: entry.subject || '', instructors: [] }
+			if (entry.instructor && !item.instructors.includes(entry.instructor)) item.instructors.push(entry.instructor)
+			byCourse.set(entry.course, item)
+		})
+	})
+	return [...byCourse.values()].sort((a, b) => a.course.localeCompare(b.course))
+}
+
+/**
+ * Text shown in a printed period cell
+ * @param {Object} entry - Period entry
+ * @returns {string}
+ */
+export function describePrintCell(entry) {
+	const sessions = getSessions(entry)
+	if (sessions) return sessions.map(describeSession).join('\n')
+	return [entry.course || entry.subject, entry.instructor, entry.room].filter(Boolean).join('\n')
+}
@@ -0,0 +1,160 @@
+/**
+ * Room Occupancy
+ *
+ * Works out when each room is in use from the timetable periods instead of
+ * the free-text schedule stored on the room. A period is placed in:
+ * - the room record it is linked to (roomId), or
+ * - the room typed on the period, or
+ * - the computer lab named by its lab batch, e.g. 'PCC CS-592 (LAB 3&4)' -> 'Computer Lab 3&4', or
+ * - its section's home room
+ * Each parallel batch session of a period is placed on its own (see lib/batchSessions).
+ *
+ * Occupancy is keyed by room name in upper case:
+ * occupancy[ROOM] = { grid: grid[day][slotId] = [{ section, batch, start, entry, span }], periods, doubleBookings: [{ day, slotId, sections }] }
+ * where batch is null for a whole-section period and entry is the session for a batch.
+ */
+
+import { getLabBatch } from './clashDetection'
+import { getSpan, getBlockSlots } from './periodBlocks'
+import { getSessions, getPeriodParts } from './batchSessions'
+import { WEEK_DAYS } from './workingDays'
+
+/**
+ * Occupancy key for a room name
+ * @param {string} name - Room name
+ * @returns {string}
+ */
+export function getRoomKey(name) {
+	return (name || '').trim().toUpperCase()
+}
+
+/**
+ * Number part of a computer lab name, e.g. 'Computer Lab 3&4' -> '3&4'
+ * @param {string} name - Room name
+ * @returns {string|null}
+ */
+function getLabSuffix(name) {
+	const match = /^computer\s+lab\s*(.*)$/i.exec((name || '').trim())
+	return match ? match[1].trim().toUpperCase() : null
+}
+
+/**
+ * Room a period takes place in
+ * @param {Object} entry - Period entry
+ * @param {string} section - Section the period belongs to
+ * @param {Array<Object>} rooms - Room records
+ * @param {Object} sectionRooms - Map of section name to home room
+ * @returns {string|null} - Room key, or null when the room cannot be worked out
+ */
+export function resolvePeriodRoom(entry, section, rooms, sectionRooms) {
+	const linked = entry.roomId && rooms.find(room => room.id === entry.roomId)
+	if (linked) return getRoomKey(linked.name)
+	if (entry.room) return getRoomKey(entry.room)
+
+	const batch = getLabBatch(entry.course)
+	if (batch) {
+		const suffix = batch.replace(/^LAB\s*/, '')
+		const lab = rooms.find(room => getLabSuffix(room.name) === suffix)
+		return getRoomKey(lab ? lab.name : `Computer Lab ${suffix}`)
+	}
+
+	return sectionRooms[section] ? getRoomKey(sectionRooms[section]) : null
+}
+
+/**
+ * Build every room's week from all sections' periods
+ * @param {Object} timetables - timetables[section][day][slotId]
+ * @param {Array<Object>} schedule - Bell schedule
+ * @param {Array<string>} workingDays - Days classes are held
+ * @param {Object} options
+ * @param {Array<Object>} options.rooms - Room records
+ * @param {Object} options.sectionRooms - Map of section name to home room
+ * @returns {Object} - Occupancy keyed by room (see module comment)
+ */
+export function buildRoomOccupancy(timetables, schedule, workingDays, { rooms = [], sectionRooms = {} } = {}) {
+	const days = WEEK_DAYS.filter(day => workingDays.includes(day))
+	const breaks = new Set(schedule.filter(slot => slot.type === 'break').map(slot => slot.id))
+	const occupancy = {}
+
+	Object.entries(timetables || {}).forEach(([section, sectionData]) => {
+		days.forEach(day => {
+			Object.entries(sectionData?.[day] || {}).forEach(([start, entry]) => {
+				// Breaks (e.g. the lunch placeholder) never occupy a room
+				if (!entry || breaks.has(start) || !(entry.course || entry.subject)) return
+				const slots = getBlockSlots(schedule, start, getSpan(entry))
+				if (slots.length === 0) return
+				const batched = !!getSessions(entry)
+
+				getPeriodParts(entry).forEach(part => {
+					const key = resolvePeriodRoom(part, section, rooms, sectionRooms)
+					if (!key) return
+					if (!occupancy[key]) occupancy[key] = { grid: Object.fromEntries(days.map(name => [name, {}])), periods: 0, doubleBookings: [] }
+					const room = occupancy[key]
+					const booking = { section, batch: batched ? part.batch : null, start, entry: part, span: slots.length }
+					slots.forEach(slotId => {
+						room.grid[day][slotId] = [...(room.grid[day][slotId] || []), booking]
+					})
+					room.periods += slots.length
+				})
+			})
+		})
+	})
+
+	Object.values(occupancy).forEach(room => {
+		days.forEach(day => {
+			schedule.forEach(slot => {
+				const bookings = room.grid[day][slot.id]
+				if (bookings && bookings.length > 1) {
+					room.doubleBookings.push({ day, slotId: slot.id, sections: bookings.map(booking => booking.section) })
+				}
+			})
+		})
+	})
+
+	return occupancy
+}
+
+/**
+ * Occupancy of one room, empty when no period uses it
+ * @param {Object} occupancy - Result of buildRoomOccupancy
+ * @param {string} name - Room name
+ * @returns {Object}
+ */
+export function getRoomOccupancy(occupancy, name) {
+	return occupancy[getRoomKey(name)] || { grid: {}, periods: 0, doubleBookings: [] }
+}
+
+/**
+ * One line per booking for a compact weekly summary, with blocks collapsed
+ * to their first slot
+ * @param {Object} roomOccupancy - Occupancy of one room
+ * @param {Array<Object>} schedule - Bell schedule
+ * @param {Array<string>} days - Days to list
+ * @returns {Array<Object>} - [{ day, start, end, section, batch, course, isDoubleBooked }]
+ */
+export function summarizeRoomOccupancy(roomOccupancy, schedule, days) {
+	const lines = []
+	WEEK_DAYS.filter(day => days.includes(day)).forEach(day => {
+		schedule.forEach(slot => {
+			const bookings = roomOccupancy.grid[day]?.[slot.id] || []
+			bookings
+				.filter(booking => booking.start === slot.id)
+				.forEach(booking => {
+					const slots = getBlockSlots(schedule, booking.start, booking.span)
+					const last = schedule.find(candidate => candidate.id === slots[slots.length - 1]) || slot
+					// A block is double booked if any of its slots is shared
+					const isDoubleBooked = slots.some(slotId => (roomOccupancy.grid[day][slotId] || []).length > 1)
+					lines.push({
+						day,
+						start: slot.start,
+						end: last.end,
+						section: booking.section,
+						batch: booking.batch,
+						course: booking.entry.course || booking.entry.subject,
+						isDoubleBooked
+					})
+				})
+		})
+	})
+	return lines
+}
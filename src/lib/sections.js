@@ -0,0 +1,63 @@
+/**
+ * Sections
+ *
+ * Helpers for the sections entity. Until a user saves their own sections the
+ * app falls back to DEFAULT_SECTIONS, the three 5th semester CSE sections.
+ */
+
+export const DEFAULT_SECTIONS = [
+	{ name: 'CSE A', home_room: 'LH-124', strength: 65, program: 'B.Tech CSE', semester: '5th Semester', archived: false },
+	{ name: 'CSE B', home_room: 'LH-136', strength: 65, program: 'B.Tech CSE', semester: '5th Semester', archived: false },
+	{ name: 'CSE C', home_room: 'LH-132', strength: 65, program: 'B.Tech CSE', semester: '5th Semester', archived: false }
+]
+
+/**
+ * Use the stored sections, or the defaults when the user has none yet
+ * @param {Array<Object>} records - Sections loaded from sectionsService
+ * @returns {Array<Object>}
+ */
+export function withDefaultSections(records) {
+	return records && records.length > 0 ? records : DEFAULT_SECTIONS
+}
+
+/**
+ * Names of the sections that are not archived
+ * @param {Array<Object>} sections - Section records
+ * @returns {Array<string>}
+ */
+export function getActiveSectionNames(sections) {
+	return sections.filter(section => !section.archived).map(section => section.name)
+}
+
+/**
+ * Find a section by name
+ * @param {Array<Object>} sections - Section records
+ * @param {string} name - Section name
+ * @returns {Object|null}
+ */
+export function findSection(sections, name) {
+	return sections.find(section => section.name === name) || null
+}
+
+/**
+ * Map of section name to home room, e.g. { 'CSE A': 'LH-124' }
+ * @param {Array<Object>} sections - Section records
+ * @returns {Object}
+ */
+export function getSectionRoomMap(sections) {
+	return Object.fromEntries(sections.filter(section => section.home_room).map(section => [section.name, section.home_room]))
+}
+
+/**
+ * Move a section's grid to its new name, as rename_section does on the server
+ * Grids without the old name (e.g. already moved by a live update) are returned unchanged
+ * @param {Object} timetables - Grids keyed by section name
+ * @param {string} oldName - Current section name
+ * @param {string} newName - New section name
+ * @returns {Object}
+ */
+export function renameSectionGrid(timetables, oldName, newName) {
+	if (!timetables || !(oldName in timetables)) return timetables
+	const { [oldName]: grid, ...rest } = timetables
+	return { ...rest, [newName]: grid }
+}
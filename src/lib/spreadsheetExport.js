@@ -0,0 +1,152 @@
+/**
+ * Spreadsheet Export
+ *
+ * Builds sheets (arrays of rows) from timetables, courses and rooms, and
+ * downloads them as CSV or XLSX files.
+ *
+ * The timetable grid layout writes cells as 'COURSE / INSTRUCTOR', so an
+ * exported grid can be brought back in with the spreadsheet import wizard.
+ * The list layout has one row per batch session of a period split into batches.
+ */
+
+import writeExcelFile from 'write-excel-file/browser'
+import { getSpan, getBlockSlots, findBlockAt } from './periodBlocks'
+import { getPeriodParts } from './batchSessions'
+import { WEEK_DAYS } from './workingDays'
+import { downloadFile, toFileName } from './download'
+
+/**
+ * Quote a CSV cell when it contains a comma, quote or line break (RFC 4180).
+ * Text starting with =, +, -, @ or a tab would be run as a formula by spreadsheet
+ * apps (e.g. an instructor '+AS(CS)'), so it is prefixed with an apostrophe.
+ */
+function escapeCsvCell(value) {
+	let text = value === null || value === undefined ? '' : String(value)
+	if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) text = `'${text}`
+	return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+/**
+ * Convert rows to CSV text
+ * @param {Array<Array<*>>} rows - Sheet rows
+ * @returns {string}
+ */
+export function toCsv(rows) {
+	return rows.map(row => row.map(escapeCsvCell).join(',')).join('\r\n') + '\r\n'
+}
+
+/**
+ * Timetable as a grid: one row per day, one column per bell schedule slot.
+ * A block's text is repeated in every slot it covers.
+ * @param {Object} sectionData - timetables[section][day][slotId]
+ * @param {Array<Object>} schedule - Bell schedule
+ * @param {Array<string>} days - Days to include
+ * @returns {Array<Array<string>>}
+ */
+export function buildTimetableGridRows(sectionData, schedule, days) {
+	const header = ['Day', ...schedule.map(slot => `${slot.name} (${slot.start}-${slot.end})`)]
+	const rows = WEEK_DAYS.filter(day => days.includes(day)).map(day => [
+		day,
+		...schedule.map(slot => {
+			if (slot.type === 'break') return slot.name
+			const entry = findBlockAt(sectionData?.[day], schedule, slot.id)?.entry
+			if (!entry) return ''
+			return [entry.course || entry.subject, entry.instructor].filter(Boolean).join(' / ')
+		})
+	])
+	return [header, ...rows]
+}
+
+/**
+ * Timetable as a flat list: one row per period (or block)
+ * @param {string} section - Section name
+ * @param {Object} sectionData - timetables[section][day][slotId]
+ * @param {Array<Object>} schedule - Bell schedule
+ * @param {Array<string>} days - Days to include
+ * @returns {Array<Array<*>>}
+ */
+export function buildTimetableListRows(section, sectionData, schedule, days) {
+	const rows = [['Section', 'Day', 'Start', 'End', 'Periods', 'Batch', 'Course', 'Subject', 'Instructor', 'Room']]
+	WEEK_DAYS.filter(day => days.includes(day)).forEach(day => {
+		schedule.forEach(slot => {
+			const entry = sectionData?.[day]?.[slot.id]
+			if (slot.type === 'break' || !entry) return
+			const slots = getBlockSlots(schedule, slot.id, getSpan(entry))
+			const last = schedule.find(candidate => candidate.id === slots[slots.length - 1]) || slot
+			getPeriodParts(entry).forEach(part => {
+				rows.push([section, day, slot.start, last.end, slots.length, part.batch || '', part.course || '', part.subject || '', part.instructor || '', part.room || ''])
+			})
+		})
+	})
+	return rows
+}
+
+/**
+ * Courses as rows
+ * @param {Array<Object>} courses - Course records
+ * @returns {Array<Array<*>>}
+ */
+export function buildCourseRows(courses) {
+	return [
+		['Code', 'Name', 'Department', 'Instructor', 'Credits', 'Duration', 'Students', 'Semester'],
+		...courses.map(course => [
+			course.code || '',
+			course.name || '',
+			course.department || '',
+			course.instructor || '',
+			course.credits ?? '',
+			course.duration || '',
+			course.students ?? '',
+			course.semester || ''
+		])
+	]
+}
+
+/**
+ * Rooms as rows
+ * @param {Array<Object>} rooms - Room records
+ * @returns {Array<Array<*>>}
+ */
+export function buildRoomRows(rooms) {
+	return [
+		['Name', 'Type', 'Capacity', 'Status', 'Subjects', 'Instructors', 'Schedule'],
+		...rooms.map(room => [
+			room.name || '',
+			room.type || '',
+			room.capacity ?? '',
+			room.status || '',
+			(room.subjects || []).join('; '),
+			room.instructors || '',
+			room.schedule || ''
+		])
+	]
+}
+
+/**
+ * Download one sheet as a CSV file
+ * @param {string} name - File name without the extension
+ * @param {Array<Array<*>>} rows - Sheet rows
+ */
+export function downloadCsv(name, rows) {
+	// The byte order mark makes Excel read the file as UTF-8
+	downloadFile(`${toFileName(name)}.csv`, `\uFEFF${toCsv(rows)}`, 'text/csv;charset=utf-8')
+}
+
+/**
+ * Download sheets as one XLSX workbook
+ * @param {string} name - File name without the extension
+ * @param {Array<Object>} sheets - Sheets as { name, rows }
+ * @returns {Promise<void>}
+ */
+export async function downloadXlsx(name, sheets) {
+	const blob = await writeExcelFile(sheets.map(sheet => ({
+		// Excel sheet names are limited to 31 characters and cannot contain some symbols
+		sheet: sheet.name.replace(/[\\/?*[\]:]/g, '-').slice(0, 31),
+		data: sheet.rows.map(row => row.map(value => (value === '' ? null : value))),
+		stickyRowsCount: 1,
+		columns: sheet.rows[0].map((_, index) => ({
+			width: Math.min(40, Math.max(10, ...sheet.rows.map(row => String(row[index] ?? '').length + 2)))
+		}))
+	}))).toBlob()
+	downloadFile(`${toFileName(name)}.xlsx`, blob)
+}
@@ -0,0 +1,255 @@
+/**
+ * Spreadsheet Import
+ *
+ * Reads a timetable grid from a CSV or XLSX file laid out the way the
+ * timetable office builds it: one row per day, one column per period, and
+ * cells such as 'PCC CS-501 / J(CS)'.
+ *
+ * Columns are mapped to bell schedule slots and cell text is split into
+ * period fields with a pattern such as '{course} / {instructor}'.
+ */
+
+import { readSheet } from 'read-excel-file/browser'
+import { migrateLabCopies } from './periodBlocks'
+import { WEEK_DAYS } from './workingDays'
+
+export const DEFAULT_CELL_PATTERN = '{course} / {instructor}'
+
+export const PATTERN_FIELDS = ['course', 'subject', 'instructor', 'room']
+
+/**
+ * Split CSV text into rows of cells (RFC 4180 quoting)
+ * @param {string} text - CSV file contents
+ * @returns {Array<Array<string>>}
+ */
+export function parseCsv(text) {
+	const rows = []
+	let row = []
+	let cell = ''
+	let inQuotes = false
+	const input = String(text || '').replace(/^\uFEFF/, '')
+
+	for (let i = 0; i < input.length; i++) {
+		const char = input[i]
+		if (inQuotes) {
+			if (char === '"' && input[i + 1] === '"') {
+				cell += '"'
+				i++
+			} else if (char === '"') {
+				inQuotes = false
+			} else {
+				cell += char
+			}
+		} else if (char === '"') {
+			inQuotes = true
+		} else if (char === ',') {
+			row.push(cell)
+			cell = ''
+		} else if (char === '\n' || char === '\r') {
+			if (char === '\r' && input[i + 1] === '\n') i++
+			row.push(cell)
+			rows.push(row)
+			row = []
+			cell = ''
+		} else {
+			cell += char
+		}
+	}
+	if (cell || row.length > 0) {
+		row.push(cell)
+		rows.push(row)
+	}
+	return rows
+}
+
+/**
+ * Convert a spreadsheet cell value to text. Excel stores times of day as
+ * fractions of a day, which are shown as 'HH:MM'. The apostrophe CSV exports
+ * put before formula-like text (see spreadsheetExport) is removed.
+ */
+function cellToText(value) {
+	if (value === null || value === undefined) return ''
+	if (value instanceof Date) return value.toISOString().slice(11, 16)
+	if (typeof value === 'number' && value > 0 && value < 1) {
+		const minutes = Math.round(value * 24 * 60)
+		return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`
+	}
+	return String(value).trim().replace(/^'(?=[=+\-@])/, '')
+}
+
+/**
+ * Read the first sheet of a CSV or XLSX file as rows of text
+ * @param {File} file - Uploaded file
+ * @returns {Promise<Array<Array<string>>>}
+ */
+export async function readSpreadsheetFile(file) {
+	const rows = /\.csv$/i.test(file.name) || file.type === 'text/csv'
+		? parseCsv(await file.text())
+		: await readSheet(file)
+	const width = Math.max(0, ...rows.map(row => row.length))
+	// Pad short rows and drop rows with no text at all
+	return rows
+		.map(row => Array.from({ length: width }, (_, index) => cellToText(row[index])))
+		.filter(row => row.some(Boolean))
+}
+
+/**
+ * Read a day name such as 'Monday', 'MON' or 'mon.'
+ * @param {string} text - Cell text
+ * @returns {string|null} - Full day name or null
+ */
+export function parseDayName(text) {
+	const value = String(text || '').trim().toLowerCase().replace(/\.$/, '')
+	if (value.length < 3) return null
+	return WEEK_DAYS.find(day => day.toLowerCase().startsWith(value) || value.startsWith(day.toLowerCase())) || null
+}
+
+/**
+ * Guess which column holds the day names and which slot each other column is
+ * @param {Array<string>} headers - First row of the sheet
+ * @param {Array<Array<string>>} rows - Data rows
+ * @param {Array<Object>} schedule - Bell schedule
+ * @returns {Object} - { dayColumn, columnSlots } where columnSlots[i] is a slot id or ''
+ */
+export function guessColumnMapping(headers, rows, schedule) {
+	const dayColumn = Math.max(0, headers.findIndex((_, index) => rows.some(row => parseDayName(row[index]))))
+	const normalize = (text) => String(text || '').toLowerCase().replace(/\s+/g, '').replace(/^0/, '')
+	const used = new Set()
+
+	const columnSlots = headers.map((header, index) => {
+		if (index === dayColumn) return ''
+		const text = normalize(header)
+		const slot = schedule.find(candidate => (
+			!used.has(candidate.id) && text && (
+				text === normalize(candidate.name) ||
+				text === normalize(candidate.id) ||
+				// Headings written by the spreadsheet export, e.g. 'Period 1 (09:30-10:20)'
+				text.startsWith(`${normalize(candidate.name)}(`) ||
+				text.startsWith(normalize(candidate.start))
+			)
+		))
+		if (!slot) return ''
+		used.add(slot.id)
+		return slot.id
+	})
+	return { dayColumn, columnSlots }
+}
+
+/**
+ * Turn a cell pattern such as '{course} / {instructor}' into a regular expression
+ * @param {string} pattern - Literal text with {course}, {subject}, {instructor} and {room} placeholders
+ * @returns {Object} - { regex, fields, separator } or { error }
+ */
+export function compileCellPattern(pattern) {
+	const parts = String(pattern || '').split(/\{(\w+)\}/)
+	const fields = []
+	let source = '^\\s*'
+
+	for (let i = 0; i < parts.length; i++) {
+		if (i % 2 === 0) {
+			// Literal text; any run of whitespace also matches line breaks inside a cell
+			const words = parts[i].split(/\s+/).filter(Boolean).map(word => word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+			if (words.length > 0) source += `\\s*${words.join('\\s+')}\\s*`
+			else if (parts[i]) source += '\\s+'
+			continue
+		}
+		const field = parts[i].toLowerCase()
+		if (!PATTERN_FIELDS.includes(field)) return { error: `Unknown placeholder {${parts[i]}}` }
+		if (fields.includes(field)) return { error: `{${field}} is used more than once` }
+		fields.push(field)
+		source += '(.+?)'
+	}
+	if (!fields.includes('course') && !fields.includes('subject')) {
+		return { error: 'The pattern needs a {course} or {subject} placeholder' }
+	}
+	// Text between the first two placeholders, e.g. '/' in '{course} / {instructor}'
+	const separator = (parts[2] || '').trim()
+	return { regex: new RegExp(`${source}\\s*$`, 's'), fields, separator }
+}
+
+/**
+ * Split one cell into period fields
+ * @param {string} text - Cell text
+ * @param {Object} compiled - Result of compileCellPattern
+ * @returns {Object|null} - Period entry, null for an empty cell, or { error }
+ */
+export function parseCellText(text, compiled) {
+	if (!text.trim()) return null
+	const match = compiled.regex.exec(text)
+	const entry = { course: '', subject: '', instructor: '' }
+	if (match) {
+		compiled.fields.forEach((field, index) => {
+			entry[field] = match[index + 1].trim()
+		})
+	} else if (compiled.separator && !text.includes(compiled.separator)) {
+		// A cell with only the first part, e.g. 'LIB' for '{course} / {instructor}'
+		entry[compiled.fields[0]] = text.trim()
+	} else {
+		return { error: `"${text}" does not match the pattern` }
+	}
+	if (!entry.room) delete entry.room
+	return entry
+}
+
+/**
+ * Build one section's grid from spreadsheet rows
+ * @param {Array<Array<string>>} rows - Data rows (without the heading row)
+ * @param {Object} options
+ * @param {number} options.dayColumn - Column holding the day names
+ * @param {Array<string>} options.columnSlots - Slot id for each column ('' to ignore it)
+ * @param {string} options.pattern - Cell pattern
+ * @param {Array<Object>} options.schedule - Bell schedule
+ * @param {Array<string>} options.workingDays - Days classes are held
+ * @param {Array<Object>} [options.courses] - Course records, used to fill in a missing subject
+ * @returns {Object} - { sectionData, periods, errors: [{ row, message }] }
+ */
+export function buildSectionFromRows(rows, { dayColumn, columnSlots, pattern, schedule, workingDays, courses = [] }) {
+	const compiled = compileCellPattern(pattern)
+	if (compiled.error) return { sectionData: {}, periods: 0, errors: [{ row: null, message: compiled.error }] }
+	if (!columnSlots.some(Boolean)) {
+		return { sectionData: {}, periods: 0, errors: [{ row: null, message: 'Map at least one column to a period' }] }
+	}
+
+	const breakIds = new Set(schedule.filter(slot => slot.type === 'break').map(slot => slot.id))
+	const coursesByCode = new Map(courses.map(course => [(course.code || '').toLowerCase(), course]))
+	const sectionData = {}
+	const errors = []
+	let periods = 0
+
+	rows.forEach((row, rowIndex) => {
+		// Row numbers as shown in the spreadsheet, counting the heading row
+		const rowNumber = rowIndex + 2
+		const day = parseDayName(row[dayColumn])
+		if (!day) {
+			errors.push({ row: rowNumber, message: `"${row[dayColumn]}" is not a day name` })
+			return
+		}
+		if (!workingDays.includes(day)) {
+			errors.push({ row: rowNumber, message: `${day} is not a working day` })
+			return
+		}
+		if (sectionData[day]) {
+			errors.push({ row: rowNumber, message: `${day} appears more than once` })
+			return
+		}
+
+		sectionData[day] = {}
+		columnSlots.forEach((slotId, column) => {
+			// Break columns (e.g. 'LUNCH') are not imported
+			if (!slotId || breakIds.has(slotId)) return
+			const entry = parseCellText(row[column] || '', compiled)
+			if (!entry) return
+			if (entry.error) {
+				errors.push({ row: rowNumber, message: `${day}, column ${column + 1}: ${entry.error}` })
+				return
+			}
+			if (!entry.subject) entry.subject = coursesByCode.get(entry.course.toLowerCase())?.name || ''
+			sectionData[day][slotId] = entry
+			periods++
+		})
+	})
+
+	// A lab typed into each of its cells becomes one block; repeated lectures stay separate periods
+	const merged = migrateLabCopies({ imported: sectionData }, schedule).imported
+	return { sectionData: merged, periods, errors }
+}
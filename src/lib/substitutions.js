@@ -0,0 +1,152 @@
+/**
+ * Substitutions
+ *
+ * Cover for absent instructors. An absence marks an instructor away for a
+ * date range (instructorAbsencesService); each period they would have taught
+ * in that range can be covered by a substitute, stored as a 'substitute'
+ * exception for that date and slot (see timetableExceptions).
+ *
+ * Everything here works on the effective schedule of each date, so cancelled
+ * periods and holidays need no cover and extra classes do.
+ */
+
+import { getEffectiveDay, addDays } from './timetableExceptions'
+import { listInstructors } from './instructorSchedule'
+import { parseInstructors } from './timetableGenerator'
+import { getSpan, getBlockSlots, findBlockAt } from './periodBlocks'
+
+// Longest absence whose periods are listed, to keep the lookup bounded
+export const MAX_ABSENCE_DAYS = 92
+
+/**
+ * Check whether an absence covers a date
+ * @param {Object} absence - { instructor, start_date, end_date }
+ * @param {string} date - Date key
+ * @returns {boolean}
+ */
+export function isAbsentOn(absence, date) {
+	return absence.start_date <= date && date <= absence.end_date
+}
+
+/**
+ * Validate the dates of a new absence
+ * @param {string} startDate - First day away, 'YYYY-MM-DD'
+ * @param {string} endDate - Last day away, 'YYYY-MM-DD'
+ * @returns {string|null} - Error message or null when valid
+ */
+export function validateAbsenceDates(startDate, endDate) {
+	if (!startDate || !endDate) return 'Please choose the first and last day of the absence.'
+	if (endDate < startDate) return 'The last day must be on or after the first day.'
+	if (endDate > addDays(startDate, MAX_ABSENCE_DAYS - 1)) return `An absence can be at most ${MAX_ABSENCE_DAYS} days long.`
+	return null
+}
+
+/**
+ * Effective schedule of every section on a date
+ * @returns {Array<Object>} - [{ section, periods }]
+ */
+function getEffectiveSections(timetables, schedule, workingDays, exceptions, date) {
+	return Object.entries(timetables || {}).map(([section, sectionData]) => ({
+		section,
+		periods: getEffectiveDay({ sectionData, section, schedule, workingDays, date, exceptions }).periods
+	}))
+}
+
+/**
+ * Periods an absent instructor would have taught, with any cover already arranged
+ * @param {Object} options
+ * @param {Object} options.timetables - timetables[section][day][slotId]
+ * @param {Array<Object>} options.schedule - Bell schedule
+ * @param {Array<string>} options.workingDays - Days classes are held
+ * @param {Array<Object>} options.exceptions - Exception records
+ * @param {Object} options.absence - { instructor, start_date, end_date }
+ * @returns {Array<Object>} - [{ date, section, slotId, span, entry, substitution }] in date and slot order;
+ *   entry is the effective period and substitution the cover exception, or null when uncovered
+ */
+export function findAffectedPeriods({ timetables, schedule, workingDays, exceptions, absence }) {
+	const affected = []
+	const code = absence.instructor
+	for (let date = absence.start_date, count = 0; date <= absence.end_date && count < MAX_ABSENCE_DAYS; date = addDays(date, 1), count++) {
+		const sections = getEffectiveSections(timetables, schedule, workingDays, exceptions, date)
+		schedule.forEach(slot => {
+			sections.forEach(({ section, periods }) => {
+				const entry = periods[slot.id]
+				if (!entry) return
+				const substitution = (entry.substitutions || []).find(item => item.absent_instructor === code) || null
+				if (!substitution && !parseInstructors(entry.instructor).includes(code)) return
+				affected.push({ date, section, slotId: slot.id, span: getBlockSlots(schedule, slot.id, getSpan(entry)).length, entry, substitution })
+			})
+		})
+	}
+	return affected
+}
+
+/**
+ * Instructors free to cover a period, least busy that day first
+ * @param {Object} options
+ * @param {Object} options.timetables - timetables[section][day][slotId]
+ * @param {Array<Object>} options.schedule - Bell schedule
+ * @param {Array<string>} options.workingDays - Days classes are held
+ * @param {Array<Object>} options.exceptions - Exception records
+ * @param {Array<Object>} options.absences - Absence records
+ * @param {string} options.date - Date key
+ * @param {string} options.slotId - First slot of the period
+ * @param {number} options.span - Number of slots the period covers
+ * @returns {Array<Object>} - [{ code, periods }] where periods is the instructor's load that day
+ */
+export function suggestSubstitutes({ timetables, schedule, workingDays, exceptions, absences, date, slotId, span }) {
+	const slots = getBlockSlots(schedule, slotId, span)
+	const sections = getEffectiveSections(timetables, schedule, workingDays, exceptions, date)
+	const busy = new Set()
+	const load = new Map()
+
+	sections.forEach(({ periods }) => {
+		// Teaching load that day
+		Object.entries(periods).forEach(([start, entry]) => {
+			const length = getBlockSlots(schedule, start, getSpan(entry)).length
+			parseInstructors(entry.instructor).forEach(code => load.set(code, (load.get(code) || 0) + length))
+		})
+		// Anyone teaching during the period is busy
+		slots.forEach(time => {
+			const block = findBlockAt(periods, schedule, time)
+			if (block) parseInstructors(block.entry.instructor).forEach(code => busy.add(code))
+		})
+	})
+	absences.filter(absence => isAbsentOn(absence, date)).forEach(absence => busy.add(absence.instructor))
+
+	return listInstructors(timetables)
+		.filter(code => !busy.has(code))
+		.map(code => ({ code, periods: load.get(code) || 0 }))
+		.sort((a, b) => a.periods - b.periods || a.code.localeCompare(b.code))
+}
+
+/**
+ * Rows of the cover sheet for one date: every period of an absent instructor,
+ * covered or not, in slot order
+ * @param {Object} options
+ * @param {Object} options.timetables - timetables[section][day][slotId]
+ * @param {Array<Object>} options.schedule - Bell schedule
+ * @param {Array<string>} options.workingDays - Days classes are held
+ * @param {Array<Object>} options.exceptions - Exception records
+ * @param {Array<Object>} options.absences - Absence records
+ * @param {string} options.date - Date key
+ * @returns {Array<Object>} - [{ slot, section, entry, absent, substitute, note }]
+ */
+export function buildCoverSheet({ timetables, schedule, workingDays, exceptions, absences, date }) {
+	const slotIndex = (id) => schedule.findIndex(slot => slot.id === id)
+	const rows = []
+	absences.filter(absence => isAbsentOn(absence, date)).forEach(absence => {
+		const oneDay = { ...absence, start_date: date, end_date: date }
+		findAffectedPeriods({ timetables, schedule, workingDays, exceptions, absence: oneDay }).forEach(item => {
+			rows.push({
+				slot: schedule[slotIndex(item.slotId)],
+				section: item.section,
+				entry: item.entry,
+				absent: absence.instructor,
+				substitute: item.substitution?.substitute || null,
+				note: item.substitution?.note || absence.reason || ''
+			})
+		})
+	})
+	return rows.sort((a, b) => slotIndex(a.slot.id) - slotIndex(b.slot.id) || a.section.localeCompare(b.section))
+}
@@ -0,0 +1,168 @@
+/**
+ * Terms
+ *
+ * An academic term runs from start_date to end_date and may contain breaks
+ * (vacations, exam weeks) during which no classes are held. Term records come
+ * from termsService:
+ * { id, name, start_date: 'YYYY-MM-DD', end_date: 'YYYY-MM-DD', breaks: [{ name, start_date, end_date }] }
+ *
+ * A teaching week is a week (Sunday to Saturday, as in the dated views) with
+ * at least one working day inside the term and outside every break.
+ */
+
+import { addDays, parseDateKey, toDateKey } from './timetableExceptions'
+import { WEEK_DAYS, DEFAULT_WORKING_DAYS } from './workingDays'
+
+// Term name shown before the user has added any terms
+export const DEFAULT_TERM_NAME = 'Fall 2025'
+
+// Longest term accepted, to keep the week counts bounded
+export const MAX_TERM_DAYS = 366
+
+/**
+ * Validate a term before it is saved
+ * @param {Object} term - { name, start_date, end_date, breaks }
+ * @param {Array<Object>} terms - Saved terms, to check the name is unique
+ * @returns {string|null} - Error message or null when valid
+ */
+export function validateTerm(term, terms = []) {
+	const name = term.name?.trim()
+	if (!name) return 'Please enter a name for the term.'
+	if (terms.some(other => other.id !== term.id && other.name.toLowerCase() === name.toLowerCase())) {
+		return 'A term with that name already exists.'
+	}
+	if (!term.start_date || !term.end_date) return 'Please choose the first and last day of the term.'
+	if (term.end_date < term.start_date) return 'The term cannot end before it starts.'
+	if (term.end_date > addDays(term.start_date, MAX_TERM_DAYS - 1)) return `A term can be at most ${MAX_TERM_DAYS} days long.`
+	for (const item of term.breaks || []) {
+		const label = item.name?.trim() || 'A break'
+		if (!item.start_date || !item.end_date) return `${label} needs a first and last day.`
+		if (item.end_date < item.start_date) return `${label} cannot end before it starts.`
+		if (item.start_date < term.start_date || item.end_date > term.end_date) return `${label} must fall within the term.`
+	}
+	return null
+}
+
+/**
+ * Find the term containing a date
+ * @param {Array<Object>} terms - Term records
+ * @param {string} date - Date key
+ * @returns {Object|null}
+ */
+export function getTermOn(terms, date) {
+	return (terms || []).find(term => term.start_date <= date && date <= term.end_date) || null
+}
+
+/**
+ * The term to show as current: the one running today, else the next one to
+ * start, else the one that ended most recently
+ * @param {Array<Object>} terms - Term records
+ * @param {string} [today] - Date key, defaults to today
+ * @returns {Object|null}
+ */
+export function getActiveTerm(terms, today = toDateKey(new Date())) {
+	if (!terms || terms.length === 0) return null
+	const current = getTermOn(terms, today)
+	if (current) return current
+	const upcoming = terms.filter(term => term.start_date > today).sort((a, b) => a.start_date.localeCompare(b.start_date))
+	if (upcoming.length > 0) return upcoming[0]
+	return [...terms].sort((a, b) => b.end_date.localeCompare(a.end_date))[0]
+}
+
+/**
+ * Find the break a date falls in
+ * @param {Object} term - Term record
+ * @param {string} date - Date key
+ * @returns {Object|null} - The break, or null
+ */
+export function getBreakOn(term, date) {
+	return (term?.breaks || []).find(item => item.start_date <= date && date <= item.end_date) || null
+}
+
+/**
+ * Check whether classes can be held on a date: inside the term and outside its breaks
+ * @param {Object} term - Term record
+ * @param {string} date - Date key
+ * @returns {boolean}
+ */
+export function isTeachingDate(term, date) {
+	return !!term && term.start_date <= date && date <= term.end_date && !getBreakOn(term, date)
+}
+
+/**
+ * Every date of the term that falls in a break, in date order
+ * @param {Object} term - Term record
+ * @returns {Array<string>} - Date keys
+ */
+export function getBreakDates(term) {
+	const dates = new Set()
+	;(term?.breaks || []).forEach(item => {
+		const start = item.start_date > term.start_date ? item.start_date : term.start_date
+		const end = item.end_date < term.end_date ? item.end_date : term.end_date
+		for (let date = start, count = 0; date <= end && count < MAX_TERM_DAYS; date = addDays(date, 1), count++) {
+			dates.add(date)
+		}
+	})
+	return [...dates].sort()
+}
+
+/**
+ * The teaching weeks of a term
+ * @param {Object} term - Term record
+ * @param {Array<string>} [workingDays] - Days classes are held
+ * @returns {Array<string>} - Date key of the Sunday starting each teaching week
+ */
+export function getTeachingWeeks(term, workingDays = DEFAULT_WORKING_DAYS) {
+	if (!term) return []
+	const weeks = []
+	let weekStart = addDays(term.start_date, -parseDateKey(term.start_date).getDay())
+	for (let count = 0; weekStart <= term.end_date && count * 7 < MAX_TERM_DAYS + 7; weekStart = addDays(weekStart, 7), count++) {
+		const start = weekStart
+		const teaches = WEEK_DAYS.some((day, index) => workingDays.includes(day) && isTeachingDate(term, addDays(start, index)))
+		if (teaches) weeks.push(start)
+	}
+	return weeks
+}
+
+/**
+ * How far through its teaching weeks a term is
+ * @param {Object} term - Term record
+ * @param {Array<string>} [workingDays] - Days classes are held
+ * @param {string} [today] - Date key, defaults to today
+ * @returns {Object} - { total, remaining, current } where remaining includes the current week
+ *   and current is the 1-based number of this week, or null outside a teaching week
+ */
+export function getTermProgress(term, workingDays = DEFAULT_WORKING_DAYS, today = toDateKey(new Date())) {
+	const weeks = getTeachingWeeks(term, workingDays)
+	const remaining = weeks.filter(start => addDays(start, 6) >= today).length
+	const index = weeks.findIndex(start => start <= today && today <= addDays(start, 6))
+	return { total: weeks.length, remaining, current: index === -1 ? null : index + 1 }
+}
+
+/**
+ * Week number of a date for weekly batch rotations (see lib/batchSessions):
+ * the 0-based teaching week within its term, or the number of weeks since
+ * 1970 for dates outside the terms and in break weeks
+ * @param {Array<Object>} terms - Term records
+ * @param {string} date - Date key
+ * @param {Array<string>} [workingDays] - Days classes are held
+ * @returns {number}
+ */
+export function getRotationWeek(terms, date, workingDays = DEFAULT_WORKING_DAYS) {
+	const weekStart = addDays(date, -parseDateKey(date).getDay())
+	const index = getTeachingWeeks(getTermOn(terms, date), workingDays).indexOf(weekStart)
+	if (index !== -1) return index
+	// 4 January 1970 was the first Sunday after the epoch
+	const days = Math.round((parseDateKey(weekStart) - parseDateKey('1970-01-04')) / (24 * 60 * 60 * 1000))
+	return Math.floor(days / 7)
+}
+
+/**
+ * Short label for a term's dates, e.g. '4 Aug 2025 – 20 Dec 2025'
+ * @param {Object} term - Term record
+ * @returns {string}
+ */
+export function formatTermDates(term) {
+	const format = (key) => parseDateKey(key).toLocaleDateString(undefined, { day: 'numeric', month: 'short', year: 'numeric' })
+	return `${format(term.start_date)} – ${format(term.end_date)}`
+}
@@ -0,0 +1,88 @@
+/**
+ * Timetable Diff
+ *
+ * Compares two timetable documents cell by cell. A change has the shape:
+ * { type: 'added' | 'removed' | 'changed', section, day, time, before, after }
+ *
+ * Multi-period blocks are compared at their first slot, so a lab whose span
+ * changes is reported once as a changed period.
+ */
+
+import { getSpan } from './periodBlocks'
+import { WEEK_DAYS } from './workingDays'
+
+const COMPARED_FIELDS = ['course', 'subject', 'instructor', 'room']
+
+/**
+ * Check whether two period entries are the same
+ * @param {Object|null} a - Period entry
+ * @param {Object|null} b - Period entry
+ * @returns {boolean}
+ */
+function isSamePeriod(a, b) {
+	if (!a || !b) return !a && !b
+	return getSpan(a) === getSpan(b) && COMPARED_FIELDS.every(field => (a[field] || '') === (b[field] || '')) &&
+		!!a.rotate === !!b.rotate &&
+		JSON.stringify(a.sessions || null) === JSON.stringify(b.sessions || null)
+}
+
+/**
+ * Compare two timetable documents
+ * @param {Object} before - timetables[section][day][slotId]
+ * @param {Object} after - timetables[section][day][slotId]
+ * @param {Array<Object>} schedule - Bell schedule, used to order and skip break slots
+ * @returns {Array<Object>} - Changes ordered by section, day and slot
+ */
+export function diffTimetables(before, after, schedule) {
+	const breakIds = new Set(schedule.filter(slot => slot.type === 'break').map(slot => slot.id))
+	const slotOrder = (time) => {
+		const index = schedule.findIndex(slot => slot.id === time)
+		return index === -1 ? schedule.length : index
+	}
+
+	const changes = []
+	const sections = new Set([...Object.keys(before || {}), ...Object.keys(after || {})])
+	sections.forEach(section => {
+		const days = new Set([...Object.keys(before?.[section] || {}), ...Object.keys(after?.[section] || {})])
+		days.forEach(day => {
+			const beforeDay = before?.[section]?.[day] || {}
+			const afterDay = after?.[section]?.[day] || {}
+			const times = new Set([...Object.keys(beforeDay), ...Object.keys(afterDay)])
+			times.forEach(time => {
+				if (breakIds.has(time)) return
+				const oldEntry = beforeDay[time] || null
+				const newEntry = afterDay[time] || null
+				if (isSamePeriod(oldEntry, newEntry)) return
+				const type = !oldEntry ? 'added' : !newEntry ? 'removed' : 'changed'
+				changes.push({ type, section, day, time, before: oldEntry, after: newEntry })
+			})
+		})
+	})
+
+	return changes.sort((a, b) => (
+		a.section.localeCompare(b.section) ||
+		WEEK_DAYS.indexOf(a.day) - WEEK_DAYS.indexOf(b.day) ||
+		slotOrder(a.time) - slotOrder(b.time)
+	))
+}
+
+/**
+ * Short description of a period for diff listings, e.g. 'PCC CS-501 (J(CS), LH-124)'
+ * @param {Object|null} entry - Period entry
+ * @returns {string}
+ */
+export function describePeriod(entry) {
+	if (!entry) return 'No Class'
+	const details = [entry.instructor, entry.room].filter(Boolean).join(', ')
+	const span = getSpan(entry) > 1 ? ` × ${getSpan(entry)} periods` : ''
+	return `${entry.course || entry.subject || 'Period'}${details ? ` (${details})` : ''}${span}`
+}
+
+/**
+ * Count changes by type
+ * @param {Array<Object>} changes - Result of diffTimetables
+ * @returns {Object} - { added, removed, changed }
+ */
+export function summarizeDiff(changes) {
+	return changes.reduce((summary, change) => ({ ...summary, [change.type]: summary[change.type] + 1 }), { added: 0, removed: 0, changed: 0 })
+}
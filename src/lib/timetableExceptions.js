@@ -0,0 +1,225 @@
+/**
+ * Timetable Exceptions
+ *
+ * The timetable is a weekly template. Exceptions change it for one date:
+ * - cancel: a period does not take place on the date
+ * - reschedule: a period moves from the date and slot to target_date and target_slot_id
+ * - extra: a one-off period, on any day including the weekend
+ * - holiday: no weekly periods take place (for one section, or every section when section is empty)
+ * - substitute: substitute covers absent_instructor for the period at slot_id on the date
+ *
+ * Exception records come from timetableExceptionsService:
+ * { id, kind, section, date: 'YYYY-MM-DD', slot_id, entry, target_date, target_slot_id, absent_instructor, substitute, note }
+ *
+ * Cancel and reschedule keep a copy of the period in entry so the change still
+ * reads correctly if the weekly grid is edited later.
+ */
+
+import { getSpan, validateBlockPlacement } from './periodBlocks'
+import { parseInstructors } from './timetableGenerator'
+import { getSessions } from './batchSessions'
+import { WEEK_DAYS } from './workingDays'
+
+export const EXCEPTION_LABELS = {
+	cancel: 'Cancelled',
+	reschedule: 'Rescheduled',
+	extra: 'Extra class',
+	holiday: 'Holiday',
+	substitute: 'Cover'
+}
+
+/**
+ * Local calendar date as 'YYYY-MM-DD'
+ * @param {Date} date - Date to convert
+ * @returns {string}
+ */
+export function toDateKey(date) {
+	return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`
+}
+
+/**
+ * Parse a 'YYYY-MM-DD' key as local midnight
+ * @param {string} key - Date key
+ * @returns {Date}
+ */
+export function parseDateKey(key) {
+	const [year, month, day] = key.split('-').map(Number)
+	return new Date(year, month - 1, day)
+}
+
+/**
+ * Add days to a date key
+ * @param {string} key - Date key
+ * @param {number} days - Days to add (may be negative)
+ * @returns {string}
+ */
+export function addDays(key, days) {
+	const date = parseDateKey(key)
+	date.setDate(date.getDate() + days)
+	return toDateKey(date)
+}
+
+/**
+ * Short label for a date key, e.g. 'Thu 14 Nov'
+ * @param {string} key - Date key
+ * @returns {string}
+ */
+export function formatDateKey(key) {
+	return parseDateKey(key).toLocaleDateString(undefined, { weekday: 'short', day: 'numeric', month: 'short' })
+}
+
+/**
+ * Dates of the week containing a date, in WEEK_DAYS order (Sunday first)
+ * @param {string} key - Any date key in the week
+ * @returns {Array<Object>} - [{ day, date }]
+ */
+export function getWeekDates(key) {
+	const start = addDays(key, -parseDateKey(key).getDay())
+	return WEEK_DAYS.map((day, index) => ({ day, date: addDays(start, index) }))
+}
+
+/**
+ * Check whether an exception applies to a section
+ * @param {Object} exception - Exception record
+ * @param {string} section - Section name
+ * @returns {boolean}
+ */
+export function appliesToSection(exception, section) {
+	return !exception.section || exception.section === section
+}
+
+/**
+ * Swap one instructor code for another in an instructor field,
+ * e.g. ('RKM(CS)+AS(CS)', 'AS(CS)', 'SP(CS)') -> 'RKM(CS)+SP(CS)'
+ * @param {string} instructor - Instructor field of a period
+ * @param {string} absent - Code being replaced
+ * @param {string} substitute - Code replacing it
+ * @returns {string}
+ */
+export function replaceInstructor(instructor, absent, substitute) {
+	return parseInstructors(instructor).map(code => (code === absent ? substitute : code)).join('+')
+}
+
+/**
+ * The schedule of one section on one date: the weekly periods for its day
+ * with that date's exceptions applied
+ * @param {Object} options
+ * @param {Object} options.sectionData - timetables[section][day][slotId]
+ * @param {string} options.section - Section name
+ * @param {Array<Object>} options.schedule - Bell schedule
+ * @param {Array<string>} options.workingDays - Days classes are held
+ * @param {string} options.date - Date key
+ * @param {Array<Object>} options.exceptions - Exception records
+ * @returns {Object} - { date, day, holiday, periods: periods[slotId], cancelled: [{ slotId, entry, exception }] }
+ *   Periods added by an exception carry it as entry.exception; covered periods list their
+ *   substitute exceptions in entry.substitutions.
+ */
+export function getEffectiveDay({ sectionData, section, schedule, workingDays, date, exceptions }) {
+	const day = WEEK_DAYS[parseDateKey(date).getDay()]
+	const relevant = (exceptions || []).filter(exception => appliesToSection(exception, section))
+	const holiday = relevant.find(exception => exception.kind === 'holiday' && exception.date === date) || null
+	const breaks = new Set(schedule.filter(slot => slot.type === 'break').map(slot => slot.id))
+	const periods = {}
+	const cancelled = []
+
+	// Weekly periods, unless cancelled, moved away or on a holiday
+	if (workingDays.includes(day)) {
+		Object.entries(sectionData?.[day] || {}).forEach(([slotId, entry]) => {
+			if (!entry || breaks.has(slotId)) return
+			const removal = holiday || relevant.find(exception => (
+				(exception.kind === 'cancel' || exception.kind === 'reschedule') &&
+				exception.date === date &&
+				exception.slot_id === slotId
+			))
+			if (removal) cancelled.push({ slotId, entry, exception: removal })
+			else periods[slotId] = entry
+		})
+	}
+
+	// One-off periods and periods moved to this date are added even on a holiday
+	relevant.forEach(exception => {
+		if (!exception.entry) return
+		if (exception.kind === 'extra' && exception.date === date) {
+			periods[exception.slot_id] = { ...exception.entry, exception }
+		}
+		if (exception.kind === 'reschedule' && exception.target_date === date) {
+			periods[exception.target_slot_id] = { ...exception.entry, exception }
+		}
+	})
+
+	// Cover instructors replace the absent one on whatever period takes place in the slot
+	relevant.forEach(exception => {
+		if (exception.kind !== 'substitute' || exception.date !== date) return
+		const entry = periods[exception.slot_id]
+		if (!entry || !parseInstructors(entry.instructor).includes(exception.absent_instructor)) return
+		const covered = {
+			...entry,
+			instructor: replaceInstructor(entry.instructor, exception.absent_instructor, exception.substitute),
+			substitutions: [...(entry.substitutions || []), exception]
+		}
+		// Batch sessions carry their own instructors
+		const sessions = getSessions(entry)
+		if (sessions) {
+			covered.sessions = sessions.map(session => ({
+				...session,
+				instructor: replaceInstructor(session.instructor, exception.absent_instructor, exception.substitute)
+			}))
+		}
+		periods[exception.slot_id] = covered
+	})
+
+	return { date, day, holiday, periods, cancelled }
+}
+
+/**
+ * A period from getEffectiveDay without the exception annotations, for storing in a new exception
+ * @param {Object} entry - Effective period
+ * @returns {Object}
+ */
+export function toStoredEntry(entry) {
+	const stored = { ...entry }
+	delete stored.exception
+	delete stored.substitutions
+	return stored
+}
+
+/**
+ * Check that a period can be placed at a slot on a date
+ * @param {Object} effectiveDay - Result of getEffectiveDay for the target date
+ * @param {Array<Object>} schedule - Bell schedule
+ * @param {string} slotId - Slot id of the first period
+ * @param {Object} entry - Period entry being placed
+ * @returns {string|null} - Error message or null when the period fits
+ */
+export function validateExceptionSlot(effectiveDay, schedule, slotId, entry) {
+	if (effectiveDay.periods[slotId]) {
+		return `${effectiveDay.periods[slotId].course || 'Another period'} already takes place then`
+	}
+	return validateBlockPlacement(effectiveDay.periods, schedule, slotId, getSpan(entry))
+}
+
+/**
+ * One-line description of an exception, e.g. 'PCC CS-501 moved to Sat 16 Nov'
+ * @param {Object} exception - Exception record
+ * @param {Array<Object>} schedule - Bell schedule
+ * @returns {string}
+ */
+export function describeException(exception, schedule) {
+	const slotName = (id) => schedule.find(slot => slot.id === id)?.name || id
+	const course = exception.entry?.course || exception.entry?.subject || 'Period'
+	const note = exception.note ? ` – ${exception.note}` : ''
+	switch (exception.kind) {
+		case 'holiday':
+			return `Holiday for ${exception.section || 'all sections'}${note}`
+		case 'cancel':
+			return `${course} (${slotName(exception.slot_id)}) cancelled${note}`
+		case 'reschedule':
+			return `${course} (${slotName(exception.slot_id)}) moved to ${formatDateKey(exception.target_date)}, ${slotName(exception.target_slot_id)}${note}`
+		case 'extra':
+			return `Extra ${course} (${slotName(exception.slot_id)})${note}`
+		case 'substitute':
+			return `${exception.substitute} covers ${exception.absent_instructor} for ${course} (${slotName(exception.slot_id)})${note}`
+		default:
+			return exception.kind
+	}
+}
@@ -0,0 +1,223 @@
+/**
+ * Timetable Generator
+ *
+ * Builds a clash-free weekly grid for every section from the course and room
+ * records managed on the Courses and Rooms pages. Each section gets only the
+ * courses taught to it (see getSectionCourses).
+ *
+ * Constraints honoured by the generator:
+ * - A section never has two periods in the same slot
+ * - An instructor is never in two places at the same time
+ * - A room is never double-booked
+ * - Lab courses are placed as multi-period blocks in rooms of type "Computer Lab"
+ */
+
+import { LUNCH_SLOT } from './bellSchedule'
+
+const LAB_ROOM_TYPE = 'Computer Lab'
+const LECTURE_ROOM_TYPE = 'Lecture Hall'
+
+/**
+ * Split a composite instructor string like 'RKM(CS)+AS(CS)' into codes
+ * @param {string} instructor - Instructor field from a course or period
+ * @returns {Array<string>} - Normalised instructor codes
+ */
+export function parseInstructors(instructor) {
+	if (!instructor) return []
+	return instructor
+		.split(/[+,&]/)
+		.map(code => code.trim().toUpperCase())
+		.filter(Boolean)
+}
+
+/**
+ * Decide whether a course record describes a lab
+ * @param {Object} course - Course record from coursesService
+ * @returns {boolean}
+ */
+export function isLabCourse(course) {
+	const text = `${course.name || ''} ${course.department || ''}`.toLowerCase()
+	return /\blab\b/.test(text)
+}
+
+/**
+ * Build the course label shown on a lab card, e.g. 'PCC CS-592 (LAB 3&4)'
+ * @param {string} code - Course code
+ * @param {Object} room - Lab room record
+ * @returns {string}
+ */
+export function buildLabLabel(code, room) {
+	const suffix = (room?.name || '').replace(/^computer\s+lab\s*/i, '').trim()
+	return suffix ? `${code} (LAB ${suffix})` : `${code} (LAB)`
+}
+
+/**
+ * The courses taught to a section: those listing it in their sections, and
+ * those with no sections listed, which are taught to every section
+ * @param {Array<Object>} courses - Course records from coursesService
+ * @param {string} section - Section name
+ * @returns {Array<Object>}
+ */
+export function getSectionCourses(courses, section) {
+	return (courses || []).filter(course => !course.sections?.length || course.sections.includes(section))
+}
+
+/**
+ * Create an empty occupancy tracker keyed by day and time slot
+ * @returns {Object} - { isBusy, mark }
+ */
+function createOccupancy() {
+	const busy = new Map()
+	const key = (day, time, id) => `${day}|${time}|${id}`
+	return {
+		isBusy: (day, time, id) => busy.has(key(day, time, id)),
+		mark: (day, time, id) => busy.set(key(day, time, id), true)
+	}
+}
+
+/**
+ * Generate weekly timetables for a list of sections
+ *
+ * @param {Object} options
+ * @param {Array<string>} options.sections - Section names, e.g. ['CSE A', 'CSE B']
+ * @param {Array<Object>} options.courses - Course records (code, name, credits, instructor, students, sections);
+ *   a course is only placed in the sections it lists, or in every section when it lists none
+ * @param {Array<Object>} options.rooms - Room records (name, capacity, type, status)
+ * @param {Array<string>} options.days - Teaching days in display order
+ * @param {Array<string>} options.timeSlots - Slot keys in bell schedule order, including breaks
+ * @param {Array<string>} [options.breakSlots] - Slot keys that are breaks and never hold a period
+ * @param {Object} [options.sectionRooms] - Map of section name to home lecture hall name
+ * @param {number} [options.labBlockLength] - Consecutive slots used by one lab session
+ * @returns {Object} - { timetables, unplaced } where timetables[section][day][time] is a period or null;
+ *   a lab block is stored in its first slot with a span and the slots it covers are null
+ */
+export function generateTimetables({
+	sections,
+	courses,
+	rooms,
+	days,
+	timeSlots,
+	breakSlots = [LUNCH_SLOT],
+	sectionRooms = {},
+	labBlockLength = 3
+}) {
+	const instructorBusy = createOccupancy()
+	const roomBusy = createOccupancy()
+	const sectionBusy = createOccupancy()
+	const usableRooms = (rooms || []).filter(room => room.status !== 'Maintenance')
+	const labRooms = usableRooms.filter(room => room.type === LAB_ROOM_TYPE)
+	const lectureRooms = usableRooms.filter(room => room.type === LECTURE_ROOM_TYPE)
+	const teachingSlots = timeSlots.filter(time => !breakSlots.includes(time))
+
+	const timetables = {}
+	const unplaced = []
+
+	// Labs are the hardest to fit, so place them before theory periods
+	const orderedCourses = [...(courses || [])].sort((a, b) => Number(isLabCourse(b)) - Number(isLabCourse(a)))
+
+	sections.forEach((section, sectionIndex) => {
+		const grid = {}
+		days.forEach(day => {
+			grid[day] = {}
+			timeSlots.forEach(time => {
+				grid[day][time] = null
+			})
+		})
+
+		// Rotate the day order per section so sections do not all start on the same day
+		const rotatedDays = days.map((_, i) => days[(i + sectionIndex) % days.length])
+		const homeRoomName = sectionRooms[section]
+
+		const instructorsFree = (codes, day, time) => codes.every(code => !instructorBusy.isBusy(day, time, code))
+		const book = (day, time, entry, codes, roomName) => {
+			grid[day][time] = entry
+			sectionBusy.mark(day, time, section)
+			codes.forEach(code => instructorBusy.mark(day, time, code))
+			if (roomName) roomBusy.mark(day, time, roomName)
+		}
+
+		getSectionCourses(orderedCourses, section).forEach(course => {
+			const codes = parseInstructors(course.instructor)
+			const students = Number(course.students) || 0
+
+			if (isLabCourse(course)) {
+				const candidates = labRooms.filter(room => !room.capacity || room.capacity >= students)
+				let placed = false
+
+				for (const day of rotatedDays) {
+					// Prefer later slots so labs fill the afternoon like the existing timetables
+					for (let start = timeSlots.length - labBlockLength; start >= 0 && !placed; start--) {
+						const block = timeSlots.slice(start, start + labBlockLength)
+						if (block.some(time => breakSlots.includes(time))) continue
+						if (block.some(time => sectionBusy.isBusy(day, time, section) || !instructorsFree(codes, day, time))) continue
+
+						const room = candidates.find(r => block.every(time => !roomBusy.isBusy(day, time, r.name)))
+						if (!room) continue
+
+						const entry = { courseId: course.id, course: buildLabLabel(course.code, room), subject: course.name, instructor: course.instructor || '', roomId: room.id, room: room.name, span: labBlockLength }
+						block.forEach((time, i) => book(day, time, i === 0 ? entry : null, codes, room.name))
+						placed = true
+					}
+					if (placed) break
+				}
+
+				if (!placed) {
+					unplaced.push({
+						section,
+						course: course.code,
+						reason: candidates.length === 0 ? 'No Computer Lab room is large enough' : 'No free consecutive block for instructors and lab rooms'
+					})
+				}
+				return
+			}
+
+			const periodsNeeded = Math.max(Number(course.credits) || 0, 1)
+			const perDayCount = {}
+
+			for (let n = 0; n < periodsNeeded; n++) {
+				// Spread a course across the week: try days where it has been taught least
+				const dayOrder = [...rotatedDays].sort((a, b) => (perDayCount[a] || 0) - (perDayCount[b] || 0))
+				let placed = false
+
+				for (const day of dayOrder) {
+					for (const time of teachingSlots) {
+						if (sectionBusy.isBusy(day, time, section) || !instructorsFree(codes, day, time)) continue
+
+						let roomName = ''
+						let roomId
+						if (homeRoomName && !roomBusy.isBusy(day, time, homeRoomName)) {
+							roomName = homeRoomName
+							roomId = usableRooms.find(r => r.name === homeRoomName)?.id
+						} else {
+							const room = lectureRooms.find(r => (!r.capacity || r.capacity >= students) && !roomBusy.isBusy(day, time, r.name))
+							if (!room && lectureRooms.length > 0) continue
+							roomName = room?.name || ''
+							roomId = room?.id
+						}
+
+						const entry = { courseId: course.id, course: course.code, subject: course.name, instructor: course.instructor || '', room: roomName }
+						if (roomId) entry.roomId = roomId
+						book(day, time, entry, codes, roomName)
+						perDayCount[day] = (perDayCount[day] || 0) + 1
+						placed = true
+						break
+					}
+					if (placed) break
+				}
+
+				if (!placed) {
+					unplaced.push({
+						section,
+						course: course.code,
+						reason: `Only ${n} of ${periodsNeeded} weekly periods could be placed without a clash`
+					})
+					break
+				}
+			}
+		})
+
+		timetables[section] = grid
+	})
+
+	return { timetables, unplaced }
+}
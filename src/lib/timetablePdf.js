@@ -0,0 +1,76 @@
+/**
+ * Timetable PDF
+ *
+ * Generates a landscape PDF with one page per section from the print layout.
+ * jsPDF is loaded on demand so it is not part of the main bundle.
+ */
+
+import { buildPrintRows, buildLegend, describePrintCell, PAPER_SIZES } from './printLayout'
+
+/**
+ * Build and download the PDF
+ * @param {Object} options
+ * @param {Array<Object>} options.pages - Sections to print as { section, homeRoom, sectionData }
+ * @param {Array<Object>} options.schedule - Bell schedule
+ * @param {Array<string>} options.days - Days to print
+ * @param {string} options.term - Term shown in each page header, e.g. 'Fall 2025'
+ * @param {string} options.paper - Key of PAPER_SIZES
+ * @param {string} options.fileName - File name without the extension
+ * @returns {Promise<void>}
+ */
+export async function downloadTimetablePdf({ pages, schedule, days, term, paper, fileName }) {
+	const [{ jsPDF }, { autoTable }] = await Promise.all([import('jspdf'), import('jspdf-autotable')])
+	const doc = new jsPDF({ orientation: 'landscape', unit: 'mm', format: PAPER_SIZES[paper]?.pdf || 'a4' })
+	const margin = 10
+
+	pages.forEach((page, index) => {
+		if (index > 0) doc.addPage()
+
+		// Page header
+		doc.setFontSize(16)
+		doc.setFont('helvetica', 'bold')
+		doc.text(`${page.section} Timetable`, margin, margin + 6)
+		doc.setFontSize(10)
+		doc.setFont('helvetica', 'normal')
+		doc.text([page.homeRoom && `Home room: ${page.homeRoom}`, term].filter(Boolean).join('   •   '), margin, margin + 12)
+
+		// Grid
+		autoTable(doc, {
+			startY: margin + 16,
+			margin: { left: margin, right: margin },
+			theme: 'grid',
+			styles: { fontSize: 7, cellPadding: 1.5, valign: 'middle', halign: 'center', overflow: 'linebreak' },
+			headStyles: { fillColor: [55, 65, 81], textColor: 255, fontStyle: 'bold' },
+			columnStyles: { 0: { fontStyle: 'bold', halign: 'left', cellWidth: 22 } },
+			head: [['Day', ...schedule.map(slot => `${slot.name}\n${slot.start}-${slot.end}`)]],
+			body: buildPrintRows(page.sectionData, schedule, days).map(row => [
+				row.day,
+				...row.cells.map(cell => {
+					if (cell.type === 'break') return { content: cell.label, styles: { fillColor: [255, 237, 213], fontStyle: 'bold' } }
+					if (cell.type === 'empty') return ''
+					return {
+						content: describePrintCell(cell.entry),
+						colSpan: cell.colSpan,
+						styles: cell.colSpan > 1 ? { fillColor: [220, 252, 231] } : {}
+					}
+				})
+			])
+		})
+
+		// Legend of the courses in the grid
+		const legend = buildLegend(page.sectionData, days)
+		if (legend.length > 0) {
+			autoTable(doc, {
+				startY: doc.lastAutoTable.finalY + 4,
+				margin: { left: margin, right: margin },
+				theme: 'plain',
+				styles: { fontSize: 7, cellPadding: 0.8 },
+				headStyles: { fontStyle: 'bold' },
+				head: [['Course', 'Subject', 'Instructor']],
+				body: legend.map(item => [item.course, item.subject, item.instructors.join(', ')])
+			})
+		}
+	})
+
+	doc.save(`${fileName}.pdf`)
+}
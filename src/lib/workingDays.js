@@ -0,0 +1,75 @@
+/**
+ * Working Days
+ *
+ * The working week is stored per timetable as a list of day names, e.g.
+ * ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday']. Days outside the
+ * list are treated as the weekend in every view and in next-class logic.
+ */
+
+export const WEEK_DAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday']
+
+export const DEFAULT_WORKING_DAYS = ['Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday']
+
+/**
+ * Return a usable list of working days in week order, falling back to the default
+ * @param {Array<string>|null} days - Stored working days
+ * @returns {Array<string>}
+ */
+export function normalizeWorkingDays(days) {
+	if (!Array.isArray(days)) return DEFAULT_WORKING_DAYS
+	const valid = WEEK_DAYS.filter(day => days.includes(day))
+	return valid.length > 0 ? valid : DEFAULT_WORKING_DAYS
+}
+
+/**
+ * Check whether a day is a working day
+ * @param {Array<string>} workingDays - Working days
+ * @param {string} day - Day name
+ * @returns {boolean}
+ */
+export function isWorkingDay(workingDays, day) {
+	return workingDays.includes(day)
+}
+
+/**
+ * Days that are not part of the working week, in week order
+ * @param {Array<string>} workingDays - Working days
+ * @returns {Array<string>}
+ */
+export function getNonWorkingDays(workingDays) {
+	return WEEK_DAYS.filter(day => !workingDays.includes(day))
+}
+
+/**
+ * Get the day name for a date, e.g. 'Tuesday'
+ * @param {Date} [date] - Date to convert (defaults to now)
+ * @returns {string}
+ */
+export function getDayName(date = new Date()) {
+	return WEEK_DAYS[date.getDay()]
+}
+
+/**
+ * List the working days that follow a given day, wrapping around the week
+ * @param {Array<string>} workingDays - Working days
+ * @param {string} day - Day to start after
+ * @returns {Array<string>} - Working days in the order they next occur
+ */
+export function getFollowingWorkingDays(workingDays, day) {
+	const start = WEEK_DAYS.indexOf(day)
+	const following = []
+	for (let offset = 1; offset <= WEEK_DAYS.length; offset++) {
+		const next = WEEK_DAYS[(start + offset) % WEEK_DAYS.length]
+		if (workingDays.includes(next)) following.push(next)
+	}
+	return following
+}
+
+/**
+ * Short label for a list of days, e.g. 'Sun, Mon'
+ * @param {Array<string>} days - Day names
+ * @returns {string}
+ */
+export function formatDayList(days) {
+	return days.map(day => day.slice(0, 3)).join(', ')
+}
@@ -1,26 +1,45 @@
 import { supabase } from '../lib/supabaseClient'
+import { ConflictError } from '../lib/concurrency'
+import { updateCache } from '../lib/offlineStore'
+import { loadWithCache, performMutation, registerMutation } from '../lib/offlineSync'
 
 const TABLE_NAME = 'courses'
 
+// Offline cache of a user's courses (see lib/offlineSync)
+const cacheKey = ownerId => `${TABLE_NAME}:${ownerId}`
+
+/**
+ * Put a saved or queued course into the cached list
+ */
+function cacheCourse(ownerId, course) {
+	return updateCache(cacheKey(ownerId), courses => (
+		courses.some(c => c.id === course.id)
+			? courses.map(c => (c.id === course.id ? { ...c, ...course } : c))
+			: [course, ...courses]
+	))
+}
+
 /**
- * Load all courses for a specific user
+ * Load all courses for a specific user; the cached courses are returned while offline
  * @param {string} ownerId - The user's ID from Clerk
  * @returns {Promise<Array>} - Array of course objects
  */
 export async function loadUserCourses(ownerId) {
 	if (!ownerId) throw new Error('ownerId is required')
-	const { data, error } = await supabase
-		.from(TABLE_NAME)
-		.select('*')
-		.eq('owner_id', ownerId)
-		.order('created_at', { ascending: false })
+	return loadWithCache(cacheKey(ownerId), async () => {
+		const { data, error } = await supabase
+			.from(TABLE_NAME)
+			.select('*')
+			.eq('owner_id', ownerId)
+			.order('created_at', { ascending: false })
 
-	if (error) throw error
-	return data || []
+		if (error) throw error
+		return data || []
+	})
 }
 
 /**
- * Save a new course to the database
+ * Save a new course to the database, or queue it while offline
  * @param {string} ownerId - The user's ID from Clerk
  * @param {Object} courseData - Course data object
  * @returns {Promise<Object>} - The saved course object
@@ -28,6 +47,8 @@ export async function loadUserCourses(ownerId) {
 export async function createCourse(ownerId, courseData) {
 	if (!ownerId) throw new Error('ownerId is required')
 	const record = {
+		// Generated here so a course created offline keeps its id once it is synced
+		id: crypto.randomUUID(),
 		owner_id: ownerId,
 		name: courseData.name || '',
 		code: courseData.code || '',
@@ -37,10 +58,19 @@ export async function createCourse(ownerId, courseData) {
 		duration: courseData.duration || '',
 		students: courseData.students || 0,
 		semester: courseData.semester || '',
+		term_id: courseData.term_id || null,
+		sections: courseData.sections || [],
 		created_at: new Date().toISOString(),
 		updated_at: new Date().toISOString()
 	}
 
+	return performMutation('courses.create', [record], record)
+}
+
+/**
+ * Insert a course record; run by createCourse, or on replay once back online
+ */
+async function insertCourse(record) {
 	console.log('Creating course in Supabase:', { table: TABLE_NAME, record })
 	const { data, error } = await supabase
 		.from(TABLE_NAME)
@@ -62,16 +92,25 @@ export async function createCourse(ownerId, courseData) {
 }
 
 /**
- * Update an existing course
+ * Update an existing course, or queue the update while offline
+ * The write only goes through if the course is still at the version it was loaded at
  * @param {string} ownerId - The user's ID from Clerk
  * @param {string} courseId - The course's ID
- * @param {Object} courseData - Updated course data
+ * @param {Object} courseData - Updated course data, with the updated_at it was loaded with
  * @returns {Promise<Object>} - The updated course object
+ * @throws {ConflictError} - If the course was changed or deleted since it was loaded
  */
 export async function updateCourse(ownerId, courseId, courseData) {
 	if (!ownerId) throw new Error('ownerId is required')
 	if (!courseId) throw new Error('courseId is required')
-	
+
+	return performMutation('courses.update', [ownerId, courseId, courseData], { ...courseData, id: courseId, owner_id: ownerId })
+}
+
+/**
+ * Write a course update unless the course changed since courseData.updated_at
+ */
+async function writeCourseUpdate(ownerId, courseId, courseData) {
 	const record = {
 		name: courseData.name,
 		code: courseData.code,
@@ -81,37 +120,96 @@ export async function updateCourse(ownerId, courseId, courseData) {
 		duration: courseData.duration,
 		students: courseData.students,
 		semester: courseData.semester,
+		term_id: courseData.term_id || null,
+		sections: courseData.sections || [],
 		updated_at: new Date().toISOString()
 	}
 
-	const { data, error } = await supabase
+	let query = supabase
 		.from(TABLE_NAME)
 		.update(record)
 		.eq('id', courseId)
 		.eq('owner_id', ownerId)
-		.select()
-		.single()
+	if (courseData.updated_at) query = query.eq('updated_at', courseData.updated_at)
+	const { data, error } = await query.select().maybeSingle()
 
 	if (error) throw error
+	if (!data) throw await loadConflict(ownerId, courseId)
 	return data
 }
 
 /**
- * Delete a course from the database
+ * Build the error for a rejected stale write, holding the course as it is now
+ * @param {string} ownerId - The user's ID from Clerk
+ * @param {string} courseId - The course's ID
+ * @returns {Promise<ConflictError>}
+ */
+async function loadConflict(ownerId, courseId) {
+	const { data, error } = await supabase
+		.from(TABLE_NAME)
+		.select('*')
+		.eq('id', courseId)
+		.eq('owner_id', ownerId)
+		.maybeSingle()
+
+	if (error) throw error
+	const message = data ? 'The course was changed in another tab or by another editor' : 'The course was deleted in another tab or by another editor'
+	return new ConflictError(message, { table: TABLE_NAME, current: data })
+}
+
+/**
+ * Delete a course from the database, or queue the deletion while offline
+ * The deletion only goes through if the course is still at the version it was loaded at
  * @param {string} ownerId - The user's ID from Clerk
  * @param {string} courseId - The course's ID
+ * @param {string} [updatedAt] - updated_at of the course as it was loaded
  * @returns {Promise<void>}
+ * @throws {ConflictError} - If the course was changed since it was loaded
  */
-export async function deleteCourse(ownerId, courseId) {
+export async function deleteCourse(ownerId, courseId, updatedAt) {
 	if (!ownerId) throw new Error('ownerId is required')
 	if (!courseId) throw new Error('courseId is required')
 
-	const { error } = await supabase
+	await performMutation('courses.delete', [ownerId, courseId, updatedAt])
+}
+
+/**
+ * Delete a course record unless it changed since updatedAt
+ */
+async function removeCourse(ownerId, courseId, updatedAt) {
+	let query = supabase
 		.from(TABLE_NAME)
 		.delete()
 		.eq('id', courseId)
 		.eq('owner_id', ownerId)
+	if (updatedAt) query = query.eq('updated_at', updatedAt)
+	const { data, error } = await query.select().maybeSingle()
 
 	if (error) throw error
+	if (!data) {
+		const conflict = await loadConflict(ownerId, courseId)
+		// Deleted elsewhere already, which is what was asked for
+		if (conflict.current) throw conflict
+	}
 }
 
+// Writes that can be queued offline and replayed in order (see lib/offlineSync)
+registerMutation('courses.create', {
+	run: insertCourse,
+	cache: (course) => cacheCourse(course.owner_id, course),
+	describe: ([record]) => `Add course ${record.code}`
+})
+registerMutation('courses.update', {
+	run: writeCourseUpdate,
+	getBase: ([, , courseData]) => courseData.updated_at,
+	rebase: ([ownerId, courseId, courseData], current) => [ownerId, courseId, { ...courseData, updated_at: current.updated_at }],
+	cache: (course, [ownerId]) => cacheCourse(ownerId, course),
+	describe: ([, , courseData]) => `Update course ${courseData.code}`
+})
+registerMutation('courses.delete', {
+	run: removeCourse,
+	getBase: ([, , updatedAt]) => updatedAt,
+	rebase: ([ownerId, courseId], current) => [ownerId, courseId, current.updated_at],
+	cache: (_, [ownerId, courseId]) => updateCache(cacheKey(ownerId), courses => courses.filter(c => c.id !== courseId)),
+	describe: () => 'Delete course'
+})
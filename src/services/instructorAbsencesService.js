@@ -0,0 +1,68 @@
+import { supabase } from '../lib/supabaseClient'
+
+const TABLE_NAME = 'instructor_absences'
+
+/**
+ * Load all instructor absences for a user
+ * @param {string} ownerId - The user's ID from Clerk
+ * @returns {Promise<Array>} - Absence records ordered by start date
+ */
+export async function loadInstructorAbsences(ownerId) {
+	if (!ownerId) throw new Error('ownerId is required')
+	const { data, error } = await supabase
+		.from(TABLE_NAME)
+		.select('*')
+		.eq('owner_id', ownerId)
+		.order('start_date', { ascending: true })
+
+	if (error) throw error
+	return data || []
+}
+
+/**
+ * Mark an instructor absent for a date range
+ * @param {string} ownerId - The user's ID from Clerk
+ * @param {Object} absence - { instructor, start_date, end_date, reason }
+ * @returns {Promise<Object>} - The saved absence record
+ */
+export async function createInstructorAbsence(ownerId, absence) {
+	if (!ownerId) throw new Error('ownerId is required')
+	if (!absence.instructor?.trim()) throw new Error('Instructor is required')
+	if (!absence.start_date || !absence.end_date) throw new Error('Start and end dates are required')
+	const record = {
+		owner_id: ownerId,
+		instructor: absence.instructor.trim().toUpperCase(),
+		start_date: absence.start_date,
+		end_date: absence.end_date,
+		reason: absence.reason?.trim() || '',
+		created_at: new Date().toISOString()
+	}
+
+	const { data, error } = await supabase
+		.from(TABLE_NAME)
+		.insert(record)
+		.select()
+		.single()
+
+	if (error) throw error
+	return data
+}
+
+/**
+ * Delete an absence
+ * @param {string} ownerId - The user's ID from Clerk
+ * @param {string} absenceId - The absence's ID
+ * @returns {Promise<void>}
+ */
+export async function deleteInstructorAbsence(ownerId, absenceId) {
+	if (!ownerId) throw new Error('ownerId is required')
+	if (!absenceId) throw new Error('absenceId is required')
+
+	const { error } = await supabase
+		.from(TABLE_NAME)
+		.delete()
+		.eq('id', absenceId)
+		.eq('owner_id', ownerId)
+
+	if (error) throw error
+}
@@ -1,26 +1,45 @@
 import { supabase } from '../lib/supabaseClient'
+import { ConflictError } from '../lib/concurrency'
+import { updateCache } from '../lib/offlineStore'
+import { loadWithCache, performMutation, registerMutation } from '../lib/offlineSync'
 
 const TABLE_NAME = 'rooms'
 
+// Offline cache of a user's rooms (see lib/offlineSync)
+const cacheKey = ownerId => `${TABLE_NAME}:${ownerId}`
+
+/**
+ * Put a saved or queued room into the cached list
+ */
+function cacheRoom(ownerId, room) {
+	return updateCache(cacheKey(ownerId), rooms => (
+		rooms.some(r => r.id === room.id)
+			? rooms.map(r => (r.id === room.id ? { ...r, ...room } : r))
+			: [room, ...rooms]
+	))
+}
+
 /**
- * Load all rooms for a specific user
+ * Load all rooms for a specific user; the cached rooms are returned while offline
  * @param {string} ownerId - The user's ID from Clerk
  * @returns {Promise<Array>} - Array of room objects
  */
 export async function loadUserRooms(ownerId) {
 	if (!ownerId) throw new Error('ownerId is required')
-	const { data, error } = await supabase
-		.from(TABLE_NAME)
-		.select('*')
-		.eq('owner_id', ownerId)
-		.order('created_at', { ascending: false })
+	return loadWithCache(cacheKey(ownerId), async () => {
+		const { data, error } = await supabase
+			.from(TABLE_NAME)
+			.select('*')
+			.eq('owner_id', ownerId)
+			.order('created_at', { ascending: false })
 
-	if (error) throw error
-	return data || []
+		if (error) throw error
+		return data || []
+	})
 }
 
 /**
- * Save a new room to the database
+ * Save a new room to the database, or queue it while offline
  * @param {string} ownerId - The user's ID from Clerk
  * @param {Object} roomData - Room data object
  * @returns {Promise<Object>} - The saved room object
@@ -28,6 +47,8 @@ export async function loadUserRooms(ownerId) {
 export async function createRoom(ownerId, roomData) {
 	if (!ownerId) throw new Error('ownerId is required')
 	const record = {
+		// Generated here so a room created offline keeps its id once it is synced
+		id: crypto.randomUUID(),
 		owner_id: ownerId,
 		name: roomData.name,
 		capacity: roomData.capacity || 65,
@@ -40,6 +61,13 @@ export async function createRoom(ownerId, roomData) {
 		updated_at: new Date().toISOString()
 	}
 
+	return performMutation('rooms.create', [record], record)
+}
+
+/**
+ * Insert a room record; run by createRoom, or on replay once back online
+ */
+async function insertRoom(record) {
 	console.log('Creating room in Supabase:', { table: TABLE_NAME, record })
 	const { data, error } = await supabase
 		.from(TABLE_NAME)
@@ -61,16 +89,25 @@ export async function createRoom(ownerId, roomData) {
 }
 
 /**
- * Update an existing room
+ * Update an existing room, or queue the update while offline
+ * The write only goes through if the room is still at the version it was loaded at
  * @param {string} ownerId - The user's ID from Clerk
  * @param {string} roomId - The room's ID
- * @param {Object} roomData - Updated room data
+ * @param {Object} roomData - Updated room data, with the updated_at it was loaded with
  * @returns {Promise<Object>} - The updated room object
+ * @throws {ConflictError} - If the room was changed or deleted since it was loaded
  */
 export async function updateRoom(ownerId, roomId, roomData) {
 	if (!ownerId) throw new Error('ownerId is required')
 	if (!roomId) throw new Error('roomId is required')
-	
+
+	return performMutation('rooms.update', [ownerId, roomId, roomData], { ...roomData, id: roomId, owner_id: ownerId })
+}
+
+/**
+ * Write a room update unless the room changed since roomData.updated_at
+ */
+async function writeRoomUpdate(ownerId, roomId, roomData) {
 	const record = {
 		name: roomData.name,
 		capacity: roomData.capacity,
@@ -82,34 +119,91 @@ export async function updateRoom(ownerId, roomId, roomData) {
 		updated_at: new Date().toISOString()
 	}
 
-	const { data, error } = await supabase
+	let query = supabase
 		.from(TABLE_NAME)
 		.update(record)
 		.eq('id', roomId)
 		.eq('owner_id', ownerId)
-		.select()
-		.single()
+	if (roomData.updated_at) query = query.eq('updated_at', roomData.updated_at)
+	const { data, error } = await query.select().maybeSingle()
 
 	if (error) throw error
+	if (!data) throw await loadConflict(ownerId, roomId)
 	return data
 }
 
 /**
- * Delete a room from the database
+ * Build the error for a rejected stale write, holding the room as it is now
+ * @param {string} ownerId - The user's ID from Clerk
+ * @param {string} roomId - The room's ID
+ * @returns {Promise<ConflictError>}
+ */
+async function loadConflict(ownerId, roomId) {
+	const { data, error } = await supabase
+		.from(TABLE_NAME)
+		.select('*')
+		.eq('id', roomId)
+		.eq('owner_id', ownerId)
+		.maybeSingle()
+
+	if (error) throw error
+	const message = data ? 'The room was changed in another tab or by another editor' : 'The room was deleted in another tab or by another editor'
+	return new ConflictError(message, { table: TABLE_NAME, current: data })
+}
+
+/**
+ * Delete a room from the database, or queue the deletion while offline
+ * The deletion only goes through if the room is still at the version it was loaded at
  * @param {string} ownerId - The user's ID from Clerk
  * @param {string} roomId - The room's ID
+ * @param {string} [updatedAt] - updated_at of the room as it was loaded
  * @returns {Promise<void>}
+ * @throws {ConflictError} - If the room was changed since it was loaded
  */
-export async function deleteRoom(ownerId, roomId) {
+export async function deleteRoom(ownerId, roomId, updatedAt) {
 	if (!ownerId) throw new Error('ownerId is required')
 	if (!roomId) throw new Error('roomId is required')
 
-	const { error } = await supabase
+	await performMutation('rooms.delete', [ownerId, roomId, updatedAt])
+}
+
+/**
+ * Delete a room record unless it changed since updatedAt
+ */
+async function removeRoom(ownerId, roomId, updatedAt) {
+	let query = supabase
 		.from(TABLE_NAME)
 		.delete()
 		.eq('id', roomId)
 		.eq('owner_id', ownerId)
+	if (updatedAt) query = query.eq('updated_at', updatedAt)
+	const { data, error } = await query.select().maybeSingle()
 
 	if (error) throw error
+	if (!data) {
+		const conflict = await loadConflict(ownerId, roomId)
+		// Deleted elsewhere already, which is what was asked for
+		if (conflict.current) throw conflict
+	}
 }
 
+// Writes that can be queued offline and replayed in order (see lib/offlineSync)
+registerMutation('rooms.create', {
+	run: insertRoom,
+	cache: (room) => cacheRoom(room.owner_id, room),
+	describe: ([record]) => `Add room ${record.name}`
+})
+registerMutation('rooms.update', {
+	run: writeRoomUpdate,
+	getBase: ([, , roomData]) => roomData.updated_at,
+	rebase: ([ownerId, roomId, roomData], current) => [ownerId, roomId, { ...roomData, updated_at: current.updated_at }],
+	cache: (room, [ownerId]) => cacheRoom(ownerId, room),
+	describe: ([, , roomData]) => `Update room ${roomData.name}`
+})
+registerMutation('rooms.delete', {
+	run: removeRoom,
+	getBase: ([, , updatedAt]) => updatedAt,
+	rebase: ([ownerId, roomId], current) => [ownerId, roomId, current.updated_at],
+	cache: (_, [ownerId, roomId]) => updateCache(cacheKey(ownerId), rooms => rooms.filter(r => r.id !== roomId)),
+	describe: () => 'Delete room'
+})
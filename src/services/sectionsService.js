@@ -0,0 +1,135 @@
+import { supabase } from '../lib/supabaseClient'
+
+const TABLE_NAME = 'sections'
+
+/**
+ * Load all sections for a specific user, archived ones included
+ * @param {string} ownerId - The user's ID from Clerk
+ * @returns {Promise<Array>} - Array of section objects ordered by name
+ */
+export async function loadUserSections(ownerId) {
+	if (!ownerId) throw new Error('ownerId is required')
+	const { data, error } = await supabase
+		.from(TABLE_NAME)
+		.select('*')
+		.eq('owner_id', ownerId)
+		.order('name', { ascending: true })
+
+	if (error) throw error
+	return data || []
+}
+
+/**
+ * Save a new section to the database
+ * @param {string} ownerId - The user's ID from Clerk
+ * @param {Object} sectionData - Section data object
+ * @returns {Promise<Object>} - The saved section object
+ */
+export async function createSection(ownerId, sectionData) {
+	if (!ownerId) throw new Error('ownerId is required')
+	if (!sectionData.name?.trim()) throw new Error('Section name is required')
+	const record = {
+		owner_id: ownerId,
+		name: sectionData.name.trim(),
+		home_room: sectionData.home_room || '',
+		strength: sectionData.strength || 65,
+		program: sectionData.program || '',
+		semester: sectionData.semester || '',
+		archived: false,
+		created_at: new Date().toISOString(),
+		updated_at: new Date().toISOString()
+	}
+
+	const { data, error } = await supabase
+		.from(TABLE_NAME)
+		.insert(record)
+		.select()
+		.single()
+
+	if (error) {
+		console.error('Supabase error creating section:', {
+			message: error.message,
+			code: error.code,
+			details: error.details,
+			hint: error.hint
+		})
+		throw error
+	}
+	return data
+}
+
+/**
+ * Update an existing section (rename, metadata or archive flag)
+ * @param {string} ownerId - The user's ID from Clerk
+ * @param {string} sectionId - The section's ID
+ * @param {Object} sectionData - Updated section data
+ * @returns {Promise<Object>} - The updated section object
+ */
+export async function updateSection(ownerId, sectionId, sectionData) {
+	if (!ownerId) throw new Error('ownerId is required')
+	if (!sectionId) throw new Error('sectionId is required')
+	if (!sectionData.name?.trim()) throw new Error('Section name is required')
+
+	const record = {
+		name: sectionData.name.trim(),
+		home_room: sectionData.home_room || '',
+		strength: sectionData.strength,
+		program: sectionData.program || '',
+		semester: sectionData.semester || '',
+		archived: !!sectionData.archived,
+		updated_at: new Date().toISOString()
+	}
+
+	const { data, error } = await supabase
+		.from(TABLE_NAME)
+		.update(record)
+		.eq('id', sectionId)
+		.eq('owner_id', ownerId)
+		.select()
+		.single()
+
+	if (error) throw error
+	return data
+}
+
+/**
+ * Save a section's details and rename it in one transaction, together with the
+ * records that refer to it by name: the timetable grid, the user's profile,
+ * date-specific exceptions and substitutions, and saved versions
+ * (see rename_section in create_sections_table.sql)
+ * @param {string} ownerId - The user's ID from Clerk
+ * @param {string} oldName - Current section name
+ * @param {Object} sectionData - Updated section data, including the new name
+ * @returns {Promise<Object>} - The updated section object
+ */
+export async function renameSection(ownerId, oldName, sectionData) {
+	if (!ownerId) throw new Error('ownerId is required')
+	if (!sectionData.name?.trim()) throw new Error('Section name is required')
+
+	const { data, error } = await supabase.rpc('rename_section', {
+		p_owner_id: ownerId,
+		p_old_name: oldName,
+		p_section: {
+			name: sectionData.name.trim(),
+			home_room: sectionData.home_room || '',
+			strength: sectionData.strength,
+			program: sectionData.program || '',
+			semester: sectionData.semester || '',
+			archived: !!sectionData.archived
+		}
+	})
+
+	if (error) throw error
+	return data
+}
+
+/**
+ * Archive or restore a section; archived sections keep their timetable but are hidden from dropdowns
+ * @param {string} ownerId - The user's ID from Clerk
+ * @param {Object} section - Section record
+ * @param {boolean} archived - Whether the section should be archived
+ * @returns {Promise<Object>} - The updated section object
+ */
+export async function setSectionArchived(ownerId, section, archived) {
+	return updateSection(ownerId, section.id, { ...section, archived })
+}
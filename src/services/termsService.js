@@ -0,0 +1,107 @@
+import { supabase } from '../lib/supabaseClient'
+
+const TABLE_NAME = 'terms'
+
+/**
+ * Build the stored fields of a term
+ * @param {Object} termData - { name, start_date, end_date, breaks }
+ * @returns {Object}
+ */
+function toRecord(termData) {
+	return {
+		name: termData.name.trim(),
+		start_date: termData.start_date,
+		end_date: termData.end_date,
+		breaks: (termData.breaks || []).map(item => ({
+			name: item.name?.trim() || 'Break',
+			start_date: item.start_date,
+			end_date: item.end_date
+		}))
+	}
+}
+
+/**
+ * Load all terms for a user
+ * @param {string} ownerId - The user's ID from Clerk
+ * @returns {Promise<Array>} - Term records ordered by start date
+ */
+export async function loadUserTerms(ownerId) {
+	if (!ownerId) throw new Error('ownerId is required')
+	const { data, error } = await supabase
+		.from(TABLE_NAME)
+		.select('*')
+		.eq('owner_id', ownerId)
+		.order('start_date', { ascending: true })
+
+	if (error) throw error
+	return data || []
+}
+
+/**
+ * Save a new term
+ * @param {string} ownerId - The user's ID from Clerk
+ * @param {Object} termData - { name, start_date, end_date, breaks }
+ * @returns {Promise<Object>} - The saved term record
+ */
+export async function createTerm(ownerId, termData) {
+	if (!ownerId) throw new Error('ownerId is required')
+	if (!termData.name?.trim()) throw new Error('Term name is required')
+	const record = {
+		owner_id: ownerId,
+		...toRecord(termData),
+		created_at: new Date().toISOString(),
+		updated_at: new Date().toISOString()
+	}
+
+	const { data, error } = await supabase
+		.from(TABLE_NAME)
+		.insert(record)
+		.select()
+		.single()
+
+	if (error) throw error
+	return data
+}
+
+/**
+ * Update a term's name, dates or breaks
+ * @param {string} ownerId - The user's ID from Clerk
+ * @param {string} termId - The term's ID
+ * @param {Object} termData - { name, start_date, end_date, breaks }
+ * @returns {Promise<Object>} - The updated term record
+ */
+export async function updateTerm(ownerId, termId, termData) {
+	if (!ownerId) throw new Error('ownerId is required')
+	if (!termId) throw new Error('termId is required')
+	if (!termData.name?.trim()) throw new Error('Term name is required')
+
+	const { data, error } = await supabase
+		.from(TABLE_NAME)
+		.update({ ...toRecord(termData), updated_at: new Date().toISOString() })
+		.eq('id', termId)
+		.eq('owner_id', ownerId)
+		.select()
+		.single()
+
+	if (error) throw error
+	return data
+}
+
+/**
+ * Delete a term; courses and timetables linked to it keep their data and lose the link
+ * @param {string} ownerId - The user's ID from Clerk
+ * @param {string} termId - The term's ID
+ * @returns {Promise<void>}
+ */
+export async function deleteTerm(ownerId, termId) {
+	if (!ownerId) throw new Error('ownerId is required')
+	if (!termId) throw new Error('termId is required')
+
+	const { error } = await supabase
+		.from(TABLE_NAME)
+		.delete()
+		.eq('id', termId)
+		.eq('owner_id', ownerId)
+
+	if (error) throw error
+}
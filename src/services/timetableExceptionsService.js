@@ -0,0 +1,74 @@
+import { supabase } from '../lib/supabaseClient'
+
+const TABLE_NAME = 'timetable_exceptions'
+
+/**
+ * Load all date-specific exceptions for a user
+ * @param {string} ownerId - The user's ID from Clerk
+ * @returns {Promise<Array>} - Exception records ordered by date
+ */
+export async function loadTimetableExceptions(ownerId) {
+	if (!ownerId) throw new Error('ownerId is required')
+	const { data, error } = await supabase
+		.from(TABLE_NAME)
+		.select('*')
+		.eq('owner_id', ownerId)
+		.order('date', { ascending: true })
+
+	if (error) throw error
+	return data || []
+}
+
+/**
+ * Save a new exception
+ * @param {string} ownerId - The user's ID from Clerk
+ * @param {Object} exception - { kind, section, date, slot_id, entry, target_date, target_slot_id, absent_instructor, substitute, note }
+ * @returns {Promise<Object>} - The saved exception record
+ */
+export async function createTimetableException(ownerId, exception) {
+	if (!ownerId) throw new Error('ownerId is required')
+	if (!exception.kind) throw new Error('Exception kind is required')
+	if (!exception.date) throw new Error('Exception date is required')
+	const record = {
+		owner_id: ownerId,
+		kind: exception.kind,
+		section: exception.section || null,
+		date: exception.date,
+		slot_id: exception.slot_id || null,
+		entry: exception.entry || null,
+		target_date: exception.target_date || null,
+		target_slot_id: exception.target_slot_id || null,
+		absent_instructor: exception.absent_instructor || null,
+		substitute: exception.substitute || null,
+		note: exception.note?.trim() || '',
+		created_at: new Date().toISOString()
+	}
+
+	const { data, error } = await supabase
+		.from(TABLE_NAME)
+		.insert(record)
+		.select()
+		.single()
+
+	if (error) throw error
+	return data
+}
+
+/**
+ * Delete an exception, restoring the weekly timetable for its date
+ * @param {string} ownerId - The user's ID from Clerk
+ * @param {string} exceptionId - The exception's ID
+ * @returns {Promise<void>}
+ */
+export async function deleteTimetableException(ownerId, exceptionId) {
+	if (!ownerId) throw new Error('ownerId is required')
+	if (!exceptionId) throw new Error('exceptionId is required')
+
+	const { error } = await supabase
+		.from(TABLE_NAME)
+		.delete()
+		.eq('id', exceptionId)
+		.eq('owner_id', ownerId)
+
+	if (error) throw error
+}
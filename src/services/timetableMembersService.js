@@ -0,0 +1,72 @@
+import { supabase } from '../lib/supabaseClient'
+
+const TABLE_NAME = 'timetable_members'
+
+/**
+ * Load the users a timetable is shared with
+ * @param {string} ownerId - The timetable owner's ID from Clerk
+ * @returns {Promise<Array>} - Member records ordered by when they were added
+ */
+export async function loadTimetableMembers(ownerId) {
+	if (!ownerId) throw new Error('ownerId is required')
+	const { data, error } = await supabase
+		.from(TABLE_NAME)
+		.select('*')
+		.eq('owner_id', ownerId)
+		.order('created_at', { ascending: true })
+
+	if (error) throw error
+	return data || []
+}
+
+/**
+ * Load the timetables other users have shared with a user
+ * @param {string} userId - The user's ID from Clerk
+ * @returns {Promise<Array>} - Member records, one per shared timetable, with owner_id and owner_name
+ */
+export async function loadSharedTimetables(userId) {
+	if (!userId) throw new Error('userId is required')
+	const { data, error } = await supabase
+		.from(TABLE_NAME)
+		.select('*')
+		.eq('member_id', userId)
+		.order('owner_name', { ascending: true })
+
+	if (error) throw error
+	return data || []
+}
+
+/**
+ * Share the signed-in user's timetable with another user, found by the email on their profile
+ * The share_timetable function adds the member for the caller, so only an owner can share
+ * @param {string} email - The other user's email address
+ * @returns {Promise<Object>} - The saved member record
+ * @throws {Error} - If no user has that email, or it is the caller's own
+ */
+export async function shareTimetable(email) {
+	if (!email?.trim()) throw new Error('Email is required')
+	const { data, error } = await supabase.rpc('share_timetable', { p_email: email.trim() })
+
+	// no_data_found / invalid_parameter_value: raised for an unknown email and for the caller's own
+	if (error && (error.code === 'P0002' || error.code === '22023')) throw new Error(error.message)
+	if (error) throw error
+	return data
+}
+
+/**
+ * Stop sharing a timetable with a member; members can also remove themselves
+ * @param {string} ownerId - The timetable owner's ID from Clerk
+ * @param {string} memberId - The member's ID from Clerk
+ * @returns {Promise<void>}
+ */
+export async function removeTimetableMember(ownerId, memberId) {
+	if (!ownerId) throw new Error('ownerId is required')
+	if (!memberId) throw new Error('memberId is required')
+	const { error } = await supabase
+		.from(TABLE_NAME)
+		.delete()
+		.eq('owner_id', ownerId)
+		.eq('member_id', memberId)
+
+	if (error) throw error
+}
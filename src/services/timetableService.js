@@ -1,12 +1,53 @@
 import { supabase } from '../lib/supabaseClient'
+import { ConflictError } from '../lib/concurrency'
+import { findStaleChanges, applyCells } from '../lib/collaboration'
+import { normalizeBellSchedule } from '../lib/bellSchedule'
+import { migrateLabCopies } from '../lib/periodBlocks'
+import { readCache, writeCache } from '../lib/offlineStore'
+import { loadWithCache, performMutation, registerMutation } from '../lib/offlineSync'
 
 const TABLE_NAME = 'timetables'
 
+// Offline cache of a user's timetable record (see lib/offlineSync)
+const cacheKey = ownerId => `${TABLE_NAME}:${ownerId}`
+
+/**
+ * Load the timetable document for a specific user; the cached one is returned while offline
+ * A timetable saved before multi-period blocks existed is migrated on its first load
+ * @param {string} ownerId - Clerk ID of the timetable's owner (the user, or one who shared it with them)
+ * @returns {Promise<Object|null>} - Timetable record or null if not found
+ */
 export async function loadUserTimetable(ownerId) {
 	if (!ownerId) throw new Error('ownerId is required')
+	const record = await loadWithCache(cacheKey(ownerId), () => fetchTimetable(ownerId))
+	return record && record.blocks_migrated === false ? migrateTimetable(ownerId, record) : record
+}
+
+/**
+ * Save the one-off conversion of labs stored as one copy per slot into blocks
+ * (see migrateLabCopies) and mark the timetable as migrated. If the save fails
+ * the record is returned as loaded and the migration is tried again next time.
+ */
+async function migrateTimetable(ownerId, record) {
+	const data = migrateLabCopies(record.data || {}, normalizeBellSchedule(record.bell_schedule))
+	try {
+		return await upsertUserTimetable(ownerId, { section: record.section, data, updatedAt: record.updated_at, blocksMigrated: true })
+	} catch (error) {
+		// Another page migrated it first
+		if (error instanceof ConflictError && error.current?.blocks_migrated) return error.current
+		console.error('Failed to migrate lab periods to blocks', error)
+		return record
+	}
+}
+
+/**
+ * Load the saved timetable record straight from Supabase, e.g. for a conflict
+ * while queued writes are being replayed
+ */
+async function fetchTimetable(ownerId) {
 	const { data, error } = await supabase
 		.from(TABLE_NAME)
-		.select('id, owner_id, section, data, updated_at')
+		.select('id, owner_id, section, data, bell_schedule, working_days, term_id, blocks_migrated, updated_at')
 		.eq('owner_id', ownerId)
 		.single()
 
@@ -17,21 +58,197 @@ export async function loadUserTimetable(ownerId) {
 	return data || null
 }
 
+/**
+ * Create or update the timetable document for a user (upsert), or queue the write while offline
+ * Settings that are not part of the payload are left unchanged
+ * @param {string} ownerId - The user's ID from Clerk
+ * @param {Object} payload - { section, data, bellSchedule, workingDays, termId, blocksMigrated, updatedAt }
+ *   termId may be null to clear the term; blocksMigrated marks labs as converted to
+ *   blocks; updatedAt is the updated_at of the record the data was based on, or null
+ *   if the user had no timetable yet
+ * @returns {Promise<Object>} - The saved timetable record
+ * @throws {ConflictError} - If the timetable was saved elsewhere since it was loaded
+ */
 export async function upsertUserTimetable(ownerId, payload) {
 	if (!ownerId) throw new Error('ownerId is required')
+	const cached = await readCache(cacheKey(ownerId))
+	const optimistic = { ...(cached || {}), ...toRecord(ownerId, payload) }
+	return performMutation('timetables.upsert', [ownerId, payload], optimistic)
+}
+
+/**
+ * The timetable columns written by an upsert payload
+ */
+function toRecord(ownerId, payload) {
 	const record = {
 		owner_id: ownerId,
 		section: payload.section || 'CSE B',
 		data: payload.data || {},
 		updated_at: new Date().toISOString()
 	}
+	if (payload.bellSchedule) record.bell_schedule = payload.bellSchedule
+	if (payload.workingDays) record.working_days = payload.workingDays
+	if (payload.termId !== undefined) record.term_id = payload.termId
+	if (payload.blocksMigrated) record.blocks_migrated = true
+	return record
+}
 
-	const { data, error } = await supabase
-		.from(TABLE_NAME)
-		.upsert(record, { onConflict: 'owner_id' })
-		.select()
-		.single()
+/**
+ * Write an upsert payload unless the timetable changed since payload.updatedAt
+ */
+async function writeTimetable(ownerId, payload) {
+	const record = toRecord(ownerId, payload)
+	let query = supabase.from(TABLE_NAME)
+	if (payload.updatedAt === null) {
+		query = query.insert(record)
+	} else if (payload.updatedAt) {
+		query = query.update(record).eq('owner_id', ownerId).eq('updated_at', payload.updatedAt)
+	} else {
+		query = query.upsert(record, { onConflict: 'owner_id' })
+	}
+	const { data, error } = await query.select().maybeSingle()
+
+	// A timetable created elsewhere (unique owner) or saved since it was loaded
+	if ((error && error.code === '23505') || (!error && !data)) {
+		throw new ConflictError('The timetable was saved in another tab or by another editor', {
+			table: TABLE_NAME,
+			current: await fetchTimetable(ownerId)
+		})
+	}
+	if (error) throw error
+	return data
+}
+
+/**
+ * Rewrite the saved timetable grids, e.g. after a linked course or room is renamed
+ * Nothing is saved when the transform returns the data unchanged. If the timetable
+ * is saved elsewhere in the meantime the transform is run again on the newer grids.
+ * @param {string} ownerId - The user's ID from Clerk
+ * @param {function} transform - Receives the saved data and returns the new data
+ * @returns {Promise<Object|null>} - The saved record, or null if the user has no timetable yet
+ */
+export async function updateTimetableData(ownerId, transform) {
+	for (let attempt = 1; ; attempt++) {
+		const record = await loadUserTimetable(ownerId)
+		if (!record?.data) return null
+		const data = transform(record.data)
+		if (data === record.data) return record
+		try {
+			return await upsertUserTimetable(ownerId, { section: record.section, data, updatedAt: record.updated_at })
+		} catch (error) {
+			if (!(error instanceof ConflictError) || attempt === 3) throw error
+		}
+	}
+}
+
+/**
+ * Save only the cells that changed, merged on the server into the latest saved
+ * grids so cells changed by other editors are kept (see lib/collaboration)
+ * Settings that are not part of the payload are left unchanged
+ * While offline the changes are queued and the cached record with them applied
+ * is returned, or null if no timetable was cached
+ * @param {string} ownerId - Clerk ID of the timetable's owner; members of a shared timetable save into it too
+ * @param {Array<Object>} changes - Cell changes as { section, day, slotId, entry, before }
+ *   where before is the cell the change was based on
+ * @param {Object} settings - { section, bellSchedule, workingDays, termId }
+ *   termId may be null to clear the term
+ * @returns {Promise<Object>} - The saved timetable record, including other editors' cells
+ * @throws {ConflictError} - If another editor changed one of the cells first; nothing is saved
+ */
+export async function saveTimetableChanges(ownerId, changes, settings = {}) {
+	if (!ownerId) throw new Error('ownerId is required')
+	const record = {}
+	if (settings.section) record.section = settings.section
+	if (settings.bellSchedule) record.bell_schedule = settings.bellSchedule
+	if (settings.workingDays) record.working_days = settings.workingDays
+	if (settings.termId !== undefined) record.term_id = settings.termId
+
+	const cached = await readCache(cacheKey(ownerId))
+	const optimistic = cached ? { ...cached, ...record, data: applyCells(cached.data || {}, changes) } : null
+	return performMutation('timetables.changes', [ownerId, changes, record], optimistic)
+}
+
+/**
+ * Apply cell changes and settings columns through the apply_timetable_changes function
+ */
+async function writeTimetableChanges(ownerId, changes, record) {
+	const { data, error } = await supabase.rpc('apply_timetable_changes', {
+		p_owner_id: ownerId,
+		p_changes: changes,
+		p_settings: record
+	})
 
+	// serialization_failure: a cell no longer matches the one the change was based on
+	if (error && error.code === '40001') {
+		const current = await fetchTimetable(ownerId)
+		throw new ConflictError('The timetable was changed by another editor', {
+			table: TABLE_NAME,
+			current,
+			conflicts: findStaleChanges(changes, current?.data)
+		})
+	}
 	if (error) throw error
 	return data
 }
+
+/**
+ * Follow the timetable live: saves from other editors and the cells they have open
+ * Editors are the owner and the users it is shared with (see create_timetable_members_table.sql),
+ * who all subscribe to the owner's channel
+ * @param {string} ownerId - Clerk ID of the timetable's owner
+ * @param {Object} options
+ * @param {string} options.presenceKey - Unique key of this page, e.g. a random id per tab
+ * @param {function} options.onChange - Called with the saved timetable record after every save
+ * @param {function} options.onPresenceChange - Called with the other editors as [{ key, name, section, day, time }]
+ * @returns {Object} - { trackCell, unsubscribe } where trackCell shares { name, section, day, time }
+ */
+export function subscribeToTimetable(ownerId, { presenceKey, onChange, onPresenceChange }) {
+	if (!ownerId) throw new Error('ownerId is required')
+	let presence = null
+	const channel = supabase.channel(`timetable:${ownerId}`, { config: { presence: { key: presenceKey } } })
+
+	channel
+		.on('postgres_changes', { event: '*', schema: 'public', table: TABLE_NAME, filter: `owner_id=eq.${ownerId}` }, (payload) => {
+			if (payload.new?.data) onChange(payload.new)
+		})
+		.on('presence', { event: 'sync' }, () => {
+			const editors = Object.entries(channel.presenceState())
+				.filter(([key]) => key !== presenceKey)
+				.flatMap(([key, metas]) => metas.map(({ name, section, day, time }) => ({ key, name, section, day, time })))
+			onPresenceChange(editors)
+		})
+		.subscribe((status) => {
+			// Share the current cell again after (re)connecting
+			if (status === 'SUBSCRIBED' && presence) channel.track(presence)
+		})
+
+	return {
+		trackCell(cell) {
+			presence = cell
+			channel.track(cell).catch((error) => console.error('Failed to share the open cell', error))
+		},
+		unsubscribe() {
+			supabase.removeChannel(channel)
+		}
+	}
+}
+
+// Writes that can be queued offline and replayed in order (see lib/offlineSync)
+registerMutation('timetables.upsert', {
+	run: writeTimetable,
+	getBase: ([, payload]) => payload.updatedAt,
+	rebase: ([ownerId, payload], current) => [ownerId, { ...payload, updatedAt: current.updated_at }],
+	cache: (record, [ownerId]) => writeCache(cacheKey(ownerId), record),
+	describe: ([, payload]) => `Save timetable (${payload.section || 'CSE B'})`
+})
+registerMutation('timetables.changes', {
+	run: writeTimetableChanges,
+	// Keeping these changes over a conflict bases them on the cells saved now
+	rebase: ([ownerId, changes, record], current) => [
+		ownerId,
+		changes.map(change => ({ ...change, before: current.data?.[change.section]?.[change.day]?.[change.slotId] || null })),
+		record
+	],
+	cache: (record, [ownerId]) => record && writeCache(cacheKey(ownerId), record),
+	describe: ([, changes]) => `Save ${changes.length} timetable period${changes.length === 1 ? '' : 's'}`
+})
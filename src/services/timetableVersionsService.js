@@ -0,0 +1,100 @@
+import { supabase } from '../lib/supabaseClient'
+
+const TABLE_NAME = 'timetable_versions'
+
+// Automatic snapshots beyond this many are pruned, oldest first; named snapshots are kept
+export const MAX_AUTO_VERSIONS = 20
+
+/**
+ * Load the most recent timetable snapshots for a user
+ * @param {string} ownerId - The user's ID from Clerk
+ * @param {number} [limit] - Maximum number of snapshots to return
+ * @returns {Promise<Array>} - Snapshot records, newest first
+ */
+export async function loadTimetableVersions(ownerId, limit = 50) {
+	if (!ownerId) throw new Error('ownerId is required')
+	const { data, error } = await supabase
+		.from(TABLE_NAME)
+		.select('*')
+		.eq('owner_id', ownerId)
+		.order('created_at', { ascending: false })
+		.limit(limit)
+
+	if (error) throw error
+	return data || []
+}
+
+/**
+ * Save a snapshot of the timetable document
+ * @param {string} ownerId - The user's ID from Clerk
+ * @param {Object} snapshot - { name, kind, data, bellSchedule, workingDays }
+ * @returns {Promise<Object>} - The saved snapshot record
+ */
+export async function createTimetableVersion(ownerId, snapshot) {
+	if (!ownerId) throw new Error('ownerId is required')
+	if (!snapshot.name?.trim()) throw new Error('Version name is required')
+	const record = {
+		owner_id: ownerId,
+		name: snapshot.name.trim(),
+		kind: snapshot.kind || 'manual',
+		data: snapshot.data || {},
+		bell_schedule: snapshot.bellSchedule || null,
+		working_days: snapshot.workingDays || null,
+		created_at: new Date().toISOString()
+	}
+
+	const { data, error } = await supabase
+		.from(TABLE_NAME)
+		.insert(record)
+		.select()
+		.single()
+
+	if (error) throw error
+	if (record.kind === 'auto') await pruneAutoVersions(ownerId)
+	return data
+}
+
+/**
+ * Delete a snapshot
+ * @param {string} ownerId - The user's ID from Clerk
+ * @param {string} versionId - The snapshot's ID
+ * @returns {Promise<void>}
+ */
+export async function deleteTimetableVersion(ownerId, versionId) {
+	if (!ownerId) throw new Error('ownerId is required')
+	if (!versionId) throw new Error('versionId is required')
+
+	const { error } = await supabase
+		.from(TABLE_NAME)
+		.delete()
+		.eq('id', versionId)
+		.eq('owner_id', ownerId)
+
+	if (error) throw error
+}
+
+/**
+ * Remove automatic snapshots beyond MAX_AUTO_VERSIONS
+ * @param {string} ownerId - The user's ID from Clerk
+ * @returns {Promise<void>}
+ */
+async function pruneAutoVersions(ownerId) {
+	const { data, error } = await supabase
+		.from(TABLE_NAME)
+		.select('id')
+		.eq('owner_id', ownerId)
+		.eq('kind', 'auto')
+		.order('created_at', { ascending: false })
+		.range(MAX_AUTO_VERSIONS, MAX_AUTO_VERSIONS + 100)
+
+	if (error) throw error
+	if (!data || data.length === 0) return
+
+	const { error: deleteError } = await supabase
+		.from(TABLE_NAME)
+		.delete()
+		.in('id', data.map(version => version.id))
+		.eq('owner_id', ownerId)
+
+	if (deleteError) throw deleteError
+}
@@ -1,14 +1,27 @@
 import { supabase } from '../lib/supabaseClient'
+import { normalizeElectives } from '../lib/electives'
+import { readCache, writeCache } from '../lib/offlineStore'
+import { loadWithCache, performMutation, registerMutation } from '../lib/offlineSync'
 
 const TABLE_NAME = 'user_profile'
 
+// Offline cache of a user's profile (see lib/offlineSync)
+const cacheKey = ownerId => `${TABLE_NAME}:${ownerId}`
+
 /**
- * Load user profile for a specific user
+ * Load user profile for a specific user; the cached profile is returned while offline
  * @param {string} ownerId - The user's ID from Clerk
  * @returns {Promise<Object|null>} - User profile object or null if not found
  */
 export async function loadUserProfile(ownerId) {
 	if (!ownerId) throw new Error('ownerId is required')
+	return loadWithCache(cacheKey(ownerId), () => fetchUserProfile(ownerId))
+}
+
+/**
+ * Load the profile straight from Supabase
+ */
+async function fetchUserProfile(ownerId) {
 	const { data, error } = await supabase
 		.from(TABLE_NAME)
 		.select('*')
@@ -29,7 +42,7 @@ export async function loadUserProfile(ownerId) {
 }
 
 /**
- * Create or update user profile (upsert)
+ * Create or update user profile (upsert), or queue the write while offline
  * @param {string} ownerId - The user's ID from Clerk
  * @param {Object} profileData - Profile data object
  * @returns {Promise<Object>} - The saved/updated profile object
@@ -50,7 +63,17 @@ export async function upsertUserProfile(ownerId, profileData) {
 		address: profileData.address && profileData.address.trim() ? profileData.address.trim() : null,
 		updated_at: new Date().toISOString()
 	}
+	// Only write the elective choices when given, so saving other profile forms keeps them
+	if (profileData.electives !== undefined) record.electives = normalizeElectives(profileData.electives)
 
+	const cached = await readCache(cacheKey(ownerId))
+	return performMutation('user_profile.upsert', [record], { ...(cached || {}), ...record })
+}
+
+/**
+ * Upsert a profile record; run by upsertUserProfile, or on replay once back online
+ */
+async function writeUserProfile(record) {
 	console.log('Upserting user profile in Supabase:', { table: TABLE_NAME, record })
 	const { data, error } = await supabase
 		.from(TABLE_NAME)
@@ -72,7 +95,7 @@ export async function upsertUserProfile(ownerId, profileData) {
 }
 
 /**
- * Update user profile
+ * Update user profile, or queue the update while offline
  * @param {string} ownerId - The user's ID from Clerk
  * @param {Object} profileData - Updated profile data
  * @returns {Promise<Object>} - The updated profile object
@@ -91,7 +114,16 @@ export async function updateUserProfile(ownerId, profileData) {
 		address: profileData.address || null,
 		updated_at: new Date().toISOString()
 	}
+	if (profileData.electives !== undefined) record.electives = normalizeElectives(profileData.electives)
 
+	const cached = await readCache(cacheKey(ownerId))
+	return performMutation('user_profile.update', [ownerId, record], { ...(cached || {}), ...record, owner_id: ownerId })
+}
+
+/**
+ * Write a profile update
+ */
+async function writeUserProfileUpdate(ownerId, record) {
 	const { data, error } = await supabase
 		.from(TABLE_NAME)
 		.update(record)
@@ -112,13 +144,20 @@ export async function updateUserProfile(ownerId, profileData) {
 }
 
 /**
- * Delete user profile from the database
+ * Delete user profile from the database, or queue the deletion while offline
  * @param {string} ownerId - The user's ID from Clerk
  * @returns {Promise<void>}
  */
 export async function deleteUserProfile(ownerId) {
 	if (!ownerId) throw new Error('ownerId is required')
-	
+
+	await performMutation('user_profile.delete', [ownerId])
+}
+
+/**
+ * Delete a profile record
+ */
+async function removeUserProfile(ownerId) {
 	const { error } = await supabase
 		.from(TABLE_NAME)
 		.delete()
@@ -135,3 +174,19 @@ export async function deleteUserProfile(ownerId) {
 	}
 }
 
+// Writes that can be queued offline and replayed in order (see lib/offlineSync)
+registerMutation('user_profile.upsert', {
+	run: writeUserProfile,
+	cache: (profile) => writeCache(cacheKey(profile.owner_id), profile),
+	describe: () => 'Save profile'
+})
+registerMutation('user_profile.update', {
+	run: writeUserProfileUpdate,
+	cache: (profile, [ownerId]) => writeCache(cacheKey(ownerId), profile),
+	describe: () => 'Update profile'
+})
+registerMutation('user_profile.delete', {
+	run: removeUserProfile,
+	cache: (_, [ownerId]) => writeCache(cacheKey(ownerId), null),
+	describe: () => 'Delete profile'
+})